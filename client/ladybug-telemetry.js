@@ -0,0 +1,107 @@
+// Ladybug Hosting v7 - Telemetry client for bots (no dependencies)
+//
+//   const telemetry = require('ladybug-telemetry');
+//   telemetry.start();              // heartbeat every 15 seconds with what was counted since
+//   telemetry.request();            // count a handled request
+//   telemetry.error();              // count a failed one
+//   telemetry.gauge('queue', 12);   // latest value of a custom gauge
+//
+// Bots started by the Bot Manager find this module on their NODE_PATH, and the API and
+// their ingest token in LADYBUG_TELEMETRY_URL and LADYBUG_TELEMETRY_TOKEN. Without a
+// token every call is a no-op, so bots can report unconditionally.
+const DEFAULT_INTERVAL = 15000;
+const REQUEST_TIMEOUT = 5000;
+// The most the API takes per count and report
+const MAX_COUNT = 1000000;
+
+class TelemetryClient {
+  constructor({
+    url = process.env.LADYBUG_TELEMETRY_URL,
+    token = process.env.LADYBUG_TELEMETRY_TOKEN,
+    interval = DEFAULT_INTERVAL
+  } = {}) {
+    this.url = url && `${url.replace(/\/+$/, '')}/api/telemetry`;
+    this.token = token;
+    this.interval = interval;
+    this.requests = 0;
+    this.errors = 0;
+    this.gauges = {};
+    this.timer = null;
+  }
+
+  request(count = 1) {
+    this.requests += count;
+  }
+
+  error(count = 1) {
+    this.errors += count;
+  }
+
+  gauge(name, value) {
+    this.gauges[name] = value;
+  }
+
+  // Sends a heartbeat with everything counted since the last one. Resolves to whether the
+  // API took it; what could not be delivered is sent again with the next report.
+  async flush() {
+    if (!this.url || !this.token) return false;
+
+    const report = {
+      requests: Math.min(this.requests, MAX_COUNT),
+      errors: Math.min(this.errors, MAX_COUNT),
+      gauges: this.gauges
+    };
+    this.requests -= report.requests;
+    this.errors -= report.errors;
+    this.gauges = {};
+
+    let response;
+    try {
+      response = await fetch(this.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${this.token}` },
+        body: JSON.stringify(report),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+      });
+    } catch (error) {
+      response = null;
+    }
+    if (response && response.ok) return true;
+
+    // Rejected reports (bad token, invalid gauges) would be rejected again
+    if (!response || response.status === 429 || response.status >= 500) {
+      this.requests += report.requests;
+      this.errors += report.errors;
+      this.gauges = { ...report.gauges, ...this.gauges };
+    }
+    return false;
+  }
+
+  start() {
+    if (this.timer) return this;
+    this.flush();
+    this.timer = setInterval(() => this.flush(), this.interval);
+    // Reporting never keeps the bot alive
+    this.timer.unref();
+    return this;
+  }
+
+  // Stops the heartbeat after a last report
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    return this.flush();
+  }
+}
+
+const client = new TelemetryClient();
+
+module.exports = {
+  TelemetryClient,
+  start: () => client.start(),
+  stop: () => client.stop(),
+  flush: () => client.flush(),
+  request: count => client.request(count),
+  error: count => client.error(count),
+  gauge: (name, value) => client.gauge(name, value)
+};
@@ -10,7 +10,9 @@ module.exports = {
       max_memory_restart: '1G',
       env: {
         NODE_ENV: 'production',
-        PORT: 3000
+        PORT: 3000,
+        // Cluster instances share Socket.IO broadcasts through MongoDB (needs a replica set)
+        SOCKET_ADAPTER: 'mongo'
       },
       env_development: {
         NODE_ENV: 'development',
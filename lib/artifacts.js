@@ -0,0 +1,317 @@
+// Ladybug Hosting v7 - Bot bundle uploads (zip / tar.gz) and safe extraction
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const tar = require('tar');
+const yauzl = require('yauzl');
+const Artifact = require('../models/Artifact');
+
+const ARTIFACTS_PATH = path.resolve(process.env.UPLOAD_PATH || './uploads', 'artifacts');
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE, 10) || 10 * 1024 * 1024;
+// Guards against archive bombs: limits on what a bundle may expand to
+const MAX_EXTRACTED_SIZE = parseInt(process.env.MAX_EXTRACTED_SIZE, 10) || 10 * MAX_FILE_SIZE;
+const MAX_ARCHIVE_ENTRIES = parseInt(process.env.MAX_ARCHIVE_ENTRIES, 10) || 10000;
+
+class ArtifactError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ArtifactError';
+    this.status = status;
+  }
+}
+
+function detectFormat(buffer) {
+  if (buffer.length >= 4 && buffer[0] === 0x50 && buffer[1] === 0x4b &&
+      ((buffer[2] === 0x03 && buffer[3] === 0x04) || (buffer[2] === 0x05 && buffer[3] === 0x06))) {
+    return 'zip';
+  }
+  if (buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    return 'tar.gz';
+  }
+  return null;
+}
+
+function isInside(root, target) {
+  return target === root || target.startsWith(root + path.sep);
+}
+
+// Resolves an archive entry name under root, rejecting absolute paths and `..` escapes
+function resolveEntryPath(root, entryName) {
+  const name = entryName.replace(/\\/g, '/');
+  if (name.startsWith('/') || /^[a-zA-Z]:/.test(name)) {
+    throw new ArtifactError(`Archive entry has an absolute path: ${entryName}`);
+  }
+
+  const target = path.resolve(root, name);
+  if (!isInside(root, target)) {
+    throw new ArtifactError(`Archive entry escapes the bundle: ${entryName}`);
+  }
+  return target;
+}
+
+function checkLinkTarget(root, entryName, linkTarget) {
+  const from = resolveEntryPath(root, entryName);
+  if (path.isAbsolute(linkTarget) || !isInside(root, path.resolve(path.dirname(from), linkTarget))) {
+    throw new ArtifactError(`Symlink escapes the bundle: ${entryName} -> ${linkTarget}`);
+  }
+}
+
+// Symlinks are created after every regular file, so extraction never writes through one.
+// Their final targets are then checked with realpath to catch escapes via symlink chains.
+async function createSymlinks(root, symlinks) {
+  for (const { name, target } of symlinks) {
+    const linkPath = resolveEntryPath(root, name);
+    await fs.promises.mkdir(path.dirname(linkPath), { recursive: true });
+    await fs.promises.rm(linkPath, { recursive: true, force: true });
+    await fs.promises.symlink(target, linkPath);
+  }
+
+  for (const { name, target } of symlinks) {
+    let resolved;
+    try {
+      resolved = await fs.promises.realpath(resolveEntryPath(root, name));
+    } catch (error) {
+      // Dangling links are allowed as long as they point inside the bundle
+      continue;
+    }
+    if (!isInside(await fs.promises.realpath(root), resolved)) {
+      throw new ArtifactError(`Symlink escapes the bundle: ${name} -> ${target}`);
+    }
+  }
+}
+
+function createLimits() {
+  let entries = 0;
+  let bytes = 0;
+  return {
+    addEntry(size) {
+      entries += 1;
+      bytes += size;
+      if (entries > MAX_ARCHIVE_ENTRIES) {
+        throw new ArtifactError(`Archive has more than ${MAX_ARCHIVE_ENTRIES} entries`, 413);
+      }
+      if (bytes > MAX_EXTRACTED_SIZE) {
+        throw new ArtifactError(`Archive expands to more than ${MAX_EXTRACTED_SIZE} bytes`, 413);
+      }
+    },
+    get entries() { return entries; },
+    get bytes() { return bytes; }
+  };
+}
+
+async function extractTarGz(buffer, root) {
+  const limits = createLimits();
+  const symlinks = [];
+  let validationError = null;
+
+  // First pass: validate every entry before anything touches the disk
+  await new Promise((resolve, reject) => {
+    const parser = new tar.Parse({
+      strict: true,
+      onentry: entry => {
+        try {
+          if (validationError) return;
+          resolveEntryPath(root, entry.path);
+          switch (entry.type) {
+            case 'File':
+            case 'OldFile':
+            case 'ContiguousFile':
+            case 'Directory':
+              limits.addEntry(entry.size || 0);
+              break;
+            case 'SymbolicLink':
+              limits.addEntry(0);
+              checkLinkTarget(root, entry.path, entry.linkpath);
+              symlinks.push({ name: entry.path, target: entry.linkpath });
+              break;
+            default:
+              throw new ArtifactError(`Unsupported archive entry type ${entry.type}: ${entry.path}`);
+          }
+        } catch (error) {
+          validationError = error;
+        } finally {
+          entry.resume();
+        }
+      }
+    });
+    parser.on('end', resolve);
+    parser.on('error', error => reject(new ArtifactError(`Invalid tar.gz archive: ${error.message}`)));
+    parser.end(buffer);
+  });
+
+  if (validationError) throw validationError;
+
+  await new Promise((resolve, reject) => {
+    const unpack = tar.x({
+      cwd: root,
+      strict: true,
+      preservePaths: false,
+      // Don't apply owners / modes that could make files unreadable for the worker
+      preserveOwner: false,
+      noChmod: true,
+      filter: (entryPath, entry) => entry.type !== 'SymbolicLink'
+    });
+    unpack.on('close', resolve);
+    unpack.on('error', error => reject(new ArtifactError(`Failed to extract archive: ${error.message}`)));
+    unpack.end(buffer);
+  });
+
+  await createSymlinks(root, symlinks);
+  return { fileCount: limits.entries, extractedSize: limits.bytes };
+}
+
+function extractZip(buffer, root) {
+  const limits = createLimits();
+  const symlinks = [];
+
+  return new Promise((resolve, reject) => {
+    yauzl.fromBuffer(buffer, { lazyEntries: true }, (openError, zipfile) => {
+      if (openError) {
+        return reject(new ArtifactError(`Invalid zip archive: ${openError.message}`));
+      }
+
+      const fail = error => {
+        zipfile.close();
+        reject(error instanceof ArtifactError ? error : new ArtifactError(`Failed to extract archive: ${error.message}`));
+      };
+
+      const readEntry = (entry, onData) => {
+        zipfile.openReadStream(entry, (streamError, stream) => {
+          if (streamError) return fail(streamError);
+          onData(stream);
+        });
+      };
+
+      zipfile.on('entry', entry => {
+        try {
+          const target = resolveEntryPath(root, entry.fileName);
+          limits.addEntry(entry.uncompressedSize);
+
+          const mode = (entry.externalFileAttributes >>> 16) & 0o170000;
+          if (entry.fileName.endsWith('/')) {
+            fs.promises.mkdir(target, { recursive: true }).then(() => zipfile.readEntry(), fail);
+          } else if (mode === 0o120000) {
+            readEntry(entry, stream => {
+              const chunks = [];
+              stream.on('data', chunk => chunks.push(chunk));
+              stream.on('error', fail);
+              stream.on('end', () => {
+                try {
+                  const linkTarget = Buffer.concat(chunks).toString('utf8');
+                  checkLinkTarget(root, entry.fileName, linkTarget);
+                  symlinks.push({ name: entry.fileName, target: linkTarget });
+                  zipfile.readEntry();
+                } catch (error) {
+                  fail(error);
+                }
+              });
+            });
+          } else {
+            fs.promises.mkdir(path.dirname(target), { recursive: true }).then(() => {
+              readEntry(entry, stream => {
+                const output = fs.createWriteStream(target, { flags: 'wx' });
+                stream.on('error', fail);
+                output.on('error', fail);
+                output.on('finish', () => zipfile.readEntry());
+                stream.pipe(output);
+              });
+            }, fail);
+          }
+        } catch (error) {
+          fail(error);
+        }
+      });
+
+      zipfile.on('error', fail);
+      zipfile.on('end', () => {
+        createSymlinks(root, symlinks)
+          .then(() => resolve({ fileCount: limits.entries, extractedSize: limits.bytes }), fail);
+      });
+      zipfile.readEntry();
+    });
+  });
+}
+
+// Bundles are often wrapped in a single top-level folder; run from inside it
+async function findBundleRoot(dir) {
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  if (entries.length === 1 && entries[0].isDirectory()) {
+    return path.join(dir, entries[0].name);
+  }
+  return dir;
+}
+
+async function storeArtifact(bot, buffer, { filename, uploadedBy } = {}) {
+  if (!buffer || buffer.length === 0) {
+    throw new ArtifactError('Upload a .zip or .tar.gz bundle as the request body');
+  }
+  if (buffer.length > MAX_FILE_SIZE) {
+    throw new ArtifactError(`Bundle exceeds the ${MAX_FILE_SIZE} byte limit`, 413);
+  }
+
+  const format = detectFormat(buffer);
+  if (!format) {
+    throw new ArtifactError('Unsupported bundle format, upload a .zip or .tar.gz file', 415);
+  }
+
+  const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+  const latest = await Artifact.findOne({ bot: bot._id }).sort({ version: -1 });
+  const version = latest ? latest.version + 1 : 1;
+
+  const botDir = path.join(ARTIFACTS_PATH, bot._id.toString());
+  const finalDir = path.join(botDir, `v${version}`);
+  const workDir = path.join(botDir, `.v${version}-${crypto.randomBytes(4).toString('hex')}`);
+  await fs.promises.mkdir(workDir, { recursive: true });
+
+  let published = false;
+  try {
+    const root = await fs.promises.realpath(workDir);
+    const result = format === 'zip'
+      ? await extractZip(buffer, root)
+      : await extractTarGz(buffer, root);
+
+    // Keep the original archive next to the extracted tree for audits and redeploys
+    // A concurrent upload that claimed the same version makes the rename fail
+    await fs.promises.rename(workDir, finalDir);
+    published = true;
+    await fs.promises.writeFile(path.join(botDir, `v${version}.${format}`), buffer);
+
+    const bundleRoot = await findBundleRoot(finalDir);
+    return await Artifact.create({
+      bot: bot._id,
+      version,
+      format,
+      filename,
+      size: buffer.length,
+      extractedSize: result.extractedSize,
+      fileCount: result.fileCount,
+      sha256,
+      path: bundleRoot,
+      uploadedBy
+    });
+  } catch (error) {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+    if (published) {
+      await fs.promises.rm(finalDir, { recursive: true, force: true });
+      await fs.promises.rm(path.join(botDir, `v${version}.${format}`), { force: true });
+    }
+    throw error;
+  }
+}
+
+async function removeArtifacts(botId) {
+  await Artifact.deleteMany({ bot: botId });
+  await fs.promises.rm(path.join(ARTIFACTS_PATH, botId.toString()), { recursive: true, force: true });
+}
+
+module.exports = {
+  ARTIFACTS_PATH,
+  MAX_FILE_SIZE,
+  ArtifactError,
+  detectFormat,
+  resolveEntryPath,
+  extractTarGz,
+  extractZip,
+  storeArtifact,
+  removeArtifacts
+};
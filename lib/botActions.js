@@ -0,0 +1,155 @@
+// Ladybug Hosting v7 - User lifecycle actions (start/stop/restart/pause/resume)
+const Bot = require('../models/Bot');
+const BotLog = require('../models/BotLog');
+const BotSecret = require('../models/BotSecret');
+const BotRevision = require('../models/BotRevision');
+const BotEvent = require('../models/BotEvent');
+const { removeArtifacts } = require('./artifacts');
+const { releaseBotSlot } = require('./quota');
+const { hasScheduledRestart } = require('./restartPolicy');
+const { SYSTEM_ACTOR } = require('./botStates');
+const { enqueueJob } = require('./jobQueue');
+
+// Statuses each action may be requested from (each a legal transition in lib/botStates.js)
+const BOT_ACTIONS = {
+  start: ['idle', 'stopped', 'error', 'oom_killed', 'crashloop', 'auth_failed'],
+  stop: ['starting', 'running', 'paused', 'error', 'oom_killed', 'crashloop', 'auth_failed'],
+  restart: ['running', 'paused', 'error', 'oom_killed', 'crashloop', 'auth_failed', 'stopped'],
+  pause: ['running'],
+  resume: ['paused']
+};
+
+// Statuses where the Bot Manager supervises a live process
+const LIVE_STATUSES = ['running', 'paused'];
+
+// Returns null when the action is allowed, otherwise { status, body } for the response
+function checkBotAction(bot, action) {
+  if (!Object.prototype.hasOwnProperty.call(BOT_ACTIONS, action)) {
+    return {
+      status: 400,
+      body: { error: `Unknown action: ${action}`, code: 'UNKNOWN_ACTION', allowed: Object.keys(BOT_ACTIONS) }
+    };
+  }
+  if (bot.pendingAction) {
+    return {
+      status: 409,
+      body: { error: `A ${bot.pendingAction} is already in progress`, code: 'ACTION_IN_PROGRESS' }
+    };
+  }
+  // A bot that exited cleanly and waits for its `always` restart can still be stopped
+  const waitingForRestart = action === 'stop' && hasScheduledRestart(bot);
+  if (!BOT_ACTIONS[action].includes(bot.status) && !waitingForRestart) {
+    return {
+      status: 409,
+      body: {
+        error: `Cannot ${action} a bot that is ${bot.status}`,
+        code: 'INVALID_BOT_STATUS',
+        status: bot.status,
+        allowedFrom: BOT_ACTIONS[action]
+      }
+    };
+  }
+  return null;
+}
+
+// Applies an allowed action to the bot document. Anything that touches a live process
+// is left to the Bot Manager as `pendingAction`; the rest is a plain status change.
+// Acting on a bot by hand also cancels a scheduled restart and clears its restart count.
+function applyBotAction(bot, action) {
+  bot.restarts = { count: 0 };
+  const live = LIVE_STATUSES.includes(bot.status) || (action === 'stop' && bot.status === 'starting');
+
+  switch (action) {
+    case 'start':
+      bot.status = 'starting';
+      return;
+    case 'stop':
+      if (!live) {
+        bot.status = 'stopped';
+        return;
+      }
+      bot.status = 'stopping';
+      break;
+    case 'restart':
+      if (!live) {
+        bot.status = 'starting';
+        return;
+      }
+      bot.status = 'restarting';
+      break;
+    default:
+      // pause / resume keep the current status until the worker has signalled the process
+      break;
+  }
+
+  bot.pendingAction = action;
+  bot.pendingActionAt = new Date();
+}
+
+// Queues the job that carries out what was just asked of the bot: its pending action,
+// or starting it (as `type`, e.g. a deploy). Resolves to the job, or null if the
+// status change alone was enough (e.g. stopping a bot that has no process). A bot has
+// at most one open job of each kind, which is returned when queueing it again.
+async function queueBotJob(bot, { type = 'start', actor } = {}) {
+  if (bot.pendingAction) {
+    return enqueueJob(bot.pendingAction, {
+      bot,
+      actor,
+      key: `action:${bot._id}`,
+      payload: { pendingActionAt: bot.pendingActionAt }
+    });
+  }
+  if (bot.status === 'starting') {
+    return enqueueJob(type, { bot, actor, key: `start:${bot._id}` });
+  }
+  return null;
+}
+
+// Requests a restart of a running or paused bot, e.g. to roll out a new config
+// revision or to bring it up on the server it was migrated to. Bots that are not
+// running pick such changes up on their next start anyway. The request is only made
+// if the bot is still live without another pending action (and matches `filter`);
+// `update` is applied along with it. Resolves to whether the restart was requested.
+async function restartLiveBot(bot, { cause, actor = SYSTEM_ACTOR, detail, filter = {}, update = {} } = {}) {
+  if (!LIVE_STATUSES.includes(bot.status) || bot.pendingAction) {
+    return false;
+  }
+  const pendingActionAt = new Date();
+  const previous = await Bot.transition(bot._id, 'restarting', {
+    from: LIVE_STATUSES,
+    filter: { ...filter, pendingAction: { $exists: false } },
+    update: {
+      ...update,
+      $set: { ...update.$set, pendingAction: 'restart', pendingActionAt, restarts: { count: 0 } }
+    },
+    cause,
+    actor,
+    detail
+  });
+  if (!previous) {
+    return false;
+  }
+  Object.assign(bot, { status: 'restarting', pendingAction: 'restart', pendingActionAt, restarts: { count: 0 } });
+  await queueBotJob(bot, { actor });
+  return true;
+}
+
+// Deletes a bot with everything kept for it: its slots on its server and in the owner's
+// quota, its artifacts, logs, secrets, revisions and events. Used by DELETE /api/bots/:id
+// and the Bot Manager's cleanup, which stop the bot first. Resolves to false (and leaves
+// the slots alone) if the bot was already deleted.
+async function deleteBot(bot, botNetServer) {
+  if (!(await Bot.findByIdAndDelete(bot._id))) {
+    return false;
+  }
+  await botNetServer.releaseBot(bot.serverId, bot);
+  await releaseBotSlot(bot.owner);
+  await removeArtifacts(bot._id);
+  await BotLog.deleteMany({ bot: bot._id });
+  await BotSecret.deleteMany({ bot: bot._id });
+  await BotRevision.deleteMany({ bot: bot._id });
+  await BotEvent.deleteMany({ bot: bot._id });
+  return true;
+}
+
+module.exports = { BOT_ACTIONS, checkBotAction, applyBotAction, queueBotJob, restartLiveBot, deleteBot };
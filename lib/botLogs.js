@@ -0,0 +1,132 @@
+// Ladybug Hosting v7 - Bot log capture (worker side) and log queries (API side)
+
+const LOG_BUFFER_LINES = parseInt(process.env.LOG_BUFFER_LINES, 10) || 1000;
+const LOG_MAX_LINE_LENGTH = parseInt(process.env.LOG_MAX_LINE_LENGTH, 10) || 4096;
+const LOG_TAIL_DEFAULT = 100;
+const LOG_TAIL_MAX = 5000;
+
+class LogQueryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'LogQueryError';
+    this.status = status;
+  }
+}
+
+// Fixed-size buffer of lines waiting to be persisted. When a bot logs faster than
+// lines can be stored, the oldest ones are overwritten and counted as dropped.
+class LogRingBuffer {
+  constructor(capacity = LOG_BUFFER_LINES) {
+    this.capacity = capacity;
+    this.entries = new Array(capacity);
+    this.start = 0;
+    this.size = 0;
+    this.dropped = 0;
+  }
+
+  push(entry) {
+    const index = (this.start + this.size) % this.capacity;
+    this.entries[index] = entry;
+    if (this.size < this.capacity) {
+      this.size += 1;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+      this.dropped += 1;
+    }
+  }
+
+  // Returns buffered entries oldest first and empties the buffer
+  drain() {
+    const entries = [];
+    for (let i = 0; i < this.size; i++) {
+      entries.push(this.entries[(this.start + i) % this.capacity]);
+    }
+    const dropped = this.dropped;
+
+    this.entries = new Array(this.capacity);
+    this.start = 0;
+    this.size = 0;
+    this.dropped = 0;
+    return { entries, dropped };
+  }
+}
+
+// Turns a stream's data chunks into lines; overlong lines are cut at maxLength
+function createLineSplitter(onLine, maxLength = LOG_MAX_LINE_LENGTH) {
+  let pending = '';
+
+  const emit = line => {
+    const trimmed = line.endsWith('\r') ? line.slice(0, -1) : line;
+    onLine(trimmed.length > maxLength ? `${trimmed.slice(0, maxLength)}…` : trimmed);
+  };
+
+  return {
+    write(chunk) {
+      pending += chunk.toString('utf8');
+      let newline = pending.indexOf('\n');
+      while (newline !== -1) {
+        emit(pending.slice(0, newline));
+        pending = pending.slice(newline + 1);
+        newline = pending.indexOf('\n');
+      }
+      while (pending.length > maxLength) {
+        emit(pending.slice(0, maxLength));
+        pending = pending.slice(maxLength);
+      }
+    },
+    end() {
+      if (pending) {
+        emit(pending);
+        pending = '';
+      }
+    }
+  };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Validates `since`, `tail` and `grep` query parameters into a Mongo filter and limit
+function parseLogQuery(botId, query = {}) {
+  const filter = { bot: botId };
+
+  if (query.since !== undefined && query.since !== '') {
+    const since = /^\d+$/.test(query.since) ? new Date(Number(query.since)) : new Date(query.since);
+    if (Number.isNaN(since.getTime())) {
+      throw new LogQueryError('since must be an ISO date or a millisecond timestamp');
+    }
+    filter.createdAt = { $gt: since };
+  }
+
+  let tail = LOG_TAIL_DEFAULT;
+  if (query.tail !== undefined && query.tail !== '') {
+    tail = Number(query.tail);
+    if (!Number.isInteger(tail) || tail < 1 || tail > LOG_TAIL_MAX) {
+      throw new LogQueryError(`tail must be between 1 and ${LOG_TAIL_MAX}`);
+    }
+  }
+
+  if (query.grep !== undefined && query.grep !== '') {
+    if (typeof query.grep !== 'string') {
+      throw new LogQueryError('grep must be a string');
+    }
+    // Plain substring match, so user input never runs as a regular expression
+    filter.line = { $regex: escapeRegExp(query.grep), $options: 'i' };
+  }
+
+  return { filter, tail };
+}
+
+function getLogRoom(botId) {
+  return `logs:${botId}`;
+}
+
+module.exports = {
+  LOG_BUFFER_LINES,
+  LogQueryError,
+  LogRingBuffer,
+  createLineSplitter,
+  parseLogQuery,
+  getLogRoom
+};
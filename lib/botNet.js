@@ -0,0 +1,379 @@
+// Ladybug Hosting v7 - Bot Net server pool (persisted in the Server collection)
+const Server = require('../models/Server');
+const Bot = require('../models/Bot');
+const { PLACEMENT_STRATEGY, selectServer, validateLabels } = require('./placement');
+const { RESOURCE_KEYS, DEFAULT_BOT_RESOURCES, getBotResources } = require('./resources');
+
+// Seeded into an empty Server collection so a fresh install has somewhere to place bots
+const DEFAULT_SERVER_RESOURCES = { memoryMB: 16384, cpuShares: 8192 };
+const DEFAULT_SERVERS = [
+  { _id: 'server-1', name: 'Ladybug Node Alpha', region: 'us-east', capacity: 100, resources: DEFAULT_SERVER_RESOURCES },
+  { _id: 'server-2', name: 'Ladybug Node Beta', region: 'us-west', capacity: 100, resources: DEFAULT_SERVER_RESOURCES },
+  { _id: 'server-3', name: 'Ladybug Node Gamma', region: 'eu-west', capacity: 100, resources: DEFAULT_SERVER_RESOURCES }
+];
+
+const SERVER_ID = /^[a-z0-9][a-z0-9-]{0,62}$/;
+const SERVER_STATUSES = ['online', 'offline'];
+
+class ServerError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ServerError';
+    this.status = status;
+  }
+}
+
+// Checks the editable fields of a server; `partial` allows leaving required ones out
+function validateServerFields(fields, { partial = false } = {}) {
+  const update = {};
+
+  ['name', 'region'].forEach(key => {
+    if (fields[key] === undefined) {
+      if (!partial) throw new ServerError(`${key} is required`);
+      return;
+    }
+    if (typeof fields[key] !== 'string' || !fields[key].trim()) {
+      throw new ServerError(`${key} must be a non-empty string`);
+    }
+    update[key] = fields[key].trim();
+  });
+
+  if (fields.capacity !== undefined) {
+    if (!Number.isInteger(fields.capacity) || fields.capacity < 1) {
+      throw new ServerError('capacity must be a positive integer');
+    }
+    update.capacity = fields.capacity;
+  }
+
+  if (fields.resources !== undefined) {
+    const { resources } = fields;
+    if (resources === null || typeof resources !== 'object' || Array.isArray(resources)
+      || !RESOURCE_KEYS.every(key => Number.isInteger(resources[key]) && resources[key] >= 1)) {
+      throw new ServerError('resources must give memoryMB and cpuShares as positive integers');
+    }
+    update.resources = { memoryMB: resources.memoryMB, cpuShares: resources.cpuShares };
+  }
+
+  if (fields.labels !== undefined) {
+    try {
+      update.labels = validateLabels(fields.labels);
+    } catch (error) {
+      throw new ServerError(error.message);
+    }
+  }
+
+  if (fields.status !== undefined) {
+    if (!SERVER_STATUSES.includes(fields.status)) {
+      throw new ServerError(`status must be one of ${SERVER_STATUSES.join(', ')}`);
+    }
+    update.status = fields.status;
+  }
+
+  return update;
+}
+
+// Placement attempts before giving up when other instances keep taking the chosen slot
+const ASSIGN_ATTEMPTS = 5;
+
+// Resource requests of bots in an aggregation, with the defaults for bots that have none
+const requestedSum = key => ({ $sum: { $ifNull: [`$resources.requests.${key}`, DEFAULT_BOT_RESOURCES[key]] } });
+
+// Matches servers that still have room for one more bot requesting `resources`
+function roomFor(resources) {
+  return {
+    $and: [
+      { $lt: ['$activeBots', '$capacity'] },
+      ...RESOURCE_KEYS.map(key => ({
+        $or: [
+          { $not: [`$resources.${key}`] },
+          { $lte: [{ $add: [{ $ifNull: [`$allocated.${key}`, 0] }, resources[key]] }, `$resources.${key}`] }
+        ]
+      }))
+    ]
+  };
+}
+
+// The counter changes for placing (sign 1) or removing (sign -1) a bot
+function usageChange(resources, sign) {
+  const change = { activeBots: sign };
+  RESOURCE_KEYS.forEach(key => {
+    change[`allocated.${key}`] = sign * resources[key];
+  });
+  return change;
+}
+
+// The pool and its bot counters live in the Server collection, so every API server
+// instance (PM2 cluster mode) sees the same state; `servers` is this instance's
+// snapshot of it, refreshed before each placement.
+class BotNetServer {
+  constructor(options = {}) {
+    this.servers = new Map();
+    // Ids of servers whose bots this instance is moving off (see lib/migration.js)
+    this.migrating = new Set();
+    // Default placement strategy, overridable per request (see lib/placement.js)
+    this.strategy = options.strategy || PLACEMENT_STRATEGY;
+  }
+
+  // Seeds an empty pool. The bot counters are left alone: every API instance loads the
+  // pool when it starts, and resetting them here would overwrite placements other
+  // instances make meanwhile (recountUsage corrects counters that drifted).
+  async load() {
+    if (await Server.estimatedDocumentCount() === 0) {
+      await Server.insertMany(DEFAULT_SERVERS, { ordered: false }).catch(error => {
+        // Another instance seeded the pool at the same time
+        if (error.code !== 11000) throw error;
+      });
+    }
+
+    return this.refresh();
+  }
+
+  // Recounts the bots and their resource requests on each server from the Bot collection,
+  // correcting counters that drifted (e.g. an instance crashing mid-deploy). Only the Bot
+  // Manager runs this, at startup. A server's counters are only replaced if no bot was
+  // placed on or removed from it while it was recounted; the next run corrects those.
+  // Returns the number of servers whose counters were corrected.
+  async recountUsage() {
+    const servers = await Server.find().select('activeBots allocated').lean();
+    const counts = await Bot.aggregate([{
+      $group: {
+        _id: '$serverId',
+        count: { $sum: 1 },
+        memoryMB: requestedSum('memoryMB'),
+        cpuShares: requestedSum('cpuShares')
+      }
+    }]);
+    const usage = new Map(counts.map(entry => [entry._id, entry]));
+
+    const results = await Promise.all(servers.map(server => {
+      const entry = usage.get(server._id) || {};
+      const stored = {
+        activeBots: server.activeBots ?? null,
+        'allocated.memoryMB': (server.allocated && server.allocated.memoryMB) ?? null,
+        'allocated.cpuShares': (server.allocated && server.allocated.cpuShares) ?? null
+      };
+      const counted = {
+        activeBots: entry.count || 0,
+        'allocated.memoryMB': entry.memoryMB || 0,
+        'allocated.cpuShares': entry.cpuShares || 0
+      };
+      if (Object.keys(counted).every(key => stored[key] === counted[key])) {
+        return { modifiedCount: 0 };
+      }
+      return Server.updateOne({ _id: server._id, ...stored }, { $set: counted });
+    }));
+
+    await this.refresh();
+    return results.reduce((corrected, result) => corrected + result.modifiedCount, 0);
+  }
+
+  async refresh() {
+    const servers = await Server.find().sort({ _id: 1 });
+    this.servers = new Map();
+    servers.forEach(server => this.track(server));
+    return this.getServerStatus();
+  }
+
+  track(server) {
+    this.servers.set(server._id, server.toJSON());
+    return this.servers.get(server._id);
+  }
+
+  async issueNodeToken(serverId) {
+    const server = await Server.findById(serverId);
+    if (!server) {
+      throw new ServerError('Server not found', 404);
+    }
+    const token = await server.issueToken();
+    this.track(server);
+    return token;
+  }
+
+  // Called when a node agent connects: its reported capacity, region and labels replace the stored ones
+  async registerNode(serverId, info = {}) {
+    const fields = validateServerFields(
+      { capacity: info.capacity, region: info.region, labels: info.labels, resources: info.resources },
+      { partial: true }
+    );
+    const now = new Date();
+    const agent = { registeredAt: now };
+    ['hostname', 'version'].forEach(key => {
+      if (typeof info[key] === 'string') agent[key] = info[key].slice(0, 200);
+    });
+
+    const server = await Server.findByIdAndUpdate(serverId, {
+      $set: { ...fields, status: 'online', agent, lastHeartbeatAt: now, updatedAt: now }
+    }, { new: true });
+    if (!server) {
+      throw new ServerError('Server not found', 404);
+    }
+    return this.track(server);
+  }
+
+  // Returns the server and whether the heartbeat brought it back online
+  async recordHeartbeat(serverId, stats) {
+    const update = { lastHeartbeatAt: new Date(), status: 'online' };
+    if (stats && typeof stats === 'object' && !Array.isArray(stats)) {
+      update.stats = stats;
+    }
+    const previous = await Server.findOneAndUpdate(
+      { _id: serverId, 'agent.registeredAt': { $exists: true } },
+      { $set: update }
+    );
+    if (!previous) {
+      throw new ServerError('Node is not registered', 409);
+    }
+
+    previous.set(update);
+    return { server: this.track(previous), changed: previous.isModified('status') };
+  }
+
+  // Takes servers whose agent has not been heard from within `timeout` ms offline and
+  // returns them. Servers that never had an agent keep the status an admin gave them.
+  // Each server is only returned by the one instance whose update took it offline.
+  async expireHeartbeats(timeout, now = Date.now()) {
+    const cutoff = new Date(now - timeout);
+    const stale = { status: 'online', 'agent.registeredAt': { $exists: true }, lastHeartbeatAt: { $lt: cutoff } };
+    const expired = [];
+
+    for (const server of await Server.find(stale).select('_id')) {
+      const updated = await Server.findOneAndUpdate(
+        { ...stale, _id: server._id },
+        { $set: { status: 'offline' } },
+        { new: true }
+      );
+      if (updated) {
+        expired.push(this.track(updated));
+      }
+    }
+    return expired;
+  }
+
+  async createServer(fields) {
+    if (typeof fields.id !== 'string' || !SERVER_ID.test(fields.id)) {
+      throw new ServerError('id must be lower-case letters, digits and dashes');
+    }
+    const server = new Server({ _id: fields.id, ...validateServerFields(fields) });
+    try {
+      await server.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ServerError(`Server ${fields.id} already exists`, 409);
+      }
+      throw error;
+    }
+    return this.track(server);
+  }
+
+  async updateServer(serverId, fields) {
+    const update = validateServerFields(fields, { partial: true });
+    const server = await Server.findByIdAndUpdate(serverId, {
+      $set: { ...update, updatedAt: new Date() }
+    }, { new: true, runValidators: true });
+    if (!server) {
+      throw new ServerError('Server not found', 404);
+    }
+    return this.track(server);
+  }
+
+  // Draining stops new placements; moving the bots off is up to the caller
+  async setDraining(serverId, draining) {
+    const server = await Server.findByIdAndUpdate(serverId, {
+      $set: { draining, updatedAt: new Date() }
+    }, { new: true });
+    if (!server) {
+      throw new ServerError('Server not found', 404);
+    }
+    return this.track(server);
+  }
+
+  // Servers still hosting bots cannot be removed; drain them first
+  async removeServer(serverId) {
+    const server = await Server.findById(serverId);
+    if (!server) {
+      throw new ServerError('Server not found', 404);
+    }
+    const hosted = await Bot.countDocuments({ serverId });
+    if (hosted > 0) {
+      throw new ServerError(`Server ${serverId} still hosts ${hosted} bot(s), drain it first`, 409);
+    }
+    await Server.deleteOne({ _id: serverId });
+    this.servers.delete(serverId);
+  }
+
+  // Picks a server for the bot and counts it there. `options` may give the bot's resource
+  // `requests`, limit `regions`, require `labels`, pass `groupCounts` for anti-affinity
+  // and choose the `strategy`. The counters are only incremented while the server still
+  // has room, so concurrent placements on other instances cannot overfill it; losing
+  // that race means choosing again.
+  async assignBot(botId, options = {}) {
+    const resources = options.resources || { ...DEFAULT_BOT_RESOURCES };
+    for (let attempt = 0; attempt < ASSIGN_ATTEMPTS; attempt++) {
+      await this.refresh();
+      const candidate = selectServer(this.getServerStatus(), {
+        ...options,
+        resources,
+        botId,
+        strategy: options.strategy || this.strategy
+      });
+      if (!candidate) {
+        return null;
+      }
+
+      const server = await Server.findOneAndUpdate(
+        {
+          _id: candidate.id,
+          status: 'online',
+          draining: { $ne: true },
+          $expr: roomFor(resources)
+        },
+        { $inc: usageChange(resources, 1) },
+        { new: true }
+      );
+      if (server) {
+        this.track(server);
+        return server._id;
+      }
+    }
+    return null;
+  }
+
+  // Places a new bot according to its `placement`; groups are counted per organization
+  async placeBot(bot, options = {}) {
+    const placement = bot.placement || {};
+    const groupCounts = placement.group ? await this.getGroupCounts(bot.org, placement.group) : undefined;
+    return this.assignBot(bot._id, {
+      resources: getBotResources(bot).requests,
+      strategy: placement.strategy,
+      labels: placement.labels,
+      groupCounts,
+      ...options
+    });
+  }
+
+  async getGroupCounts(org, group) {
+    const counts = await Bot.aggregate([
+      { $match: { org, 'placement.group': group } },
+      { $group: { _id: '$serverId', count: { $sum: 1 } } }
+    ]);
+    return Object.fromEntries(counts.map(entry => [entry._id, entry.count]));
+  }
+
+  // Takes a bot off the server's counters; `bot` gives the resource requests to hand back
+  async releaseBot(serverId, bot) {
+    const server = await Server.findOneAndUpdate(
+      { _id: serverId, activeBots: { $gt: 0 } },
+      { $inc: usageChange(getBotResources(bot).requests, -1) },
+      { new: true }
+    );
+    if (server) {
+      this.track(server);
+    }
+  }
+
+  getServerStatus() {
+    return Array.from(this.servers.values());
+  }
+}
+
+module.exports = { DEFAULT_SERVERS, ServerError, BotNetServer, validateServerFields };
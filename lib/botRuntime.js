@@ -0,0 +1,123 @@
+// Ladybug Hosting v7 - Bot process helpers used by the Bot Manager
+const fs = require('fs');
+const path = require('path');
+
+const BOTS_PATH = path.resolve(process.env.BOTS_PATH || './bots');
+// Where bot processes push telemetry to, and the directory of the client helper
+// (client/ladybug-telemetry.js) that is put on their NODE_PATH
+const TELEMETRY_URL = process.env.TELEMETRY_URL || `http://localhost:${process.env.PORT || 3000}`;
+const TELEMETRY_CLIENT_PATH = path.resolve(__dirname, '..', 'client');
+
+// Only these variables of the platform environment are passed to bot processes,
+// so platform secrets (database URI, JWT secret, ...) never leak into user code
+const INHERITED_ENV = ['PATH', 'HOME', 'LANG', 'TZ', 'NODE_ENV'];
+
+// Git-sourced bots run from their checkout (optionally a subdirectory of it),
+// bots with an uploaded bundle from its extracted directory
+function getBotWorkdir(bot) {
+  if (bot.source && bot.source.repoUrl) {
+    return path.join(BOTS_PATH, bot._id.toString(), bot.source.subdir || '');
+  }
+  if (bot.artifact && bot.artifact.path) {
+    return bot.artifact.path;
+  }
+  return path.join(BOTS_PATH, bot._id.toString());
+}
+
+// Resolves how to start a bot: explicit `config.command`, then `npm start`, then the
+// `startCommand` of its bot type (see lib/plugins.js), then `node index.js`
+function resolveStartCommand(bot, workdir, startCommand) {
+  const custom = bot.config && bot.config.command;
+  if (custom) {
+    return { command: '/bin/sh', args: ['-c', String(custom)] };
+  }
+
+  const packageFile = path.join(workdir, 'package.json');
+  if (fs.existsSync(packageFile)) {
+    const pkg = JSON.parse(fs.readFileSync(packageFile, 'utf8'));
+    if (pkg.scripts && pkg.scripts.start) {
+      return { command: 'npm', args: ['start'] };
+    }
+    if (pkg.main) {
+      return { command: process.execPath, args: [pkg.main] };
+    }
+  }
+
+  if (startCommand) {
+    const [command, ...args] = startCommand;
+    return { command: command === 'node' ? process.execPath : command, args };
+  }
+  return { command: process.execPath, args: ['index.js'] };
+}
+
+// `secretEnv` holds the bot's decrypted secrets; platform variables always win over them.
+// `telemetryToken` is the bot's ingest token (see lib/telemetry.js).
+function buildBotEnv(bot, secretEnv = {}, telemetryToken) {
+  const env = {};
+  INHERITED_ENV.forEach(key => {
+    if (process.env[key] !== undefined) {
+      env[key] = process.env[key];
+    }
+  });
+
+  return {
+    ...secretEnv,
+    ...env,
+    BOT_ID: bot._id.toString(),
+    BOT_NAME: bot.name,
+    BOT_TYPE: bot.type,
+    NODE_PATH: TELEMETRY_CLIENT_PATH,
+    LADYBUG_TELEMETRY_URL: TELEMETRY_URL,
+    ...(telemetryToken ? { LADYBUG_TELEMETRY_TOKEN: telemetryToken } : {})
+  };
+}
+
+function isProcessAlive(pid) {
+  if (!pid) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// Whether `pid` is a process started for the bot, i.e. its environment (as it was started
+// with) has the bot's BOT_ID. A pid stored before the host rebooted may belong to an
+// unrelated process by now; without /proc this cannot be confirmed and is false.
+async function isBotProcess(pid, botId) {
+  if (!isProcessAlive(pid)) return false;
+  try {
+    const environ = await fs.promises.readFile(`/proc/${pid}/environ`, 'utf8');
+    return environ.split('\0').includes(`BOT_ID=${botId}`);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Bots are spawned detached, so the negative pid addresses the whole process group
+function killProcessGroup(pid, signal) {
+  try {
+    process.kill(-pid, signal);
+    return true;
+  } catch (error) {
+    try {
+      process.kill(pid, signal);
+      return true;
+    } catch (innerError) {
+      return false;
+    }
+  }
+}
+
+module.exports = {
+  BOTS_PATH,
+  TELEMETRY_URL,
+  TELEMETRY_CLIENT_PATH,
+  getBotWorkdir,
+  resolveStartCommand,
+  buildBotEnv,
+  isProcessAlive,
+  isBotProcess,
+  killProcessGroup
+};
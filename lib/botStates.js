@@ -0,0 +1,78 @@
+// Ladybug Hosting v7 - Bot state machine shared by the API server and the Bot Manager
+//
+// Every status a bot can have and the steps allowed between them. Status changes go
+// through Bot.transition (conditional updates) or a document save, both of which
+// reject steps missing from TRANSITIONS and record each change as a BotEvent.
+
+const TRANSITIONS = {
+  // Deployed without starting, e.g. waiting for its first bundle upload
+  idle: ['starting', 'stopped', 'error'],
+  // Waiting for the Bot Manager to spawn a process
+  starting: ['running', 'stopping', 'stopped', 'error', 'oom_killed', 'crashloop', 'auth_failed'],
+  running: ['paused', 'stopping', 'restarting', 'stopped', 'error', 'oom_killed', 'crashloop', 'auth_failed'],
+  paused: ['running', 'starting', 'stopping', 'restarting', 'stopped', 'error', 'oom_killed', 'crashloop', 'auth_failed'],
+  // A stop or restart requested over the API, waiting for the Bot Manager
+  stopping: ['stopped', 'error', 'oom_killed', 'crashloop', 'auth_failed'],
+  restarting: ['starting', 'stopped', 'error', 'oom_killed', 'crashloop', 'auth_failed'],
+  // The rest are down; those with a scheduled restart go back to starting by themselves
+  stopped: ['starting'],
+  error: ['starting', 'stopped'],
+  oom_killed: ['starting', 'stopped'],
+  // Out of automatic restarts, only started again by hand
+  crashloop: ['starting', 'stopped'],
+  // The chat platform rejected the bot's token; started again by hand once it is replaced
+  auth_failed: ['starting', 'stopped']
+};
+
+const BOT_STATES = Object.keys(TRANSITIONS);
+
+// Who changed a bot's status, stored with its BotEvent
+const BOT_MANAGER_ACTOR = { kind: 'bot-manager' };
+const SYSTEM_ACTOR = { kind: 'system' };
+
+class BotStateError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'BotStateError';
+    this.status = status;
+  }
+}
+
+function canTransition(from, to) {
+  return Object.prototype.hasOwnProperty.call(TRANSITIONS, from) && TRANSITIONS[from].includes(to);
+}
+
+function assertTransition(from, to) {
+  if (!BOT_STATES.includes(to)) {
+    throw new BotStateError(`Unknown bot status: ${to}`, 400);
+  }
+  if (!canTransition(from, to)) {
+    throw new BotStateError(`A bot cannot go from ${from} to ${to}`);
+  }
+}
+
+// Statuses `to` can be reached from, for conditional updates
+function statesLeadingTo(to) {
+  return BOT_STATES.filter(from => TRANSITIONS[from].includes(to));
+}
+
+// The user (and API key) behind an API request
+function requestActor(req) {
+  return {
+    kind: 'user',
+    user: req.user._id,
+    apiKey: req.apiKey ? req.apiKey._id : undefined
+  };
+}
+
+module.exports = {
+  BOT_STATES,
+  TRANSITIONS,
+  BOT_MANAGER_ACTOR,
+  SYSTEM_ACTOR,
+  BotStateError,
+  canTransition,
+  assertTransition,
+  statesLeadingTo,
+  requestActor
+};
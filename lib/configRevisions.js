@@ -0,0 +1,110 @@
+// Ladybug Hosting v7 - Bot config updates with revision history
+const { isDeepStrictEqual } = require('util');
+const BotRevision = require('../models/BotRevision');
+
+class RevisionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RevisionError';
+    this.status = status;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Lists the differences between two configs as add / remove / change entries with
+// dotted paths; nested objects are compared key by key, everything else as a whole
+function diffConfig(before = {}, after = {}, prefix = '') {
+  const changes = [];
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  Array.from(keys).sort().forEach(key => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const had = Object.prototype.hasOwnProperty.call(before, key);
+    const has = Object.prototype.hasOwnProperty.call(after, key);
+
+    if (!has) {
+      changes.push({ path, op: 'remove', from: before[key] });
+    } else if (!had) {
+      changes.push({ path, op: 'add', to: after[key] });
+    } else if (isPlainObject(before[key]) && isPlainObject(after[key])) {
+      changes.push(...diffConfig(before[key], after[key], path));
+    } else if (!isDeepStrictEqual(before[key], after[key])) {
+      changes.push({ path, op: 'change', from: before[key], to: after[key] });
+    }
+  });
+
+  return changes;
+}
+
+// Applies a PATCH body to a config: keys set to null are removed, objects are merged
+function mergeConfig(config = {}, patch = {}) {
+  const merged = { ...config };
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete merged[key];
+    } else if (isPlainObject(value) && isPlainObject(merged[key])) {
+      merged[key] = mergeConfig(merged[key], value);
+    } else {
+      merged[key] = value;
+    }
+  });
+  return merged;
+}
+
+// Records a bot's current config as revision 1: for new bots at creation, and for bots
+// created before revisions existed on their first update
+async function ensureBaselineRevision(bot, author = bot.owner) {
+  const latest = await BotRevision.findOne({ bot: bot._id }).sort({ revision: -1 });
+  if (latest) return latest;
+
+  try {
+    return await BotRevision.create({
+      bot: bot._id,
+      revision: 1,
+      config: bot.config || {},
+      diff: diffConfig({}, bot.config || {}),
+      author
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return BotRevision.findOne({ bot: bot._id }).sort({ revision: -1 });
+    }
+    throw error;
+  }
+}
+
+// Records `config` as the bot's next revision and applies it to the (unsaved) bot.
+// Returns null when nothing changed.
+async function recordRevision(bot, config, { author, rollbackOf } = {}) {
+  const latest = await ensureBaselineRevision(bot);
+  const diff = diffConfig(bot.config || {}, config);
+  if (diff.length === 0) return null;
+
+  let revision;
+  try {
+    revision = await BotRevision.create({
+      bot: bot._id,
+      revision: latest.revision + 1,
+      config,
+      diff,
+      author,
+      rollbackOf
+    });
+  } catch (error) {
+    // Another update took this revision number first
+    if (error.code === 11000) {
+      throw new RevisionError('The bot config was changed by someone else, reload and try again', 409);
+    }
+    throw error;
+  }
+
+  bot.config = config;
+  bot.markModified('config');
+  bot.configRevision = revision.revision;
+  return revision;
+}
+
+module.exports = { RevisionError, diffConfig, mergeConfig, ensureBaselineRevision, recordRevision };
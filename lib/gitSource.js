@@ -0,0 +1,131 @@
+// Ladybug Hosting v7 - Git repository sources for bots (clone, fetch, checkout)
+const { execFile } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { BOTS_PATH } = require('./botRuntime');
+
+const GIT_TIMEOUT = parseInt(process.env.GIT_TIMEOUT, 10) || 120000;
+// Transports git may use, for the bot's repository and anything it references (submodules)
+const GIT_ALLOWED_PROTOCOLS = (process.env.GIT_ALLOWED_PROTOCOLS || 'https,ssh,git')
+  .split(',')
+  .map(protocol => protocol.trim())
+  .filter(Boolean);
+
+const SCP_LIKE_URL = /^\w[\w.-]*@[\w.-]+:[^\s]+$/;
+const SAFE_REF = /^[\w./@^~-]+$/;
+
+class GitSourceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'GitSourceError';
+    this.status = status;
+  }
+}
+
+function getUrlProtocol(repoUrl) {
+  if (SCP_LIKE_URL.test(repoUrl)) return 'ssh';
+  const match = /^([a-z][a-z0-9+.-]*):\/\//i.exec(repoUrl);
+  return match ? match[1].toLowerCase() : null;
+}
+
+// Validates a `source` block from the API and returns the fields we store
+function normalizeSource(source) {
+  if (!source || typeof source !== 'object') {
+    throw new GitSourceError('source must be an object with a repoUrl');
+  }
+
+  const repoUrl = typeof source.repoUrl === 'string' ? source.repoUrl.trim() : '';
+  if (!repoUrl) {
+    throw new GitSourceError('source.repoUrl is required');
+  }
+  const protocol = getUrlProtocol(repoUrl);
+  if (!protocol || !GIT_ALLOWED_PROTOCOLS.includes(protocol)) {
+    throw new GitSourceError(`source.repoUrl must use one of: ${GIT_ALLOWED_PROTOCOLS.join(', ')}`);
+  }
+
+  const ref = source.ref === undefined || source.ref === null || source.ref === '' ? 'HEAD' : source.ref;
+  if (typeof ref !== 'string' || !SAFE_REF.test(ref) || ref.startsWith('-') || ref.includes('..')) {
+    throw new GitSourceError('source.ref must be a branch, tag or commit');
+  }
+
+  let subdir;
+  if (source.subdir !== undefined && source.subdir !== null && source.subdir !== '') {
+    if (typeof source.subdir !== 'string') {
+      throw new GitSourceError('source.subdir must be a path inside the repository');
+    }
+    subdir = path.posix.normalize(source.subdir.replace(/\\/g, '/')).replace(/\/+$/, '');
+    if (path.posix.isAbsolute(subdir) || subdir === '..' || subdir.startsWith('../')) {
+      throw new GitSourceError('source.subdir must be a path inside the repository');
+    }
+    if (subdir === '.') subdir = undefined;
+  }
+
+  return { repoUrl, ref, subdir };
+}
+
+function getSourceDir(bot) {
+  return path.join(BOTS_PATH, bot._id.toString());
+}
+
+function git(args, cwd) {
+  return new Promise((resolve, reject) => {
+    execFile('git', ['-c', 'protocol.ext.allow=never', ...args], {
+      cwd,
+      timeout: GIT_TIMEOUT,
+      maxBuffer: 1024 * 1024,
+      env: {
+        ...process.env,
+        GIT_ALLOW_PROTOCOL: GIT_ALLOWED_PROTOCOLS.join(':'),
+        // Never wait on a credential prompt nobody can answer
+        GIT_TERMINAL_PROMPT: '0'
+      }
+    }, (error, stdout, stderr) => {
+      if (error) {
+        const detail = (stderr || '').trim().split('\n').pop() || error.message;
+        return reject(new GitSourceError(`git ${args[0]} failed: ${detail}`, 502));
+      }
+      resolve(stdout.trim());
+    });
+  });
+}
+
+async function hasCommit(dir, commit) {
+  try {
+    await git(['cat-file', '-e', `${commit}^{commit}`], dir);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Checks out the bot's source into BOTS_PATH/<botId> and returns the commit. A recorded
+// `source.commit` is checked out exactly; otherwise the ref is fetched and resolved to one.
+async function checkoutSource(bot) {
+  const { repoUrl, ref, commit: pinned } = bot.source;
+  const dir = getSourceDir(bot);
+
+  await fs.promises.mkdir(dir, { recursive: true });
+  if (!fs.existsSync(path.join(dir, '.git'))) {
+    await git(['init', '--quiet'], dir);
+  }
+  await git(['config', 'remote.origin.url', repoUrl], dir);
+
+  let commit = pinned;
+  if (!commit || !(await hasCommit(dir, commit))) {
+    await git(['fetch', '--quiet', '--force', '--depth', '1', 'origin', commit || ref], dir);
+    commit = commit || await git(['rev-parse', '--verify', 'FETCH_HEAD^{commit}'], dir);
+  }
+
+  await git(['checkout', '--quiet', '--force', '--detach', commit], dir);
+  // Drop files left behind by the previous commit, but keep ignored ones such as node_modules
+  await git(['clean', '--quiet', '-d', '--force', '--force'], dir);
+
+  return commit;
+}
+
+module.exports = {
+  GitSourceError,
+  normalizeSource,
+  getSourceDir,
+  checkoutSource
+};
@@ -0,0 +1,90 @@
+// Ladybug Hosting v7 - Health probes against the chat platforms bots connect to
+// (the `telegram` and `discord` probe types of lib/probes.js)
+//
+// A probe resolves to { status, detail } with status one of:
+//   healthy      - the platform accepted the bot's token
+//   unhealthy    - the bot is not in a working state
+//   auth_failed  - the platform rejected the token (or there is none); restarting cannot fix that
+//   unreachable  - the platform could not be asked (network error, rate limit, outage),
+//                  which says nothing about the bot
+// The API bases can point at a local mock server, e.g. in tests.
+const axios = require('axios');
+
+const TELEGRAM_API_BASE = process.env.TELEGRAM_API_BASE || 'https://api.telegram.org';
+const DISCORD_API_BASE = process.env.DISCORD_API_BASE || 'https://discord.com/api/v10';
+const HEALTH_PROBE_TIMEOUT = parseInt(process.env.HEALTH_PROBE_TIMEOUT, 10) || 5000;
+
+const PROBE_STATUSES = ['healthy', 'unhealthy', 'auth_failed', 'unreachable'];
+
+// The secret platform probes authenticate with (see lib/secrets.js)
+const TOKEN_SECRET = 'BOT_TOKEN';
+
+function probeResult(status, detail) {
+  return detail === undefined ? { status } : { status, detail };
+}
+
+// Maps a platform response that did not succeed to a probe result
+function describeFailure(platform, response, authStatuses) {
+  if (authStatuses.includes(response.status)) {
+    return probeResult('auth_failed', `${platform} rejected the bot token (HTTP ${response.status})`);
+  }
+  if (response.status === 429 || response.status >= 500) {
+    return probeResult('unreachable', `${platform} API answered HTTP ${response.status}`);
+  }
+  return probeResult('unhealthy', `${platform} API answered HTTP ${response.status}`);
+}
+
+async function request(platform, url, options) {
+  try {
+    return await axios.get(url, { ...options, validateStatus: () => true });
+  } catch (error) {
+    return { error: probeResult('unreachable', `${platform} API could not be reached: ${error.message}`) };
+  }
+}
+
+// Telegram's getMe answers 401 for a revoked token and 404 for a malformed one
+async function probeTelegram(token, { apiBase = TELEGRAM_API_BASE, timeout = HEALTH_PROBE_TIMEOUT } = {}) {
+  if (!token) {
+    return probeResult('auth_failed', `No ${TOKEN_SECRET} secret set`);
+  }
+  const response = await request('Telegram', `${apiBase}/bot${token}/getMe`, { timeout });
+  if (response.error) return response.error;
+  if (response.status !== 200) {
+    return describeFailure('Telegram', response, [401, 404]);
+  }
+  if (!response.data || !response.data.ok || !response.data.result) {
+    return probeResult('unhealthy', 'Telegram getMe returned no bot');
+  }
+  return probeResult('healthy', `@${response.data.result.username}`);
+}
+
+// Checks the token on users/@me, then that the gateway is open to the bot
+async function probeDiscord(token, { apiBase = DISCORD_API_BASE, timeout = HEALTH_PROBE_TIMEOUT } = {}) {
+  if (!token) {
+    return probeResult('auth_failed', `No ${TOKEN_SECRET} secret set`);
+  }
+  const options = { timeout, headers: { Authorization: `Bot ${token}` } };
+
+  const me = await request('Discord', `${apiBase}/users/@me`, options);
+  if (me.error) return me.error;
+  if (me.status !== 200) {
+    return describeFailure('Discord', me, [401]);
+  }
+
+  const gateway = await request('Discord', `${apiBase}/gateway/bot`, options);
+  if (gateway.error) return gateway.error;
+  if (gateway.status !== 200) {
+    return describeFailure('Discord', gateway, [401]);
+  }
+  return probeResult('healthy', me.data && me.data.username);
+}
+
+module.exports = {
+  TELEGRAM_API_BASE,
+  DISCORD_API_BASE,
+  HEALTH_PROBE_TIMEOUT,
+  PROBE_STATUSES,
+  TOKEN_SECRET,
+  probeTelegram,
+  probeDiscord
+};
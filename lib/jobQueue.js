@@ -0,0 +1,192 @@
+// Ladybug Hosting v7 - Durable job queue for lifecycle operations (backed by the Job collection)
+//
+// The API queues a job for each operation it hands to the Bot Manager, and workers
+// claim jobs with a lease they keep renewing while the job runs. A job whose lease
+// runs out (its worker died or hung) becomes visible again and is retried, as is one
+// whose handler fails, with exponential backoff. Jobs that use up their attempts, or
+// fail with an error retrying cannot fix, are dead-lettered as `dead`.
+const Job = require('../models/Job');
+
+const OPEN_JOB_STATUSES = ['queued', 'running'];
+const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 5;
+// How long a claimed job stays invisible to other workers without a lease renewal
+const JOB_VISIBILITY_TIMEOUT = parseInt(process.env.JOB_VISIBILITY_TIMEOUT, 10) || 30000;
+const JOB_RETRY_BACKOFF_MS = parseInt(process.env.JOB_RETRY_BACKOFF_MS, 10) || 2000;
+const JOB_MAX_RETRY_BACKOFF_MS = parseInt(process.env.JOB_MAX_RETRY_BACKOFF_MS, 10) || 5 * 60 * 1000;
+
+// Thrown by job handlers; `retry: false` dead-letters the job straight away
+class JobError extends Error {
+  constructor(message, { retry = true } = {}) {
+    super(message);
+    this.name = 'JobError';
+    this.retry = retry;
+  }
+}
+
+// Queues a job. `bot` is the bot document it acts on; with a `key`, an open job with
+// the same key is returned instead of queueing a second one.
+async function enqueueJob(type, { bot, serverId, payload = {}, actor, key, maxAttempts = JOB_MAX_ATTEMPTS } = {}) {
+  const now = new Date();
+  const fields = {
+    type,
+    serverId,
+    payload,
+    key,
+    maxAttempts,
+    actor,
+    runAt: now,
+    createdAt: now,
+    updatedAt: now
+  };
+  if (bot) {
+    Object.assign(fields, { bot: bot._id, owner: bot.owner, org: bot.org });
+  }
+  if (!key) {
+    return Job.create(fields);
+  }
+  try {
+    return await Job.findOneAndUpdate(
+      { key, status: { $in: OPEN_JOB_STATUSES } },
+      { $setOnInsert: { ...fields, status: 'queued', attempts: 0 } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    // Two upserts raced and the unique index on open keys rejected this one; the
+    // retry finds the job the other one queued
+    if (error.code !== 11000) throw error;
+    return enqueueJob(type, { bot, serverId, payload, actor, key, maxAttempts });
+  }
+}
+
+// Claims the next job that is due, or whose lease expired, for `owner`. `exclude`
+// lists bots not to take jobs for (e.g. ones the worker is already busy with).
+function claimJob(owner, { visibilityTimeout = JOB_VISIBILITY_TIMEOUT, exclude = [] } = {}) {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', 'lease.expiresAt': { $lte: now } }
+      ],
+      $expr: { $lt: ['$attempts', '$maxAttempts'] },
+      bot: { $nin: exclude }
+    },
+    {
+      $set: {
+        status: 'running',
+        lease: { owner, expiresAt: new Date(now.getTime() + visibilityTimeout) },
+        startedAt: now,
+        updatedAt: now
+      },
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { runAt: 1 } }
+  );
+}
+
+// Dead-letters jobs whose lease ran out on their last attempt and returns them
+async function deadLetterExpiredJobs() {
+  const now = new Date();
+  const expired = await Job.find({
+    status: 'running',
+    'lease.expiresAt': { $lte: now },
+    $expr: { $gte: ['$attempts', '$maxAttempts'] }
+  });
+  const dead = [];
+  for (const job of expired) {
+    const lastError = `The worker running attempt ${job.attempts} stopped responding`;
+    const result = await Job.updateOne(
+      { _id: job._id, status: 'running', 'lease.expiresAt': job.lease.expiresAt },
+      {
+        $set: { status: 'dead', lastError, finishedAt: now, updatedAt: now },
+        $push: { failures: { attempt: job.attempts, error: lastError, at: now } },
+        $unset: { lease: 1 }
+      }
+    );
+    if (result.modifiedCount > 0) {
+      dead.push(job);
+    }
+  }
+  return dead;
+}
+
+// Updates a job only while `owner` still holds its lease
+async function updateLeasedJob(job, owner, update) {
+  const result = await Job.updateOne({ _id: job._id, status: 'running', 'lease.owner': owner }, update);
+  return result.modifiedCount > 0;
+}
+
+function renewLease(job, owner, visibilityTimeout = JOB_VISIBILITY_TIMEOUT) {
+  return updateLeasedJob(job, owner, {
+    $set: { 'lease.expiresAt': new Date(Date.now() + visibilityTimeout) }
+  });
+}
+
+function reportProgress(job, owner, progress) {
+  return updateLeasedJob(job, owner, { $set: { progress, updatedAt: new Date() } });
+}
+
+function completeJob(job, owner, result) {
+  const now = new Date();
+  return updateLeasedJob(job, owner, {
+    $set: { status: 'succeeded', result, finishedAt: now, updatedAt: now },
+    $unset: { lease: 1 }
+  });
+}
+
+// Delay before retrying a job that failed `attempts` times
+function retryDelay(attempts) {
+  return Math.min(JOB_MAX_RETRY_BACKOFF_MS, JOB_RETRY_BACKOFF_MS * 2 ** (attempts - 1));
+}
+
+// Queues the job again after its backoff, or dead-letters it. Resolves to the new status,
+// or null if the lease was lost in the meantime.
+async function failJob(job, owner, error) {
+  const now = new Date();
+  const retry = error.retry !== false && job.attempts < job.maxAttempts;
+  const status = retry ? 'queued' : 'dead';
+  const update = {
+    $set: { status, lastError: error.message, updatedAt: now },
+    $push: { failures: { attempt: job.attempts, error: error.message, at: now } },
+    $unset: { lease: 1 }
+  };
+  if (retry) {
+    update.$set.runAt = new Date(now.getTime() + retryDelay(job.attempts));
+  } else {
+    update.$set.finishedAt = now;
+  }
+  return await updateLeasedJob(job, owner, update) ? status : null;
+}
+
+// Runs a claimed job through `handler(job, { reportProgress })`, renewing its lease
+// until the handler settles, and records the outcome. Resolves to the job's new status.
+async function runJob(job, owner, handler, { visibilityTimeout = JOB_VISIBILITY_TIMEOUT } = {}) {
+  const renewal = setInterval(() => {
+    renewLease(job, owner, visibilityTimeout).catch(() => {});
+  }, Math.floor(visibilityTimeout / 3));
+
+  try {
+    const result = await handler(job, { reportProgress: progress => reportProgress(job, owner, progress) });
+    return await completeJob(job, owner, result) ? 'succeeded' : null;
+  } catch (error) {
+    return failJob(job, owner, error);
+  } finally {
+    clearInterval(renewal);
+  }
+}
+
+module.exports = {
+  OPEN_JOB_STATUSES,
+  JOB_MAX_ATTEMPTS,
+  JOB_VISIBILITY_TIMEOUT,
+  JobError,
+  enqueueJob,
+  claimJob,
+  deadLetterExpiredJobs,
+  renewLease,
+  reportProgress,
+  completeJob,
+  failJob,
+  retryDelay,
+  runJob
+};
@@ -0,0 +1,220 @@
+// Ladybug Hosting v7 - Metric samples and rollups (worker side) and series queries (API side)
+const { METRIC_STEPS } = require('../models/MetricSample');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// The most points one series query returns: a day of 1m samples, plus the step the
+// start of the day falls in
+const MAX_METRIC_POINTS = 24 * 60 + 1;
+const DEFAULT_METRIC_RANGE_MS = DAY_MS;
+
+// What is recorded per bot and server, and how the samples of one step combine into a
+// coarser one: counts add up, levels are averaged
+const METRICS = {
+  bot: { up: 'avg', requests: 'sum', errors: 'sum' },
+  server: { bots: 'avg', activeBots: 'avg', requests: 'sum', errors: 'sum', load: 'avg', memoryUsage: 'avg' }
+};
+
+// Which samples each coarser step is rolled up from
+const METRIC_ROLLUPS = { '1h': '1m', '1d': '1h' };
+
+class MetricQueryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'MetricQueryError';
+    this.status = status;
+  }
+}
+
+// Start of the step `time` falls in (steps are aligned to UTC)
+function stepStart(time, step) {
+  const { ms } = METRIC_STEPS[step];
+  return new Date(Math.floor(new Date(time).getTime() / ms) * ms);
+}
+
+function countSince(total, last) {
+  // A total below the last one was reset, so everything in it is new
+  return total >= last ? total - last : total;
+}
+
+// Turns bots and servers into the samples of the minute starting `at`. Bot request and
+// error totals are made into counts since `counters`, the totals of the previous call
+// (botId -> { requests, errors }), which returns the counters for the next call. On the
+// first call (no counters) there is nothing to count against and counts are 0.
+function buildSamples({ bots, servers = [], counters = null, at }) {
+  const samples = [];
+  const nextCounters = new Map();
+  const serverTotals = new Map();
+  const totalsOf = serverId => {
+    if (!serverTotals.has(serverId)) {
+      serverTotals.set(serverId, { bots: 0, activeBots: 0, requests: 0, errors: 0 });
+    }
+    return serverTotals.get(serverId);
+  };
+
+  bots.forEach(bot => {
+    const botId = bot._id.toString();
+    const totals = {
+      requests: (bot.metrics && bot.metrics.requests) || 0,
+      errors: (bot.metrics && bot.metrics.errors) || 0
+    };
+    nextCounters.set(botId, totals);
+
+    // Bots created since the previous call start from zero
+    const last = counters ? counters.get(botId) || { requests: 0, errors: 0 } : totals;
+    const sample = {
+      at,
+      source: { kind: 'bot', id: botId },
+      up: bot.status === 'running' ? 1 : 0,
+      requests: countSince(totals.requests, last.requests),
+      errors: countSince(totals.errors, last.errors)
+    };
+    samples.push(sample);
+
+    if (bot.serverId) {
+      const server = totalsOf(bot.serverId);
+      server.bots += 1;
+      server.activeBots += sample.up;
+      server.requests += sample.requests;
+      server.errors += sample.errors;
+    }
+  });
+
+  servers.forEach(server => {
+    const totals = totalsOf(server._id);
+    // Load figures of offline servers are left out rather than repeated
+    const stats = server.status === 'online' && server.stats;
+    if (!stats) return;
+    if (Array.isArray(stats.loadavg) && Number.isFinite(stats.loadavg[0])) {
+      totals.load = stats.loadavg[0];
+    }
+    if (stats.totalmem > 0 && Number.isFinite(stats.freemem)) {
+      totals.memoryUsage = 1 - stats.freemem / stats.totalmem;
+    }
+  });
+  serverTotals.forEach((totals, serverId) => {
+    samples.push({ at, source: { kind: 'server', id: serverId }, ...totals });
+  });
+
+  return { samples, counters: nextCounters };
+}
+
+// Aggregation pipeline over the `kind` samples of the step `step` is rolled up from,
+// returning one `step` sample per source and step within [from, to)
+function rollupPipeline(kind, step, from, to) {
+  const group = {
+    _id: { source: '$source', at: { $dateTrunc: { date: '$at', unit: METRIC_STEPS[step].unit } } }
+  };
+  const project = { _id: 0, at: '$_id.at', source: '$_id.source' };
+  Object.entries(METRICS[kind]).forEach(([name, combine]) => {
+    group[name] = { [`$${combine}`]: `$${name}` };
+    project[name] = 1;
+  });
+
+  return [
+    { $match: { 'source.kind': kind, at: { $gte: from, $lt: to } } },
+    { $group: group },
+    { $project: project }
+  ];
+}
+
+function isSet(value) {
+  return value !== undefined && value !== '';
+}
+
+function parseTime(value, name) {
+  const time = typeof value === 'string' && (/^\d+$/.test(value) ? new Date(Number(value)) : new Date(value));
+  if (!time || Number.isNaN(time.getTime())) {
+    throw new MetricQueryError(`${name} must be an ISO date or a millisecond timestamp`);
+  }
+  return time;
+}
+
+function countPoints(from, to, step) {
+  return Math.ceil((to.getTime() - stepStart(from, step).getTime()) / METRIC_STEPS[step].ms);
+}
+
+// The finest step still kept for `from` that covers the range in MAX_METRIC_POINTS points
+function pickStep(from, to, now) {
+  const steps = Object.keys(METRIC_STEPS);
+  const fits = step => from.getTime() >= now - METRIC_STEPS[step].retentionDays * DAY_MS &&
+    countPoints(from, to, step) <= MAX_METRIC_POINTS;
+  return steps.find(fits) || steps[steps.length - 1];
+}
+
+// Validates `bot` / `server`, `from`, `to` and `step` query parameters. `from` defaults to
+// a day before `to` (now), `step` to the finest one that fits; `from` is aligned to it.
+function parseMetricQuery(query = {}, now = Date.now()) {
+  if (isSet(query.bot) === isSet(query.server)) {
+    throw new MetricQueryError('Either bot or server is required');
+  }
+  const kind = isSet(query.bot) ? 'bot' : 'server';
+  const id = query[kind];
+  if (typeof id !== 'string') {
+    throw new MetricQueryError(`${kind} must be a single id`);
+  }
+
+  const to = isSet(query.to) ? parseTime(query.to, 'to') : new Date(now);
+  const from = isSet(query.from) ? parseTime(query.from, 'from') : new Date(to.getTime() - DEFAULT_METRIC_RANGE_MS);
+  if (from >= to) {
+    throw new MetricQueryError('from must be before to');
+  }
+
+  let step;
+  if (isSet(query.step)) {
+    step = query.step;
+    if (!Object.prototype.hasOwnProperty.call(METRIC_STEPS, step)) {
+      throw new MetricQueryError(`step must be one of ${Object.keys(METRIC_STEPS).join(', ')}`);
+    }
+  } else {
+    step = pickStep(from, to, now);
+  }
+  const points = countPoints(from, to, step);
+  if (points > MAX_METRIC_POINTS) {
+    throw new MetricQueryError(`The range has ${points} points at step ${step}, at most ${MAX_METRIC_POINTS} are returned`);
+  }
+
+  return { kind, id, from: stepStart(from, step), to, step };
+}
+
+// Mongo filter for the samples a parsed query returns
+function metricFilter({ kind, id, from, to }) {
+  return { 'source.kind': kind, 'source.id': id, at: { $gte: from, $lt: to } };
+}
+
+// Lays samples out for charting: one timestamp per step from `from` to `to` and per
+// metric an array of values in the same order, with null for steps without a sample
+function buildSeries({ kind, id, from, to, step }, samples) {
+  const { ms } = METRIC_STEPS[step];
+  const timestamps = [];
+  for (let time = from.getTime(); time < to.getTime(); time += ms) {
+    timestamps.push(new Date(time));
+  }
+
+  const names = Object.keys(METRICS[kind]);
+  const series = {};
+  names.forEach(name => {
+    series[name] = timestamps.map(() => null);
+  });
+  samples.forEach(sample => {
+    const index = Math.floor((new Date(sample.at).getTime() - from.getTime()) / ms);
+    if (index < 0 || index >= timestamps.length) return;
+    names.forEach(name => {
+      if (typeof sample[name] === 'number') series[name][index] = sample[name];
+    });
+  });
+
+  return { [kind]: id, step, from, to, timestamps, series };
+}
+
+module.exports = {
+  MAX_METRIC_POINTS,
+  METRICS,
+  METRIC_ROLLUPS,
+  MetricQueryError,
+  stepStart,
+  buildSamples,
+  rollupPipeline,
+  parseMetricQuery,
+  metricFilter,
+  buildSeries
+};
@@ -0,0 +1,85 @@
+// Ladybug Hosting v7 - Moving bots off a server (drain and node failure)
+const Bot = require('../models/Bot');
+const User = require('../models/User');
+const { getEffectiveLimits } = require('./quota');
+const { restartLiveBot } = require('./botActions');
+const { SYSTEM_ACTOR } = require('./botStates');
+
+// Regions the owner's plan allows, for bots deployed without an explicit region
+async function getOwnerRegions(ownerId, cache) {
+  const key = String(ownerId);
+  if (!cache.has(key)) {
+    const owner = await User.findById(ownerId);
+    cache.set(key, owner ? getEffectiveLimits(owner).regions || undefined : undefined);
+  }
+  return cache.get(key);
+}
+
+// Moves every bot on `serverId` to another server picked by the bot's own placement
+// rules, restarting the ones that are running. `onProgress` receives the running
+// totals after each bot and once more with `done: true`; `onBotMoved(bot, from)` is
+// called per moved bot. Bots that fit nowhere else stay where they are and count as
+// failed; bots deleted or moved by someone else meanwhile count as skipped. Returns
+// null if the server is already being migrated.
+async function migrateServerBots(botNetServer, serverId, { reason, onProgress = () => {}, onBotMoved = () => {} } = {}) {
+  if (botNetServer.migrating.has(serverId)) {
+    return null;
+  }
+  botNetServer.migrating.add(serverId);
+
+  try {
+    const bots = await Bot.find({ serverId });
+    const progress = { serverId, reason, total: bots.length, moved: 0, failed: 0, skipped: 0, done: false };
+    const regionCache = new Map();
+    onProgress({ ...progress });
+
+    for (const bot of bots) {
+      const regions = bot.placement && bot.placement.region
+        ? [bot.placement.region]
+        : await getOwnerRegions(bot.owner, regionCache);
+      const target = await botNetServer.placeBot(bot, { regions, excludeServers: [serverId] });
+
+      if (!target) {
+        progress.failed++;
+      } else {
+        try {
+          // Only moves the bot if it is still on this server, so two API instances
+          // migrating the same server never both count it
+          const move = { filter: { serverId }, update: { $set: { serverId: target } } };
+          let moved = await restartLiveBot(bot, {
+            ...move,
+            cause: 'migration',
+            actor: SYSTEM_ACTOR,
+            detail: `${reason || 'moved'}: ${serverId} to ${target}`
+          });
+          if (!moved) {
+            const result = await Bot.updateOne({ _id: bot._id, ...move.filter }, move.update);
+            moved = result.modifiedCount > 0;
+          }
+          bot.serverId = target;
+          if (!moved) {
+            // Deleted or already moved by another instance
+            await botNetServer.releaseBot(target, bot);
+            progress.skipped++;
+          } else {
+            await botNetServer.releaseBot(serverId, bot);
+            onBotMoved(bot, serverId);
+            progress.moved++;
+          }
+        } catch (error) {
+          await botNetServer.releaseBot(target, bot);
+          progress.failed++;
+        }
+      }
+      onProgress({ ...progress });
+    }
+
+    progress.done = true;
+    onProgress({ ...progress });
+    return progress;
+  } finally {
+    botNetServer.migrating.delete(serverId);
+  }
+}
+
+module.exports = { migrateServerBots };
@@ -0,0 +1,79 @@
+// Ladybug Hosting v7 - Node agent protocol (Socket.IO namespace /nodes)
+//
+// Agents connect with `auth: { token: <node token> }`, send `register` once per
+// connection and then `heartbeat` every `heartbeatInterval` ms (taken from the
+// register acknowledgement). A server that misses heartbeats for `heartbeatTimeout`
+// ms is marked offline.
+const Server = require('../models/Server');
+
+const NODE_NAMESPACE = '/nodes';
+const NODE_HEARTBEAT_INTERVAL = parseInt(process.env.NODE_HEARTBEAT_INTERVAL, 10) || 10000;
+const NODE_HEARTBEAT_TIMEOUT = parseInt(process.env.NODE_HEARTBEAT_TIMEOUT, 10) || NODE_HEARTBEAT_INTERVAL * 3;
+
+// `onServerUpdate(server)` is called whenever a server's status or registration changes,
+// `options.onServerOffline(server)` when a server missed its heartbeats
+function attachNodeNamespace(io, botNetServer, onServerUpdate, options = {}) {
+  const onServerOffline = options.onServerOffline || (() => {});
+  const heartbeatInterval = options.heartbeatInterval || NODE_HEARTBEAT_INTERVAL;
+  const heartbeatTimeout = options.heartbeatTimeout || NODE_HEARTBEAT_TIMEOUT;
+  const nodes = io.of(NODE_NAMESPACE);
+
+  nodes.use(async (socket, next) => {
+    try {
+      const server = await Server.verifyToken(socket.handshake.auth?.token);
+      if (!server) {
+        return next(new Error('Invalid node token'));
+      }
+      socket.serverId = server._id;
+      next();
+    } catch (error) {
+      next(new Error('Node authentication failed'));
+    }
+  });
+
+  nodes.on('connection', (socket) => {
+    socket.on('register', async (info, ack = () => {}) => {
+      try {
+        await botNetServer.ready;
+        const server = await botNetServer.registerNode(socket.serverId, info || {});
+        socket.registered = true;
+        onServerUpdate(server);
+        ack({ serverId: socket.serverId, heartbeatInterval });
+      } catch (error) {
+        ack({ error: error.message });
+      }
+    });
+
+    socket.on('heartbeat', async (stats, ack = () => {}) => {
+      try {
+        if (!socket.registered) {
+          return ack({ error: 'Register before sending heartbeats' });
+        }
+        const { server, changed } = await botNetServer.recordHeartbeat(socket.serverId, stats);
+        if (changed) {
+          onServerUpdate(server);
+        }
+        ack({ ok: true });
+      } catch (error) {
+        ack({ error: error.message });
+      }
+    });
+  });
+
+  const timer = setInterval(async () => {
+    try {
+      const expired = await botNetServer.expireHeartbeats(heartbeatTimeout);
+      expired.forEach(server => {
+        onServerUpdate(server);
+        onServerOffline(server);
+      });
+    } catch (error) {
+      console.error('Checking node heartbeats failed:', error);
+    }
+  }, heartbeatInterval);
+  timer.unref();
+
+  return { namespace: nodes, close: () => clearInterval(timer) };
+}
+
+module.exports = { NODE_NAMESPACE, NODE_HEARTBEAT_INTERVAL, NODE_HEARTBEAT_TIMEOUT, attachNodeNamespace };
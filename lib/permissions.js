@@ -0,0 +1,41 @@
+// Ladybug Hosting v7 - Organization roles and permissions
+
+// Higher rank includes everything a lower rank can do
+const ROLE_RANK = {
+  viewer: 1,
+  operator: 2,
+  admin: 3,
+  owner: 4
+};
+
+const ROLES = Object.keys(ROLE_RANK);
+
+// Minimum role required for each action
+const ACTIONS = {
+  'bot:view': 'viewer',
+  'bot:create': 'operator',
+  'bot:operate': 'operator',
+  'bot:delete': 'admin',
+  'org:view': 'viewer',
+  'org:update': 'admin',
+  'org:invite': 'admin',
+  'org:members': 'admin',
+  'org:delete': 'owner'
+};
+
+function can(role, action) {
+  const required = ACTIONS[action];
+  if (!required) {
+    throw new Error(`Unknown permission action: ${action}`);
+  }
+  return Boolean(role) && ROLE_RANK[role] >= ROLE_RANK[required];
+}
+
+// Members can only hand out roles below their own, except owners who may create other owners
+function canAssignRole(actorRole, role) {
+  if (!ROLE_RANK[role]) return false;
+  if (actorRole === 'owner') return true;
+  return ROLE_RANK[actorRole] > ROLE_RANK[role];
+}
+
+module.exports = { ROLES, ROLE_RANK, ACTIONS, can, canAssignRole };
@@ -0,0 +1,141 @@
+// Ladybug Hosting v7 - Bot placement: which server a new bot runs on
+//
+// Placement filters the pool down to servers that are online and not draining, have
+// room for one more bot and its resource requests, are in an allowed region and carry the requested labels. Bots of the same group are then
+// spread over as many servers as possible (anti-affinity), and the strategy decides
+// between the remaining candidates.
+
+const { RESOURCE_KEYS } = require('./resources');
+
+const PLACEMENT_STRATEGY = process.env.PLACEMENT_STRATEGY || 'least-loaded';
+const LABEL_KEY = /^[a-z0-9]([a-z0-9._/-]{0,62})$/i;
+const MAX_LABELS = 20;
+const MAX_GROUP_LENGTH = 100;
+
+class PlacementError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PlacementError';
+    this.status = status;
+  }
+}
+
+const allocated = (server, key) => (server.allocated && server.allocated[key]) || 0;
+
+// Share of the server in use: the largest of its bot count, memory and CPU shares
+function loadRatio(server) {
+  return RESOURCE_KEYS.reduce((ratio, key) => (server.resources && server.resources[key]
+    ? Math.max(ratio, allocated(server, key) / server.resources[key])
+    : ratio), server.activeBots / server.capacity);
+}
+
+// Room for one more bot requesting `resources`; servers that advertise no resources
+// only count bots
+function hasRoom(server, resources = {}) {
+  return server.activeBots < server.capacity
+    && RESOURCE_KEYS.every(key => !server.resources || !server.resources[key]
+      || allocated(server, key) + (resources[key] || 0) <= server.resources[key]);
+}
+
+// Strategies are comparators over candidate servers, called with the placement
+// request as third argument: the first server after sorting wins
+const STRATEGIES = {
+  // Spread bots evenly: the emptiest server (by share of its capacity) first
+  'least-loaded': (a, b) => loadRatio(a) - loadRatio(b),
+  // Fill servers up before using the next one, so idle nodes can be scaled down
+  'bin-packing': (a, b) => loadRatio(b) - loadRatio(a)
+};
+
+function registerStrategy(name, compare) {
+  if (typeof compare !== 'function') {
+    throw new TypeError('A placement strategy is a comparator function');
+  }
+  STRATEGIES[name] = compare;
+}
+
+// Shared by server labels and label constraints: up to 20 `key: "value"` string pairs
+function validateLabels(labels, what = 'labels') {
+  if (labels === null || typeof labels !== 'object' || Array.isArray(labels)) {
+    throw new PlacementError(`${what} must be an object of key: "value" pairs`);
+  }
+  const entries = Object.entries(labels);
+  if (entries.length > MAX_LABELS) {
+    throw new PlacementError(`At most ${MAX_LABELS} ${what} are allowed`);
+  }
+  entries.forEach(([key, value]) => {
+    if (!LABEL_KEY.test(key)) {
+      throw new PlacementError(`Invalid label key "${key}"`);
+    }
+    if (typeof value !== 'string' || value.length > 63) {
+      throw new PlacementError(`Label ${key} must be a string of at most 63 characters`);
+    }
+  });
+  return { ...labels };
+}
+
+// Validates the `placement` object of a deploy request
+function normalizePlacement(placement = {}) {
+  if (placement === null || typeof placement !== 'object' || Array.isArray(placement)) {
+    throw new PlacementError('placement must be an object');
+  }
+  const normalized = {};
+
+  if (placement.strategy !== undefined) {
+    if (!Object.prototype.hasOwnProperty.call(STRATEGIES, placement.strategy)) {
+      throw new PlacementError(`Unknown placement strategy "${placement.strategy}" (use ${Object.keys(STRATEGIES).join(', ')})`);
+    }
+    normalized.strategy = placement.strategy;
+  }
+  if (placement.group !== undefined) {
+    if (typeof placement.group !== 'string' || !placement.group.trim() || placement.group.length > MAX_GROUP_LENGTH) {
+      throw new PlacementError(`group must be a non-empty string of at most ${MAX_GROUP_LENGTH} characters`);
+    }
+    normalized.group = placement.group.trim();
+  }
+  if (placement.labels !== undefined) {
+    normalized.labels = validateLabels(placement.labels, 'label constraints');
+  }
+  return normalized;
+}
+
+function matchesLabels(server, labels) {
+  if (!labels) return true;
+  const serverLabels = server.labels || {};
+  return Object.entries(labels).every(([key, value]) => serverLabels[key] === value);
+}
+
+// Picks the server for a bot from BotNetServer entries, or returns null when none fits.
+// `resources` are the bot's resource requests; `groupCounts` maps server ids to the
+// number of bots of the same group already on them.
+function selectServer(servers, request = {}) {
+  const strategy = request.strategy || PLACEMENT_STRATEGY;
+  const compare = STRATEGIES[strategy];
+  if (!compare) {
+    throw new PlacementError(`Unknown placement strategy "${strategy}"`, 500);
+  }
+  const groupCounts = request.groupCounts || {};
+  const groupCount = server => groupCounts[server.id] || 0;
+
+  const candidates = servers.filter(server => server.status === 'online'
+    && !server.draining
+    && hasRoom(server, request.resources)
+    && (!request.excludeServers || !request.excludeServers.includes(server.id))
+    && (!request.regions || request.regions.includes(server.region))
+    && matchesLabels(server, request.labels));
+
+  candidates.sort((a, b) => groupCount(a) - groupCount(b)
+    || compare(a, b, request)
+    || String(a.id).localeCompare(String(b.id)));
+
+  return candidates[0] || null;
+}
+
+module.exports = {
+  PLACEMENT_STRATEGY,
+  STRATEGIES,
+  PlacementError,
+  registerStrategy,
+  validateLabels,
+  normalizePlacement,
+  selectServer
+};
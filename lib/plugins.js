@@ -0,0 +1,240 @@
+// Ladybug Hosting v7 - Bot type plugins
+//
+// Every bot type is a module in the plugins/ directory (a .js file or a directory with
+// an index.js) exporting:
+//   type          - the bot type, e.g. 'discord'
+//   name          - what the dashboard calls it
+//   description   - optional
+//   configSchema  - { key: { type, required, secret, enum, items, description } } for
+//                   the keys of the bot's config; keys it does not list are not checked
+//   startCommand  - optional argv the Bot Manager falls back to when the bot's code has
+//                   no package.json to start it with; `node` is the platform's Node.js
+//   healthCheck   - optional liveness probe for bots that declare none (see lib/probes.js)
+//   form          - optional { key: { label, placeholder, help, input } } dashboard hints
+// The API server and the Bot Manager load the plugins at boot.
+const fs = require('fs');
+const path = require('path');
+const { normalizeProbe, ProbeError } = require('./probes');
+
+const PLUGINS_PATH = path.resolve(process.env.PLUGINS_PATH || path.join(__dirname, '..', 'plugins'));
+
+const BOT_TYPE_PATTERN = /^[a-z][a-z0-9_-]{0,31}$/;
+const FIELD_TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object'];
+const FORM_INPUTS = ['text', 'password', 'number', 'textarea', 'checkbox', 'select', 'list'];
+const FORM_HINTS = ['label', 'placeholder', 'help'];
+
+// Thrown for plugins that cannot be loaded
+class PluginError extends Error {
+  constructor(message, status = 500) {
+    super(message);
+    this.name = 'PluginError';
+    this.status = status;
+  }
+}
+
+// Thrown for bots whose type or config does not match a plugin
+class BotTypeError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'BotTypeError';
+    this.status = status;
+  }
+}
+
+let registry = null;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return isPlainObject(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+function normalizeField(field, name) {
+  if (!isPlainObject(field) || !FIELD_TYPES.includes(field.type)) {
+    throw new PluginError(`${name}.type must be one of ${FIELD_TYPES.join(', ')}`);
+  }
+  const normalized = { type: field.type };
+  if (field.required) normalized.required = true;
+  if (field.secret) {
+    if (field.type !== 'string') {
+      throw new PluginError(`${name} must be a string to be secret`);
+    }
+    normalized.secret = true;
+  }
+  if (field.enum !== undefined) {
+    if (!Array.isArray(field.enum) || field.enum.length === 0 || !field.enum.every(value => matchesType(value, field.type))) {
+      throw new PluginError(`${name}.enum must be a non-empty array of ${field.type} values`);
+    }
+    normalized.enum = field.enum;
+  }
+  if (field.items !== undefined) {
+    if (field.type !== 'array' || !FIELD_TYPES.includes(field.items)) {
+      throw new PluginError(`${name}.items must be one of ${FIELD_TYPES.join(', ')} on an array`);
+    }
+    normalized.items = field.items;
+  }
+  if (field.description !== undefined) {
+    normalized.description = String(field.description);
+  }
+  return normalized;
+}
+
+// Validates what a plugin module exports and returns the bot type it defines
+function normalizePlugin(exported, file) {
+  if (!isPlainObject(exported)) {
+    throw new PluginError(`Plugin ${file} must export an object`);
+  }
+  const { type } = exported;
+  if (typeof type !== 'string' || !BOT_TYPE_PATTERN.test(type)) {
+    throw new PluginError(`Plugin ${file}: type must be lowercase letters, digits, - and _`);
+  }
+  if (typeof exported.name !== 'string' || !exported.name.trim()) {
+    throw new PluginError(`Plugin ${file}: name must be a non-empty string`);
+  }
+  const botType = { type, name: exported.name.trim() };
+  if (exported.description !== undefined) {
+    botType.description = String(exported.description);
+  }
+
+  const schema = exported.configSchema || {};
+  if (!isPlainObject(schema)) {
+    throw new PluginError(`Plugin ${file}: configSchema must be an object`);
+  }
+  botType.configSchema = {};
+  Object.entries(schema).forEach(([key, field]) => {
+    botType.configSchema[key] = normalizeField(field, `Plugin ${file}: configSchema.${key}`);
+  });
+
+  if (exported.startCommand !== undefined) {
+    const command = exported.startCommand;
+    if (!Array.isArray(command) || command.length === 0 || !command.every(arg => typeof arg === 'string' && arg)) {
+      throw new PluginError(`Plugin ${file}: startCommand must be a non-empty array of strings`);
+    }
+    botType.startCommand = command;
+  }
+
+  if (exported.healthCheck !== undefined) {
+    try {
+      botType.healthCheck = normalizeProbe(exported.healthCheck, 'liveness');
+    } catch (error) {
+      if (error instanceof ProbeError) {
+        throw new PluginError(`Plugin ${file}: healthCheck is not a valid probe (${error.message})`);
+      }
+      throw error;
+    }
+  }
+
+  const form = exported.form || {};
+  if (!isPlainObject(form)) {
+    throw new PluginError(`Plugin ${file}: form must be an object`);
+  }
+  botType.form = {};
+  Object.entries(form).forEach(([key, hints]) => {
+    if (!botType.configSchema[key]) {
+      throw new PluginError(`Plugin ${file}: form.${key} is not in configSchema`);
+    }
+    if (!isPlainObject(hints) || (hints.input !== undefined && !FORM_INPUTS.includes(hints.input))) {
+      throw new PluginError(`Plugin ${file}: form.${key}.input must be one of ${FORM_INPUTS.join(', ')}`);
+    }
+    botType.form[key] = {};
+    FORM_HINTS.forEach(hint => {
+      if (hints[hint] !== undefined) botType.form[key][hint] = String(hints[hint]);
+    });
+    if (hints.input) botType.form[key].input = hints.input;
+  });
+  return botType;
+}
+
+// Loads every plugin in `dir` in place of the ones loaded before. A plugin that does not
+// load, or a bot type defined twice, throws, so a broken plugin stops the boot.
+function loadPlugins(dir = PLUGINS_PATH) {
+  const loaded = new Map();
+  const entries = fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => !entry.name.startsWith('.') && (entry.isDirectory() || entry.name.endsWith('.js')))
+    .map(entry => entry.name)
+    .sort();
+
+  entries.forEach(file => {
+    let exported;
+    try {
+      exported = require(path.join(dir, file));
+    } catch (error) {
+      throw new PluginError(`Plugin ${file} could not be loaded: ${error.message}`);
+    }
+    const botType = normalizePlugin(exported, file);
+    if (loaded.has(botType.type)) {
+      throw new PluginError(`Plugin ${file}: bot type ${botType.type} is already defined`);
+    }
+    loaded.set(botType.type, botType);
+  });
+
+  registry = loaded;
+  return listBotTypes();
+}
+
+function getRegistry() {
+  if (!registry) loadPlugins();
+  return registry;
+}
+
+// The plugin of a bot type, or undefined for types no plugin defines
+function getBotType(type) {
+  return getRegistry().get(type);
+}
+
+function listBotTypes() {
+  return Array.from(getRegistry().values());
+}
+
+// Checks a bot config against its type's schema. Secret keys are never required, as
+// they may be set as secrets instead (`token` is the BOT_TOKEN secret).
+function validateBotConfig(botType, config) {
+  if (!isPlainObject(config)) {
+    throw new BotTypeError('config must be an object');
+  }
+  Object.entries(botType.configSchema).forEach(([key, field]) => {
+    const value = config[key];
+    if (value === undefined || value === null) {
+      if (field.required && !field.secret) {
+        throw new BotTypeError(`config.${key} is required for ${botType.name}`);
+      }
+      return;
+    }
+    if (!matchesType(value, field.type)) {
+      throw new BotTypeError(`config.${key} must be of type ${field.type}`);
+    }
+    if (field.enum && !field.enum.includes(value)) {
+      throw new BotTypeError(`config.${key} must be one of ${field.enum.join(', ')}`);
+    }
+    if (field.items && !value.every(item => matchesType(item, field.items))) {
+      throw new BotTypeError(`config.${key} must only contain values of type ${field.items}`);
+    }
+  });
+  return config;
+}
+
+module.exports = {
+  PLUGINS_PATH,
+  FIELD_TYPES,
+  FORM_INPUTS,
+  PluginError,
+  BotTypeError,
+  normalizePlugin,
+  loadPlugins,
+  getBotType,
+  listBotTypes,
+  validateBotConfig
+};
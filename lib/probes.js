@@ -0,0 +1,262 @@
+// Ladybug Hosting v7 - Liveness and readiness probes declared per bot
+//
+// A bot can declare a `liveness` probe, whose repeated failure ends its process (and
+// leaves what follows to its restart policy), and a `readiness` probe, which only
+// decides whether the bot counts as ready. A probe is one of:
+//   { type: 'http', port, path, expectStatus, expectBody } - GET on the bot's own port
+//   { type: 'tcp', port }                                  - a TCP connection
+//   { type: 'exec', command: [...], expectExitCode }       - a command in the bot's directory
+//   { type: 'telegram' } / { type: 'discord' }             - the platform accepts the bot token
+// each with `intervalMs`, `timeoutMs`, `failureThreshold` and `successThreshold`.
+// Bots that declare no liveness probe get the `healthCheck` of their bot type
+// (see lib/plugins.js), e.g. their platform's for Telegram and Discord bots.
+const net = require('net');
+const { execFile } = require('child_process');
+const axios = require('axios');
+const { HEALTH_PROBE_TIMEOUT, probeTelegram, probeDiscord } = require('./healthProbes');
+
+const PROBE_KINDS = ['liveness', 'readiness'];
+const PROBE_TYPES = ['http', 'tcp', 'exec', 'telegram', 'discord'];
+const PROBE_DEFAULTS = {
+  intervalMs: 10000,
+  timeoutMs: 1000,
+  failureThreshold: 3,
+  successThreshold: 1
+};
+// Platform probes call a rate-limited API, so they run less often
+const PLATFORM_PROBE_DEFAULTS = {
+  intervalMs: parseInt(process.env.BOT_HEARTBEAT_INTERVAL, 10) || 30000,
+  timeoutMs: HEALTH_PROBE_TIMEOUT,
+  failureThreshold: 1,
+  successThreshold: 1
+};
+// Bots probe themselves on the machine the Bot Manager runs them on
+const PROBE_HOST = process.env.PROBE_HOST || '127.0.0.1';
+// Bodies longer than this are cut off before `expectBody` is looked for
+const MAX_PROBE_BODY = 64 * 1024;
+const MAX_PROBE_OUTPUT = 1024;
+
+class ProbeError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ProbeError';
+    this.status = status;
+  }
+}
+
+function checkInteger(value, name, min, max) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new ProbeError(`${name} must be an integer between ${min} and ${max}`);
+  }
+  return value;
+}
+
+// Validates one probe from the API and returns the fields we store
+function normalizeProbe(input, kind) {
+  const name = `probes.${kind}`;
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    throw new ProbeError(`${name} must be an object`);
+  }
+  if (!PROBE_TYPES.includes(input.type)) {
+    throw new ProbeError(`${name}.type must be one of ${PROBE_TYPES.join(', ')}`);
+  }
+  const probe = { type: input.type };
+
+  if (input.type === 'http' || input.type === 'tcp') {
+    probe.port = checkInteger(input.port, `${name}.port`, 1, 65535);
+  }
+  if (input.type === 'http') {
+    const path = input.path === undefined ? '/' : input.path;
+    if (typeof path !== 'string' || !path.startsWith('/')) {
+      throw new ProbeError(`${name}.path must start with /`);
+    }
+    probe.path = path;
+    if (input.expectStatus !== undefined) {
+      probe.expectStatus = checkInteger(input.expectStatus, `${name}.expectStatus`, 100, 599);
+    }
+    if (input.expectBody !== undefined) {
+      if (typeof input.expectBody !== 'string' || !input.expectBody) {
+        throw new ProbeError(`${name}.expectBody must be a non-empty string`);
+      }
+      probe.expectBody = input.expectBody;
+    }
+  }
+  if (input.type === 'exec') {
+    const { command } = input;
+    if (!Array.isArray(command) || command.length === 0 || !command.every(arg => typeof arg === 'string' && arg)) {
+      throw new ProbeError(`${name}.command must be a non-empty array of strings`);
+    }
+    probe.command = command;
+    if (input.expectExitCode !== undefined) {
+      probe.expectExitCode = checkInteger(input.expectExitCode, `${name}.expectExitCode`, 0, 255);
+    }
+  }
+
+  if (input.intervalMs !== undefined) {
+    probe.intervalMs = checkInteger(input.intervalMs, `${name}.intervalMs`, 1000, 60 * 60 * 1000);
+  }
+  if (input.timeoutMs !== undefined) {
+    probe.timeoutMs = checkInteger(input.timeoutMs, `${name}.timeoutMs`, 100, 60 * 1000);
+  }
+  if (input.failureThreshold !== undefined) {
+    probe.failureThreshold = checkInteger(input.failureThreshold, `${name}.failureThreshold`, 1, 100);
+  }
+  if (input.successThreshold !== undefined) {
+    probe.successThreshold = checkInteger(input.successThreshold, `${name}.successThreshold`, 1, 100);
+  }
+  return probe;
+}
+
+// Validates `probes` from the API: { liveness, readiness }, where null removes a probe
+function normalizeProbes(input) {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    throw new ProbeError('probes must be an object with liveness and/or readiness');
+  }
+  const unknown = Object.keys(input).filter(kind => !PROBE_KINDS.includes(kind));
+  if (unknown.length > 0) {
+    throw new ProbeError(`Unknown probe: ${unknown.join(', ')}`);
+  }
+  const probes = {};
+  PROBE_KINDS.forEach(kind => {
+    if (input[kind] === null) {
+      probes[kind] = null;
+    } else if (input[kind] !== undefined) {
+      probes[kind] = normalizeProbe(input[kind], kind);
+    }
+  });
+  return probes;
+}
+
+// The probes the Bot Manager runs for the bot of `botType`, with the defaults filled in
+function getBotProbes(bot, botType) {
+  const declared = (bot && bot.probes) || {};
+  const probes = {};
+  PROBE_KINDS.forEach(kind => {
+    let probe = declared[kind];
+    if (!probe && kind === 'liveness' && botType) {
+      probe = botType.healthCheck;
+    }
+    if (probe) {
+      const defaults = probe.type === 'telegram' || probe.type === 'discord' ? PLATFORM_PROBE_DEFAULTS : PROBE_DEFAULTS;
+      probes[kind] = { ...defaults, ...probe };
+    }
+  });
+  return probes;
+}
+
+function probeHttp(probe, { host = PROBE_HOST } = {}) {
+  const url = `http://${host}:${probe.port}${probe.path}`;
+  return axios.get(url, {
+    timeout: probe.timeoutMs,
+    maxRedirects: 0,
+    maxContentLength: MAX_PROBE_BODY,
+    responseType: 'text',
+    transformResponse: body => body,
+    validateStatus: () => true
+  }).then(response => {
+    const expected = probe.expectStatus
+      ? response.status === probe.expectStatus
+      : response.status >= 200 && response.status < 400;
+    if (!expected) {
+      return { status: 'unhealthy', detail: `GET ${probe.path} answered HTTP ${response.status}` };
+    }
+    if (probe.expectBody && !String(response.data).includes(probe.expectBody)) {
+      return { status: 'unhealthy', detail: `GET ${probe.path} did not contain "${probe.expectBody}"` };
+    }
+    return { status: 'healthy', detail: `HTTP ${response.status}` };
+  }, error => ({ status: 'unhealthy', detail: `GET ${probe.path} failed: ${error.message}` }));
+}
+
+function probeTcp(probe, { host = PROBE_HOST } = {}) {
+  return new Promise(resolve => {
+    const socket = net.connect({ host, port: probe.port });
+    const finish = result => {
+      socket.destroy();
+      resolve(result);
+    };
+    socket.setTimeout(probe.timeoutMs, () => finish({ status: 'unhealthy', detail: `Port ${probe.port} timed out` }));
+    socket.once('connect', () => finish({ status: 'healthy', detail: `Port ${probe.port} open` }));
+    socket.once('error', error => finish({ status: 'unhealthy', detail: `Port ${probe.port}: ${error.message}` }));
+  });
+}
+
+// Runs the command without a shell, in the bot's directory and with its environment
+function probeExec(probe, { cwd, env } = {}) {
+  const expected = probe.expectExitCode || 0;
+  return new Promise(resolve => {
+    execFile(probe.command[0], probe.command.slice(1), {
+      cwd,
+      env,
+      timeout: probe.timeoutMs,
+      killSignal: 'SIGKILL',
+      maxBuffer: MAX_PROBE_BODY
+    }, (error, stdout, stderr) => {
+      const output = `${stdout}${stderr}`.trim().slice(0, MAX_PROBE_OUTPUT);
+      if (error && error.killed) {
+        return resolve({ status: 'unhealthy', detail: `${probe.command[0]} timed out after ${probe.timeoutMs}ms` });
+      }
+      if (error && typeof error.code !== 'number') {
+        return resolve({ status: 'unhealthy', detail: `${probe.command[0]} could not run: ${error.message}` });
+      }
+      const code = error ? error.code : 0;
+      if (code !== expected) {
+        return resolve({ status: 'unhealthy', detail: `${probe.command[0]} exited with ${code}${output ? `: ${output}` : ''}` });
+      }
+      resolve({ status: 'healthy', detail: output || `exit code ${code}` });
+    });
+  });
+}
+
+// Runs one probe. `context` gives the bot's `token` for platform probes and its
+// `cwd` and `env` for commands.
+function runProbe(probe, context = {}) {
+  switch (probe.type) {
+    case 'http':
+      return probeHttp(probe, context);
+    case 'tcp':
+      return probeTcp(probe, context);
+    case 'exec':
+      return probeExec(probe, context);
+    case 'telegram':
+      return probeTelegram(context.token, { timeout: probe.timeoutMs });
+    case 'discord':
+      return probeDiscord(context.token, { timeout: probe.timeoutMs });
+    default:
+      return Promise.resolve({ status: 'unhealthy', detail: `Unknown probe type ${probe.type}` });
+  }
+}
+
+// A probe starts out `unknown` and turns `failing` after `failureThreshold` failures in
+// a row, or `passing` after `successThreshold` successes in a row. `unreachable`
+// results count as neither.
+function initialProbeState() {
+  return { status: 'unknown', successes: 0, failures: 0 };
+}
+
+// Returns the probe's state after `result`
+function updateProbeState(state, probe, result, at = new Date()) {
+  const next = { ...state, result: result.status, detail: result.detail, checkedAt: at };
+  if (result.status === 'healthy') {
+    next.successes = state.successes + 1;
+    next.failures = 0;
+    if (next.successes >= probe.successThreshold) next.status = 'passing';
+  } else if (result.status !== 'unreachable') {
+    next.failures = state.failures + 1;
+    next.successes = 0;
+    if (next.failures >= probe.failureThreshold) next.status = 'failing';
+  }
+  return next;
+}
+
+module.exports = {
+  PROBE_KINDS,
+  PROBE_TYPES,
+  PROBE_DEFAULTS,
+  ProbeError,
+  normalizeProbe,
+  normalizeProbes,
+  getBotProbes,
+  runProbe,
+  initialProbeState,
+  updateProbeState
+};
@@ -0,0 +1,132 @@
+// Ladybug Hosting v7 - Deploy quotas (per plan, with per-user overrides)
+const Bot = require('../models/Bot');
+const User = require('../models/User');
+
+const DEFAULT_MAX_BOTS = parseInt(process.env.MAX_BOTS_PER_USER, 10) || 10;
+
+// `null` means the plan does not restrict that dimension
+const PLANS = {
+  free: { maxBots: DEFAULT_MAX_BOTS, botTypes: null, regions: ['us-east', 'us-west'] },
+  pro: { maxBots: 50, botTypes: null, regions: null },
+  enterprise: { maxBots: 500, botTypes: null, regions: null }
+};
+
+function getPlan(name) {
+  return PLANS[name] || PLANS.free;
+}
+
+function getEffectiveLimits(user) {
+  const plan = getPlan(user.plan);
+  const overrides = user.quota || {};
+
+  return {
+    maxBots: overrides.maxBots ?? plan.maxBots,
+    botTypes: overrides.botTypes ?? plan.botTypes,
+    regions: overrides.regions ?? plan.regions
+  };
+}
+
+// The user's `usage.bots` counter, which the bot limit is enforced against (see
+// reserveBotSlot). Users from before the counter start from the bots they own.
+async function getBotUsage(user) {
+  if (user.usage && typeof user.usage.bots === 'number') {
+    return user.usage.bots;
+  }
+  const bots = await Bot.countDocuments({ owner: user._id });
+  await User.updateOne({ _id: user._id, 'usage.bots': { $exists: false } }, { $set: { 'usage.bots': bots } });
+  return bots;
+}
+
+async function getQuotaSummary(user) {
+  const limits = getEffectiveLimits(user);
+  const bots = await getBotUsage(user);
+
+  return {
+    plan: PLANS[user.plan] ? user.plan : 'free',
+    limits,
+    usage: { bots },
+    remaining: { bots: Math.max(limits.maxBots - bots, 0) }
+  };
+}
+
+function botLimitViolation(plan, limit, used) {
+  return {
+    status: 429,
+    body: {
+      error: `Bot limit reached (${limit} bots on the ${plan} plan)`,
+      code: 'QUOTA_BOTS_EXCEEDED',
+      limit,
+      used
+    }
+  };
+}
+
+// Returns null when the deploy is allowed, otherwise { status, body } for the response
+async function checkDeployQuota(user, { type, region }) {
+  const summary = await getQuotaSummary(user);
+  const { limits } = summary;
+
+  if (summary.remaining.bots <= 0) {
+    return botLimitViolation(summary.plan, limits.maxBots, summary.usage.bots);
+  }
+
+  if (limits.botTypes && !limits.botTypes.includes(type)) {
+    return {
+      status: 403,
+      body: {
+        error: `Bot type "${type}" is not available on the ${summary.plan} plan`,
+        code: 'QUOTA_TYPE_NOT_ALLOWED',
+        allowed: limits.botTypes
+      }
+    };
+  }
+
+  if (region && limits.regions && !limits.regions.includes(region)) {
+    return {
+      status: 403,
+      body: {
+        error: `Region "${region}" is not available on the ${summary.plan} plan`,
+        code: 'QUOTA_REGION_NOT_ALLOWED',
+        allowed: limits.regions
+      }
+    };
+  }
+
+  return null;
+}
+
+// Takes one of the user's bot slots. The limit is checked by the same conditional update
+// that takes the slot (on the user's `usage.bots` counter), so concurrent deploys cannot
+// both take the last one. Returns null when a slot was taken, otherwise { status, body }
+// for the response like checkDeployQuota. Slots are given back with releaseBotSlot.
+async function reserveBotSlot(user) {
+  const { maxBots } = getEffectiveLimits(user);
+  await getBotUsage(user);
+
+  const reserved = await User.updateOne(
+    { _id: user._id, 'usage.bots': { $lt: maxBots } },
+    { $inc: { 'usage.bots': 1 } }
+  );
+  if (reserved.modifiedCount === 1) {
+    return null;
+  }
+
+  const current = await User.findById(user._id).select('usage');
+  const used = current && current.usage && typeof current.usage.bots === 'number' ? current.usage.bots : maxBots;
+  return botLimitViolation(PLANS[user.plan] ? user.plan : 'free', maxBots, used);
+}
+
+// Gives back the slot of a bot of `ownerId` that was deleted or failed to deploy
+async function releaseBotSlot(ownerId) {
+  await User.updateOne({ _id: ownerId, 'usage.bots': { $gt: 0 } }, { $inc: { 'usage.bots': -1 } });
+}
+
+module.exports = {
+  PLANS,
+  getPlan,
+  getEffectiveLimits,
+  getQuotaSummary,
+  checkDeployQuota,
+  reserveBotSlot,
+  releaseBotSlot
+};
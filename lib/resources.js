@@ -0,0 +1,208 @@
+// Ladybug Hosting v7 - Bot resource requests (API side) and limit enforcement (worker side)
+//
+// A bot requests the memory and CPU it needs to be scheduled (`requests`) and may use
+// up to its `limits` at run time. Servers advertise the resources they have, and
+// placement only puts a bot where its requests still fit (see lib/placement.js).
+const fs = require('fs');
+const path = require('path');
+
+const RESOURCE_KEYS = ['memoryMB', 'cpuShares'];
+// CPU is shared out in shares, 1024 of which are one core
+const CPU_SHARES_PER_CORE = 1024;
+const DEFAULT_BOT_RESOURCES = {
+  memoryMB: parseInt(process.env.BOT_DEFAULT_MEMORY_MB, 10) || 128,
+  cpuShares: parseInt(process.env.BOT_DEFAULT_CPU_SHARES, 10) || 256
+};
+const MAX_BOT_RESOURCES = {
+  memoryMB: parseInt(process.env.BOT_MAX_MEMORY_MB, 10) || 8192,
+  cpuShares: parseInt(process.env.BOT_MAX_CPU_SHARES, 10) || 8 * CPU_SHARES_PER_CORE
+};
+
+// `auto` uses cgroups when BOT_CGROUP_ROOT is set up for the worker, otherwise ulimits
+const BOT_RESOURCE_ENFORCEMENT = process.env.BOT_RESOURCE_ENFORCEMENT || 'auto';
+// A cgroup v2 directory delegated to the worker user, with the memory and cpu
+// controllers enabled in its cgroup.subtree_control
+const BOT_CGROUP_ROOT = process.env.BOT_CGROUP_ROOT || '/sys/fs/cgroup/ladybug';
+// What runtimes print when an allocation fails under a ulimit
+const OOM_OUTPUT = /out of memory|cannot allocate memory|MemoryError|std::bad_alloc/i;
+
+class ResourceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ResourceError';
+    this.status = status;
+  }
+}
+
+function validateAmounts(amounts, what) {
+  if (amounts === undefined) return {};
+  if (amounts === null || typeof amounts !== 'object' || Array.isArray(amounts)) {
+    throw new ResourceError(`resources.${what} must be an object with memoryMB and/or cpuShares`);
+  }
+  const unknown = Object.keys(amounts).filter(key => !RESOURCE_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new ResourceError(`Unknown resource ${unknown[0]} (use ${RESOURCE_KEYS.join(', ')})`);
+  }
+  RESOURCE_KEYS.forEach(key => {
+    const value = amounts[key];
+    if (value !== undefined && (!Number.isInteger(value) || value < 1 || value > MAX_BOT_RESOURCES[key])) {
+      throw new ResourceError(`resources.${what}.${key} must be an integer between 1 and ${MAX_BOT_RESOURCES[key]}`);
+    }
+  });
+  return amounts;
+}
+
+// Validates the `resources` of a deploy request and fills in the gaps: a missing
+// request defaults to the limit (or the platform default), a missing limit to the request
+function normalizeResources(resources = {}) {
+  if (resources === null || typeof resources !== 'object' || Array.isArray(resources)) {
+    throw new ResourceError('resources must be an object with requests and/or limits');
+  }
+  const requested = validateAmounts(resources.requests, 'requests');
+  const limited = validateAmounts(resources.limits, 'limits');
+  const normalized = { requests: {}, limits: {} };
+
+  RESOURCE_KEYS.forEach(key => {
+    const request = requested[key] ?? limited[key] ?? DEFAULT_BOT_RESOURCES[key];
+    const limit = limited[key] ?? request;
+    if (limit < request) {
+      throw new ResourceError(`resources.limits.${key} cannot be lower than resources.requests.${key}`);
+    }
+    normalized.requests[key] = request;
+    normalized.limits[key] = limit;
+  });
+  return normalized;
+}
+
+// Bots deployed before resource requests existed count with the defaults
+function getBotResources(bot) {
+  const resources = (bot && bot.resources) || {};
+  const requests = { ...DEFAULT_BOT_RESOURCES };
+  RESOURCE_KEYS.forEach(key => {
+    if (resources.requests && resources.requests[key]) requests[key] = resources.requests[key];
+  });
+  const limits = { ...requests };
+  RESOURCE_KEYS.forEach(key => {
+    if (resources.limits && resources.limits[key]) limits[key] = resources.limits[key];
+  });
+  return { requests, limits };
+}
+
+function isCgroupAvailable(root = BOT_CGROUP_ROOT) {
+  try {
+    const controllers = fs.readFileSync(path.join(root, 'cgroup.controllers'), 'utf8').split(/\s+/);
+    fs.accessSync(root, fs.constants.W_OK);
+    return controllers.includes('memory');
+  } catch (error) {
+    return false;
+  }
+}
+
+// `cgroup`, `ulimit` or `none`
+function getEnforcementMode(mode = BOT_RESOURCE_ENFORCEMENT, root = BOT_CGROUP_ROOT) {
+  if (mode === 'auto') {
+    return isCgroupAvailable(root) ? 'cgroup' : 'ulimit';
+  }
+  return mode;
+}
+
+// cgroup v2 cpu.weight (1-10000) for a number of cgroup v1 style CPU shares (2-262144)
+function cpuSharesToWeight(shares) {
+  const clamped = Math.min(Math.max(shares, 2), 262144);
+  return Math.round(1 + ((clamped - 2) * 9999) / 262142);
+}
+
+function writeCgroupFile(dir, name, value, { optional = false } = {}) {
+  try {
+    fs.writeFileSync(path.join(dir, name), String(value));
+  } catch (error) {
+    // e.g. memory.swap.max does not exist when swap accounting is off
+    if (!optional) throw error;
+  }
+}
+
+// Wraps a start command so the bot process runs within its limits. The wrapper shell
+// moves itself into the bot's cgroup (or sets its ulimit) before exec'ing the command,
+// so every process the bot starts is covered from the first instruction.
+// Returns the command to spawn plus the cgroup directory to inspect after exit.
+function applyResourceLimits(startCommand, bot, { mode = getEnforcementMode(), root = BOT_CGROUP_ROOT } = {}) {
+  const { limits } = getBotResources(bot);
+
+  if (mode === 'cgroup') {
+    const cgroup = path.join(root, `bot-${bot._id}`);
+    fs.mkdirSync(cgroup, { recursive: true });
+    writeCgroupFile(cgroup, 'memory.max', limits.memoryMB * 1024 * 1024);
+    writeCgroupFile(cgroup, 'memory.swap.max', 0, { optional: true });
+    writeCgroupFile(cgroup, 'cpu.weight', cpuSharesToWeight(limits.cpuShares), { optional: true });
+    return {
+      mode,
+      cgroup,
+      // The counter survives in a cgroup that could not be removed after the last run
+      oomKills: readCgroupOomKills(cgroup),
+      command: '/bin/sh',
+      args: ['-c', 'echo $$ > "$0/cgroup.procs" && exec "$@"', cgroup, startCommand.command, ...startCommand.args]
+    };
+  }
+
+  if (mode === 'ulimit') {
+    // The data segment rather than the address space: runtimes such as V8 reserve far
+    // more virtual memory than they use and refuse to start under `ulimit -v`.
+    // CPU shares cannot be expressed as a ulimit and need cgroups.
+    return {
+      mode,
+      command: '/bin/sh',
+      args: ['-c', 'ulimit -d "$0" && exec "$@"', String(limits.memoryMB * 1024), startCommand.command, ...startCommand.args]
+    };
+  }
+
+  return { mode: 'none', ...startCommand };
+}
+
+// How often the kernel OOM-killed a process in the bot's cgroup
+function readCgroupOomKills(cgroup) {
+  try {
+    const events = fs.readFileSync(path.join(cgroup, 'memory.events'), 'utf8');
+    const match = events.match(/^oom_kill (\d+)$/m);
+    return match ? parseInt(match[1], 10) : 0;
+  } catch (error) {
+    return 0;
+  }
+}
+
+// Decides whether a failed exit was the bot running out of memory. `lastLines` are the
+// bot's final output lines, which is all there is to go on under a ulimit.
+function isOomExit(limited, { code, lastLines = [] }) {
+  if (code === 0) return false;
+  if (limited.mode === 'cgroup') {
+    return readCgroupOomKills(limited.cgroup) > limited.oomKills;
+  }
+  if (limited.mode === 'ulimit') {
+    return lastLines.some(line => OOM_OUTPUT.test(line));
+  }
+  return false;
+}
+
+// The cgroup can only be removed once all of its processes are gone
+function removeCgroup(limited) {
+  if (limited.mode !== 'cgroup') return;
+  try {
+    fs.rmdirSync(limited.cgroup);
+  } catch (error) {
+    // Already gone, or a stray process is still exiting; the next start reuses it
+  }
+}
+
+module.exports = {
+  RESOURCE_KEYS,
+  CPU_SHARES_PER_CORE,
+  DEFAULT_BOT_RESOURCES,
+  MAX_BOT_RESOURCES,
+  ResourceError,
+  normalizeResources,
+  getBotResources,
+  getEnforcementMode,
+  cpuSharesToWeight,
+  applyResourceLimits,
+  isOomExit,
+  removeCgroup
+};
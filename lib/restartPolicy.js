@@ -0,0 +1,111 @@
+// Ladybug Hosting v7 - Restart policies: whether and when the Bot Manager brings a bot back up
+//
+// `always` restarts a bot whenever its process ends on its own, `on-failure` only when
+// it failed (non-zero exit, signal, out of memory, failed start or health check) and
+// `never` leaves it down. Restarts back off exponentially with jitter; once a bot has
+// been restarted `maxRetries` times in a row it is put in `crashloop` and stays down
+// until someone starts it again. A run that lasts RESTART_STABLE_MS resets the count.
+
+const RESTART_POLICIES = ['always', 'on-failure', 'never'];
+const DEFAULT_RESTART_POLICY = {
+  policy: process.env.BOT_RESTART_POLICY || 'on-failure',
+  maxRetries: parseInt(process.env.BOT_RESTART_MAX_RETRIES, 10) || 5,
+  backoffMs: parseInt(process.env.BOT_RESTART_BACKOFF_MS, 10) || 1000,
+  maxBackoffMs: parseInt(process.env.BOT_RESTART_MAX_BACKOFF_MS, 10) || 5 * 60 * 1000
+};
+const RESTART_STABLE_MS = parseInt(process.env.BOT_RESTART_STABLE_MS, 10) || 10 * 60 * 1000;
+// Upper bounds for per-bot settings
+const MAX_RETRIES_LIMIT = 100;
+const MAX_BACKOFF_LIMIT = 24 * 60 * 60 * 1000;
+
+class RestartPolicyError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RestartPolicyError';
+    this.status = status;
+  }
+}
+
+function checkInteger(value, name, min, max) {
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new RestartPolicyError(`restartPolicy.${name} must be an integer between ${min} and ${max}`);
+  }
+  return value;
+}
+
+// Validates a `restartPolicy` from the API: a policy name or an object with `policy`,
+// `maxRetries`, `backoffMs` and `maxBackoffMs`. Settings left out follow the platform defaults.
+function normalizeRestartPolicy(input) {
+  const fields = typeof input === 'string' ? { policy: input } : input;
+  if (fields === null || typeof fields !== 'object' || Array.isArray(fields)) {
+    throw new RestartPolicyError(`restartPolicy must be one of ${RESTART_POLICIES.join(', ')} or an object`);
+  }
+  const normalized = {};
+
+  if (fields.policy !== undefined) {
+    if (!RESTART_POLICIES.includes(fields.policy)) {
+      throw new RestartPolicyError(`restartPolicy.policy must be one of ${RESTART_POLICIES.join(', ')}`);
+    }
+    normalized.policy = fields.policy;
+  }
+  if (fields.maxRetries !== undefined) {
+    normalized.maxRetries = checkInteger(fields.maxRetries, 'maxRetries', 0, MAX_RETRIES_LIMIT);
+  }
+  if (fields.backoffMs !== undefined) {
+    normalized.backoffMs = checkInteger(fields.backoffMs, 'backoffMs', 100, MAX_BACKOFF_LIMIT);
+  }
+  if (fields.maxBackoffMs !== undefined) {
+    normalized.maxBackoffMs = checkInteger(fields.maxBackoffMs, 'maxBackoffMs', 100, MAX_BACKOFF_LIMIT);
+  }
+  return normalized;
+}
+
+function getRestartPolicy(bot) {
+  const policy = { ...DEFAULT_RESTART_POLICY };
+  const own = (bot && bot.restartPolicy) || {};
+  Object.keys(policy).forEach(key => {
+    if (own[key] !== undefined && own[key] !== null) policy[key] = own[key];
+  });
+  return policy;
+}
+
+// Delay before the restart following `attempt` earlier consecutive restarts: the
+// exponential backoff, of which a random half is waived so bots that failed together
+// (e.g. when a shared API went down) do not all come back at the same moment
+function restartDelay(attempt, policy, random = Math.random) {
+  const backoff = Math.min(policy.maxBackoffMs, policy.backoffMs * 2 ** attempt);
+  return Math.round(backoff / 2 + (random() * backoff) / 2);
+}
+
+// Decides what follows a run that ended by itself: `failed` tells a failure from a
+// clean exit and `ranFor` is how long the process was up (ms). Returns
+// { action: 'restart', count, delay, at }, { action: 'crashloop', count } or { action: 'none' }.
+function planRestart(bot, { failed, ranFor = 0, now = Date.now(), random = Math.random }) {
+  const policy = getRestartPolicy(bot);
+  if (policy.policy === 'never' || (policy.policy === 'on-failure' && !failed)) {
+    return { action: 'none' };
+  }
+
+  const previous = ranFor >= RESTART_STABLE_MS ? 0 : ((bot.restarts && bot.restarts.count) || 0);
+  if (previous >= policy.maxRetries) {
+    return { action: 'crashloop', count: previous };
+  }
+  const delay = restartDelay(previous, policy, random);
+  return { action: 'restart', count: previous + 1, delay, at: new Date(now + delay) };
+}
+
+function hasScheduledRestart(bot) {
+  return Boolean(bot.restarts && bot.restarts.nextAt);
+}
+
+module.exports = {
+  RESTART_POLICIES,
+  DEFAULT_RESTART_POLICY,
+  RESTART_STABLE_MS,
+  RestartPolicyError,
+  normalizeRestartPolicy,
+  getRestartPolicy,
+  restartDelay,
+  planRestart,
+  hasScheduledRestart
+};
@@ -0,0 +1,161 @@
+// Ladybug Hosting v7 - Per-bot secrets, encrypted at rest with SECRETS_MASTER_KEY
+const crypto = require('crypto');
+const BotSecret = require('../models/BotSecret');
+
+const ALGORITHM = 'aes-256-gcm';
+const MAX_SECRET_LENGTH = 32 * 1024;
+const MAX_SECRETS_PER_BOT = 100;
+const SECRET_NAME = /^[A-Z_][A-Z0-9_]*$/;
+// Set by the platform for every bot process and cannot be overridden
+const RESERVED_NAMES = [
+  'PATH', 'HOME', 'LANG', 'TZ', 'NODE_ENV', 'NODE_PATH', 'BOT_ID', 'BOT_NAME', 'BOT_TYPE',
+  'LADYBUG_TELEMETRY_URL', 'LADYBUG_TELEMETRY_TOKEN'
+];
+// Config keys that hold credentials and are moved into the secret store
+const SENSITIVE_CONFIG_KEY = /(token|secret|password|api_?key)$/i;
+
+class SecretError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SecretError';
+    this.status = status;
+  }
+}
+
+// Accepts a 32 byte key as 64 hex characters or base64
+function getMasterKey() {
+  const value = process.env.SECRETS_MASTER_KEY;
+  if (!value) {
+    throw new SecretError('SECRETS_MASTER_KEY is not configured', 500);
+  }
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    throw new SecretError('SECRETS_MASTER_KEY must be 32 bytes (64 hex characters or base64)', 500);
+  }
+  return key;
+}
+
+function getKeyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+// The bot id and name are authenticated with the value, so a stored ciphertext
+// cannot be copied to another bot or renamed
+function associatedData(botId, name) {
+  return Buffer.from(`${botId}:${name}`);
+}
+
+function encryptSecret(botId, name, value) {
+  const key = getMasterKey();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(associatedData(botId, name));
+  const ciphertext = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+
+  return {
+    ciphertext: ciphertext.toString('base64'),
+    iv: iv.toString('base64'),
+    authTag: cipher.getAuthTag().toString('base64'),
+    keyId: getKeyId(key)
+  };
+}
+
+function decryptSecret(secret) {
+  const key = getMasterKey();
+  if (secret.keyId !== getKeyId(key)) {
+    throw new SecretError(`Secret ${secret.name} was encrypted with a different master key`, 500);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(secret.iv, 'base64'));
+  decipher.setAAD(associatedData(secret.bot, secret.name));
+  decipher.setAuthTag(Buffer.from(secret.authTag, 'base64'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(secret.ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+function validateSecret(name, value) {
+  if (typeof name !== 'string' || !SECRET_NAME.test(name)) {
+    throw new SecretError('Secret names must be upper-case environment variable names (A-Z, 0-9, _)');
+  }
+  if (RESERVED_NAMES.includes(name)) {
+    throw new SecretError(`${name} is set by the platform and cannot be a secret`);
+  }
+  if (typeof value !== 'string' || value.length === 0) {
+    throw new SecretError('Secret value must be a non-empty string');
+  }
+  if (value.length > MAX_SECRET_LENGTH) {
+    throw new SecretError(`Secret values are limited to ${MAX_SECRET_LENGTH} characters`);
+  }
+}
+
+async function setSecret(botId, name, value, updatedBy) {
+  validateSecret(name, value);
+
+  const existing = await BotSecret.exists({ bot: botId, name });
+  if (!existing && await BotSecret.countDocuments({ bot: botId }) >= MAX_SECRETS_PER_BOT) {
+    throw new SecretError(`Bots can have at most ${MAX_SECRETS_PER_BOT} secrets`, 409);
+  }
+
+  return BotSecret.findOneAndUpdate(
+    { bot: botId, name },
+    { $set: { ...encryptSecret(botId.toString(), name, value), updatedBy, updatedAt: new Date() } },
+    { upsert: true, new: true }
+  );
+}
+
+// Environment variables for a bot process, decrypted just before it starts
+async function loadSecretEnv(botId) {
+  const secrets = await BotSecret.find({ bot: botId });
+  const env = {};
+  secrets.forEach(secret => {
+    env[secret.name] = decryptSecret(secret);
+  });
+  return env;
+}
+
+// One decrypted secret of a bot, or undefined if it is not set
+async function loadSecret(botId, name) {
+  const secret = await BotSecret.findOne({ bot: botId, name });
+  return secret ? decryptSecret(secret) : undefined;
+}
+
+// Credentials by name, or fields the bot type's configSchema marks `secret` (see lib/plugins.js)
+function isSensitiveConfigKey(key, configSchema = {}) {
+  const field = Object.prototype.hasOwnProperty.call(configSchema, key) ? configSchema[key] : null;
+  return SENSITIVE_CONFIG_KEY.test(key) || Boolean(field && field.secret);
+}
+
+// `token` -> BOT_TOKEN, `webhookSecret` -> BOT_WEBHOOK_SECRET
+function configKeyToSecretName(key) {
+  return `BOT_${key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[^A-Za-z0-9]+/g, '_').toUpperCase()}`;
+}
+
+// Splits credentials out of a bot config so they are never stored in plaintext;
+// `configSchema` is that of the bot's type
+function extractConfigSecrets(config = {}, configSchema = {}) {
+  const rest = {};
+  const secrets = {};
+  Object.entries(config).forEach(([key, value]) => {
+    if (isSensitiveConfigKey(key, configSchema) && typeof value === 'string' && value) {
+      secrets[configKeyToSecretName(key)] = value;
+    } else {
+      rest[key] = value;
+    }
+  });
+  return { config: rest, secrets };
+}
+
+module.exports = {
+  SecretError,
+  getMasterKey,
+  encryptSecret,
+  decryptSecret,
+  validateSecret,
+  setSecret,
+  loadSecretEnv,
+  loadSecret,
+  isSensitiveConfigKey,
+  extractConfigSecrets
+};
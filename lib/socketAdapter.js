@@ -0,0 +1,26 @@
+// Ladybug Hosting v7 - Socket.IO adapter for running several API server instances
+const { createAdapter } = require('@socket.io/mongo-adapter');
+
+// `memory` (single instance) or `mongo`
+const SOCKET_ADAPTER = process.env.SOCKET_ADAPTER || 'memory';
+const SOCKET_ADAPTER_COLLECTION = process.env.SOCKET_ADAPTER_COLLECTION || 'socket.io-adapter-events';
+// Size of the capped collection the instances exchange events through
+const SOCKET_ADAPTER_SIZE = parseInt(process.env.SOCKET_ADAPTER_SIZE, 10) || 10 * 1024 * 1024;
+
+// Broadcasts are written to a capped collection and picked up by the other instances
+// through a change stream, so MongoDB has to run as a replica set (a single node is enough)
+async function useMongoAdapter(io, connection) {
+  try {
+    await connection.db.createCollection(SOCKET_ADAPTER_COLLECTION, {
+      capped: true,
+      size: SOCKET_ADAPTER_SIZE
+    });
+  } catch (error) {
+    // Created by another instance
+    if (error.codeName !== 'NamespaceExists') throw error;
+  }
+
+  io.adapter(createAdapter(connection.db.collection(SOCKET_ADAPTER_COLLECTION)));
+}
+
+module.exports = { SOCKET_ADAPTER, useMongoAdapter };
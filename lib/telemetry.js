@@ -0,0 +1,147 @@
+// Ladybug Hosting v7 - Telemetry bots push to POST /api/telemetry
+//
+// Each bot has an ingest token `lbt_<tokenId>_<signature>`, where the signature is an
+// HMAC of the bot id and token id under a key derived from SECRETS_MASTER_KEY. Only the
+// token id is stored, so the Bot Manager can hand the token to the bot process as
+// LADYBUG_TELEMETRY_TOKEN and rotating the token id revokes the old one. A report is
+//   { requests, errors, gauges: { name: value } }
+// with request and error counts since the previous report; every report is a heartbeat.
+const crypto = require('crypto');
+const Bot = require('../models/Bot');
+const { getMasterKey } = require('./secrets');
+
+const TELEMETRY_TOKEN_PREFIX = 'lbt';
+// Reports per bot and minute
+const TELEMETRY_RATE_LIMIT = parseInt(process.env.TELEMETRY_RATE_LIMIT, 10) || 120;
+
+const MAX_COUNT = 1000000;
+const MAX_GAUGES = 50;
+// No dots or dollar signs, so a gauge name is always a single field of `metrics.gauges`
+const GAUGE_NAME = /^[A-Za-z_][A-Za-z0-9_:-]{0,63}$/;
+
+class TelemetryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'TelemetryError';
+    this.status = status;
+  }
+}
+
+function newTokenId() {
+  return crypto.randomBytes(6).toString('hex');
+}
+
+function signingKey() {
+  return crypto.createHmac('sha256', getMasterKey()).update('ladybug-telemetry').digest();
+}
+
+function signTelemetryToken(botId, tokenId) {
+  const signature = crypto.createHmac('sha256', signingKey())
+    .update(`${botId}:${tokenId}`)
+    .digest('base64url');
+  return `${TELEMETRY_TOKEN_PREFIX}_${tokenId}_${signature}`;
+}
+
+// The token id of a plaintext token, or null if it is not one
+function parseTelemetryToken(plaintext) {
+  if (typeof plaintext !== 'string' || !plaintext.startsWith(`${TELEMETRY_TOKEN_PREFIX}_`)) return null;
+  const [, tokenId, signature] = plaintext.split('_');
+  return tokenId && signature ? tokenId : null;
+}
+
+function verifyTelemetryToken(bot, plaintext) {
+  const tokenId = bot.telemetry && bot.telemetry.tokenId;
+  if (!tokenId) return false;
+  const expected = Buffer.from(signTelemetryToken(bot._id.toString(), tokenId));
+  const given = Buffer.from(String(plaintext));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// Gives a bot created before telemetry its token id; resolves to the bot's token id
+async function ensureTelemetryToken(bot) {
+  if (bot.telemetry && bot.telemetry.tokenId) {
+    return bot.telemetry.tokenId;
+  }
+  const tokenId = newTokenId();
+  const updated = await Bot.findOneAndUpdate(
+    { _id: bot._id, 'telemetry.tokenId': { $exists: false } },
+    { $set: { 'telemetry.tokenId': tokenId, 'telemetry.tokenIssuedAt': new Date() } },
+    { new: true, projection: { telemetry: 1 } }
+  ) || await Bot.findById(bot._id, { telemetry: 1 });
+  return updated.telemetry.tokenId;
+}
+
+// Replaces the bot's token and returns the new plaintext; the old token stops working
+async function rotateTelemetryToken(bot) {
+  bot.set('telemetry.tokenId', newTokenId());
+  bot.set('telemetry.tokenIssuedAt', new Date());
+  const token = signTelemetryToken(bot._id.toString(), bot.telemetry.tokenId);
+  await bot.save();
+  return token;
+}
+
+function checkCount(value, name) {
+  if (value === undefined) return 0;
+  if (!Number.isInteger(value) || value < 0 || value > MAX_COUNT) {
+    throw new TelemetryError(`${name} must be an integer between 0 and ${MAX_COUNT}`);
+  }
+  return value;
+}
+
+// Validates a report from a bot
+function normalizeReport(body) {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+    throw new TelemetryError('Telemetry must be a JSON object');
+  }
+  const report = {
+    requests: checkCount(body.requests, 'requests'),
+    errors: checkCount(body.errors, 'errors'),
+    gauges: {}
+  };
+
+  const gauges = body.gauges === undefined ? {} : body.gauges;
+  if (gauges === null || typeof gauges !== 'object' || Array.isArray(gauges)) {
+    throw new TelemetryError('gauges must be an object of name: number pairs');
+  }
+  const entries = Object.entries(gauges);
+  if (entries.length > MAX_GAUGES) {
+    throw new TelemetryError(`At most ${MAX_GAUGES} gauges can be reported at once`);
+  }
+  entries.forEach(([name, value]) => {
+    if (!GAUGE_NAME.test(name)) {
+      throw new TelemetryError(`Invalid gauge name: ${name}`);
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new TelemetryError(`Gauge ${name} must be a finite number`);
+    }
+    report.gauges[name] = value;
+  });
+  return report;
+}
+
+// The update that applies a report to the bot in one write
+function reportUpdate(report, at = new Date()) {
+  const $set = { lastActive: at, 'telemetry.lastReportAt': at };
+  Object.entries(report.gauges).forEach(([name, value]) => {
+    $set[`metrics.gauges.${name}`] = value;
+  });
+  const update = { $set };
+  if (report.requests || report.errors) {
+    update.$inc = { 'metrics.requests': report.requests, 'metrics.errors': report.errors };
+  }
+  return update;
+}
+
+module.exports = {
+  TELEMETRY_TOKEN_PREFIX,
+  TELEMETRY_RATE_LIMIT,
+  TelemetryError,
+  newTokenId,
+  signTelemetryToken,
+  parseTelemetryToken,
+  verifyTelemetryToken,
+  ensureTelemetryToken,
+  rotateTelemetryToken,
+  normalizeReport,
+  reportUpdate
+};
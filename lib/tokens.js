@@ -0,0 +1,43 @@
+// Ladybug Hosting v7 - JWT helpers
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+
+function getSecret() {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return process.env.JWT_SECRET;
+}
+
+function signAccessToken(user) {
+  return jwt.sign(
+    { sub: user._id.toString(), role: user.role, type: 'access' },
+    getSecret(),
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+function signRefreshToken(user) {
+  const jti = crypto.randomUUID();
+  const token = jwt.sign(
+    { sub: user._id.toString(), type: 'refresh' },
+    getSecret(),
+    { expiresIn: REFRESH_TOKEN_TTL, jwtid: jti }
+  );
+  const { exp } = jwt.decode(token);
+  return { token, jti, expiresAt: new Date(exp * 1000) };
+}
+
+// Throws if the token is invalid, expired or of the wrong type
+function verifyToken(token, type) {
+  const payload = jwt.verify(token, getSecret());
+  if (payload.type !== type) {
+    throw new Error(`Expected ${type} token`);
+  }
+  return payload;
+}
+
+module.exports = { signAccessToken, signRefreshToken, verifyToken };
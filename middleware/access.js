@@ -0,0 +1,80 @@
+// Ladybug Hosting v7 - Organization access checks
+const mongoose = require('mongoose');
+const Bot = require('../models/Bot');
+const Organization = require('../models/Organization');
+const { can } = require('../lib/permissions');
+
+// Bots created before organizations existed are only visible to their owner
+async function getBotRole(user, bot) {
+  if (!bot.org) {
+    return bot.owner && bot.owner.toString() === user._id.toString() ? 'owner' : null;
+  }
+  const org = await Organization.findById(bot.org);
+  return org ? org.getRole(user._id) : null;
+}
+
+// Mongo filter matching every bot the user can see
+async function accessibleBotFilter(user) {
+  const orgs = await Organization.find({ 'members.user': user._id }).select('_id');
+  return {
+    $or: [
+      { org: { $in: orgs.map(org => org._id) } },
+      { owner: user._id, org: null }
+    ]
+  };
+}
+
+function forbidden(res, role, action) {
+  return res.status(403).json({
+    error: `The ${role} role cannot perform ${action}`,
+    code: 'FORBIDDEN',
+    role,
+    action
+  });
+}
+
+// Loads req.params.id into req.bot after checking the caller's role in its organization
+function loadBot(action) {
+  return async (req, res, next) => {
+    try {
+      const bot = mongoose.isValidObjectId(req.params.id) && await Bot.findById(req.params.id);
+      const role = bot && await getBotRole(req.user, bot);
+      if (!role) {
+        return res.status(404).json({ error: 'Bot not found' });
+      }
+      if (!can(role, action)) {
+        return forbidden(res, role, action);
+      }
+
+      req.bot = bot;
+      req.orgRole = role;
+      next();
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  };
+}
+
+// Loads req.params.orgId into req.org after checking the caller's role
+function loadOrg(action) {
+  return async (req, res, next) => {
+    try {
+      const org = await Organization.findById(req.params.orgId);
+      const role = org && org.getRole(req.user._id);
+      if (!role) {
+        return res.status(404).json({ error: 'Organization not found' });
+      }
+      if (!can(role, action)) {
+        return forbidden(res, role, action);
+      }
+
+      req.org = org;
+      req.orgRole = role;
+      next();
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  };
+}
+
+module.exports = { getBotRole, accessibleBotFilter, loadBot, loadOrg, forbidden };
@@ -0,0 +1,108 @@
+// Ladybug Hosting v7 - Authentication Middleware
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const { verifyToken } = require('../lib/tokens');
+
+// Accepts `Bearer <jwt>`, `Bearer <api key>` and `ApiKey <api key>`
+function getCredentials(header) {
+  if (!header) return null;
+  const [scheme, token] = header.split(' ');
+  if (!token) return null;
+
+  if (scheme === 'ApiKey' || (scheme === 'Bearer' && ApiKey.isApiKey(token))) {
+    return { type: 'apiKey', token };
+  }
+  if (scheme === 'Bearer') {
+    return { type: 'jwt', token };
+  }
+  return null;
+}
+
+async function authenticateApiKey(token, req, res, next) {
+  const apiKey = await ApiKey.verify(token);
+  const user = apiKey && await User.findById(apiKey.owner);
+  if (!user) {
+    return res.status(401).json({ error: 'Invalid, revoked or expired API key' });
+  }
+
+  req.user = user;
+  req.apiKey = apiKey;
+
+  // Usage tracking must never hold up the request
+  ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() }).catch(() => {});
+  next();
+}
+
+async function authenticate(req, res, next) {
+  const credentials = getCredentials(req.headers.authorization);
+  if (!credentials) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  try {
+    if (credentials.type === 'apiKey') {
+      return await authenticateApiKey(credentials.token, req, res, next);
+    }
+
+    const payload = verifyToken(credentials.token, 'access');
+    const user = await User.findById(payload.sub);
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid or expired token' });
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    res.status(401).json({ error: 'Invalid or expired token' });
+  }
+}
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user || req.user.role !== role) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    next();
+  };
+}
+
+// Logged-in users have every scope; API keys only the scopes they were issued with
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (req.apiKey && !req.apiKey.scopes.includes(scope)) {
+      return res.status(403).json({ error: `API key is missing the "${scope}" scope`, code: 'SCOPE_REQUIRED', scope });
+    }
+    next();
+  };
+}
+
+// For routes that must not be reachable with an API key at all (e.g. managing keys)
+function requireSession(req, res, next) {
+  if (req.apiKey) {
+    return res.status(403).json({ error: 'This endpoint requires an interactive login' });
+  }
+  next();
+}
+
+// Socket.IO handshake check; the access token is passed as `auth.token`
+async function authenticateSocket(socket, next) {
+  try {
+    const payload = verifyToken(socket.handshake.auth?.token, 'access');
+    const user = await User.findById(payload.sub);
+    if (!user) {
+      return next(new Error('Authentication required'));
+    }
+    socket.user = user;
+    next();
+  } catch (error) {
+    next(new Error('Authentication required'));
+  }
+}
+
+module.exports = {
+  authenticate,
+  requireRole,
+  requireScope,
+  requireSession,
+  authenticateSocket,
+  getCredentials
+};
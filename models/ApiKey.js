@@ -0,0 +1,70 @@
+// Ladybug Hosting v7 - API Key Model
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS, 10) || 12;
+const KEY_PREFIX = 'lbk';
+
+const SCOPES = ['bots:read', 'bots:write', 'servers:read', 'quota:read'];
+
+const ApiKeySchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  name: { type: String, required: true, trim: true },
+  // Public identifier embedded in the key, used to look up the hash
+  keyId: { type: String, required: true, unique: true },
+  keyHash: { type: String, required: true },
+  scopes: { type: [String], enum: SCOPES, required: true },
+  expiresAt: { type: Date },
+  lastUsedAt: { type: Date },
+  revokedAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+ApiKeySchema.statics.isApiKey = function (token) {
+  return typeof token === 'string' && token.startsWith(`${KEY_PREFIX}_`);
+};
+
+// Creates the key document and returns the plaintext key, which is never stored
+ApiKeySchema.statics.generate = async function ({ owner, name, scopes, expiresAt }) {
+  const keyId = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+  const plaintext = `${KEY_PREFIX}_${keyId}_${secret}`;
+
+  const apiKey = new this({
+    owner,
+    name,
+    keyId,
+    keyHash: await bcrypt.hash(plaintext, BCRYPT_ROUNDS),
+    scopes,
+    expiresAt
+  });
+  await apiKey.save();
+
+  return { apiKey, plaintext };
+};
+
+// Resolves a plaintext key to an active ApiKey document, or null
+ApiKeySchema.statics.verify = async function (plaintext) {
+  const [, keyId] = plaintext.split('_');
+  if (!keyId) return null;
+
+  const apiKey = await this.findOne({ keyId, revokedAt: null });
+  if (!apiKey) return null;
+  if (apiKey.expiresAt && apiKey.expiresAt.getTime() <= Date.now()) return null;
+  if (!(await bcrypt.compare(plaintext, apiKey.keyHash))) return null;
+
+  return apiKey;
+};
+
+ApiKeySchema.methods.toJSON = function () {
+  const apiKey = this.toObject();
+  delete apiKey.keyHash;
+  delete apiKey.__v;
+  return apiKey;
+};
+
+const ApiKey = mongoose.models.ApiKey || mongoose.model('ApiKey', ApiKeySchema);
+ApiKey.SCOPES = SCOPES;
+
+module.exports = ApiKey;
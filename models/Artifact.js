@@ -0,0 +1,28 @@
+// Ladybug Hosting v7 - Artifact Model (uploaded bot code bundles)
+const mongoose = require('mongoose');
+
+const ArtifactSchema = new mongoose.Schema({
+  bot: { type: mongoose.Schema.Types.ObjectId, ref: 'Bot', required: true },
+  version: { type: Number, required: true },
+  format: { type: String, enum: ['zip', 'tar.gz'], required: true },
+  filename: { type: String },
+  size: { type: Number, required: true },
+  extractedSize: { type: Number, required: true },
+  fileCount: { type: Number, required: true },
+  sha256: { type: String, required: true },
+  // Directory the bot runs from (the extracted bundle root)
+  path: { type: String, required: true },
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+ArtifactSchema.index({ bot: 1, version: -1 }, { unique: true });
+
+ArtifactSchema.methods.toJSON = function () {
+  const artifact = this.toObject();
+  delete artifact.path;
+  delete artifact.__v;
+  return artifact;
+};
+
+module.exports = mongoose.models.Artifact || mongoose.model('Artifact', ArtifactSchema);
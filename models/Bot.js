@@ -0,0 +1,199 @@
+// Ladybug Hosting v7 - Bot Model (shared by server and worker)
+const mongoose = require('mongoose');
+const BotEvent = require('./BotEvent');
+const { isSensitiveConfigKey } = require('../lib/secrets');
+const { getBotType } = require('../lib/plugins');
+const { BOT_STATES, SYSTEM_ACTOR, BotStateError, assertTransition, statesLeadingTo } = require('../lib/botStates');
+
+const BotSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  type: { type: String, required: true },
+  status: { type: String, enum: BOT_STATES, default: 'idle' },
+  statusChangedAt: { type: Date, default: Date.now, index: true },
+  serverId: { type: String, required: true },
+  // Placement request the bot was deployed with (see lib/placement.js)
+  placement: {
+    strategy: { type: String },
+    region: { type: String },
+    group: { type: String },
+    labels: { type: Object }
+  },
+  // Memory and CPU the bot is scheduled with and limited to (see lib/resources.js)
+  resources: {
+    requests: {
+      memoryMB: { type: Number },
+      cpuShares: { type: Number }
+    },
+    limits: {
+      memoryMB: { type: Number },
+      cpuShares: { type: Number }
+    }
+  },
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+  // Bots without an organization predate organizations and stay owner-only
+  org: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', index: true },
+  config: { type: Object, default: {} },
+  // Revision number of `config` in the bot's BotRevision history
+  configRevision: { type: Number },
+  createdAt: { type: Date, default: Date.now },
+  lastActive: { type: Date, default: Date.now },
+  metrics: {
+    uptime: { type: Number, default: 0 },
+    requests: { type: Number, default: 0 },
+    errors: { type: Number, default: 0 },
+    // Latest value of each custom gauge the bot reported
+    gauges: { type: Object }
+  },
+  // Ingest token of POST /api/telemetry (see lib/telemetry.js)
+  telemetry: {
+    tokenId: { type: String, unique: true, sparse: true },
+    tokenIssuedAt: { type: Date },
+    lastReportAt: { type: Date }
+  },
+  // When the Bot Manager restarts the bot by itself (see lib/restartPolicy.js); unset
+  // settings follow the platform defaults
+  restartPolicy: {
+    policy: { type: String, enum: ['always', 'on-failure', 'never'] },
+    maxRetries: { type: Number },
+    backoffMs: { type: Number },
+    maxBackoffMs: { type: Number }
+  },
+  // Liveness and readiness probes the bot declared (see lib/probes.js)
+  probes: {
+    liveness: { type: Object },
+    readiness: { type: Object }
+  },
+  // Latest probe results of the running process, maintained by the Bot Manager
+  health: {
+    // Whether the readiness probe passes; true for running bots without one
+    ready: { type: Boolean },
+    liveness: { type: Object },
+    readiness: { type: Object }
+  },
+  // Automatic restarts in a row and the next one, if scheduled; reset by any lifecycle action
+  restarts: {
+    count: { type: Number, default: 0 },
+    lastAt: { type: Date },
+    nextAt: { type: Date, index: true }
+  },
+  // Lifecycle action requested over the API and waiting for the Bot Manager
+  pendingAction: { type: String, enum: ['stop', 'restart', 'pause', 'resume'] },
+  pendingActionAt: { type: Date },
+  // Process state, maintained by the Bot Manager
+  pid: { type: Number },
+  startedAt: { type: Date },
+  exitCode: { type: Number },
+  exitSignal: { type: String },
+  lastError: { type: String },
+  // Git repository the bot is deployed from (see lib/gitSource.js)
+  source: {
+    repoUrl: { type: String },
+    ref: { type: String },
+    subdir: { type: String },
+    // Commit the ref resolved to; restarts check out exactly this commit
+    commit: { type: String },
+    fetchedAt: { type: Date },
+    redeployRequestedAt: { type: Date }
+  },
+  // Uploaded bundle the bot runs from (see lib/artifacts.js)
+  artifact: {
+    artifactId: { type: mongoose.Schema.Types.ObjectId, ref: 'Artifact' },
+    version: { type: Number },
+    sha256: { type: String },
+    path: { type: String }
+  }
+});
+
+// Anti-affinity counts the bots of a group per server
+BotSchema.index({ org: 1, 'placement.group': 1 });
+
+// The status as stored, which a save may only change along a legal transition
+BotSchema.post('init', function () {
+  this.$locals.storedStatus = this.status;
+});
+
+// Cause, actor and detail to record with the status change the next save makes
+BotSchema.methods.describeTransition = function (cause, actor, detail) {
+  this.$locals.transition = { cause, actor, detail };
+  return this;
+};
+
+// The server relays status changes to dashboards by polling statusChangedAt
+BotSchema.pre('save', function (next) {
+  const from = this.isNew ? undefined : this.$locals.storedStatus;
+  if (!this.isNew && (!this.isModified('status') || from === this.status)) {
+    return next();
+  }
+  if (!this.isNew) {
+    try {
+      assertTransition(from, this.status);
+    } catch (error) {
+      return next(error);
+    }
+    // Only if nobody else (e.g. the Bot Manager) changed the status since it was loaded
+    this.$where = { ...this.$where, status: from };
+  }
+
+  const { cause = this.isNew ? 'deploy' : 'update', actor = SYSTEM_ACTOR, detail } = this.$locals.transition || {};
+  this.statusChangedAt = new Date();
+  this.$locals.event = { from, to: this.status, cause, actor, detail, at: this.statusChangedAt };
+  next();
+});
+
+BotSchema.post('save', async function () {
+  const event = this.$locals.event;
+  this.$locals.storedStatus = this.status;
+  this.$locals.transition = undefined;
+  this.$locals.event = undefined;
+  if (event) {
+    await BotEvent.create({ bot: this._id, ...event });
+  }
+});
+
+BotSchema.post('save', function (error, doc, next) {
+  if (error.name === 'DocumentNotFoundError' && this.$locals.event) {
+    this.$locals.event = undefined;
+    return next(new BotStateError(`The bot is no longer ${this.$locals.storedStatus}, reload it and try again`));
+  }
+  next(error);
+});
+
+// Moves a bot to `status` if that is a legal step from its current status, together
+// with `update`, and records the change. `from` narrows the statuses to move from and
+// `filter` adds further conditions. Staying in `status` is allowed and not recorded.
+// Resolves to the previous status, or null when the bot was not in a status to move from.
+BotSchema.statics.transition = async function (botId, status, {
+  from, filter = {}, update = {}, cause, actor = SYSTEM_ACTOR, detail
+} = {}) {
+  const allowed = [status, ...statesLeadingTo(status)]
+    .filter(state => !from || [].concat(from).includes(state));
+  const at = new Date();
+  const previous = await this.findOneAndUpdate(
+    { ...filter, _id: botId, status: { $in: allowed } },
+    { ...update, $set: { ...update.$set, status, statusChangedAt: at } },
+    { new: false, projection: { status: 1 } }
+  );
+  if (!previous) {
+    return null;
+  }
+  if (previous.status !== status) {
+    await BotEvent.create({ bot: botId, from: previous.status, to: status, cause, actor, detail, at });
+  }
+  return previous.status;
+};
+
+// Credentials still in the config of bots created before the secret store are never sent out
+BotSchema.methods.toJSON = function () {
+  const bot = this.toObject();
+  if (bot.config) {
+    const botType = getBotType(bot.type);
+    Object.keys(bot.config).forEach(key => {
+      if (isSensitiveConfigKey(key, botType && botType.configSchema)) {
+        bot.config[key] = '********';
+      }
+    });
+  }
+  return bot;
+};
+
+module.exports = mongoose.models.Bot || mongoose.model('Bot', BotSchema);
@@ -0,0 +1,26 @@
+// Ladybug Hosting v7 - Bot Event Model (one record per status change, see lib/botStates.js)
+const mongoose = require('mongoose');
+
+const EVENT_RETENTION_DAYS = parseInt(process.env.EVENT_RETENTION_DAYS, 10) || 90;
+
+const BotEventSchema = new mongoose.Schema({
+  bot: { type: mongoose.Schema.Types.ObjectId, ref: 'Bot', required: true, immutable: true },
+  // Unset for the status a bot was deployed with
+  from: { type: String, immutable: true },
+  to: { type: String, required: true, immutable: true },
+  // What made the status change, e.g. `deploy`, `action:stop` or `process-exited`
+  cause: { type: String, required: true, immutable: true },
+  // Further detail such as the exit code or error message
+  detail: { type: String, immutable: true },
+  actor: {
+    kind: { type: String, enum: ['user', 'bot-manager', 'system'], required: true, immutable: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', immutable: true },
+    apiKey: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiKey', immutable: true }
+  },
+  at: { type: Date, default: Date.now, immutable: true }
+});
+
+BotEventSchema.index({ bot: 1, at: -1 });
+BotEventSchema.index({ at: 1 }, { expireAfterSeconds: EVENT_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.models.BotEvent || mongoose.model('BotEvent', BotEventSchema);
@@ -0,0 +1,22 @@
+// Ladybug Hosting v7 - Bot Log Model (stdout/stderr lines captured by the Bot Manager)
+const mongoose = require('mongoose');
+
+const LOG_RETENTION_DAYS = parseInt(process.env.LOG_RETENTION_DAYS, 10) || 7;
+
+const BotLogSchema = new mongoose.Schema({
+  bot: { type: mongoose.Schema.Types.ObjectId, ref: 'Bot', required: true },
+  stream: { type: String, enum: ['stdout', 'stderr', 'system'], required: true },
+  line: { type: String, required: true },
+  // When the worker read the line, not when it was stored
+  createdAt: { type: Date, default: Date.now }
+});
+
+BotLogSchema.index({ bot: 1, createdAt: -1 });
+BotLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: LOG_RETENTION_DAYS * 24 * 60 * 60 });
+
+BotLogSchema.methods.toJSON = function () {
+  const { _id, stream, line, createdAt } = this.toObject();
+  return { _id, stream, line, createdAt };
+};
+
+module.exports = mongoose.models.BotLog || mongoose.model('BotLog', BotLogSchema);
@@ -0,0 +1,25 @@
+// Ladybug Hosting v7 - Bot Config Revision Model (one immutable record per config change)
+const mongoose = require('mongoose');
+
+const ChangeSchema = new mongoose.Schema({
+  path: { type: String, required: true },
+  op: { type: String, enum: ['add', 'remove', 'change'], required: true },
+  from: { type: mongoose.Schema.Types.Mixed },
+  to: { type: mongoose.Schema.Types.Mixed }
+}, { _id: false });
+
+const BotRevisionSchema = new mongoose.Schema({
+  bot: { type: mongoose.Schema.Types.ObjectId, ref: 'Bot', required: true, immutable: true },
+  revision: { type: Number, required: true, immutable: true },
+  // Full config as of this revision (credentials live in the secret store, not here)
+  config: { type: mongoose.Schema.Types.Mixed, default: {}, immutable: true },
+  diff: { type: [ChangeSchema], default: [], immutable: true },
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', immutable: true },
+  // Set when the revision restores the config of an earlier one
+  rollbackOf: { type: Number, immutable: true },
+  createdAt: { type: Date, default: Date.now, immutable: true }
+});
+
+BotRevisionSchema.index({ bot: 1, revision: -1 }, { unique: true });
+
+module.exports = mongoose.models.BotRevision || mongoose.model('BotRevision', BotRevisionSchema);
@@ -0,0 +1,24 @@
+// Ladybug Hosting v7 - Bot Secret Model (values encrypted at rest, see lib/secrets.js)
+const mongoose = require('mongoose');
+
+const BotSecretSchema = new mongoose.Schema({
+  bot: { type: mongoose.Schema.Types.ObjectId, ref: 'Bot', required: true },
+  // Environment variable name the value is exposed as
+  name: { type: String, required: true },
+  ciphertext: { type: String, required: true },
+  iv: { type: String, required: true },
+  authTag: { type: String, required: true },
+  // Fingerprint of the master key the value was encrypted with
+  keyId: { type: String, required: true },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+BotSecretSchema.index({ bot: 1, name: 1 }, { unique: true });
+
+// Secrets are write-only: only the name and when it last changed ever leave the server
+BotSecretSchema.methods.toJSON = function () {
+  return { name: this.name, updatedBy: this.updatedBy, updatedAt: this.updatedAt };
+};
+
+module.exports = mongoose.models.BotSecret || mongoose.model('BotSecret', BotSecretSchema);
@@ -0,0 +1,62 @@
+// Ladybug Hosting v7 - Job Model (lifecycle operations queued for the Bot Manager, see lib/jobQueue.js)
+const mongoose = require('mongoose');
+
+const JOB_RETENTION_DAYS = parseInt(process.env.JOB_RETENTION_DAYS, 10) || 7;
+
+const JobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['deploy', 'start', 'stop', 'restart', 'pause', 'resume', 'migrate'],
+    required: true,
+    immutable: true
+  },
+  // The bot the job acts on, with its owner and organization for access checks
+  bot: { type: mongoose.Schema.Types.ObjectId, ref: 'Bot', index: true, immutable: true },
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', immutable: true },
+  org: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', immutable: true },
+  // The server a `migrate` job moves bots off
+  serverId: { type: String, immutable: true },
+  payload: { type: Object, default: {} },
+  // At most one open job per key, e.g. one start per bot
+  key: { type: String },
+  // `dead` jobs failed for good: out of attempts, or with an error retrying cannot fix
+  status: { type: String, enum: ['queued', 'running', 'succeeded', 'dead'], default: 'queued' },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, required: true },
+  // Not picked up before this time (retry backoff)
+  runAt: { type: Date, default: Date.now },
+  // The worker running the job; once `expiresAt` passes without a renewal the job is
+  // visible to workers again, as the one holding it is assumed dead
+  lease: {
+    owner: { type: String },
+    expiresAt: { type: Date }
+  },
+  progress: { type: Object },
+  result: { type: Object },
+  lastError: { type: String },
+  failures: [{
+    _id: false,
+    attempt: { type: Number },
+    error: { type: String },
+    at: { type: Date }
+  }],
+  actor: {
+    kind: { type: String, enum: ['user', 'bot-manager', 'system'] },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    apiKey: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiKey' }
+  },
+  createdAt: { type: Date, default: Date.now, immutable: true },
+  updatedAt: { type: Date, default: Date.now },
+  startedAt: { type: Date },
+  finishedAt: { type: Date }
+});
+
+JobSchema.index({ status: 1, runAt: 1 });
+JobSchema.index({ status: 1, 'lease.expiresAt': 1 });
+// At most one open job per key (see enqueueJob)
+JobSchema.index({ key: 1 }, { unique: true, partialFilterExpression: { status: { $in: ['queued', 'running'] } } });
+// Migration progress relayed to dashboards by the API servers
+JobSchema.index({ type: 1, updatedAt: 1 });
+JobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: JOB_RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.models.Job || mongoose.model('Job', JobSchema);
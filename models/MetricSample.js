@@ -0,0 +1,64 @@
+// Ladybug Hosting v7 - Metric Sample Models (bot and server time series, see lib/metrics.js)
+//
+// Samples are kept at three steps, each in its own time-series collection with its own
+// retention: the Bot Manager records `1m` samples and rolls them up into `1h` and `1d` ones.
+const mongoose = require('mongoose');
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+const METRIC_STEPS = {
+  '1m': {
+    ms: 60 * 1000,
+    unit: 'minute',
+    granularity: 'minutes',
+    retentionDays: parseInt(process.env.METRICS_1M_RETENTION_DAYS, 10) || 2
+  },
+  '1h': {
+    ms: 60 * 60 * 1000,
+    unit: 'hour',
+    granularity: 'hours',
+    retentionDays: parseInt(process.env.METRICS_1H_RETENTION_DAYS, 10) || 90
+  },
+  '1d': {
+    ms: DAY_SECONDS * 1000,
+    unit: 'day',
+    granularity: 'hours',
+    retentionDays: parseInt(process.env.METRICS_1D_RETENTION_DAYS, 10) || 730
+  }
+};
+
+function createSchema({ granularity, retentionDays }) {
+  const schema = new mongoose.Schema({
+    // Start of the step the sample covers
+    at: { type: Date, required: true },
+    source: {
+      kind: { type: String, enum: ['bot', 'server'], required: true },
+      id: { type: String, required: true }
+    },
+    // Bots
+    up: { type: Number },
+    // Bots and servers; counted within the step
+    requests: { type: Number },
+    errors: { type: Number },
+    // Servers
+    bots: { type: Number },
+    activeBots: { type: Number },
+    load: { type: Number },
+    memoryUsage: { type: Number }
+  }, {
+    timeseries: { timeField: 'at', metaField: 'source', granularity },
+    expireAfterSeconds: retentionDays * DAY_SECONDS,
+    versionKey: false
+  });
+
+  schema.index({ 'source.kind': 1, 'source.id': 1, at: 1 });
+  return schema;
+}
+
+const MetricSamples = {};
+Object.entries(METRIC_STEPS).forEach(([step, options]) => {
+  const name = `MetricSample${step}`;
+  MetricSamples[step] = mongoose.models[name] || mongoose.model(name, createSchema(options), `metrics_${step}`);
+});
+
+module.exports = { METRIC_STEPS, MetricSamples };
@@ -0,0 +1,57 @@
+// Ladybug Hosting v7 - Organization Model
+const mongoose = require('mongoose');
+const { ROLES } = require('../lib/permissions');
+
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const OrganizationSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  // Every user gets one personal organization for their own bots
+  personal: { type: Boolean, default: false },
+  members: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    role: { type: String, enum: ROLES, required: true },
+    joinedAt: { type: Date, default: Date.now }
+  }],
+  invites: [{
+    username: { type: String, required: true, lowercase: true, trim: true },
+    role: { type: String, enum: ROLES, required: true },
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, default: () => new Date(Date.now() + INVITE_TTL_MS) }
+  }],
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+OrganizationSchema.index({ 'members.user': 1 });
+OrganizationSchema.index({ 'invites.username': 1 });
+
+OrganizationSchema.statics.findOrCreatePersonal = async function (user) {
+  const existing = await this.findOne({ personal: true, createdBy: user._id });
+  if (existing) return existing;
+
+  return this.create({
+    name: `${user.username}'s workspace`,
+    personal: true,
+    createdBy: user._id,
+    members: [{ user: user._id, role: 'owner' }]
+  });
+};
+
+OrganizationSchema.statics.findForUser = function (userId) {
+  return this.find({ 'members.user': userId }).sort({ personal: -1, createdAt: 1 });
+};
+
+OrganizationSchema.methods.getRole = function (userId) {
+  const member = this.members.find(m => m.user.toString() === userId.toString());
+  return member ? member.role : null;
+};
+
+OrganizationSchema.methods.ownerCount = function () {
+  return this.members.filter(m => m.role === 'owner').length;
+};
+
+const Organization = mongoose.models.Organization || mongoose.model('Organization', OrganizationSchema);
+
+module.exports = Organization;
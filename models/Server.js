@@ -0,0 +1,106 @@
+// Ladybug Hosting v7 - Server Model (the pool of nodes bots are placed on)
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS, 10) || 12;
+const TOKEN_PREFIX = 'lbn';
+
+const ServerSchema = new mongoose.Schema({
+  // Human-chosen id such as `server-1`; bots reference it as `Bot.serverId`
+  _id: { type: String },
+  name: { type: String, required: true, trim: true },
+  region: { type: String, required: true, trim: true },
+  capacity: { type: Number, required: true, min: 1, default: 100 },
+  // Offline servers keep their bots but receive no new ones
+  status: { type: String, enum: ['online', 'offline'], default: 'online' },
+  // Draining servers get no new bots and have their bots moved elsewhere
+  draining: { type: Boolean, default: false },
+  // Bots placed on the server, kept up to date with atomic increments by every API instance
+  activeBots: { type: Number, default: 0, min: 0 },
+  // Memory and CPU shares the server offers bots; servers without them are limited by bot count only
+  resources: {
+    memoryMB: { type: Number, min: 1 },
+    cpuShares: { type: Number, min: 1 }
+  },
+  // Sum of the resource requests of the bots placed on the server, maintained like activeBots
+  allocated: {
+    memoryMB: { type: Number, default: 0 },
+    cpuShares: { type: Number, default: 0 }
+  },
+  // Free-form `key: value` pairs that bots can require at deploy (e.g. `gpu: "true"`)
+  labels: { type: Map, of: String, default: {} },
+  // Node token the server's agent authenticates with (see workers/nodeAgent.js)
+  tokenId: { type: String, unique: true, sparse: true },
+  tokenHash: { type: String },
+  tokenIssuedAt: { type: Date },
+  // Reported by the agent; servers with an agent go offline when it stops heartbeating
+  agent: {
+    hostname: { type: String },
+    version: { type: String },
+    registeredAt: { type: Date }
+  },
+  lastHeartbeatAt: { type: Date },
+  // Load figures from the latest heartbeat
+  stats: { type: mongoose.Schema.Types.Mixed },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+ServerSchema.pre('save', function (next) {
+  this.updatedAt = new Date();
+  next();
+});
+
+// Replaces the server's node token and returns the plaintext, which is never stored
+ServerSchema.methods.issueToken = async function () {
+  const tokenId = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+  const plaintext = `${TOKEN_PREFIX}_${tokenId}_${secret}`;
+
+  this.tokenId = tokenId;
+  this.tokenHash = await bcrypt.hash(plaintext, BCRYPT_ROUNDS);
+  this.tokenIssuedAt = new Date();
+  await this.save();
+
+  return plaintext;
+};
+
+// Resolves a plaintext node token to its Server document, or null
+ServerSchema.statics.verifyToken = async function (plaintext) {
+  if (typeof plaintext !== 'string' || !plaintext.startsWith(`${TOKEN_PREFIX}_`)) return null;
+  const [, tokenId] = plaintext.split('_');
+  if (!tokenId) return null;
+
+  const server = await this.findOne({ tokenId });
+  if (!server || !(await bcrypt.compare(plaintext, server.tokenHash))) return null;
+
+  return server;
+};
+
+ServerSchema.methods.toJSON = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    region: this.region,
+    capacity: this.capacity,
+    activeBots: this.activeBots,
+    resources: this.resources && this.resources.memoryMB
+      ? { memoryMB: this.resources.memoryMB, cpuShares: this.resources.cpuShares }
+      : undefined,
+    allocated: { memoryMB: this.allocated.memoryMB, cpuShares: this.allocated.cpuShares },
+    status: this.status,
+    draining: this.draining,
+    labels: Object.fromEntries(this.labels || []),
+    tokenIssuedAt: this.tokenIssuedAt,
+    agent: this.agent && this.agent.registeredAt
+      ? { hostname: this.agent.hostname, version: this.agent.version, registeredAt: this.agent.registeredAt }
+      : undefined,
+    lastHeartbeatAt: this.lastHeartbeatAt,
+    stats: this.stats,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.models.Server || mongoose.model('Server', ServerSchema);
@@ -0,0 +1,49 @@
+// Ladybug Hosting v7 - User Model
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const BCRYPT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS, 10) || 12;
+
+const UserSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true, trim: true, lowercase: true },
+  email: { type: String, trim: true, lowercase: true },
+  passwordHash: { type: String, required: true },
+  role: { type: String, enum: ['user', 'admin'], default: 'user' },
+  plan: { type: String, enum: ['free', 'pro', 'enterprise'], default: 'free' },
+  // Per-user overrides of the plan limits; unset fields fall back to the plan
+  quota: {
+    maxBots: { type: Number, min: 0 },
+    botTypes: { type: [String], default: undefined },
+    regions: { type: [String], default: undefined }
+  },
+  // Bots the user owns, counted when a deploy reserves a slot and when a bot is deleted
+  // (see reserveBotSlot in lib/quota.js); unset for users from before the counter
+  usage: {
+    bots: { type: Number, min: 0 }
+  },
+  // Outstanding refresh tokens, identified by their jti claim
+  refreshTokens: [{
+    jti: { type: String, required: true },
+    expiresAt: { type: Date, required: true }
+  }],
+  createdAt: { type: Date, default: Date.now },
+  lastLogin: { type: Date }
+});
+
+UserSchema.methods.setPassword = async function (password) {
+  this.passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+};
+
+UserSchema.methods.verifyPassword = function (password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+UserSchema.methods.toJSON = function () {
+  const user = this.toObject();
+  delete user.passwordHash;
+  delete user.refreshTokens;
+  delete user.__v;
+  return user;
+};
+
+module.exports = mongoose.models.User || mongoose.model('User', UserSchema);
@@ -0,0 +1,13 @@
+// Ladybug Hosting v7 - Custom bot type (see lib/plugins.js)
+module.exports = {
+  type: 'custom',
+  name: 'Custom Bot',
+  description: 'Any program; declare probes to have it health checked',
+  configSchema: {
+    command: { type: 'string', description: 'Shell command that starts the bot' }
+  },
+  startCommand: ['node', 'index.js'],
+  form: {
+    command: { label: 'Start Command', placeholder: 'npm start', help: 'Defaults to npm start or node index.js' }
+  }
+};
@@ -0,0 +1,21 @@
+// Ladybug Hosting v7 - Discord bot type (see lib/plugins.js)
+module.exports = {
+  type: 'discord',
+  name: 'Discord Bot',
+  description: 'A bot connected to the Discord gateway',
+  configSchema: {
+    token: { type: 'string', secret: true, description: 'Bot token from the Discord developer portal' },
+    prefix: { type: 'string', description: 'Prefix of text commands' },
+    adminRole: { type: 'string', description: 'Role allowed to run admin commands' },
+    channels: { type: 'array', items: 'string', description: 'Channels the bot listens in' }
+  },
+  startCommand: ['node', 'index.js'],
+  // Discord accepts the token and the gateway is open to the bot
+  healthCheck: { type: 'discord' },
+  form: {
+    token: { label: 'Bot Token', input: 'password', help: 'Stored encrypted as the BOT_TOKEN secret' },
+    prefix: { label: 'Command Prefix', placeholder: '!' },
+    adminRole: { label: 'Admin Role', placeholder: 'Admin' },
+    channels: { label: 'Channels', input: 'list', placeholder: 'general, bot-commands' }
+  }
+};
@@ -0,0 +1,16 @@
+// Ladybug Hosting v7 - System monitor bot type (see lib/plugins.js)
+module.exports = {
+  type: 'monitor',
+  name: 'System Monitor',
+  description: 'Watches system metrics and alerts when they cross thresholds',
+  configSchema: {
+    metrics: { type: 'array', items: 'string', description: 'Metrics to watch, e.g. cpu, memory, disk, network' },
+    thresholds: { type: 'object', description: 'Alert threshold in percent per metric' },
+    alertEmail: { type: 'string', description: 'Address alerts are sent to' }
+  },
+  startCommand: ['node', 'index.js'],
+  form: {
+    metrics: { label: 'Metrics', input: 'list', placeholder: 'cpu, memory, disk, network' },
+    alertEmail: { label: 'Alert Email', placeholder: 'admin@example.com' }
+  }
+};
@@ -0,0 +1,19 @@
+// Ladybug Hosting v7 - Telegram bot type (see lib/plugins.js)
+module.exports = {
+  type: 'telegram',
+  name: 'Telegram Bot',
+  description: 'A bot on the Telegram Bot API',
+  configSchema: {
+    token: { type: 'string', secret: true, description: 'Bot token from @BotFather' },
+    webhookUrl: { type: 'string', description: 'Public URL for webhook updates instead of long polling' },
+    allowedUpdates: { type: 'array', items: 'string', description: 'Update types the bot receives' }
+  },
+  startCommand: ['node', 'index.js'],
+  // Telegram's getMe answers for the token
+  healthCheck: { type: 'telegram' },
+  form: {
+    token: { label: 'Bot Token', input: 'password', help: 'Stored encrypted as the BOT_TOKEN secret' },
+    webhookUrl: { label: 'Webhook URL', placeholder: 'Leave empty for long polling' },
+    allowedUpdates: { label: 'Allowed Updates', input: 'list', placeholder: 'message, callback_query' }
+  }
+};
@@ -0,0 +1,18 @@
+// Ladybug Hosting v7 - Web scraper bot type (see lib/plugins.js)
+module.exports = {
+  type: 'web',
+  name: 'Web Scraper',
+  description: 'Fetches a page on an interval and extracts content with CSS selectors',
+  configSchema: {
+    targetUrl: { type: 'string', required: true, description: 'Page to scrape' },
+    selectors: { type: 'object', description: 'Named CSS selectors to extract' },
+    interval: { type: 'integer', description: 'Milliseconds between runs' },
+    outputFormat: { type: 'string', enum: ['json', 'csv'], description: 'Format of the extracted data' }
+  },
+  startCommand: ['node', 'index.js'],
+  form: {
+    targetUrl: { label: 'Target URL', placeholder: 'https://example.com' },
+    interval: { label: 'Interval (ms)', input: 'number', placeholder: '3600000' },
+    outputFormat: { label: 'Output Format', input: 'select' }
+  }
+};
@@ -1,19 +1,182 @@
 // Ladybug Hosting v7 - Frontend Application
+
+// Lifecycle actions and the statuses they are offered in (mirrors lib/botActions.js)
+const BOT_ACTIONS = {
+    start: ['idle', 'stopped', 'error', 'oom_killed', 'crashloop', 'auth_failed'],
+    stop: ['starting', 'running', 'paused', 'error', 'oom_killed', 'crashloop', 'auth_failed'],
+    restart: ['running', 'paused', 'error', 'oom_killed', 'crashloop', 'auth_failed', 'stopped'],
+    pause: ['running'],
+    resume: ['paused']
+};
+
+// For text from the API (names, errors) that goes into innerHTML
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 class LadybugHosting {
     constructor() {
-        this.socket = io();
+        this.socket = null;
+        this.accessToken = localStorage.getItem('ladybugAccessToken');
+        this.refreshToken = localStorage.getItem('ladybugRefreshToken');
+        this.updatesStarted = false;
         this.currentSection = 'dashboard';
         this.bots = [];
         this.servers = [];
         this.stats = {};
+        this.quota = null;
+        this.apiKeys = [];
+        this.orgs = [];
+        this.invites = [];
+        this.botTypes = [];
+        this.orgFilter = '';
+        this.logBotId = null;
+        this.logLineIds = new Set();
         this.init();
     }
 
     init() {
         this.setupEventListeners();
+
+        if (this.accessToken) {
+            this.startSession();
+        } else {
+            openAuthModal();
+        }
+    }
+
+    startSession() {
+        // WebSocket only: API instances behind a load balancer do not share long-polling sessions
+        this.socket = io({ auth: { token: this.accessToken }, transports: ['websocket'] });
         this.setupSocketListeners();
         this.loadInitialData();
-        this.startRealTimeUpdates();
+
+        if (!this.updatesStarted) {
+            this.updatesStarted = true;
+            this.startRealTimeUpdates();
+        }
+    }
+
+    setTokens(accessToken, refreshToken) {
+        this.accessToken = accessToken;
+        this.refreshToken = refreshToken;
+        localStorage.setItem('ladybugAccessToken', accessToken);
+        localStorage.setItem('ladybugRefreshToken', refreshToken);
+    }
+
+    clearTokens() {
+        this.accessToken = null;
+        this.refreshToken = null;
+        localStorage.removeItem('ladybugAccessToken');
+        localStorage.removeItem('ladybugRefreshToken');
+    }
+
+    async authenticate(mode) {
+        const username = document.getElementById('auth-username').value;
+        const password = document.getElementById('auth-password').value;
+
+        try {
+            const response = await fetch(`/api/auth/${mode}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ username, password })
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                this.showError(data.error || 'Authentication failed');
+                return;
+            }
+
+            this.setTokens(data.accessToken, data.refreshToken);
+            closeAuthModal();
+            document.getElementById('auth-form').reset();
+            this.addActivityItem(`Signed in as ${data.user.username}`, 'online');
+            this.startSession();
+        } catch (error) {
+            console.error('Error authenticating:', error);
+            this.showError('Authentication failed');
+        }
+    }
+
+    async refreshSession() {
+        if (!this.refreshToken) return false;
+
+        try {
+            const response = await fetch('/api/auth/refresh', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ refreshToken: this.refreshToken })
+            });
+
+            if (!response.ok) return false;
+
+            const data = await response.json();
+            this.setTokens(data.accessToken, data.refreshToken);
+            if (this.socket) {
+                this.socket.auth.token = data.accessToken;
+            }
+            return true;
+        } catch (error) {
+            console.error('Error refreshing session:', error);
+            return false;
+        }
+    }
+
+    async logout() {
+        if (this.refreshToken) {
+            try {
+                await fetch('/api/auth/logout', {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify({ refreshToken: this.refreshToken })
+                });
+            } catch (error) {
+                console.error('Error logging out:', error);
+            }
+        }
+
+        this.clearTokens();
+        if (this.socket) {
+            this.socket.disconnect();
+            this.socket = null;
+        }
+        this.bots = [];
+        this.updateBotList();
+        openAuthModal();
+    }
+
+    // fetch() wrapper that sends the access token and retries once after a refresh
+    async apiFetch(url, options = {}) {
+        const request = () => fetch(url, {
+            ...options,
+            headers: {
+                ...(options.headers || {}),
+                'Authorization': `Bearer ${this.accessToken}`
+            }
+        });
+
+        let response = await request();
+        if (response.status === 401) {
+            if (await this.refreshSession()) {
+                response = await request();
+            } else {
+                this.clearTokens();
+                openAuthModal();
+            }
+        }
+        return response;
     }
 
     setupEventListeners() {
@@ -29,6 +192,41 @@ class LadybugHosting {
             this.saveSettings();
         });
 
+        // API key creation
+        document.getElementById('api-key-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createApiKey();
+        });
+
+        // Organizations
+        document.getElementById('org-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createOrg();
+        });
+
+        document.getElementById('invite-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.inviteMember();
+        });
+
+        // Config fields follow the selected bot type
+        document.getElementById('bot-type').addEventListener('change', () => {
+            this.renderBotTypeFields();
+        });
+
+        // Log viewer filter
+        document.getElementById('log-grep').addEventListener('change', () => {
+            if (this.logBotId) {
+                this.openLogs(this.logBotId);
+            }
+        });
+
+        // Login / registration
+        document.getElementById('auth-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.authenticate(e.submitter?.dataset.mode || 'login');
+        });
+
         // Modal close on outside click
         document.getElementById('bot-modal').addEventListener('click', (e) => {
             if (e.target.id === 'bot-modal') {
@@ -41,6 +239,9 @@ class LadybugHosting {
         this.socket.on('connect', () => {
             console.log('Connected to Ladybug Hosting server');
             this.addActivityItem('Connected to server', 'online');
+            if (this.logBotId) {
+                this.socket.emit('subscribeLogs', this.logBotId);
+            }
         });
 
         this.socket.on('disconnect', () => {
@@ -49,10 +250,23 @@ class LadybugHosting {
         });
 
         this.socket.on('botStatus', (data) => {
+            const bot = this.bots.find(b => b._id === data.botId);
+            if (bot && data.restarts) {
+                bot.restarts = data.restarts;
+            }
             this.updateBotStatus(data.botId, data.status);
         });
 
+        this.socket.on('botLog', (data) => {
+            if (data.botId === this.logBotId) {
+                this.appendLogLines(data.lines);
+            }
+        });
+
         this.socket.on('botDeleted', (data) => {
+            if (data.botId === this.logBotId) {
+                this.closeLogs();
+            }
             this.removeBotFromList(data.botId);
             this.addActivityItem(`Bot ${data.botId} deleted`, 'idle');
         });
@@ -60,14 +274,32 @@ class LadybugHosting {
         this.socket.on('serverUpdate', (data) => {
             this.updateServerStatus(data);
         });
+
+        // Progress of the migration job; moved bots show up on their new server once it is done
+        this.socket.on('serverMigration', (data) => {
+            if (data.jobStatus === 'succeeded') {
+                const failed = data.failed ? `, ${data.failed} could not be moved` : '';
+                this.addActivityItem(`Moved ${data.moved}/${data.total} bots off ${data.serverId}${failed}`, data.failed ? 'error' : 'online');
+                this.loadServers();
+                this.loadBots();
+            } else if (data.jobStatus === 'dead') {
+                this.addActivityItem(`Moving bots off ${data.serverId} failed`, 'error');
+                this.loadServers();
+            }
+        });
     }
 
     async loadInitialData() {
         try {
+            await this.loadOrgs();
             await Promise.all([
                 this.loadBots(),
+                this.loadBotTypes(),
                 this.loadServers(),
-                this.loadStats()
+                this.loadStats(),
+                this.loadQuota(),
+                this.loadApiKeys(),
+                this.loadInvites()
             ]);
         } catch (error) {
             console.error('Error loading initial data:', error);
@@ -77,7 +309,8 @@ class LadybugHosting {
 
     async loadBots() {
         try {
-            const response = await fetch('/api/bots');
+            const query = this.orgFilter ? `?org=${encodeURIComponent(this.orgFilter)}` : '';
+            const response = await this.apiFetch(`/api/bots${query}`);
             if (response.ok) {
                 this.bots = await response.json();
                 this.updateBotList();
@@ -88,9 +321,21 @@ class LadybugHosting {
         }
     }
 
+    async loadBotTypes() {
+        try {
+            const response = await this.apiFetch('/api/bot-types');
+            if (response.ok) {
+                this.botTypes = await response.json();
+                this.updateBotTypeSelect();
+            }
+        } catch (error) {
+            console.error('Error loading bot types:', error);
+        }
+    }
+
     async loadServers() {
         try {
-            const response = await fetch('/api/servers');
+            const response = await this.apiFetch('/api/servers');
             if (response.ok) {
                 this.servers = await response.json();
                 this.updateServerList();
@@ -101,6 +346,54 @@ class LadybugHosting {
         }
     }
 
+    async loadQuota() {
+        try {
+            const response = await this.apiFetch('/api/quota');
+            if (response.ok) {
+                this.quota = await response.json();
+                this.updateQuotaDisplay();
+            }
+        } catch (error) {
+            console.error('Error loading quota:', error);
+        }
+    }
+
+    async loadOrgs() {
+        try {
+            const response = await this.apiFetch('/api/orgs');
+            if (response.ok) {
+                this.orgs = await response.json();
+                this.updateOrgList();
+            }
+        } catch (error) {
+            console.error('Error loading organizations:', error);
+        }
+    }
+
+    async loadInvites() {
+        try {
+            const response = await this.apiFetch('/api/orgs/invites');
+            if (response.ok) {
+                this.invites = await response.json();
+                this.updateInviteList();
+            }
+        } catch (error) {
+            console.error('Error loading invites:', error);
+        }
+    }
+
+    async loadApiKeys() {
+        try {
+            const response = await this.apiFetch('/api/keys');
+            if (response.ok) {
+                this.apiKeys = await response.json();
+                this.updateApiKeyList();
+            }
+        } catch (error) {
+            console.error('Error loading API keys:', error);
+        }
+    }
+
     async loadStats() {
         try {
             const health = await fetch('/api/health');
@@ -116,7 +409,33 @@ class LadybugHosting {
     async createBot() {
         const name = document.getElementById('bot-name').value;
         const type = document.getElementById('bot-type').value;
+        const org = document.getElementById('bot-org').value;
+        const region = document.getElementById('bot-region').value;
+        const strategy = document.getElementById('bot-strategy').value;
+        const group = document.getElementById('bot-group').value.trim();
+        // Empty inputs are left out, so the platform defaults apply
+        const amount = id => parseInt(document.getElementById(id).value, 10) || undefined;
+        const resources = {
+            requests: { memoryMB: amount('bot-memory'), cpuShares: amount('bot-cpu') },
+            limits: { memoryMB: amount('bot-memory-limit') }
+        };
+        const fieldConfig = this.readBotTypeFields();
+        if (!fieldConfig) {
+            return;
+        }
         const configText = document.getElementById('bot-config').value;
+        const bundle = document.getElementById('bot-bundle').files[0];
+        const repoUrl = document.getElementById('bot-repo-url').value.trim();
+
+        if (bundle && repoUrl) {
+            this.showError('Choose either a git repository or a code bundle');
+            return;
+        }
+        const source = repoUrl ? {
+            repoUrl,
+            ref: document.getElementById('bot-repo-ref').value.trim() || undefined,
+            subdir: document.getElementById('bot-repo-subdir').value.trim() || undefined
+        } : undefined;
 
         let config = {};
         if (configText) {
@@ -127,22 +446,52 @@ class LadybugHosting {
                 return;
             }
         }
+        // Filled-in type fields win over the same keys in the JSON
+        config = { ...config, ...fieldConfig };
+
+        // Secrets are write-only: they are sent once and never shown again
+        const secrets = {};
+        const secretLines = document.getElementById('bot-secrets').value.split('\n').filter(line => line.trim());
+        for (const line of secretLines) {
+            const separator = line.indexOf('=');
+            if (separator < 1) {
+                this.showError('Secrets must be NAME=value lines');
+                return;
+            }
+            secrets[line.slice(0, separator).trim()] = line.slice(separator + 1);
+        }
 
         try {
-            const response = await fetch('/api/bots', {
+            const response = await this.apiFetch('/api/bots', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json',
                 },
-                body: JSON.stringify({ name, type, config })
+                // With a bundle, the bot waits in 'idle' until the upload has been stored
+                body: JSON.stringify({
+                    name, type, config,
+                    org: org || undefined,
+                    region: region || undefined,
+                    placement: { strategy: strategy || undefined, group: group || undefined },
+                    resources,
+                    source,
+                    secrets,
+                    autoStart: bundle ? false : undefined
+                })
             });
 
             if (response.ok) {
                 const bot = await response.json();
+                if (bundle && !(await this.uploadBundle(bot._id, bundle))) {
+                    await this.loadBots();
+                    return;
+                }
                 this.addActivityItem(`Bot "${name}" deployed successfully`, 'online');
+                this.trackJob(bot.job, `Starting "${name}"`);
                 this.closeBotModal();
-                await this.loadBots();
+                await Promise.all([this.loadBots(), this.loadQuota()]);
                 document.getElementById('bot-form').reset();
+                this.renderBotTypeFields();
             } else {
                 const error = await response.json();
                 this.showError(error.error || 'Failed to create bot');
@@ -153,19 +502,177 @@ class LadybugHosting {
         }
     }
 
+    async uploadBundle(botId, file) {
+        try {
+            const response = await this.apiFetch(`/api/bots/${botId}/artifacts`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/octet-stream',
+                    'X-Filename': file.name
+                },
+                body: file
+            });
+
+            if (response.ok) {
+                const artifact = await response.json();
+                this.addActivityItem(`Uploaded ${file.name} as version ${artifact.version}`, 'online');
+                this.trackJob(artifact.job, `Starting version ${artifact.version}`);
+                return true;
+            }
+            const error = await response.json();
+            this.showError(error.error || 'Failed to upload bundle');
+        } catch (error) {
+            console.error('Error uploading bundle:', error);
+            this.showError('Failed to upload bundle');
+        }
+        return false;
+    }
+
+    // Polls a job queued by an API request until it has succeeded or failed for good
+    async trackJob(jobId, label) {
+        if (!jobId) return;
+        for (let polls = 0; polls < 120; polls++) {
+            await new Promise(resolve => setTimeout(resolve, 1000));
+            try {
+                const response = await this.apiFetch(`/api/jobs/${jobId}`);
+                if (!response.ok) return;
+                const job = await response.json();
+                if (job.status === 'succeeded') {
+                    this.addActivityItem(`${label} finished`, 'online');
+                    return;
+                }
+                if (job.status === 'dead') {
+                    this.addActivityItem(`${label} failed: ${job.lastError}`, 'error');
+                    return;
+                }
+            } catch (error) {
+                console.error('Error loading job:', error);
+                return;
+            }
+        }
+    }
+
+    async runBotAction(botId, action) {
+        try {
+            const response = await this.apiFetch(`/api/bots/${botId}/actions`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ action })
+            });
+
+            if (response.ok) {
+                const bot = await response.json();
+                this.updateBotStatus(botId, bot.status);
+                this.trackJob(bot.job, `${action[0].toUpperCase()}${action.slice(1)} of ${bot.name}`);
+            } else {
+                const error = await response.json();
+                this.showError(error.error || `Failed to ${action} bot`);
+            }
+        } catch (error) {
+            console.error(`Error running ${action} on bot:`, error);
+            this.showError(`Failed to ${action} bot`);
+        }
+    }
+
+    async redeployBot(botId) {
+        try {
+            const response = await this.apiFetch(`/api/bots/${botId}/redeploy`, {
+                method: 'POST'
+            });
+
+            if (response.ok) {
+                this.addActivityItem('Redeploy from the latest commit requested', 'starting');
+                await this.loadBots();
+            } else {
+                const error = await response.json();
+                this.showError(error.error || 'Failed to redeploy bot');
+            }
+        } catch (error) {
+            console.error('Error redeploying bot:', error);
+            this.showError('Failed to redeploy bot');
+        }
+    }
+
+    async openLogs(botId) {
+        if (this.logBotId && this.logBotId !== botId && this.socket) {
+            this.socket.emit('unsubscribeLogs', this.logBotId);
+        }
+        this.logBotId = botId;
+        this.logLineIds = new Set();
+
+        const bot = this.bots.find(b => b._id === botId);
+        document.getElementById('log-bot-name').textContent = bot ? bot.name : botId;
+        document.getElementById('log-output').textContent = '';
+        document.getElementById('log-viewer').style.display = 'block';
+
+        const grep = document.getElementById('log-grep').value;
+        try {
+            const response = await this.apiFetch(`/api/bots/${botId}/logs?tail=200&grep=${encodeURIComponent(grep)}`);
+            if (response.ok) {
+                this.appendLogLines(await response.json());
+            } else {
+                const error = await response.json();
+                this.showError(error.error || 'Failed to load logs');
+            }
+        } catch (error) {
+            console.error('Error loading logs:', error);
+        }
+
+        if (this.socket && this.logBotId === botId) {
+            this.socket.emit('subscribeLogs', botId);
+        }
+    }
+
+    closeLogs() {
+        if (this.logBotId && this.socket) {
+            this.socket.emit('unsubscribeLogs', this.logBotId);
+        }
+        this.logBotId = null;
+        document.getElementById('log-viewer').style.display = 'none';
+    }
+
+    appendLogLines(lines) {
+        const output = document.getElementById('log-output');
+        const grep = document.getElementById('log-grep').value.toLowerCase();
+        const atBottom = output.scrollTop + output.clientHeight >= output.scrollHeight - 5;
+
+        lines.forEach(log => {
+            // Live lines can overlap with the history that was just loaded
+            if (this.logLineIds.has(log._id)) return;
+            this.logLineIds.add(log._id);
+            if (grep && !log.line.toLowerCase().includes(grep)) return;
+
+            const row = document.createElement('div');
+            row.textContent = `${new Date(log.createdAt).toLocaleTimeString()} ${log.line}`;
+            if (log.stream === 'stderr') row.style.color = 'var(--ladybug-red)';
+            if (log.stream === 'system') row.style.color = 'var(--ladybug-yellow)';
+            output.appendChild(row);
+        });
+
+        // Keep the pane bounded
+        while (output.childNodes.length > 1000) {
+            output.removeChild(output.firstChild);
+        }
+        if (atBottom) {
+            output.scrollTop = output.scrollHeight;
+        }
+    }
+
     async deleteBot(botId) {
         if (!confirm('Are you sure you want to delete this bot?')) {
             return;
         }
 
         try {
-            const response = await fetch(`/api/bots/${botId}`, {
+            const response = await this.apiFetch(`/api/bots/${botId}`, {
                 method: 'DELETE'
             });
 
             if (response.ok) {
                 this.addActivityItem(`Bot deletion initiated`, 'idle');
-                await this.loadBots();
+                await Promise.all([this.loadBots(), this.loadQuota()]);
             } else {
                 const error = await response.json();
                 this.showError(error.error || 'Failed to delete bot');
@@ -176,6 +683,303 @@ class LadybugHosting {
         }
     }
 
+    filterByOrg(orgId) {
+        this.orgFilter = orgId;
+        this.loadBots();
+    }
+
+    async sendOrgRequest(url, method, body, successMessage) {
+        try {
+            const response = await this.apiFetch(url, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: body ? JSON.stringify(body) : undefined
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                this.showError(data.error || 'Organization request failed');
+                return false;
+            }
+
+            this.addActivityItem(successMessage, 'online');
+            await Promise.all([this.loadOrgs(), this.loadInvites()]);
+            return true;
+        } catch (error) {
+            console.error('Error updating organization:', error);
+            this.showError('Organization request failed');
+            return false;
+        }
+    }
+
+    async createOrg() {
+        const name = document.getElementById('org-name').value;
+        if (await this.sendOrgRequest('/api/orgs', 'POST', { name }, `Organization "${name}" created`)) {
+            document.getElementById('org-form').reset();
+        }
+    }
+
+    async inviteMember() {
+        const orgId = document.getElementById('invite-org').value;
+        const username = document.getElementById('invite-username').value;
+        const role = document.getElementById('invite-role').value;
+
+        if (await this.sendOrgRequest(`/api/orgs/${orgId}/invites`, 'POST', { username, role }, `Invited ${username} as ${role}`)) {
+            document.getElementById('invite-form').reset();
+        }
+    }
+
+    async respondToInvite(orgId, inviteId, accept) {
+        const action = accept ? 'accept' : 'decline';
+        const message = accept ? 'Invite accepted' : 'Invite declined';
+        if (await this.sendOrgRequest(`/api/orgs/${orgId}/invites/${inviteId}/${action}`, 'POST', null, message)) {
+            await this.loadBots();
+        }
+    }
+
+    getOrgRole(orgId) {
+        const org = this.orgs.find(o => o._id === orgId);
+        return org ? org.role : null;
+    }
+
+    updateBotTypeSelect() {
+        const select = document.getElementById('bot-type');
+        const selected = select.value;
+        select.innerHTML = '<option value="">Select bot type</option>' + this.botTypes
+            .map(botType => `<option value="${botType.type}">${botType.name}</option>`).join('');
+        select.value = selected;
+        this.renderBotTypeFields();
+    }
+
+    // One input per field the plugin has form hints for; other keys go in the JSON config
+    renderBotTypeFields() {
+        const type = document.getElementById('bot-type').value;
+        const botType = this.botTypes.find(t => t.type === type);
+        const container = document.getElementById('bot-type-fields');
+        if (!botType) {
+            container.innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = Object.entries(botType.form).map(([key, hints]) => {
+            const field = botType.configSchema[key];
+            const id = `bot-field-${key}`;
+            const label = `${hints.label || key}${field.required ? ' *' : ''}`;
+            const placeholder = hints.placeholder ? ` placeholder="${hints.placeholder}"` : '';
+            const help = hints.help ? `<small style="color: var(--ladybug-dark-gray);">${hints.help}</small>` : '';
+            const inputType = this.getFieldInput(field, hints);
+            let input;
+            switch (inputType) {
+                case 'checkbox':
+                    input = `<input type="checkbox" id="${id}">`;
+                    break;
+                case 'select':
+                    input = `<select class="ladybug-form-select" id="${id}"><option value=""></option>${
+                        (field.enum || []).map(value => `<option value="${value}">${value}</option>`).join('')}</select>`;
+                    break;
+                case 'textarea':
+                    input = `<textarea class="ladybug-form-textarea" id="${id}"${placeholder}></textarea>`;
+                    break;
+                default:
+                    // Lists are typed comma-separated
+                    input = `<input type="${inputType === 'list' ? 'text' : inputType}" class="ladybug-form-input" id="${id}"${placeholder}${field.required ? ' required' : ''}>`;
+            }
+            return `
+                <div class="ladybug-form-group">
+                    <label class="ladybug-form-label" for="${id}">${label}</label>
+                    ${input}
+                    ${help}
+                </div>
+            `;
+        }).join('');
+    }
+
+    getFieldInput(field, hints) {
+        if (hints.input) return hints.input;
+        if (field.secret) return 'password';
+        if (field.enum) return 'select';
+        if (field.type === 'boolean') return 'checkbox';
+        if (field.type === 'number' || field.type === 'integer') return 'number';
+        if (field.type === 'array') return 'list';
+        if (field.type === 'object') return 'textarea';
+        return 'text';
+    }
+
+    // The config from the type fields, empty ones left out; null when a field is invalid
+    readBotTypeFields() {
+        const type = document.getElementById('bot-type').value;
+        const botType = this.botTypes.find(t => t.type === type);
+        const config = {};
+        if (!botType) return config;
+
+        for (const key of Object.keys(botType.form)) {
+            const field = botType.configSchema[key];
+            const element = document.getElementById(`bot-field-${key}`);
+            if (field.type === 'boolean') {
+                if (element.checked) config[key] = true;
+                continue;
+            }
+            const value = element.value.trim();
+            if (!value) continue;
+
+            if (field.type === 'number' || field.type === 'integer') {
+                config[key] = Number(value);
+            } else if (field.type === 'array') {
+                config[key] = value.split(',').map(item => item.trim()).filter(Boolean);
+            } else if (field.type === 'object') {
+                try {
+                    config[key] = JSON.parse(value);
+                } catch (error) {
+                    this.showError(`${botType.form[key].label || key} must be JSON`);
+                    return null;
+                }
+            } else {
+                config[key] = value;
+            }
+        }
+        return config;
+    }
+
+    updateOrgList() {
+        const orgList = document.getElementById('org-list');
+        if (orgList) {
+            orgList.innerHTML = this.orgs.map(org => `
+                <li class="ladybug-list-item">
+                    <div>
+                        <strong>${escapeHtml(org.name)}</strong><br>
+                        <small style="color: var(--ladybug-dark-gray);">${org.memberCount} member${org.memberCount === 1 ? '' : 's'}</small>
+                    </div>
+                    <span class="ladybug-status online">${org.role}</span>
+                </li>
+            `).join('');
+        }
+
+        // Keep the org pickers in sync with membership
+        const options = this.orgs.map(org => `<option value="${org._id}">${escapeHtml(org.name)}</option>`).join('');
+        const manageable = this.orgs
+            .filter(org => org.role === 'owner' || org.role === 'admin')
+            .map(org => `<option value="${org._id}">${escapeHtml(org.name)}</option>`).join('');
+        const deployable = this.orgs
+            .filter(org => org.role !== 'viewer')
+            .map(org => `<option value="${org._id}">${escapeHtml(org.name)}</option>`).join('');
+
+        document.getElementById('org-filter').innerHTML = `<option value="">All organizations</option>${options}`;
+        document.getElementById('org-filter').value = this.orgFilter;
+        document.getElementById('bot-org').innerHTML = deployable;
+        document.getElementById('invite-org').innerHTML = manageable;
+    }
+
+    updateInviteList() {
+        const inviteList = document.getElementById('invite-list');
+        if (!inviteList) return;
+
+        inviteList.innerHTML = this.invites.map(invite => `
+            <li class="ladybug-list-item">
+                <span>Invited to <strong>${escapeHtml(invite.org.name)}</strong> as ${invite.role}</span>
+                <div style="display: flex; gap: 10px;">
+                    <button class="ladybug-btn" style="padding: 5px 10px; font-size: 0.8rem;"
+                            onclick="ladybugApp.respondToInvite('${invite.org._id}', '${invite._id}', true)">Accept</button>
+                    <button class="ladybug-btn secondary" style="padding: 5px 10px; font-size: 0.8rem;"
+                            onclick="ladybugApp.respondToInvite('${invite.org._id}', '${invite._id}', false)">Decline</button>
+                </div>
+            </li>
+        `).join('');
+    }
+
+    async createApiKey() {
+        const name = document.getElementById('api-key-name').value;
+        const expiry = document.getElementById('api-key-expiry').value;
+        const scopes = Array.from(document.querySelectorAll('input[name="api-key-scope"]:checked'))
+            .map(input => input.value);
+
+        try {
+            const response = await this.apiFetch('/api/keys', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ name, scopes, expiresInDays: expiry ? Number(expiry) : null })
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                this.showError(data.error || 'Failed to create API key');
+                return;
+            }
+
+            document.getElementById('api-key-value').value = data.key;
+            document.getElementById('api-key-created').style.display = 'block';
+            document.getElementById('api-key-form').reset();
+            this.addActivityItem(`API key "${name}" created`, 'online');
+            await this.loadApiKeys();
+        } catch (error) {
+            console.error('Error creating API key:', error);
+            this.showError('Failed to create API key');
+        }
+    }
+
+    async revokeApiKey(keyId) {
+        if (!confirm('Revoke this API key? Anything using it will stop working.')) {
+            return;
+        }
+
+        try {
+            const response = await this.apiFetch(`/api/keys/${keyId}`, {
+                method: 'DELETE'
+            });
+
+            if (response.ok) {
+                this.addActivityItem('API key revoked', 'idle');
+                await this.loadApiKeys();
+            } else {
+                const error = await response.json();
+                this.showError(error.error || 'Failed to revoke API key');
+            }
+        } catch (error) {
+            console.error('Error revoking API key:', error);
+            this.showError('Failed to revoke API key');
+        }
+    }
+
+    updateApiKeyList() {
+        const keyList = document.getElementById('api-key-list');
+        if (!keyList) return;
+
+        if (this.apiKeys.length === 0) {
+            keyList.innerHTML = `
+                <li class="ladybug-list-item">
+                    <span>No API keys yet</span>
+                </li>
+            `;
+            return;
+        }
+
+        const formatDate = (value) => value ? new Date(value).toLocaleDateString() : 'never';
+
+        keyList.innerHTML = this.apiKeys.map(key => {
+            const expired = key.expiresAt && new Date(key.expiresAt) <= new Date();
+            const state = key.revokedAt ? 'revoked' : expired ? 'expired' : 'active';
+
+            return `
+                <li class="ladybug-list-item">
+                    <div>
+                        <strong>${escapeHtml(key.name)}</strong> <code>lbk_${key.keyId}_…</code><br>
+                        <small style="color: var(--ladybug-dark-gray);">
+                            ${key.scopes.join(', ')} • expires ${formatDate(key.expiresAt)} • last used ${formatDate(key.lastUsedAt)}
+                        </small>
+                    </div>
+                    <div style="display: flex; align-items: center; gap: 10px;">
+                        <span class="ladybug-status ${state === 'active' ? 'online' : 'offline'}">${state}</span>
+                        ${state === 'active' ? `<button class="ladybug-btn" style="padding: 5px 10px; font-size: 0.8rem;"
+                                onclick="ladybugApp.revokeApiKey('${key._id}')">Revoke</button>` : ''}
+                    </div>
+                </li>
+            `;
+        }).join('');
+    }
+
     updateBotList() {
         const botList = document.getElementById('bot-list');
         if (!botList) return;
@@ -190,19 +994,42 @@ class LadybugHosting {
             return;
         }
 
-        botList.innerHTML = this.bots.map(bot => `
+        botList.innerHTML = this.bots.map(bot => {
+            // Bots without an organization predate orgs and belong to their owner
+            const role = bot.org ? this.getOrgRole(bot.org) : 'owner';
+            const canDelete = role === 'owner' || role === 'admin';
+            const canOperate = role !== 'viewer';
+            const restartAt = bot.restarts && bot.restarts.nextAt;
+            // A scheduled restart can be called off by stopping the bot
+            const actions = Object.keys(BOT_ACTIONS).filter(action => BOT_ACTIONS[action].includes(bot.status)
+                || (action === 'stop' && restartAt));
+            const source = bot.source && bot.source.repoUrl
+                ? `${bot.source.repoUrl}#${bot.source.ref}${bot.source.commit ? ` @ ${bot.source.commit.slice(0, 7)}` : ''}`
+                : null;
+
+            return `
             <li class="ladybug-list-item" data-bot-id="${bot._id}">
                 <div>
-                    <strong>${bot.name}</strong><br>
-                    <small style="color: var(--ladybug-dark-gray);">${bot.type} • ${bot.serverId}</small>
+                    <strong>${escapeHtml(bot.name)}</strong><br>
+                    <small style="color: var(--ladybug-dark-gray);">${bot.type} • ${bot.serverId}${bot.pid ? ` • pid ${bot.pid}` : ''}</small>
+                    ${source ? `<br><small style="color: var(--ladybug-dark-gray);">${escapeHtml(source)}</small>` : ''}
+                    ${bot.lastError ? `<br><small style="color: var(--ladybug-red);">${escapeHtml(bot.lastError)}</small>` : ''}
+                    ${restartAt ? `<br><small style="color: var(--ladybug-dark-gray);">Restart ${bot.restarts.count} at ${new Date(restartAt).toLocaleTimeString()}</small>` : ''}
                 </div>
                 <div style="display: flex; align-items: center; gap: 10px;">
                     <span class="ladybug-status ${bot.status}">${bot.status}</span>
-                    <button class="ladybug-btn" style="padding: 5px 10px; font-size: 0.8rem;" 
-                            onclick="ladybugApp.deleteBot('${bot._id}')">Delete</button>
+                    ${canOperate ? actions.map(action => `<button class="ladybug-btn secondary" style="padding: 5px 10px; font-size: 0.8rem;" 
+                            onclick="ladybugApp.runBotAction('${bot._id}', '${action}')">${action[0].toUpperCase()}${action.slice(1)}</button>`).join('') : ''}
+                    <button class="ladybug-btn secondary" style="padding: 5px 10px; font-size: 0.8rem;" 
+                            onclick="ladybugApp.openLogs('${bot._id}')">Logs</button>
+                    ${source && canOperate ? `<button class="ladybug-btn secondary" style="padding: 5px 10px; font-size: 0.8rem;" 
+                            onclick="ladybugApp.redeployBot('${bot._id}')">Redeploy</button>` : ''}
+                    ${canDelete ? `<button class="ladybug-btn" style="padding: 5px 10px; font-size: 0.8rem;" 
+                            onclick="ladybugApp.deleteBot('${bot._id}')">Delete</button>` : ''}
                 </div>
             </li>
-        `).join('');
+        `;
+        }).join('');
     }
 
     updateServerList() {
@@ -212,11 +1039,11 @@ class LadybugHosting {
         serversList.innerHTML = this.servers.map(server => `
             <li class="ladybug-list-item">
                 <div>
-                    <strong>${server.name}</strong><br>
-                    <small style="color: var(--ladybug-dark-gray);">${server.region} • Capacity: ${server.activeBots}/${server.capacity}</small>
+                    <strong>${escapeHtml(server.name)}</strong><br>
+                    <small style="color: var(--ladybug-dark-gray);">${escapeHtml(server.region)} • Capacity: ${server.activeBots}/${server.capacity}${server.resources ? ` • Memory: ${server.allocated.memoryMB}/${server.resources.memoryMB} MB` : ''}</small>
                 </div>
                 <div style="display: flex; flex-direction: column; align-items: flex-end; gap: 5px;">
-                    <span class="ladybug-status ${server.status}">${server.status}</span>
+                    <span class="ladybug-status ${server.status}">${server.status}${server.draining ? ' • draining' : ''}</span>
                     <small style="color: var(--ladybug-dark-gray);">${((server.activeBots / server.capacity) * 100).toFixed(1)}% used</small>
                 </div>
             </li>
@@ -235,7 +1062,7 @@ class LadybugHosting {
             return `
                 <div style="margin-bottom: 20px;">
                     <div style="display: flex; justify-content: space-between; margin-bottom: 5px;">
-                        <strong>${server.name}</strong>
+                        <strong>${escapeHtml(server.name)}</strong>
                         <span>${server.activeBots}/${server.capacity}</span>
                     </div>
                     <div style="background: var(--ladybug-gray); height: 20px; border-radius: 10px; overflow: hidden;">
@@ -257,6 +1084,18 @@ class LadybugHosting {
         document.getElementById('online-servers').textContent = this.servers.filter(s => s.status === 'online').length;
     }
 
+    updateQuotaDisplay() {
+        if (!this.quota) return;
+
+        document.getElementById('bot-slots').textContent = this.quota.remaining.bots;
+
+        // The limit comes from the user's plan, so it is shown read-only
+        const maxBotsInput = document.getElementById('max-bots');
+        maxBotsInput.value = this.quota.limits.maxBots;
+        maxBotsInput.readOnly = true;
+        maxBotsInput.title = `Limit of the ${this.quota.plan} plan`;
+    }
+
     updateSystemStats(healthData) {
         const uptime = healthData.uptime;
         const uptimeElement = document.getElementById('uptime');
@@ -281,10 +1120,13 @@ class LadybugHosting {
 
         const item = document.createElement('li');
         item.className = 'ladybug-list-item';
-        item.innerHTML = `
-            <span>${new Date().toLocaleTimeString()}: ${message}</span>
-            <span class="ladybug-status ${status}">${status}</span>
-        `;
+        // Messages quote names and errors, so they are set as text
+        const text = document.createElement('span');
+        text.textContent = `${new Date().toLocaleTimeString()}: ${message}`;
+        const badge = document.createElement('span');
+        badge.className = `ladybug-status ${status}`;
+        badge.textContent = status;
+        item.append(text, badge);
 
         activityList.insertBefore(item, activityList.firstChild);
 
@@ -309,11 +1151,32 @@ class LadybugHosting {
         if (bot) {
             bot.status = status;
             this.updateDashboardStats();
+            // The available lifecycle actions depend on the status
+            this.updateBotList();
         }
 
         this.addActivityItem(`Bot ${botId} status: ${status}`, status);
     }
 
+    // Pushed when a node agent registers or a server goes on- or offline
+    updateServerStatus(server) {
+        const existing = this.servers.find(s => s.id === server.id);
+        if (existing) {
+            const previousStatus = existing.status;
+            Object.assign(existing, server);
+            if (previousStatus !== server.status) {
+                this.addActivityItem(`Server ${server.name} is ${server.status}`, server.status);
+            }
+        } else {
+            this.servers.push(server);
+            this.addActivityItem(`Server ${server.name} joined`, server.status);
+        }
+
+        this.updateServerList();
+        this.updateServerLoadChart();
+        this.updateDashboardStats();
+    }
+
     removeBotFromList(botId) {
         const botElement = document.querySelector(`[data-bot-id="${botId}"]`);
         if (botElement) {
@@ -333,7 +1196,9 @@ class LadybugHosting {
 
         // Refresh data every 30 seconds
         setInterval(() => {
-            this.loadInitialData();
+            if (this.accessToken) {
+                this.loadInitialData();
+            }
         }, 30000);
     }
 
@@ -420,6 +1285,18 @@ function showSettings() {
     document.getElementById('settings').style.display = 'block';
 }
 
+function openAuthModal() {
+    document.getElementById('auth-modal').style.display = 'flex';
+}
+
+function closeAuthModal() {
+    document.getElementById('auth-modal').style.display = 'none';
+}
+
+function logout() {
+    ladybugApp.logout();
+}
+
 function openBotModal() {
     document.getElementById('bot-modal').style.display = 'flex';
 }
@@ -0,0 +1,77 @@
+// Ladybug Hosting v7 - API Key Routes
+const express = require('express');
+const ApiKey = require('../models/ApiKey');
+const { requireSession } = require('../middleware/auth');
+
+const router = express.Router();
+
+const MAX_EXPIRY_DAYS = 365;
+
+// Keys can only be managed from a logged-in session, never with another key
+router.use(requireSession);
+
+router.get('/', async (req, res) => {
+  try {
+    const keys = await ApiKey.find({ owner: req.user._id }).sort({ createdAt: -1 });
+    res.json(keys);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json({ error: 'Key name is required' });
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ error: 'At least one scope is required', allowed: ApiKey.SCOPES });
+    }
+    const unknown = scopes.filter(scope => !ApiKey.SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown scopes: ${unknown.join(', ')}`, allowed: ApiKey.SCOPES });
+    }
+
+    let expiresAt;
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      const days = Number(expiresInDays);
+      if (!Number.isFinite(days) || days <= 0 || days > MAX_EXPIRY_DAYS) {
+        return res.status(400).json({ error: `expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}` });
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    const { apiKey, plaintext } = await ApiKey.generate({
+      owner: req.user._id,
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt
+    });
+
+    // The plaintext key is only ever returned here
+    res.status(201).json({ ...apiKey.toJSON(), key: plaintext });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, owner: req.user._id });
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+    res.json({ message: 'API key revoked' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+// Ladybug Hosting v7 - Bot Artifact Routes (mounted at /api/bots/:id/artifacts)
+const express = require('express');
+const Artifact = require('../models/Artifact');
+const { storeArtifact, ArtifactError, MAX_FILE_SIZE } = require('../lib/artifacts');
+const { BotStateError, requestActor } = require('../lib/botStates');
+const { queueBotJob } = require('../lib/botActions');
+const { requireScope } = require('../middleware/auth');
+const { loadBot } = require('../middleware/access');
+
+const router = express.Router({ mergeParams: true });
+
+// Bundles are sent as the raw request body, whatever the content type
+const rawBundle = express.raw({ type: () => true, limit: MAX_FILE_SIZE });
+
+router.get('/', requireScope('bots:read'), loadBot('bot:view'), async (req, res) => {
+  try {
+    const artifacts = await Artifact.find({ bot: req.bot._id }).sort({ version: -1 });
+    res.json(artifacts);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/', requireScope('bots:write'), loadBot('bot:operate'), rawBundle, async (req, res) => {
+  try {
+    const bot = req.bot;
+    if (bot.source && bot.source.repoUrl) {
+      return res.status(409).json({ error: 'Bot is deployed from a git repository, use redeploy instead' });
+    }
+    const filename = req.get('X-Filename') || req.query.filename;
+
+    const artifact = await storeArtifact(bot, Buffer.isBuffer(req.body) ? req.body : null, {
+      filename,
+      uploadedBy: req.user._id
+    });
+
+    // Running bots pick the new version up on their next start
+    bot.artifact = {
+      artifactId: artifact._id,
+      version: artifact.version,
+      sha256: artifact.sha256,
+      path: artifact.path
+    };
+    const starting = bot.status === 'idle';
+    if (starting) {
+      bot.status = 'starting';
+      bot.describeTransition('artifact-upload', requestActor(req), `version ${artifact.version}`);
+    }
+    await bot.save();
+    const job = starting ? await queueBotJob(bot, { type: 'deploy', actor: requestActor(req) }) : null;
+
+    res.status(201).json({ ...artifact.toJSON(), job: job ? job._id : null });
+  } catch (error) {
+    if (error instanceof ArtifactError || error instanceof BotStateError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,125 @@
+// Ladybug Hosting v7 - Authentication Routes
+const express = require('express');
+const User = require('../models/User');
+const { authenticate } = require('../middleware/auth');
+const { signAccessToken, signRefreshToken, verifyToken } = require('../lib/tokens');
+
+const router = express.Router();
+
+const MIN_PASSWORD_LENGTH = 8;
+
+async function issueTokens(user) {
+  const refresh = signRefreshToken(user);
+
+  // Drop expired refresh tokens while we are touching the list
+  const now = Date.now();
+  user.refreshTokens = user.refreshTokens.filter(t => t.expiresAt.getTime() > now);
+  user.refreshTokens.push({ jti: refresh.jti, expiresAt: refresh.expiresAt });
+  await user.save();
+
+  return {
+    accessToken: signAccessToken(user),
+    refreshToken: refresh.token,
+    user
+  };
+}
+
+router.post('/register', async (req, res) => {
+  try {
+    const { username, email, password } = req.body;
+
+    if (!username || typeof username !== 'string') {
+      return res.status(400).json({ error: 'Username is required' });
+    }
+    if (!password || typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const existing = await User.findOne({ username: username.trim().toLowerCase() });
+    if (existing) {
+      return res.status(409).json({ error: 'Username already taken' });
+    }
+
+    const user = new User({ username, email });
+    await user.setPassword(password);
+    user.lastLogin = new Date();
+
+    res.status(201).json(await issueTokens(user));
+  } catch (error) {
+    // Registered by a concurrent request after the check above
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Username already taken' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/login', async (req, res) => {
+  try {
+    const { username, password } = req.body;
+    if (!username || !password) {
+      return res.status(400).json({ error: 'Username and password are required' });
+    }
+
+    const user = await User.findOne({ username: String(username).trim().toLowerCase() });
+    if (!user || !(await user.verifyPassword(String(password)))) {
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    user.lastLogin = new Date();
+    res.json(await issueTokens(user));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    let payload;
+    try {
+      payload = verifyToken(refreshToken, 'refresh');
+    } catch (error) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    const user = await User.findById(payload.sub);
+    const stored = user && user.refreshTokens.find(t => t.jti === payload.jti);
+    if (!stored) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    // Refresh tokens are single use: rotate on every refresh
+    user.refreshTokens.pull(stored._id);
+    res.json(await issueTokens(user));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    let payload;
+    try {
+      payload = verifyToken(refreshToken, 'refresh');
+    } catch (error) {
+      // Nothing to revoke; the client is logged out either way
+      return res.json({ message: 'Logged out' });
+    }
+
+    await User.updateOne(
+      { _id: payload.sub },
+      { $pull: { refreshTokens: { jti: payload.jti } } }
+    );
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/me', authenticate, (req, res) => {
+  res.json(req.user);
+});
+
+module.exports = router;
@@ -0,0 +1,38 @@
+// Ladybug Hosting v7 - Bot Event Routes (mounted at /api/bots/:id/events)
+const express = require('express');
+const BotEvent = require('../models/BotEvent');
+const { requireScope } = require('../middleware/auth');
+const { loadBot } = require('../middleware/access');
+
+const DEFAULT_EVENT_LIMIT = 100;
+const MAX_EVENT_LIMIT = 1000;
+
+const router = express.Router({ mergeParams: true });
+
+// The bot's status changes, newest first; `before` pages back through older ones
+router.get('/', requireScope('bots:read'), loadBot('bot:view'), async (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? DEFAULT_EVENT_LIMIT : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_EVENT_LIMIT) {
+      return res.status(400).json({ error: `limit must be an integer between 1 and ${MAX_EVENT_LIMIT}` });
+    }
+    const filter = { bot: req.bot._id };
+    if (req.query.before !== undefined) {
+      const before = new Date(req.query.before);
+      if (Number.isNaN(before.getTime())) {
+        return res.status(400).json({ error: 'before must be a date' });
+      }
+      filter.at = { $lt: before };
+    }
+
+    const events = await BotEvent.find(filter)
+      .sort({ at: -1, _id: -1 })
+      .limit(limit)
+      .populate('actor.user', 'username');
+    res.json(events);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,39 @@
+// Ladybug Hosting v7 - Job Routes (progress of operations queued for the Bot Manager)
+const express = require('express');
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const { requireScope } = require('../middleware/auth');
+const { getBotRole, forbidden } = require('../middleware/access');
+const { can } = require('../lib/permissions');
+
+const router = express.Router();
+
+// Jobs on a bot are visible to whoever can view the bot; server jobs (migrations) to admins
+router.get('/:id', requireScope('bots:read'), async (req, res) => {
+  try {
+    const job = mongoose.isValidObjectId(req.params.id) && await Job.findById(req.params.id)
+      .select('-lease')
+      .populate('actor.user', 'username');
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    if (job.bot) {
+      const role = await getBotRole(req.user, job);
+      if (!role) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+      if (!can(role, 'bot:view')) {
+        return forbidden(res, role, 'bot:view');
+      }
+    } else if (req.user.role !== 'admin') {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(job);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
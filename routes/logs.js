@@ -0,0 +1,24 @@
+// Ladybug Hosting v7 - Bot Log Routes (mounted at /api/bots/:id/logs)
+const express = require('express');
+const BotLog = require('../models/BotLog');
+const { parseLogQuery, LogQueryError } = require('../lib/botLogs');
+const { requireScope } = require('../middleware/auth');
+const { loadBot } = require('../middleware/access');
+
+const router = express.Router({ mergeParams: true });
+
+// Returns the last `tail` lines (after `since`, matching `grep`), oldest first
+router.get('/', requireScope('bots:read'), loadBot('bot:view'), async (req, res) => {
+  try {
+    const { filter, tail } = parseLogQuery(req.bot._id, req.query);
+    const logs = await BotLog.find(filter).sort({ createdAt: -1, _id: -1 }).limit(tail);
+    res.json(logs.reverse());
+  } catch (error) {
+    if (error instanceof LogQueryError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,45 @@
+// Ladybug Hosting v7 - Metric Routes (mounted at /api/metrics)
+const express = require('express');
+const mongoose = require('mongoose');
+const Bot = require('../models/Bot');
+const Server = require('../models/Server');
+const { MetricSamples } = require('../models/MetricSample');
+const { MetricQueryError, parseMetricQuery, metricFilter, buildSeries } = require('../lib/metrics');
+const { can } = require('../lib/permissions');
+const { requireScope } = require('../middleware/auth');
+const { getBotRole } = require('../middleware/access');
+
+const router = express.Router();
+
+// Bot series need the bots:read scope, server series servers:read
+function requireMetricScope(req, res, next) {
+  const scope = req.query.server !== undefined && req.query.bot === undefined ? 'servers:read' : 'bots:read';
+  requireScope(scope)(req, res, next);
+}
+
+// Series of one bot (for anyone who can view it) or one server between `from` and `to`
+router.get('/', requireMetricScope, async (req, res) => {
+  try {
+    const query = parseMetricQuery(req.query);
+
+    if (query.kind === 'bot') {
+      const bot = mongoose.isValidObjectId(query.id) && await Bot.findById(query.id);
+      const role = bot && await getBotRole(req.user, bot);
+      if (!role || !can(role, 'bot:view')) {
+        return res.status(404).json({ error: 'Bot not found' });
+      }
+    } else if (!(await Server.exists({ _id: query.id }))) {
+      return res.status(404).json({ error: 'Server not found' });
+    }
+
+    const samples = await MetricSamples[query.step].find(metricFilter(query)).sort({ at: 1 }).lean();
+    res.json(buildSeries(query, samples));
+  } catch (error) {
+    if (error instanceof MetricQueryError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,261 @@
+// Ladybug Hosting v7 - Organization Routes
+const express = require('express');
+const Bot = require('../models/Bot');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const { requireSession } = require('../middleware/auth');
+const { loadOrg, forbidden } = require('../middleware/access');
+const { can, canAssignRole } = require('../lib/permissions');
+
+const router = express.Router();
+
+// Organization membership is managed from a logged-in session only
+router.use(requireSession);
+
+function summarize(org, userId) {
+  return {
+    _id: org._id,
+    name: org.name,
+    personal: org.personal,
+    role: org.getRole(userId),
+    memberCount: org.members.length,
+    createdAt: org.createdAt
+  };
+}
+
+// Keep connected dashboards in sync with membership changes
+function syncSocketRooms(req, userId, orgId, joined) {
+  const io = req.app.get('io');
+  if (!io) return;
+  const sockets = io.in(`user:${userId}`);
+  if (joined) {
+    sockets.socketsJoin(`org:${orgId}`);
+  } else {
+    sockets.socketsLeave(`org:${orgId}`);
+  }
+}
+
+router.get('/', async (req, res) => {
+  try {
+    await Organization.findOrCreatePersonal(req.user);
+    const orgs = await Organization.findForUser(req.user._id);
+    res.json(orgs.map(org => summarize(org, req.user._id)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'Organization name is required' });
+    }
+
+    const org = await Organization.create({
+      name,
+      createdBy: req.user._id,
+      members: [{ user: req.user._id, role: 'owner' }]
+    });
+    syncSocketRooms(req, req.user._id, org._id, true);
+
+    res.status(201).json(summarize(org, req.user._id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Invites addressed to the caller, across all organizations
+router.get('/invites', async (req, res) => {
+  try {
+    const now = new Date();
+    const orgs = await Organization.find({
+      invites: { $elemMatch: { username: req.user.username, expiresAt: { $gt: now } } }
+    });
+
+    res.json(orgs.map(org => {
+      const invite = org.invites.find(i => i.username === req.user.username && i.expiresAt > now);
+      return {
+        _id: invite._id,
+        org: { _id: org._id, name: org.name },
+        role: invite.role,
+        createdAt: invite.createdAt,
+        expiresAt: invite.expiresAt
+      };
+    }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/:orgId', loadOrg('org:view'), async (req, res) => {
+  try {
+    await req.org.populate('members.user', 'username email');
+    res.json({
+      ...summarize(req.org, req.user._id),
+      members: req.org.members.map(m => ({
+        user: m.user,
+        role: m.role,
+        joinedAt: m.joinedAt
+      })),
+      invites: req.org.invites
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.patch('/:orgId', loadOrg('org:update'), async (req, res) => {
+  try {
+    const { name } = req.body;
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'Organization name is required' });
+    }
+
+    req.org.name = name;
+    await req.org.save();
+    res.json(summarize(req.org, req.user._id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/:orgId', loadOrg('org:delete'), async (req, res) => {
+  try {
+    if (req.org.personal) {
+      return res.status(400).json({ error: 'Personal organizations cannot be deleted' });
+    }
+
+    const botCount = await Bot.countDocuments({ org: req.org._id });
+    if (botCount > 0) {
+      return res.status(409).json({ error: `Organization still has ${botCount} bots` });
+    }
+
+    await Organization.findByIdAndDelete(req.org._id);
+    req.org.members.forEach(m => syncSocketRooms(req, m.user, req.org._id, false));
+    res.json({ message: 'Organization deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/:orgId/invites', loadOrg('org:invite'), async (req, res) => {
+  try {
+    const { username, role } = req.body;
+    if (!username || typeof username !== 'string') {
+      return res.status(400).json({ error: 'Username is required' });
+    }
+    if (!canAssignRole(req.orgRole, role)) {
+      return forbidden(res, req.orgRole, `invite as ${role}`);
+    }
+
+    const invitee = await User.findOne({ username: username.trim().toLowerCase() });
+    if (!invitee) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (req.org.getRole(invitee._id)) {
+      return res.status(409).json({ error: 'User is already a member' });
+    }
+
+    // Re-inviting replaces any earlier invite for the same user
+    req.org.invites = req.org.invites.filter(i => i.username !== invitee.username);
+    req.org.invites.push({ username: invitee.username, role, invitedBy: req.user._id });
+    await req.org.save();
+
+    res.status(201).json(req.org.invites[req.org.invites.length - 1]);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/:orgId/invites/:inviteId', loadOrg('org:invite'), async (req, res) => {
+  try {
+    const invite = req.org.invites.id(req.params.inviteId);
+    if (!invite) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    invite.deleteOne();
+    await req.org.save();
+    res.json({ message: 'Invite cancelled' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+async function respondToInvite(req, res, accept) {
+  try {
+    const org = await Organization.findById(req.params.orgId);
+    const invite = org && org.invites.id(req.params.inviteId);
+    if (!invite || invite.username !== req.user.username || invite.expiresAt <= new Date()) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    invite.deleteOne();
+    if (accept && !org.getRole(req.user._id)) {
+      org.members.push({ user: req.user._id, role: invite.role });
+    }
+    await org.save();
+
+    if (accept) {
+      syncSocketRooms(req, req.user._id, org._id, true);
+      return res.json(summarize(org, req.user._id));
+    }
+    res.json({ message: 'Invite declined' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+router.post('/:orgId/invites/:inviteId/accept', (req, res) => respondToInvite(req, res, true));
+router.post('/:orgId/invites/:inviteId/decline', (req, res) => respondToInvite(req, res, false));
+
+router.patch('/:orgId/members/:userId', loadOrg('org:members'), async (req, res) => {
+  try {
+    const { role } = req.body;
+    const member = req.org.members.find(m => m.user.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    if (!canAssignRole(req.orgRole, role) || !canAssignRole(req.orgRole, member.role)) {
+      return forbidden(res, req.orgRole, `change a ${member.role} to ${role}`);
+    }
+    if (member.role === 'owner' && role !== 'owner' && req.org.ownerCount() === 1) {
+      return res.status(409).json({ error: 'An organization needs at least one owner' });
+    }
+
+    member.role = role;
+    await req.org.save();
+    res.json({ user: member.user, role: member.role, joinedAt: member.joinedAt });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/:orgId/members/:userId', loadOrg('org:view'), async (req, res) => {
+  try {
+    const member = req.org.members.find(m => m.user.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    // Anyone may leave; removing someone else needs member management rights
+    const leaving = member.user.toString() === req.user._id.toString();
+    if (!leaving && (!can(req.orgRole, 'org:members') || !canAssignRole(req.orgRole, member.role))) {
+      return forbidden(res, req.orgRole, `remove a ${member.role}`);
+    }
+    if (member.role === 'owner' && req.org.ownerCount() === 1) {
+      return res.status(409).json({ error: 'An organization needs at least one owner' });
+    }
+
+    req.org.members.pull(member._id);
+    await req.org.save();
+    syncSocketRooms(req, member.user, req.org._id, false);
+
+    res.json({ message: leaving ? 'Left organization' : 'Member removed' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,40 @@
+// Ladybug Hosting v7 - Quota Routes
+const express = require('express');
+const User = require('../models/User');
+const { requireRole, requireScope, requireSession } = require('../middleware/auth');
+const { PLANS, getQuotaSummary } = require('../lib/quota');
+
+const router = express.Router();
+
+router.get('/', requireScope('quota:read'), async (req, res) => {
+  try {
+    res.json(await getQuotaSummary(req.user));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Admins can move a user between plans and override individual limits
+router.put('/users/:userId', requireSession, requireRole('admin'), async (req, res) => {
+  try {
+    const { plan, quota } = req.body;
+    if (plan !== undefined && !PLANS[plan]) {
+      return res.status(400).json({ error: `Unknown plan "${plan}"` });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (plan !== undefined) user.plan = plan;
+    if (quota !== undefined) user.quota = quota || {};
+    await user.save();
+
+    res.json(await getQuotaSummary(user));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,38 @@
+// Ladybug Hosting v7 - Bot Config Revision Routes (mounted at /api/bots/:id/revisions)
+const express = require('express');
+const BotRevision = require('../models/BotRevision');
+const { requireScope } = require('../middleware/auth');
+const { loadBot } = require('../middleware/access');
+
+const router = express.Router({ mergeParams: true });
+
+// Newest first, with author names for the history view
+router.get('/', requireScope('bots:read'), loadBot('bot:view'), async (req, res) => {
+  try {
+    const revisions = await BotRevision.find({ bot: req.bot._id })
+      .sort({ revision: -1 })
+      .populate('author', 'username');
+    res.json(revisions);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/:rev', requireScope('bots:read'), loadBot('bot:view'), async (req, res) => {
+  try {
+    const rev = Number(req.params.rev);
+    if (!Number.isInteger(rev) || rev < 1) {
+      return res.status(400).json({ error: 'Revision must be a positive integer' });
+    }
+    const revision = await BotRevision.findOne({ bot: req.bot._id, revision: rev })
+      .populate('author', 'username');
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    res.json(revision);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,49 @@
+// Ladybug Hosting v7 - Bot Secret Routes (mounted at /api/bots/:id/secrets)
+const express = require('express');
+const BotSecret = require('../models/BotSecret');
+const { setSecret, SecretError } = require('../lib/secrets');
+const { requireScope } = require('../middleware/auth');
+const { loadBot } = require('../middleware/access');
+
+const router = express.Router({ mergeParams: true });
+
+function handleError(res, error) {
+  if (error instanceof SecretError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  res.status(500).json({ error: error.message });
+}
+
+// Names and update times only; values are never returned
+router.get('/', requireScope('bots:read'), loadBot('bot:view'), async (req, res) => {
+  try {
+    const secrets = await BotSecret.find({ bot: req.bot._id }).sort({ name: 1 });
+    res.json(secrets);
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+// Creates or replaces a secret; running bots see the new value on their next start
+router.put('/:name', requireScope('bots:write'), loadBot('bot:operate'), async (req, res) => {
+  try {
+    const secret = await setSecret(req.bot._id, req.params.name, req.body.value, req.user._id);
+    res.json(secret);
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+router.delete('/:name', requireScope('bots:write'), loadBot('bot:operate'), async (req, res) => {
+  try {
+    const result = await BotSecret.deleteOne({ bot: req.bot._id, name: req.params.name });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'Secret not found' });
+    }
+    res.json({ message: 'Secret deleted' });
+  } catch (error) {
+    handleError(res, error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,68 @@
+// Ladybug Hosting v7 - Telemetry Routes (mounted at /api/telemetry)
+//
+// Bots authenticate with their own ingest token (`Bearer lbt_...`, see lib/telemetry.js)
+// instead of a user session, so this router is mounted before the user authentication.
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const Bot = require('../models/Bot');
+const {
+  TELEMETRY_RATE_LIMIT,
+  TelemetryError,
+  parseTelemetryToken,
+  verifyTelemetryToken,
+  normalizeReport,
+  reportUpdate
+} = require('../lib/telemetry');
+
+const router = express.Router();
+
+async function authenticateBot(req, res, next) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  const tokenId = scheme === 'Bearer' && parseTelemetryToken(token);
+  if (!tokenId) {
+    return res.status(401).json({ error: 'Telemetry token required' });
+  }
+
+  try {
+    const bot = await Bot.findOne({ 'telemetry.tokenId': tokenId }).select('_id telemetry');
+    if (!bot || !verifyTelemetryToken(bot, token)) {
+      return res.status(401).json({ error: 'Invalid telemetry token' });
+    }
+    req.telemetryBot = bot;
+    next();
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+}
+
+// Per bot rather than per IP: the bots of one node all report from the same address
+const limiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: TELEMETRY_RATE_LIMIT,
+  keyGenerator: req => req.telemetryBot._id.toString(),
+  message: { error: 'Too many telemetry reports' }
+});
+
+// A heartbeat with request and error counts and gauges, applied in one write
+router.post('/', authenticateBot, limiter, async (req, res) => {
+  try {
+    const report = normalizeReport(req.body);
+    const bot = req.telemetryBot;
+    const result = await Bot.updateOne(
+      // Not with a token that was rotated in the meantime
+      { _id: bot._id, 'telemetry.tokenId': bot.telemetry.tokenId },
+      reportUpdate(report)
+    );
+    if (result.matchedCount === 0) {
+      return res.status(401).json({ error: 'Invalid telemetry token' });
+    }
+    res.json({ ok: true });
+  } catch (error) {
+    if (error instanceof TelemetryError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -9,6 +9,46 @@ const rateLimit = require('express-rate-limit');
 const path = require('path');
 require('dotenv').config();
 
+const Bot = require('./models/Bot');
+const authRoutes = require('./routes/auth');
+const quotaRoutes = require('./routes/quota');
+const apiKeyRoutes = require('./routes/apiKeys');
+const orgRoutes = require('./routes/orgs');
+const artifactRoutes = require('./routes/artifacts');
+const logRoutes = require('./routes/logs');
+const secretRoutes = require('./routes/secrets');
+const revisionRoutes = require('./routes/revisions');
+const eventRoutes = require('./routes/events');
+const metricRoutes = require('./routes/metrics');
+const jobRoutes = require('./routes/jobs');
+const telemetryRoutes = require('./routes/telemetry');
+const Organization = require('./models/Organization');
+const BotLog = require('./models/BotLog');
+const BotSecret = require('./models/BotSecret');
+const BotRevision = require('./models/BotRevision');
+const BotEvent = require('./models/BotEvent');
+const Job = require('./models/Job');
+const { checkDeployQuota, reserveBotSlot, releaseBotSlot, getEffectiveLimits } = require('./lib/quota');
+const { BotNetServer, ServerError } = require('./lib/botNet');
+const { attachNodeNamespace } = require('./lib/nodeAgents');
+const { normalizePlacement, PlacementError } = require('./lib/placement');
+const { normalizeResources, ResourceError } = require('./lib/resources');
+const { normalizeRestartPolicy, RestartPolicyError } = require('./lib/restartPolicy');
+const { normalizeProbes, ProbeError } = require('./lib/probes');
+const { loadPlugins, getBotType, listBotTypes, validateBotConfig, BotTypeError } = require('./lib/plugins');
+const { newTokenId, rotateTelemetryToken } = require('./lib/telemetry');
+const { enqueueJob } = require('./lib/jobQueue');
+const { SOCKET_ADAPTER, useMongoAdapter } = require('./lib/socketAdapter');
+const { can } = require('./lib/permissions');
+const { normalizeSource, GitSourceError } = require('./lib/gitSource');
+const { getLogRoom } = require('./lib/botLogs');
+const { checkBotAction, applyBotAction, queueBotJob, restartLiveBot, deleteBot } = require('./lib/botActions');
+const { BotStateError, SYSTEM_ACTOR, canTransition, requestActor } = require('./lib/botStates');
+const { recordRevision, mergeConfig, ensureBaselineRevision, RevisionError } = require('./lib/configRevisions');
+const { extractConfigSecrets, validateSecret, getMasterKey, setSecret, SecretError } = require('./lib/secrets');
+const { accessibleBotFilter, getBotRole, loadBot, forbidden } = require('./middleware/access');
+const { authenticate, requireScope, requireRole, requireSession, authenticateSocket } = require('./middleware/auth');
+
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server, {
@@ -17,6 +57,7 @@ const io = socketIo(server, {
     methods: ["GET", "POST"]
   }
 });
+app.set('io', io);
 
 // Middleware
 app.use(helmet());
@@ -28,7 +69,9 @@ app.use(express.urlencoded({ extended: true }));
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  max: 100, // limit each IP to 100 requests per windowMs
+  // Telemetry is limited per bot (see routes/telemetry.js)
+  skip: req => req.path === '/telemetry'
 });
 app.use('/api/', limiter);
 
@@ -38,82 +81,24 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ladybug-h
   useUnifiedTopology: true,
 });
 
-// Bot Management Schema
-const BotSchema = new mongoose.Schema({
-  name: { type: String, required: true },
-  type: { type: String, required: true },
-  status: { type: String, default: 'idle' },
-  serverId: { type: String, required: true },
-  config: { type: Object, default: {} },
-  createdAt: { type: Date, default: Date.now },
-  lastActive: { type: Date, default: Date.now },
-  metrics: {
-    uptime: { type: Number, default: 0 },
-    requests: { type: Number, default: 0 },
-    errors: { type: Number, default: 0 }
-  }
-});
-
-const Bot = mongoose.model('Bot', BotSchema);
+// Bot types come from plugins/; a plugin that does not load stops the boot
+const botTypes = loadPlugins();
+console.log(`Loaded bot types: ${botTypes.map(botType => botType.type).join(', ')}`);
 
 // Bot Net Server Management
-class BotNetServer {
-  constructor() {
-    this.servers = new Map();
-    this.initializeServers();
-  }
-
-  initializeServers() {
-    // Initialize default server pool
-    const defaultServers = [
-      { id: 'server-1', name: 'Ladybug Node Alpha', region: 'us-east', capacity: 100 },
-      { id: 'server-2', name: 'Ladybug Node Beta', region: 'us-west', capacity: 100 },
-      { id: 'server-3', name: 'Ladybug Node Gamma', region: 'eu-west', capacity: 100 }
-    ];
-
-    defaultServers.forEach(server => {
-      this.servers.set(server.id, {
-        ...server,
-        activeBots: 0,
-        status: 'online',
-        lastPing: Date.now()
-      });
-    });
-  }
-
-  assignBot(botId) {
-    // Find best server based on capacity
-    let bestServer = null;
-    let minLoad = Infinity;
-
-    for (const [serverId, server] of this.servers) {
-      const loadRatio = server.activeBots / server.capacity;
-      if (loadRatio < minLoad && server.status === 'online') {
-        minLoad = loadRatio;
-        bestServer = serverId;
-      }
-    }
-
-    if (bestServer) {
-      this.servers.get(bestServer).activeBots++;
-      return bestServer;
-    }
-    return null;
-  }
-
-  releaseBot(serverId) {
-    if (this.servers.has(serverId)) {
-      this.servers.get(serverId).activeBots--;
-    }
-  }
+const botNetServer = new BotNetServer();
+// Queries are buffered until the database connection is up
+botNetServer.ready = botNetServer.load().catch(error => {
+  console.error('Loading the server pool failed:', error);
+});
 
-  getServerStatus() {
-    return Array.from(this.servers.values());
-  }
+// Bot events go to everyone in the bot's organization (or just the owner for legacy bots).
+// `local` limits them to this instance's clients, for relays that every instance runs.
+function emitBotEvent(bot, event, payload, { local = false } = {}) {
+  const room = bot.org ? `org:${bot.org}` : `user:${bot.owner}`;
+  (local ? io.local : io).to(room).emit(event, payload);
 }
 
-const botNetServer = new BotNetServer();
-
 // API Routes
 app.get('/api/health', (req, res) => {
   res.json({ 
@@ -124,81 +109,579 @@ app.get('/api/health', (req, res) => {
   });
 });
 
-app.get('/api/servers', (req, res) => {
-  res.json(botNetServer.getServerStatus());
+app.use('/api/auth', authRoutes);
+// Bots push telemetry with their own token
+app.use('/api/telemetry', telemetryRoutes);
+
+// Everything below this point requires a logged-in user
+app.use('/api', authenticate);
+
+app.use('/api/quota', quotaRoutes);
+app.use('/api/keys', apiKeyRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/orgs', orgRoutes);
+app.use('/api/bots/:id/artifacts', artifactRoutes);
+app.use('/api/bots/:id/logs', logRoutes);
+app.use('/api/bots/:id/secrets', secretRoutes);
+app.use('/api/bots/:id/revisions', revisionRoutes);
+app.use('/api/bots/:id/events', eventRoutes);
+app.use('/api/metrics', metricRoutes);
+
+app.get('/api/servers', requireScope('servers:read'), async (req, res) => {
+  try {
+    await botNetServer.ready;
+    res.json(await botNetServer.refresh());
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Admins manage the server pool; changes apply to placement straight away
+function handleServerError(res, error) {
+  if (error instanceof ServerError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  res.status(500).json({ error: error.message });
+}
+
+app.post('/api/servers', requireSession, requireRole('admin'), async (req, res) => {
+  try {
+    await botNetServer.ready;
+    res.status(201).json(await botNetServer.createServer(req.body));
+  } catch (error) {
+    handleServerError(res, error);
+  }
+});
+
+app.patch('/api/servers/:id', requireSession, requireRole('admin'), async (req, res) => {
+  try {
+    await botNetServer.ready;
+    res.json(await botNetServer.updateServer(req.params.id, req.body));
+  } catch (error) {
+    handleServerError(res, error);
+  }
 });
 
-app.get('/api/bots', async (req, res) => {
+// Has the Bot Manager move bots off a drained or failed server (see lib/migration.js);
+// a migration of the server that is still queued or running is reused
+function startMigration(serverId, reason, actor = SYSTEM_ACTOR) {
+  return enqueueJob('migrate', { serverId, payload: { reason }, actor, key: `migrate:${serverId}` });
+}
+
+// Bot responses to requests that queued a job carry its id, to follow at /api/jobs/:id
+function withJob(bot, job) {
+  return { ...bot.toJSON(), job: job ? job._id : null };
+}
+
+const SERVER_ACTIONS = ['drain', 'undrain'];
+
+// `drain` stops new placements and moves the server's bots elsewhere (running the
+// action again retries bots that could not be moved); `undrain` takes placements back up
+app.post('/api/servers/:id/actions', requireSession, requireRole('admin'), async (req, res) => {
   try {
-    const bots = await Bot.find().sort({ createdAt: -1 });
+    const { action } = req.body;
+    if (!SERVER_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `Unknown action: ${action}`, code: 'UNKNOWN_ACTION', allowed: SERVER_ACTIONS });
+    }
+
+    await botNetServer.ready;
+    const server = await botNetServer.setDraining(req.params.id, action === 'drain');
+    io.emit('serverUpdate', server);
+    const job = action === 'drain' ? await startMigration(server.id, 'drain', requestActor(req)) : null;
+
+    res.status(202).json({ ...server, job: job ? job._id : null });
+  } catch (error) {
+    handleServerError(res, error);
+  }
+});
+
+// Issues (or replaces) the token the server's node agent connects with; shown only once
+app.post('/api/servers/:id/token', requireSession, requireRole('admin'), async (req, res) => {
+  try {
+    await botNetServer.ready;
+    const token = await botNetServer.issueNodeToken(req.params.id);
+    res.status(201).json({ serverId: req.params.id, token });
+  } catch (error) {
+    handleServerError(res, error);
+  }
+});
+
+app.delete('/api/servers/:id', requireSession, requireRole('admin'), async (req, res) => {
+  try {
+    await botNetServer.ready;
+    await botNetServer.removeServer(req.params.id);
+    res.json({ message: 'Server removed' });
+  } catch (error) {
+    handleServerError(res, error);
+  }
+});
+
+app.get('/api/bots', requireScope('bots:read'), async (req, res) => {
+  try {
+    const filter = await accessibleBotFilter(req.user);
+    if (req.query.org) {
+      filter.org = req.query.org;
+    }
+
+    const bots = await Bot.find(filter).sort({ createdAt: -1 });
     res.json(bots);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post('/api/bots', async (req, res) => {
+// The bot types deployable here, with their config schema and form hints for the dashboard
+app.get('/api/bot-types', requireScope('bots:read'), (req, res) => {
+  res.json(listBotTypes());
+});
+
+app.post('/api/bots', requireScope('bots:write'), async (req, res) => {
   try {
-    const { name, type, config } = req.body;
-    const serverId = botNetServer.assignBot();
-    
-    if (!serverId) {
-      return res.status(503).json({ error: 'No available servers' });
+    const { name, type, config, region, autoStart } = req.body;
+
+    const botType = getBotType(type);
+    if (!botType) {
+      return res.status(400).json({
+        error: `Unknown bot type: ${type}`,
+        code: 'UNKNOWN_BOT_TYPE',
+        allowed: listBotTypes().map(known => known.type)
+      });
+    }
+
+    let source;
+    if (req.body.source) {
+      try {
+        source = normalizeSource(req.body.source);
+      } catch (error) {
+        if (error instanceof GitSourceError) {
+          return res.status(error.status).json({ error: error.message });
+        }
+        throw error;
+      }
+    }
+
+    let placement;
+    let resources;
+    let restartPolicy;
+    let probes;
+    try {
+      placement = normalizePlacement(req.body.placement || {});
+      resources = normalizeResources(req.body.resources || {});
+      restartPolicy = normalizeRestartPolicy(req.body.restartPolicy || {});
+      probes = declaredProbes(normalizeProbes(req.body.probes || {}));
+      validateBotConfig(botType, config || {});
+    } catch (error) {
+      if (error instanceof PlacementError || error instanceof ResourceError || error instanceof RestartPolicyError
+        || error instanceof ProbeError || error instanceof BotTypeError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    // Credentials in config and explicit `secrets` go to the encrypted secret store
+    const extracted = extractConfigSecrets(config || {}, botType.configSchema);
+    if (req.body.secrets !== undefined && (typeof req.body.secrets !== 'object' || Array.isArray(req.body.secrets))) {
+      return res.status(400).json({ error: 'secrets must be an object of NAME: value pairs' });
+    }
+    const secrets = { ...extracted.secrets, ...(req.body.secrets || {}) };
+    try {
+      Object.entries(secrets).forEach(([secretName, value]) => validateSecret(secretName, value));
+      if (Object.keys(secrets).length > 0) {
+        getMasterKey();
+      }
+    } catch (error) {
+      if (error instanceof SecretError) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    // Deploy into the requested organization, or the caller's personal one
+    const org = req.body.org
+      ? await Organization.findById(req.body.org)
+      : await Organization.findOrCreatePersonal(req.user);
+    const role = org && org.getRole(req.user._id);
+    if (!role) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+    if (!can(role, 'bot:create')) {
+      return forbidden(res, role, 'bot:create');
+    }
+
+    // The bot limit is checked again when the slot is taken, atomically with taking it
+    const violation = await checkDeployQuota(req.user, { type, region }) || await reserveBotSlot(req.user);
+    if (violation) {
+      return res.status(violation.status).json(violation.body);
     }
 
     const bot = new Bot({
       name,
       type,
-      serverId,
-      config: config || {},
-      status: 'starting'
+      owner: req.user._id,
+      org: org._id,
+      config: extracted.config,
+      configRevision: 1,
+      placement: { ...placement, region },
+      resources,
+      restartPolicy,
+      probes,
+      telemetry: { tokenId: newTokenId(), tokenIssuedAt: new Date() },
+      source,
+      // Bots waiting for a bundle upload stay idle until the first artifact arrives
+      status: autoStart === false ? 'idle' : 'starting'
     });
 
-    await bot.save();
+    // From here on, a failed deploy gives back its slot, its server and whatever was stored
+    let saved = false;
+    try {
+      const { regions } = getEffectiveLimits(req.user);
+      await botNetServer.ready;
+      bot.serverId = await botNetServer.placeBot(bot, { regions: region ? [region] : regions });
+
+      if (!bot.serverId) {
+        await releaseBotSlot(req.user._id);
+        return res.status(503).json({ error: 'No available servers' });
+      }
+
+      // Secrets are stored first so they are in place when the Bot Manager starts the bot
+      for (const [secretName, value] of Object.entries(secrets)) {
+        await setSecret(bot._id, secretName, value, req.user._id);
+      }
+
+      await bot.describeTransition('deploy', requestActor(req)).save();
+      saved = true;
+      await ensureBaselineRevision(bot, req.user._id);
+
+      // The Bot Manager spawns the process of bots in 'starting'
+      const job = await queueBotJob(bot, { type: 'deploy', actor: requestActor(req) });
+      res.status(201).json(withJob(bot, job));
+    } catch (error) {
+      if (bot.serverId) {
+        await botNetServer.releaseBot(bot.serverId, bot);
+      }
+      if (saved) {
+        await Bot.deleteOne({ _id: bot._id });
+        await BotRevision.deleteMany({ bot: bot._id });
+        await BotEvent.deleteMany({ bot: bot._id });
+      }
+      await BotSecret.deleteMany({ bot: bot._id });
+      await releaseBotSlot(req.user._id);
+      throw error;
+    }
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/bots/:id', requireScope('bots:write'), loadBot('bot:delete'), async (req, res) => {
+  try {
+    const bot = req.bot;
+
+    await deleteBot(bot, botNetServer);
+    emitBotEvent(bot, 'botDeleted', { botId: req.params.id });
     
-    // Simulate bot startup
-    setTimeout(async () => {
-      bot.status = 'running';
+    res.json({ message: 'Bot deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Stores credentials from an updated config as secrets and returns the rest
+async function storeConfigSecrets(bot, config, updatedBy) {
+  const botType = getBotType(bot.type);
+  const extracted = extractConfigSecrets(config, botType && botType.configSchema);
+  const entries = Object.entries(extracted.secrets);
+  entries.forEach(([secretName, value]) => validateSecret(secretName, value));
+  if (entries.length > 0) {
+    getMasterKey();
+  }
+  for (const [secretName, value] of entries) {
+    await setSecret(bot._id, secretName, value, updatedBy);
+  }
+  return extracted.config;
+}
+
+// Saves a new config revision and restarts the bot onto it when it is running
+async function applyConfig(req, config, options = {}) {
+  const bot = req.bot;
+  const revision = await recordRevision(bot, config, { author: req.user._id, ...options });
+  await bot.save();
+
+  const restarting = revision && await restartLiveBot(bot, {
+    cause: 'config-change',
+    actor: requestActor(req),
+    detail: `revision ${revision.revision}`
+  });
+  if (restarting) {
+    emitBotEvent(bot, 'botStatus', { botId: bot._id, status: bot.status, action: 'restart' });
+  }
+}
+
+// Probes as stored, without the ones set to null to remove them
+function declaredProbes(probes) {
+  return Object.fromEntries(Object.entries(probes).filter(([, probe]) => probe !== null));
+}
+
+// In-place updates: PUT replaces the config, PATCH merges into it (null removes a key).
+// The restart policy applies from the bot's next exit, probes from its next start.
+async function updateBot(req, res) {
+  try {
+    const bot = req.bot;
+    const { name, config, restartPolicy, probes } = req.body;
+
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ error: 'name must be a non-empty string' });
+      }
+      bot.name = name.trim();
+    }
+    if (restartPolicy !== undefined) {
+      const normalized = normalizeRestartPolicy(restartPolicy);
+      if (req.method === 'PATCH') {
+        Object.entries(normalized).forEach(([key, value]) => bot.set(`restartPolicy.${key}`, value));
+      } else {
+        bot.restartPolicy = normalized;
+      }
+    }
+    if (probes !== undefined) {
+      const normalized = normalizeProbes(probes);
+      if (req.method === 'PATCH') {
+        Object.entries(normalized).forEach(([kind, probe]) => bot.set(`probes.${kind}`, probe || undefined));
+      } else {
+        bot.probes = declaredProbes(normalized);
+      }
+    }
+    if (config === undefined) {
       await bot.save();
-      io.emit('botStatus', { botId: bot._id, status: 'running' });
-    }, 2000);
+      return res.json(bot);
+    }
+    if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+      return res.status(400).json({ error: 'config must be an object' });
+    }
 
-    res.status(201).json(bot);
+    const next = req.method === 'PATCH' ? mergeConfig(bot.config || {}, config) : config;
+    // Bots of types no plugin defines anymore keep whatever config they are given
+    const botType = getBotType(bot.type);
+    if (botType) {
+      validateBotConfig(botType, next);
+    }
+    await applyConfig(req, await storeConfigSecrets(bot, next, req.user._id));
+    res.json(bot);
   } catch (error) {
+    if (error instanceof SecretError || error instanceof RevisionError || error instanceof RestartPolicyError
+      || error instanceof ProbeError || error instanceof BotTypeError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     res.status(500).json({ error: error.message });
   }
+}
+
+// Replaces the bot's telemetry ingest token; shown only once. The running process keeps
+// the old one, which is rejected from now on, until its next start.
+app.post('/api/bots/:id/telemetry-token', requireScope('bots:write'), loadBot('bot:operate'), async (req, res) => {
+  try {
+    const token = await rotateTelemetryToken(req.bot);
+    res.status(201).json({ botId: req.bot._id, token });
+  } catch (error) {
+    res.status(error instanceof SecretError ? error.status : 500).json({ error: error.message });
+  }
 });
 
-app.delete('/api/bots/:id', async (req, res) => {
+app.put('/api/bots/:id', requireScope('bots:write'), loadBot('bot:operate'), updateBot);
+app.patch('/api/bots/:id', requireScope('bots:write'), loadBot('bot:operate'), updateBot);
+
+// Restores the config of an earlier revision, recorded as a new revision
+app.post('/api/bots/:id/rollback/:rev', requireScope('bots:write'), loadBot('bot:operate'), async (req, res) => {
   try {
-    const bot = await Bot.findById(req.params.id);
-    if (!bot) {
-      return res.status(404).json({ error: 'Bot not found' });
+    const rev = Number(req.params.rev);
+    if (!Number.isInteger(rev) || rev < 1) {
+      return res.status(400).json({ error: 'Revision must be a positive integer' });
+    }
+    const target = await BotRevision.findOne({ bot: req.bot._id, revision: rev });
+    if (!target) {
+      return res.status(404).json({ error: 'Revision not found' });
     }
 
-    botNetServer.releaseBot(bot.serverId);
-    await Bot.findByIdAndDelete(req.params.id);
-    io.emit('botDeleted', { botId: req.params.id });
-    
-    res.json({ message: 'Bot deleted successfully' });
+    await applyConfig(req, target.config, { rollbackOf: rev });
+    res.json(req.bot);
+  } catch (error) {
+    if (error instanceof RevisionError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Lifecycle actions: start, stop, restart, pause, resume
+app.post('/api/bots/:id/actions', requireScope('bots:write'), loadBot('bot:operate'), async (req, res) => {
+  try {
+    const bot = req.bot;
+    const { action } = req.body;
+
+    const rejection = checkBotAction(bot, action);
+    if (rejection) {
+      return res.status(rejection.status).json(rejection.body);
+    }
+
+    applyBotAction(bot, action);
+    await bot.describeTransition(`action:${action}`, requestActor(req)).save();
+    const job = await queueBotJob(bot, { actor: requestActor(req) });
+    emitBotEvent(bot, 'botStatus', { botId: bot._id, status: bot.status, action });
+
+    res.status(202).json(withJob(bot, job));
+  } catch (error) {
+    // The Bot Manager changed the status in the meantime
+    if (error instanceof BotStateError) {
+      return res.status(error.status).json({ error: error.message, code: 'INVALID_BOT_STATUS' });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Deploy the latest commit of a git-sourced bot's ref
+app.post('/api/bots/:id/redeploy', requireScope('bots:write'), loadBot('bot:operate'), async (req, res) => {
+  try {
+    const bot = req.bot;
+    if (!bot.source || !bot.source.repoUrl) {
+      return res.status(400).json({ error: 'Bot is not deployed from a git repository' });
+    }
+
+    // Forget the pinned commit so the Bot Manager resolves the ref again. It restarts
+    // running bots itself; anything else is started straight away.
+    bot.source.commit = undefined;
+    bot.source.redeployRequestedAt = new Date();
+    const starting = bot.status !== 'starting' && canTransition(bot.status, 'starting');
+    if (starting) {
+      bot.status = 'starting';
+      bot.describeTransition('redeploy', requestActor(req));
+    }
+    await bot.save();
+    const job = starting ? await queueBotJob(bot, { type: 'deploy', actor: requestActor(req) }) : null;
+
+    res.status(202).json(withJob(bot, job));
   } catch (error) {
+    if (error instanceof BotStateError) {
+      return res.status(error.status).json({ error: error.message });
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
+// Relay status changes made by the Bot Manager (a separate process) to dashboards.
+// Every API instance polls, so each only relays to its own clients.
+const STATUS_POLL_INTERVAL = parseInt(process.env.STATUS_POLL_INTERVAL, 10) || 2000;
+let lastStatusPoll = new Date();
+
+setInterval(async () => {
+  const since = lastStatusPoll;
+  const until = new Date();
+  try {
+    const changed = await Bot.find({ statusChangedAt: { $gt: since, $lte: until } })
+      .select('status owner org exitCode lastError restarts');
+    changed.forEach(bot => emitBotEvent(bot, 'botStatus', {
+      botId: bot._id,
+      status: bot.status,
+      exitCode: bot.exitCode,
+      error: bot.lastError,
+      restarts: bot.restarts
+    }, { local: true }));
+    // Migrations run as jobs on the Bot Manager, which records their progress
+    const migrations = await Job.find({ type: 'migrate', updatedAt: { $gt: since, $lte: until } })
+      .select('serverId status progress');
+    migrations.forEach(job => io.local.emit('serverMigration', {
+      serverId: job.serverId,
+      ...job.progress,
+      job: job._id,
+      jobStatus: job.status
+    }));
+    lastStatusPoll = until;
+  } catch (error) {
+    console.error('Bot status relay failed:', error.message);
+  }
+}, STATUS_POLL_INTERVAL).unref();
+
+// Stream log lines stored by the Bot Manager to sockets subscribed to a bot's logs
+const LOG_POLL_INTERVAL = parseInt(process.env.LOG_POLL_INTERVAL, 10) || 1000;
+// Ids are made by the worker, so start from the beginning of the current second
+const logCursorNow = () => mongoose.Types.ObjectId.createFromTime(Math.floor(Date.now() / 1000));
+let lastLogId = logCursorNow();
+
+setInterval(async () => {
+  const watched = [];
+  io.sockets.adapter.rooms.forEach((sockets, room) => {
+    if (room.startsWith('logs:')) watched.push(room.slice('logs:'.length));
+  });
+  if (watched.length === 0) {
+    lastLogId = logCursorNow();
+    return;
+  }
+
+  try {
+    const logs = await BotLog.find({ _id: { $gt: lastLogId }, bot: { $in: watched } })
+      .sort({ _id: 1 })
+      .limit(1000);
+    if (logs.length === 0) return;
+    lastLogId = logs[logs.length - 1]._id;
+
+    const byBot = new Map();
+    logs.forEach(log => {
+      const botId = log.bot.toString();
+      if (!byBot.has(botId)) byBot.set(botId, []);
+      byBot.get(botId).push(log);
+    });
+    byBot.forEach((lines, botId) => io.local.to(getLogRoom(botId)).emit('botLog', { botId, lines }));
+  } catch (error) {
+    console.error('Bot log relay failed:', error.message);
+  }
+}, LOG_POLL_INTERVAL).unref();
+
 // WebSocket for real-time updates
+io.use(authenticateSocket);
+
 io.on('connection', (socket) => {
   console.log('Client connected:', socket.id);
+
+  // Bot events are delivered to the owning user's and organizations' rooms
+  socket.join(`user:${socket.user._id}`);
+  Organization.findForUser(socket.user._id)
+    .then(orgs => orgs.forEach(org => socket.join(`org:${org._id}`)))
+    .catch(error => console.error('Failed to join organization rooms:', error));
   
   socket.on('subscribeBots', () => {
     socket.join('bots');
   });
 
+  // Live log lines for one bot, for anyone allowed to view it
+  socket.on('subscribeLogs', async (botId, ack = () => {}) => {
+    try {
+      const bot = mongoose.isValidObjectId(botId) && await Bot.findById(botId);
+      const role = bot && await getBotRole(socket.user, bot);
+      if (!role || !can(role, 'bot:view')) {
+        return ack({ error: 'Bot not found' });
+      }
+      socket.join(getLogRoom(bot._id));
+      ack({ ok: true });
+    } catch (error) {
+      ack({ error: error.message });
+    }
+  });
+
+  socket.on('unsubscribeLogs', (botId) => {
+    socket.leave(getLogRoom(botId));
+  });
+
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
   });
 });
 
+// Node agents report in on their own namespace; status changes go to every dashboard,
+// and the bots of a server that stopped heartbeating are moved elsewhere
+attachNodeNamespace(io, botNetServer, server => io.emit('serverUpdate', server), {
+  onServerOffline: server => startMigration(server.id, 'offline')
+    .catch(error => console.error(`Queueing the migration off ${server.id} failed:`, error))
+});
+
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
 
@@ -209,6 +692,9 @@ app.get('/', (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Request body too large' });
+  }
   console.error(err.stack);
   res.status(500).json({ error: 'Something went wrong!' });
 });
@@ -224,10 +710,24 @@ process.on('SIGTERM', async () => {
 });
 
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
+const listen = () => server.listen(PORT, () => {
   console.log(`🐞 Ladybug Hosting v7 running on port ${PORT}`);
   console.log(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
 });
 
+// With several instances (PM2 cluster mode) broadcasts go through MongoDB; the adapter
+// has to be in place before the first client connects
+if (SOCKET_ADAPTER === 'mongo') {
+  mongoose.connection.asPromise()
+    .then(connection => useMongoAdapter(io, connection))
+    .then(listen)
+    .catch(error => {
+      console.error('Setting up the MongoDB Socket.IO adapter failed:', error);
+      process.exit(1);
+    });
+} else {
+  listen();
+}
+
 // Export for testing
 module.exports = { app, server, botNetServer };
\ No newline at end of file
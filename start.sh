@@ -11,7 +11,7 @@ export MONGODB_URI=${MONGODB_URI:-mongodb://localhost:27017/ladybug-hosting-v7}
 export JWT_SECRET=${JWT_SECRET:-ladybug-default-secret-change-me}
 
 # Create necessary directories
-mkdir -p logs uploads
+mkdir -p logs uploads bots
 
 # Install dependencies if needed
 if [ ! -d "node_modules" ]; then
@@ -0,0 +1,94 @@
+// Ladybug Hosting v7 - API Key Tests
+const bcrypt = require('bcryptjs');
+const ApiKey = require('../models/ApiKey');
+const { getCredentials, requireScope, requireSession } = require('../middleware/auth');
+
+describe('Ladybug Hosting v7 - API Key Tests', () => {
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    return res;
+  };
+
+  describe('Authorization Header Parsing', () => {
+    test('should treat Bearer tokens as JWTs', () => {
+      expect(getCredentials('Bearer eyJhbGciOi.payload.sig')).toEqual({ type: 'jwt', token: 'eyJhbGciOi.payload.sig' });
+    });
+
+    test('should recognise API keys with either scheme', () => {
+      expect(getCredentials('Bearer lbk_abc_secret').type).toBe('apiKey');
+      expect(getCredentials('ApiKey lbk_abc_secret').type).toBe('apiKey');
+    });
+
+    test('should ignore missing or malformed headers', () => {
+      expect(getCredentials(undefined)).toBeNull();
+      expect(getCredentials('Basic dXNlcjpwYXNz')).toBeNull();
+      expect(getCredentials('Bearer')).toBeNull();
+    });
+  });
+
+  describe('Scope Enforcement', () => {
+    test('should allow logged-in users through any scope', () => {
+      const next = jest.fn();
+      requireScope('bots:write')({ user: {} }, mockResponse(), next);
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should allow API keys with the scope', () => {
+      const next = jest.fn();
+      requireScope('bots:read')({ apiKey: { scopes: ['bots:read'] } }, mockResponse(), next);
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should reject API keys without the scope', () => {
+      const next = jest.fn();
+      const res = mockResponse();
+      requireScope('bots:write')({ apiKey: { scopes: ['bots:read'] } }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'SCOPE_REQUIRED', scope: 'bots:write' }));
+    });
+
+    test('should keep API keys away from session-only routes', () => {
+      const next = jest.fn();
+      const res = mockResponse();
+      requireSession({ apiKey: { scopes: ApiKey.SCOPES } }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+  });
+
+  describe('Key Verification', () => {
+    const plaintext = 'lbk_0123456789ab_s3cret-value';
+
+    const storedKey = async (overrides = {}) => ({
+      keyId: '0123456789ab',
+      keyHash: await bcrypt.hash(plaintext, 4),
+      scopes: ['bots:read'],
+      ...overrides
+    });
+
+    test('should accept a matching key', async () => {
+      const key = await storedKey();
+      jest.spyOn(ApiKey, 'findOne').mockResolvedValue(key);
+
+      await expect(ApiKey.verify(plaintext)).resolves.toBe(key);
+      expect(ApiKey.findOne).toHaveBeenCalledWith({ keyId: '0123456789ab', revokedAt: null });
+    });
+
+    test('should reject a key with the wrong secret', async () => {
+      jest.spyOn(ApiKey, 'findOne').mockResolvedValue(await storedKey());
+
+      await expect(ApiKey.verify('lbk_0123456789ab_wrong')).resolves.toBeNull();
+    });
+
+    test('should reject an expired key', async () => {
+      jest.spyOn(ApiKey, 'findOne').mockResolvedValue(await storedKey({ expiresAt: new Date(Date.now() - 1000) }));
+
+      await expect(ApiKey.verify(plaintext)).resolves.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,190 @@
+// Ladybug Hosting v7 - Artifact Extraction Tests
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const tar = require('tar');
+const {
+  ArtifactError,
+  detectFormat,
+  resolveEntryPath,
+  extractTarGz,
+  extractZip
+} = require('../lib/artifacts');
+
+// Builds a .tar.gz in memory so entries can carry names a real tool would refuse to write
+function buildTarGz(entries) {
+  const blocks = [];
+  entries.forEach(({ path: entryPath, type = 'File', body = '', linkpath }) => {
+    const data = Buffer.from(body);
+    const header = new tar.Header({
+      path: entryPath,
+      type,
+      linkpath,
+      size: type === 'File' ? data.length : 0,
+      mode: type === 'Directory' ? 0o755 : 0o644,
+      mtime: new Date()
+    });
+    header.encode();
+    blocks.push(header.block);
+    if (type === 'File' && data.length > 0) {
+      blocks.push(data, Buffer.alloc((512 - (data.length % 512)) % 512));
+    }
+  });
+  blocks.push(Buffer.alloc(1024));
+  return zlib.gzipSync(Buffer.concat(blocks));
+}
+
+// Minimal stored (uncompressed) zip writer
+function buildZip(entries) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  entries.forEach(({ name, body = '', mode = 0o100644 }) => {
+    const fileName = Buffer.from(name);
+    const data = Buffer.from(body);
+    const crc = zlib.crc32 ? zlib.crc32(data) : 0;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(10, 4);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(0x031e, 4); // made by unix, so the mode bits are honoured
+    central.writeUInt16LE(10, 6);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE((mode << 16) >>> 0, 38);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, fileName, data);
+    centrals.push(central, fileName);
+    offset += local.length + fileName.length + data.length;
+  });
+
+  const centralDirectory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, centralDirectory, end]);
+}
+
+describe('Ladybug Hosting v7 - Artifact Tests', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await fs.promises.realpath(await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ladybug-artifact-')));
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(root, { recursive: true, force: true });
+  });
+
+  describe('Format Detection', () => {
+    test('should recognise zip and tar.gz bundles by their magic bytes', () => {
+      expect(detectFormat(buildZip([{ name: 'index.js' }]))).toBe('zip');
+      expect(detectFormat(buildTarGz([{ path: 'index.js' }]))).toBe('tar.gz');
+      expect(detectFormat(Buffer.from('console.log("hi")'))).toBeNull();
+    });
+  });
+
+  describe('Entry Paths', () => {
+    test('should resolve entries inside the bundle', () => {
+      expect(resolveEntryPath(root, 'src/index.js')).toBe(path.join(root, 'src', 'index.js'));
+    });
+
+    test('should reject absolute paths and traversal', () => {
+      expect(() => resolveEntryPath(root, '/etc/passwd')).toThrow(ArtifactError);
+      expect(() => resolveEntryPath(root, 'C:\\Windows\\evil.dll')).toThrow(ArtifactError);
+      expect(() => resolveEntryPath(root, '../outside.js')).toThrow(ArtifactError);
+      expect(() => resolveEntryPath(root, 'src/../../outside.js')).toThrow(ArtifactError);
+    });
+  });
+
+  describe('tar.gz Extraction', () => {
+    test('should extract files and count them', async () => {
+      const bundle = buildTarGz([
+        { path: 'bot/', type: 'Directory' },
+        { path: 'bot/index.js', body: 'console.log("ladybug")' }
+      ]);
+
+      const result = await extractTarGz(bundle, root);
+
+      expect(result.fileCount).toBe(2);
+      expect(await fs.promises.readFile(path.join(root, 'bot', 'index.js'), 'utf8')).toBe('console.log("ladybug")');
+    });
+
+    test('should reject path traversal before writing anything', async () => {
+      const bundle = buildTarGz([
+        { path: 'index.js', body: 'ok' },
+        { path: '../escaped.js', body: 'bad' }
+      ]);
+
+      await expect(extractTarGz(bundle, root)).rejects.toThrow(ArtifactError);
+      expect(await fs.promises.readdir(root)).toEqual([]);
+    });
+
+    test('should reject symlinks pointing outside the bundle', async () => {
+      const bundle = buildTarGz([
+        { path: 'passwd', type: 'SymbolicLink', linkpath: '/etc/passwd' }
+      ]);
+
+      await expect(extractTarGz(bundle, root)).rejects.toThrow(/Symlink escapes/);
+    });
+
+    test('should keep symlinks that stay inside the bundle', async () => {
+      const bundle = buildTarGz([
+        { path: 'lib/main.js', body: 'module.exports = 1' },
+        { path: 'index.js', type: 'SymbolicLink', linkpath: 'lib/main.js' }
+      ]);
+
+      await extractTarGz(bundle, root);
+
+      expect(await fs.promises.readlink(path.join(root, 'index.js'))).toBe('lib/main.js');
+    });
+
+    test('should reject hardlinks', async () => {
+      const bundle = buildTarGz([
+        { path: 'shadow', type: 'Link', linkpath: '/etc/shadow' }
+      ]);
+
+      await expect(extractTarGz(bundle, root)).rejects.toThrow(ArtifactError);
+    });
+  });
+
+  describe('zip Extraction', () => {
+    test('should extract files', async () => {
+      const bundle = buildZip([{ name: 'index.js', body: 'console.log("ladybug")' }]);
+
+      const result = await extractZip(bundle, root);
+
+      expect(result.fileCount).toBe(1);
+      expect(await fs.promises.readFile(path.join(root, 'index.js'), 'utf8')).toBe('console.log("ladybug")');
+    });
+
+    test('should reject path traversal', async () => {
+      const bundle = buildZip([{ name: '../escaped.js', body: 'bad' }]);
+
+      await expect(extractZip(bundle, root)).rejects.toThrow(ArtifactError);
+      await expect(fs.promises.access(path.join(root, '..', 'escaped.js'))).rejects.toThrow();
+    });
+
+    test('should reject symlinks pointing outside the bundle', async () => {
+      const bundle = buildZip([{ name: 'passwd', body: '../../etc/passwd', mode: 0o120777 }]);
+
+      await expect(extractZip(bundle, root)).rejects.toThrow(/Symlink escapes/);
+    });
+  });
+});
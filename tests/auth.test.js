@@ -0,0 +1,127 @@
+// Ladybug Hosting v7 - Authentication Tests
+const request = require('supertest');
+const { app, server } = require('../server');
+const mongoose = require('mongoose');
+
+describe('Ladybug Hosting v7 - Authentication Tests', () => {
+  const credentials = { username: 'ladybug-user', password: 'ladybug-password' };
+
+  afterAll(async () => {
+    await mongoose.connection.db.dropDatabase();
+    server.close();
+  });
+
+  async function register() {
+    return request(app)
+      .post('/api/auth/register')
+      .send(credentials)
+      .expect(201);
+  }
+
+  describe('Registration', () => {
+    test('should register a user and return tokens', async () => {
+      const response = await register();
+
+      expect(response.body).toHaveProperty('accessToken');
+      expect(response.body).toHaveProperty('refreshToken');
+      expect(response.body.user).toHaveProperty('username', credentials.username);
+      expect(response.body.user).not.toHaveProperty('passwordHash');
+      expect(response.body.user).not.toHaveProperty('refreshTokens');
+    });
+
+    test('should reject duplicate usernames', async () => {
+      await register();
+
+      await request(app)
+        .post('/api/auth/register')
+        .send(credentials)
+        .expect(409);
+    });
+
+    test('should reject one of two concurrent registrations of a username', async () => {
+      const racing = { username: 'ladybug-racer', password: 'ladybug-password' };
+      const responses = await Promise.all([
+        request(app).post('/api/auth/register').send(racing),
+        request(app).post('/api/auth/register').send(racing)
+      ]);
+
+      expect(responses.map(response => response.status).sort()).toEqual([201, 409]);
+    });
+
+    test('should reject short passwords', async () => {
+      await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'short', password: 'short' })
+        .expect(400);
+    });
+  });
+
+  describe('Login', () => {
+    test('should login with valid credentials', async () => {
+      await register();
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send(credentials)
+        .expect(200);
+
+      expect(response.body).toHaveProperty('accessToken');
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${response.body.accessToken}`)
+        .expect(200);
+    });
+
+    test('should reject an invalid password', async () => {
+      await register();
+
+      await request(app)
+        .post('/api/auth/login')
+        .send({ ...credentials, password: 'wrong-password' })
+        .expect(401);
+    });
+  });
+
+  describe('Refresh and Logout', () => {
+    test('should rotate refresh tokens', async () => {
+      const { body } = await register();
+
+      const refreshed = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: body.refreshToken })
+        .expect(200);
+
+      expect(refreshed.body.refreshToken).not.toBe(body.refreshToken);
+
+      // The old refresh token is single use
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: body.refreshToken })
+        .expect(401);
+    });
+
+    test('should revoke the refresh token on logout', async () => {
+      const { body } = await register();
+
+      await request(app)
+        .post('/api/auth/logout')
+        .send({ refreshToken: body.refreshToken })
+        .expect(200);
+
+      await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: body.refreshToken })
+        .expect(401);
+    });
+
+    test('should not accept a refresh token as an access token', async () => {
+      const { body } = await register();
+
+      await request(app)
+        .get('/api/bots')
+        .set('Authorization', `Bearer ${body.refreshToken}`)
+        .expect(401);
+    });
+  });
+});
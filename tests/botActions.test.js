@@ -0,0 +1,237 @@
+// Ladybug Hosting v7 - Bot Lifecycle Action Tests
+const Bot = require('../models/Bot');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const Artifact = require('../models/Artifact');
+const BotLog = require('../models/BotLog');
+const BotSecret = require('../models/BotSecret');
+const BotRevision = require('../models/BotRevision');
+const BotEvent = require('../models/BotEvent');
+const {
+  BOT_ACTIONS,
+  checkBotAction,
+  applyBotAction,
+  queueBotJob,
+  restartLiveBot,
+  deleteBot
+} = require('../lib/botActions');
+const { canTransition } = require('../lib/botStates');
+
+describe('Ladybug Hosting v7 - Bot Action Tests', () => {
+  const bot = (overrides = {}) => testUtils.createTestBot(overrides);
+
+  describe('Validation', () => {
+    test('should reject unknown actions', () => {
+      const rejection = checkBotAction(bot(), 'explode');
+      expect(rejection.status).toBe(400);
+      expect(rejection.body.code).toBe('UNKNOWN_ACTION');
+      expect(rejection.body.allowed).toEqual(Object.keys(BOT_ACTIONS));
+    });
+
+    test('should reject actions that do not fit the current status', () => {
+      const rejection = checkBotAction(bot({ status: 'stopped' }), 'pause');
+      expect(rejection.status).toBe(409);
+      expect(rejection.body.code).toBe('INVALID_BOT_STATUS');
+      expect(rejection.body.allowedFrom).toEqual(['running']);
+    });
+
+    test('should reject a second action while one is pending', () => {
+      const rejection = checkBotAction(bot({ status: 'running', pendingAction: 'pause' }), 'stop');
+      expect(rejection.status).toBe(409);
+      expect(rejection.body.code).toBe('ACTION_IN_PROGRESS');
+    });
+
+    test('should not confuse object properties with actions', () => {
+      expect(checkBotAction(bot(), 'constructor').status).toBe(400);
+    });
+
+    test('should allow valid actions', () => {
+      expect(checkBotAction(bot({ status: 'idle' }), 'start')).toBeNull();
+      expect(checkBotAction(bot({ status: 'running' }), 'pause')).toBeNull();
+      expect(checkBotAction(bot({ status: 'paused' }), 'resume')).toBeNull();
+    });
+
+    test('should allow starting crash-looping bots and stopping bots waiting for a restart', () => {
+      expect(checkBotAction(bot({ status: 'crashloop' }), 'start')).toBeNull();
+      expect(checkBotAction(bot({ status: 'stopped', restarts: { count: 1, nextAt: new Date() } }), 'stop')).toBeNull();
+      expect(checkBotAction(bot({ status: 'stopped' }), 'stop').status).toBe(409);
+    });
+  });
+
+  describe('Applying Actions', () => {
+    test('should start bots by handing them to the Bot Manager', () => {
+      const testBot = bot({ status: 'stopped' });
+      applyBotAction(testBot, 'start');
+      expect(testBot.status).toBe('starting');
+      expect(testBot.pendingAction).toBeUndefined();
+    });
+
+    test('should leave stopping a live process to the Bot Manager', () => {
+      const testBot = bot({ status: 'running' });
+      applyBotAction(testBot, 'stop');
+      expect(testBot.status).toBe('stopping');
+      expect(testBot.pendingAction).toBe('stop');
+      expect(testBot.pendingActionAt).toBeInstanceOf(Date);
+    });
+
+    test('should stop failed bots straight away', () => {
+      const testBot = bot({ status: 'error' });
+      applyBotAction(testBot, 'stop');
+      expect(testBot.status).toBe('stopped');
+      expect(testBot.pendingAction).toBeUndefined();
+    });
+
+    test('should restart bots without a process by starting them', () => {
+      const testBot = bot({ status: 'error' });
+      applyBotAction(testBot, 'restart');
+      expect(testBot.status).toBe('starting');
+    });
+
+    test('should only make legal status transitions', () => {
+      Object.entries(BOT_ACTIONS).forEach(([action, statuses]) => {
+        statuses.forEach(status => {
+          const testBot = bot({ status });
+          applyBotAction(testBot, action);
+          expect(testBot.status === status || canTransition(status, testBot.status)).toBe(true);
+        });
+      });
+    });
+
+    test('should keep the status of paused or resumed bots until the process is signalled', () => {
+      const testBot = bot({ status: 'running' });
+      applyBotAction(testBot, 'pause');
+      expect(testBot.status).toBe('running');
+      expect(testBot.pendingAction).toBe('pause');
+    });
+
+    test('should cancel a scheduled restart and clear the restart count', () => {
+      const testBot = bot({ status: 'error', restarts: { count: 3, nextAt: new Date() } });
+      applyBotAction(testBot, 'stop');
+      expect(testBot.status).toBe('stopped');
+      expect(testBot.restarts).toEqual({ count: 0 });
+    });
+  });
+
+  describe('Queueing Jobs', () => {
+    const actor = { kind: 'user', user: testUtils.randomObjectId() };
+
+    beforeEach(() => {
+      jest.spyOn(Job, 'findOneAndUpdate').mockImplementation(async (filter, update) => update.$setOnInsert);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should queue the pending action of a bot', async () => {
+      const testBot = bot({ _id: testUtils.randomObjectId(), status: 'running' });
+      applyBotAction(testBot, 'stop');
+
+      const job = await queueBotJob(testBot, { actor });
+      expect(job).toMatchObject({
+        type: 'stop',
+        bot: testBot._id,
+        key: `action:${testBot._id}`,
+        payload: { pendingActionAt: testBot.pendingActionAt },
+        actor
+      });
+    });
+
+    test('should queue a start for bots in starting', async () => {
+      const testBot = bot({ _id: testUtils.randomObjectId(), status: 'stopped' });
+      applyBotAction(testBot, 'start');
+
+      const job = await queueBotJob(testBot, { type: 'deploy', actor });
+      expect(job).toMatchObject({ type: 'deploy', key: `start:${testBot._id}`, status: 'queued' });
+    });
+
+    test('should not queue anything for plain status changes', async () => {
+      const testBot = bot({ status: 'error' });
+      applyBotAction(testBot, 'stop');
+
+      expect(await queueBotJob(testBot, { actor })).toBeNull();
+      expect(Job.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Restarting Live Bots', () => {
+    beforeEach(() => {
+      jest.spyOn(Bot, 'transition').mockResolvedValue('running');
+      jest.spyOn(Job, 'findOneAndUpdate').mockImplementation(async (filter, update) => update.$setOnInsert);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should restart running bots', async () => {
+      const testBot = bot({ _id: testUtils.randomObjectId(), status: 'running' });
+      expect(await restartLiveBot(testBot, { cause: 'config-change' })).toBe(true);
+      expect(testBot.status).toBe('restarting');
+      expect(testBot.pendingAction).toBe('restart');
+      expect(Bot.transition).toHaveBeenCalledWith(testBot._id, 'restarting', expect.objectContaining({
+        from: ['running', 'paused'],
+        filter: { pendingAction: { $exists: false } },
+        cause: 'config-change'
+      }));
+      expect(Job.findOneAndUpdate).toHaveBeenCalledWith(
+        { key: `action:${testBot._id}`, status: { $in: ['queued', 'running'] } },
+        expect.objectContaining({ $setOnInsert: expect.objectContaining({ type: 'restart' }) }),
+        expect.anything()
+      );
+    });
+
+    test('should leave stopped bots and pending actions alone', async () => {
+      const stopped = bot({ status: 'stopped' });
+      expect(await restartLiveBot(stopped)).toBe(false);
+      expect(stopped.status).toBe('stopped');
+
+      const stopping = bot({ status: 'running', pendingAction: 'stop' });
+      expect(await restartLiveBot(stopping)).toBe(false);
+      expect(stopping.pendingAction).toBe('stop');
+      expect(Bot.transition).not.toHaveBeenCalled();
+    });
+
+    test('should not restart bots whose status changed in the meantime', async () => {
+      Bot.transition.mockResolvedValue(null);
+      const testBot = bot({ status: 'running' });
+      expect(await restartLiveBot(testBot)).toBe(false);
+      expect(testBot.status).toBe('running');
+      expect(Job.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Deleting Bots', () => {
+    const stored = [Artifact, BotLog, BotSecret, BotRevision, BotEvent];
+    let botNetServer;
+
+    beforeEach(() => {
+      botNetServer = { releaseBot: jest.fn().mockResolvedValue() };
+      stored.forEach(model => jest.spyOn(model, 'deleteMany').mockResolvedValue({ deletedCount: 0 }));
+      jest.spyOn(User, 'updateOne').mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+    });
+
+    test('should remove everything kept for the bot and give its slots back', async () => {
+      const testBot = { ...bot({ owner: testUtils.randomObjectId() }), _id: testUtils.randomObjectId() };
+      jest.spyOn(Bot, 'findByIdAndDelete').mockResolvedValue(testBot);
+
+      await expect(deleteBot(testBot, botNetServer)).resolves.toBe(true);
+
+      expect(botNetServer.releaseBot).toHaveBeenCalledWith(testBot.serverId, testBot);
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: testBot.owner, 'usage.bots': { $gt: 0 } },
+        { $inc: { 'usage.bots': -1 } }
+      );
+      stored.forEach(model => expect(model.deleteMany).toHaveBeenCalledWith({ bot: testBot._id }));
+    });
+
+    test('should not give slots back twice for a bot deleted meanwhile', async () => {
+      jest.spyOn(Bot, 'findByIdAndDelete').mockResolvedValue(null);
+
+      await expect(deleteBot({ ...bot(), _id: testUtils.randomObjectId() }, botNetServer)).resolves.toBe(false);
+
+      expect(botNetServer.releaseBot).not.toHaveBeenCalled();
+      expect(User.updateOne).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,77 @@
+// Ladybug Hosting v7 - Bot Log Tests
+const {
+  LogQueryError,
+  LogRingBuffer,
+  createLineSplitter,
+  parseLogQuery
+} = require('../lib/botLogs');
+
+describe('Ladybug Hosting v7 - Bot Log Tests', () => {
+  describe('Ring Buffer', () => {
+    test('should return buffered lines oldest first and empty itself', () => {
+      const buffer = new LogRingBuffer(3);
+      buffer.push('a');
+      buffer.push('b');
+
+      expect(buffer.drain()).toEqual({ entries: ['a', 'b'], dropped: 0 });
+      expect(buffer.drain()).toEqual({ entries: [], dropped: 0 });
+    });
+
+    test('should overwrite the oldest lines when full and count them', () => {
+      const buffer = new LogRingBuffer(3);
+      ['a', 'b', 'c', 'd', 'e'].forEach(line => buffer.push(line));
+
+      expect(buffer.drain()).toEqual({ entries: ['c', 'd', 'e'], dropped: 2 });
+    });
+  });
+
+  describe('Line Splitting', () => {
+    test('should join lines split across chunks', () => {
+      const lines = [];
+      const splitter = createLineSplitter(line => lines.push(line));
+
+      splitter.write(Buffer.from('hello wo'));
+      splitter.write(Buffer.from('rld\r\nsecond\nthi'));
+      splitter.end();
+
+      expect(lines).toEqual(['hello world', 'second', 'thi']);
+    });
+
+    test('should cut overlong lines', () => {
+      const lines = [];
+      const splitter = createLineSplitter(line => lines.push(line), 5);
+
+      splitter.write(Buffer.from('abcdefghijkl'));
+      splitter.end();
+
+      expect(lines).toEqual(['abcde', 'fghij', 'kl']);
+    });
+  });
+
+  describe('Log Queries', () => {
+    const botId = testUtils.randomObjectId();
+
+    test('should default to the last 100 lines', () => {
+      expect(parseLogQuery(botId, {})).toEqual({ filter: { bot: botId }, tail: 100 });
+    });
+
+    test('should accept ISO dates and millisecond timestamps for since', () => {
+      expect(parseLogQuery(botId, { since: '2024-01-01T00:00:00Z' }).filter.createdAt.$gt)
+        .toEqual(new Date('2024-01-01T00:00:00Z'));
+      expect(parseLogQuery(botId, { since: '1704067200000' }).filter.createdAt.$gt)
+        .toEqual(new Date('2024-01-01T00:00:00Z'));
+    });
+
+    test('should match grep as a literal, case-insensitive substring', () => {
+      const { filter } = parseLogQuery(botId, { grep: 'error (x+' });
+      expect(filter.line).toEqual({ $regex: 'error \\(x\\+', $options: 'i' });
+    });
+
+    test('should reject invalid parameters', () => {
+      expect(() => parseLogQuery(botId, { since: 'yesterday' })).toThrow(LogQueryError);
+      expect(() => parseLogQuery(botId, { tail: '0' })).toThrow(LogQueryError);
+      expect(() => parseLogQuery(botId, { tail: '100000' })).toThrow(LogQueryError);
+      expect(() => parseLogQuery(botId, { grep: ['a', 'b'] })).toThrow(LogQueryError);
+    });
+  });
+});
@@ -1,28 +1,16 @@
 // Ladybug Hosting v7 - Bot Manager Tests
 const BotManager = require('../workers/botManager');
 const mongoose = require('mongoose');
+// The Bot Manager registers the Bot model, so the suite uses the same one
+const Bot = require('../models/Bot');
+const Job = require('../models/Job');
+const { MetricSamples } = require('../models/MetricSample');
+const { PROBE_DEFAULTS, getBotProbes, initialProbeState } = require('../lib/probes');
+const { getBotType } = require('../lib/plugins');
 
 // Mock MongoDB connection for testing
 const mockMongoUri = process.env.MONGODB_URI_TEST || 'mongodb://localhost:27017/ladybug-hosting-v7-test';
 
-// Bot Schema for testing
-const BotSchema = new mongoose.Schema({
-  name: { type: String, required: true },
-  type: { type: String, required: true },
-  status: { type: String, default: 'idle' },
-  serverId: { type: String, required: true },
-  config: { type: Object, default: {} },
-  createdAt: { type: Date, default: Date.now },
-  lastActive: { type: Date, default: Date.now },
-  metrics: {
-    uptime: { type: Number, default: 0 },
-    requests: { type: Number, default: 0 },
-    errors: { type: Number, default: 0 }
-  }
-});
-
-const Bot = mongoose.model('Bot', BotSchema);
-
 describe('Ladybug Hosting v7 - Bot Manager Tests', () => {
   let botManager;
   let testBot;
@@ -60,53 +48,62 @@ describe('Ladybug Hosting v7 - Bot Manager Tests', () => {
   });
 
   describe('Bot Health Checks', () => {
-    test('should check Discord bot health correctly', async () => {
-      const health = await botManager.checkDiscordBot(testBot);
-      expect(typeof health).toBe('boolean');
+    test('should probe Discord bots on their platform', async () => {
+      // Without a BOT_TOKEN secret there is nothing Discord could accept
+      const health = await botManager.probeBot(testBot, getBotProbes(testBot, getBotType(testBot.type)).liveness);
+      expect(health.status).toBe('auth_failed');
     });
 
-    test('should check Telegram bot health correctly', async () => {
+    test('should probe Telegram bots on their platform', async () => {
       testBot.type = 'telegram';
       await testBot.save();
       
-      const health = await botManager.checkTelegramBot(testBot);
-      expect(typeof health).toBe('boolean');
-    });
-
-    test('should check Web bot health correctly', async () => {
-      testBot.type = 'web';
-      testBot.config = { targetUrl: 'https://httpbin.org/status/200' };
-      await testBot.save();
-      
-      const health = await botManager.checkWebBot(testBot);
-      expect(health).toBe(true);
+      const health = await botManager.probeBot(testBot, getBotProbes(testBot, getBotType(testBot.type)).liveness);
+      expect(health.status).toBe('auth_failed');
     });
 
-    test('should check Monitor bot health correctly', async () => {
-      testBot.type = 'monitor';
-      await testBot.save();
-      
-      const health = await botManager.checkMonitorBot(testBot);
-      expect(health).toBe(true);
+    test('should run command probes in the bot directory', async () => {
+      const health = await botManager.probeBot(testBot, {
+        ...PROBE_DEFAULTS,
+        type: 'exec',
+        command: [process.execPath, '-e', 'process.exit(process.env.BOT_NAME ? 0 : 1)']
+      });
+      expect(health.status).toBe('healthy');
     });
 
-    test('should check Custom bot health correctly', async () => {
-      testBot.type = 'custom';
-      await testBot.save();
-      
-      const health = await botManager.checkCustomBot(testBot);
-      expect(typeof health).toBe('boolean');
+    test('should end processes whose liveness probe turns failing', async () => {
+      const terminate = jest.spyOn(botManager, 'terminateProcess').mockResolvedValue();
+      const entry = {
+        pid: 12345,
+        bot: testBot,
+        probes: {
+          liveness: { spec: { ...PROBE_DEFAULTS, type: 'tcp', port: 3000, failureThreshold: 2 }, state: initialProbeState() }
+        }
+      };
+      const failure = { status: 'unhealthy', detail: 'Port 3000: connect ECONNREFUSED' };
+
+      expect((await botManager.handleProbeResult(testBot._id.toString(), entry, 'liveness', failure)).status).toBe('unknown');
+      expect(terminate).not.toHaveBeenCalled();
+      expect((await botManager.handleProbeResult(testBot._id.toString(), entry, 'liveness', failure)).status).toBe('failing');
+      expect(terminate).toHaveBeenCalledWith(testBot._id.toString(), expect.objectContaining({
+        reason: 'Liveness probe failed: Port 3000: connect ECONNREFUSED',
+        cause: 'liveness-failed'
+      }));
     });
 
-    test('should handle bot health check errors', async () => {
-      // Mock a bot that will cause an error
-      const errorBot = {
-        type: 'web',
-        config: { targetUrl: 'invalid-url' }
+    test('should store readiness with the bot', async () => {
+      await Bot.updateOne({ _id: testBot._id }, { $set: { pid: 12345 } });
+      const entry = {
+        pid: 12345,
+        bot: testBot,
+        probes: { readiness: { spec: { ...PROBE_DEFAULTS, type: 'tcp', port: 3000 }, state: initialProbeState() } }
       };
-      
-      const health = await botManager.checkWebBot(errorBot);
-      expect(health).toBe(false);
+
+      await botManager.handleProbeResult(testBot._id.toString(), entry, 'readiness', { status: 'healthy', detail: 'Port 3000 open' });
+
+      const updatedBot = await Bot.findById(testBot._id).lean();
+      expect(updatedBot.health.ready).toBe(true);
+      expect(updatedBot.health.readiness).toMatchObject({ status: 'passing', successes: 1 });
     });
   });
 
@@ -157,22 +154,41 @@ describe('Ladybug Hosting v7 - Bot Manager Tests', () => {
       expect(updatedBot.lastActive).toBeInstanceOf(Date);
     });
 
-    test('should mark unhealthy bots as error', async () => {
-      // Create a bot with old lastActive time
-      const oldBot = new Bot({
-        name: 'Old Bot',
-        type: 'discord',
-        status: 'running',
-        serverId: 'server-1',
-        config: { token: 'test-token' },
-        lastActive: new Date(Date.now() - 10 * 60 * 1000) // 10 minutes ago
+    test('should not mark bots with a failing liveness probe as active', async () => {
+      const lastActive = new Date(Date.now() - 10 * 60 * 1000);
+      await Bot.updateOne({ _id: testBot._id }, { $set: { pid: 12345, lastActive } });
+      botManager.botProcesses.set(testBot._id.toString(), {
+        pid: 12345,
+        probes: { liveness: { state: { status: 'failing' } } }
       });
-      await oldBot.save();
 
-      await botManager.performHeartbeatCheck();
-      
-      const updatedBot = await Bot.findById(oldBot._id);
-      expect(updatedBot.status).toBe('error');
+      try {
+        await botManager.performHeartbeatCheck();
+      } finally {
+        botManager.botProcesses.delete(testBot._id.toString());
+      }
+
+      const updatedBot = await Bot.findById(testBot._id);
+      expect(updatedBot.lastActive).toEqual(lastActive);
+    });
+
+    test('should leave the activity of bots that push telemetry to their reports', async () => {
+      const startedAt = new Date(Date.now() - 60 * 1000);
+      const lastActive = new Date(Date.now() - 30 * 1000);
+      await Bot.updateOne({ _id: testBot._id }, {
+        $set: { pid: 12345, startedAt, lastActive, 'telemetry.lastReportAt': lastActive }
+      });
+      botManager.botProcesses.set(testBot._id.toString(), { pid: 12345, probes: {} });
+
+      try {
+        await botManager.performHeartbeatCheck();
+      } finally {
+        botManager.botProcesses.delete(testBot._id.toString());
+      }
+
+      const updatedBot = await Bot.findById(testBot._id);
+      expect(updatedBot.lastActive).toEqual(lastActive);
+      expect(updatedBot.metrics.uptime).toBeGreaterThan(0);
     });
   });
 
@@ -229,6 +245,36 @@ describe('Ladybug Hosting v7 - Bot Manager Tests', () => {
       
       await expect(botManager.collectMetrics()).resolves.not.toThrow();
     });
+
+    test('should store a sample of every bot and its server', async () => {
+      await Promise.all(Object.values(MetricSamples).map(model => model.deleteMany({})));
+
+      await botManager.collectMetrics();
+
+      const botSample = await MetricSamples['1m'].findOne({ 'source.id': testBot._id.toString() });
+      expect(botSample.up).toBe(1);
+      const serverSample = await MetricSamples['1m'].findOne({ 'source.kind': 'server', 'source.id': 'server-1' });
+      expect(serverSample.activeBots).toBeGreaterThanOrEqual(1);
+    });
+
+    test('should roll completed hours up once', async () => {
+      await Promise.all(Object.values(MetricSamples).map(model => model.deleteMany({})));
+      const source = { kind: 'bot', id: testBot._id.toString() };
+      await MetricSamples['1m'].insertMany([
+        { at: new Date('2026-10-18T10:00:00Z'), source, up: 1, requests: 4, errors: 0 },
+        { at: new Date('2026-10-18T10:30:00Z'), source, up: 0, requests: 6, errors: 1 },
+        { at: new Date('2026-10-18T11:00:00Z'), source, up: 1, requests: 1, errors: 0 }
+      ]);
+
+      const now = new Date('2026-10-18T11:05:00Z').getTime();
+      await botManager.rollupMetrics(now);
+      await botManager.rollupMetrics(now);
+
+      const hours = await MetricSamples['1h'].find({ 'source.id': source.id });
+      expect(hours).toHaveLength(1);
+      expect(hours[0].at).toEqual(new Date('2026-10-18T10:00:00Z'));
+      expect(hours[0]).toMatchObject({ up: 0.5, requests: 10, errors: 1 });
+    });
   });
 
   describe('Cleanup Operations', () => {
@@ -266,43 +312,89 @@ describe('Ladybug Hosting v7 - Bot Manager Tests', () => {
       const existingBot = await Bot.findById(recentBot._id);
       expect(existingBot).toBeTruthy();
     });
+
+    test('should not cleanup bots waiting for their first upload', async () => {
+      const waitingBot = new Bot({
+        name: 'Waiting Bot',
+        type: 'custom',
+        status: 'idle',
+        serverId: 'server-1',
+        lastActive: new Date(Date.now() - 25 * 60 * 60 * 1000)
+      });
+      await waitingBot.save();
+
+      await botManager.cleanupOrphanedBots();
+
+      expect(await Bot.findById(waitingBot._id)).toBeTruthy();
+    });
   });
 
-  describe('Failed Bot Restart', () => {
-    test('should restart failed bots with low error count', async () => {
+  describe('Scheduled Restarts', () => {
+    test('should start bots whose restart backoff has passed', async () => {
       const failedBot = new Bot({
         name: 'Failed Bot',
         type: 'discord',
         status: 'error',
         serverId: 'server-1',
         config: { token: 'test-token' },
-        metrics: { errors: 2 }
+        restarts: { count: 2, nextAt: new Date(Date.now() - 1000) }
       });
       await failedBot.save();
 
-      await botManager.restartFailedBots();
-      
-      // Should attempt to restart (status should change)
+      await botManager.restartDueBots();
+
       const updatedBot = await Bot.findById(failedBot._id);
       expect(updatedBot.status).toBe('starting');
+      expect(updatedBot.restarts.count).toBe(2);
+      expect(updatedBot.restarts.nextAt).toBeUndefined();
+      expect(updatedBot.restarts.lastAt).toBeInstanceOf(Date);
+      // Carried out by a start job like any other start
+      const job = await Job.findOne({ bot: failedBot._id });
+      expect(job).toMatchObject({ type: 'start', status: 'queued', key: `start:${failedBot._id}` });
     });
 
-    test('should not restart bots with high error count', async () => {
-      const failedBot = new Bot({
-        name: 'High Error Bot',
+    test('should wait for the backoff and leave crash-looping bots alone', async () => {
+      const waitingBot = new Bot({
+        name: 'Waiting Bot',
         type: 'discord',
         status: 'error',
         serverId: 'server-1',
         config: { token: 'test-token' },
-        metrics: { errors: 10 }
+        restarts: { count: 1, nextAt: new Date(Date.now() + 60000) }
       });
-      await failedBot.save();
+      const crashloopBot = new Bot({
+        name: 'Crashloop Bot',
+        type: 'discord',
+        status: 'crashloop',
+        serverId: 'server-1',
+        config: { token: 'test-token' },
+        restarts: { count: 5 }
+      });
+      await waitingBot.save();
+      await crashloopBot.save();
 
-      await botManager.restartFailedBots();
-      
-      // Should not restart (status should remain error)
-      const updatedBot = await Bot.findById(failedBot._id);
-      expect(updatedBot.status).toBe('error');
+      await botManager.restartDueBots();
+
+      expect((await Bot.findById(waitingBot._id)).status).toBe('error');
+      expect((await Bot.findById(crashloopBot._id)).status).toBe('crashloop');
+    });
+
+    test('should reset the restart count of bots that stayed up', async () => {
+      const stableBot = new Bot({
+        name: 'Stable Bot',
+        type: 'discord',
+        status: 'running',
+        serverId: 'server-1',
+        config: { token: 'test-token' },
+        startedAt: new Date(Date.now() - 60 * 60 * 1000),
+        restarts: { count: 3 }
+      });
+      await stableBot.save();
+
+      await botManager.restartDueBots();
+
+      const updatedBot = await Bot.findById(stableBot._id);
+      expect(updatedBot.restarts.count).toBe(0);
     });
   });
 
@@ -0,0 +1,132 @@
+// Ladybug Hosting v7 - Bot Runtime Tests
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const {
+  BOTS_PATH,
+  TELEMETRY_URL,
+  TELEMETRY_CLIENT_PATH,
+  getBotWorkdir,
+  resolveStartCommand,
+  buildBotEnv,
+  isProcessAlive,
+  isBotProcess
+} = require('../lib/botRuntime');
+
+describe('Ladybug Hosting v7 - Bot Runtime Tests', () => {
+  const bot = (overrides = {}) => ({
+    _id: testUtils.randomObjectId(),
+    name: 'Runtime Bot',
+    type: 'custom',
+    config: {},
+    ...overrides
+  });
+
+  describe('Working Directory', () => {
+    test('should place each bot in its own directory', () => {
+      const testBot = bot();
+      expect(getBotWorkdir(testBot)).toBe(path.join(BOTS_PATH, testBot._id.toString()));
+    });
+
+    test('should run git-sourced bots from their checkout subdirectory', () => {
+      const testBot = bot({ source: { repoUrl: 'https://github.com/ladybug/bot.git', ref: 'main', subdir: 'bot' } });
+      expect(getBotWorkdir(testBot)).toBe(path.join(BOTS_PATH, testBot._id.toString(), 'bot'));
+    });
+
+    test('should run from the uploaded artifact when there is one', () => {
+      const testBot = bot({ artifact: { version: 2, path: '/srv/uploads/artifacts/bot/v2' } });
+      expect(getBotWorkdir(testBot)).toBe('/srv/uploads/artifacts/bot/v2');
+    });
+  });
+
+  describe('Start Command', () => {
+    test('should run an explicit command through the shell', () => {
+      const command = resolveStartCommand(bot({ config: { command: 'python3 bot.py' } }), '/tmp/bot');
+      expect(command).toEqual({ command: '/bin/sh', args: ['-c', 'python3 bot.py'] });
+    });
+
+    test('should use npm start when package.json has a start script', () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue(JSON.stringify({ scripts: { start: 'node bot.js' } }));
+
+      expect(resolveStartCommand(bot(), '/tmp/bot')).toEqual({ command: 'npm', args: ['start'] });
+    });
+
+    test('should run package.json main with node', () => {
+      fs.existsSync.mockReturnValue(true);
+      fs.readFileSync.mockReturnValue(JSON.stringify({ main: 'src/main.js' }));
+
+      expect(resolveStartCommand(bot(), '/tmp/bot')).toEqual({ command: process.execPath, args: ['src/main.js'] });
+    });
+
+    test('should fall back to node index.js', () => {
+      fs.existsSync.mockReturnValue(false);
+
+      expect(resolveStartCommand(bot(), '/tmp/bot')).toEqual({ command: process.execPath, args: ['index.js'] });
+    });
+
+    test('should fall back to the start command of the bot type', () => {
+      fs.existsSync.mockReturnValue(false);
+
+      expect(resolveStartCommand(bot(), '/tmp/bot', ['python3', 'bot.py'])).toEqual({ command: 'python3', args: ['bot.py'] });
+      expect(resolveStartCommand(bot(), '/tmp/bot', ['node', 'main.js'])).toEqual({ command: process.execPath, args: ['main.js'] });
+    });
+  });
+
+  describe('Process Environment', () => {
+    test('should identify the bot to its process', () => {
+      const testBot = bot();
+      const env = buildBotEnv(testBot);
+
+      expect(env.BOT_ID).toBe(testBot._id.toString());
+      expect(env.BOT_NAME).toBe('Runtime Bot');
+      expect(env.BOT_TYPE).toBe('custom');
+    });
+
+    test('should tell the process where to push telemetry', () => {
+      const env = buildBotEnv(bot(), {}, 'lbt_0123456789ab_signature');
+
+      expect(env.LADYBUG_TELEMETRY_TOKEN).toBe('lbt_0123456789ab_signature');
+      expect(env.LADYBUG_TELEMETRY_URL).toBe(TELEMETRY_URL);
+      expect(env.NODE_PATH).toBe(TELEMETRY_CLIENT_PATH);
+      expect(buildBotEnv(bot())).not.toHaveProperty('LADYBUG_TELEMETRY_TOKEN');
+    });
+
+    test('should not leak platform secrets', () => {
+      const env = buildBotEnv(bot());
+
+      expect(env).not.toHaveProperty('JWT_SECRET');
+      expect(env).not.toHaveProperty('MONGODB_URI');
+    });
+  });
+
+  describe('Process Liveness', () => {
+    test('should detect the current process as alive', () => {
+      expect(isProcessAlive(process.pid)).toBe(true);
+    });
+
+    test('should treat a missing pid as not alive', () => {
+      expect(isProcessAlive(undefined)).toBe(false);
+    });
+
+    test('should only recognise processes started for the bot', async () => {
+      const botId = testUtils.randomObjectId().toString();
+      const child = spawn(process.execPath, ['-e', 'setTimeout(() => {}, 10000)'], {
+        env: { ...process.env, BOT_ID: botId },
+        stdio: 'ignore'
+      });
+      const exited = new Promise(resolve => child.on('exit', resolve));
+
+      try {
+        // Without /proc nothing can be confirmed
+        expect(await isBotProcess(child.pid, botId)).toBe(process.platform === 'linux');
+        expect(await isBotProcess(child.pid, 'another-bot')).toBe(false);
+        expect(await isBotProcess(process.pid, botId)).toBe(false);
+      } finally {
+        child.kill();
+        await exited;
+      }
+      expect(await isBotProcess(undefined, botId)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+// Ladybug Hosting v7 - Bot State Machine Tests
+const Bot = require('../models/Bot');
+const BotEvent = require('../models/BotEvent');
+const {
+  BOT_STATES,
+  TRANSITIONS,
+  BOT_MANAGER_ACTOR,
+  BotStateError,
+  canTransition,
+  assertTransition,
+  statesLeadingTo,
+  requestActor
+} = require('../lib/botStates');
+
+describe('Ladybug Hosting v7 - Bot State Machine Tests', () => {
+  describe('Transitions', () => {
+    test('should only lead to known states', () => {
+      Object.values(TRANSITIONS).forEach(targets => {
+        targets.forEach(target => expect(BOT_STATES).toContain(target));
+      });
+      expect(Bot.schema.path('status').enumValues).toEqual(BOT_STATES);
+    });
+
+    test('should allow the steps of a normal lifecycle', () => {
+      expect(canTransition('idle', 'starting')).toBe(true);
+      expect(canTransition('starting', 'running')).toBe(true);
+      expect(canTransition('running', 'stopping')).toBe(true);
+      expect(canTransition('stopping', 'stopped')).toBe(true);
+      expect(canTransition('crashloop', 'starting')).toBe(true);
+      expect(canTransition('running', 'auth_failed')).toBe(true);
+      expect(canTransition('auth_failed', 'starting')).toBe(true);
+    });
+
+    test('should reject illegal and unknown transitions', () => {
+      expect(canTransition('stopped', 'running')).toBe(false);
+      expect(canTransition('crashloop', 'running')).toBe(false);
+      expect(canTransition('auth_failed', 'running')).toBe(false);
+      expect(canTransition('constructor', 'running')).toBe(false);
+      expect(() => assertTransition('stopped', 'paused')).toThrow(BotStateError);
+      expect(() => assertTransition('stopped', 'paused')).toThrow('A bot cannot go from stopped to paused');
+      expect(() => assertTransition('running', 'deploying')).toThrow('Unknown bot status: deploying');
+    });
+
+    test('should list the states a status can be reached from', () => {
+      expect(statesLeadingTo('paused')).toEqual(['running']);
+      expect(statesLeadingTo('running')).toEqual(['starting', 'paused']);
+    });
+
+    test('should describe the user behind a request', () => {
+      const user = { _id: testUtils.randomObjectId() };
+      const apiKey = { _id: testUtils.randomObjectId() };
+      expect(requestActor({ user })).toEqual({ kind: 'user', user: user._id, apiKey: undefined });
+      expect(requestActor({ user, apiKey }).apiKey).toBe(apiKey._id);
+    });
+  });
+
+  describe('Conditional Transitions', () => {
+    const botId = testUtils.randomObjectId();
+
+    beforeEach(() => {
+      jest.spyOn(BotEvent, 'create').mockResolvedValue({});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should only update bots in a status the new one can follow and record the change', async () => {
+      jest.spyOn(Bot, 'findOneAndUpdate').mockResolvedValue({ status: 'starting' });
+
+      const previous = await Bot.transition(botId, 'running', {
+        update: { $set: { pid: 42 } },
+        cause: 'process-started',
+        actor: BOT_MANAGER_ACTOR
+      });
+
+      expect(previous).toBe('starting');
+      const [filter, update] = Bot.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ _id: botId, status: { $in: ['running', 'starting', 'paused'] } });
+      expect(update.$set).toMatchObject({ pid: 42, status: 'running', statusChangedAt: expect.any(Date) });
+      expect(BotEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+        bot: botId,
+        from: 'starting',
+        to: 'running',
+        cause: 'process-started',
+        actor: BOT_MANAGER_ACTOR
+      }));
+    });
+
+    test('should narrow the statuses to move from', async () => {
+      jest.spyOn(Bot, 'findOneAndUpdate').mockResolvedValue(null);
+
+      expect(await Bot.transition(botId, 'starting', { from: 'error', filter: { pendingAction: { $exists: false } } })).toBeNull();
+
+      const [filter] = Bot.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ _id: botId, status: { $in: ['error'] }, pendingAction: { $exists: false } });
+      expect(BotEvent.create).not.toHaveBeenCalled();
+    });
+
+    test('should not record staying in the same status', async () => {
+      jest.spyOn(Bot, 'findOneAndUpdate').mockResolvedValue({ status: 'stopped' });
+
+      expect(await Bot.transition(botId, 'stopped', { cause: 'action:stop' })).toBe('stopped');
+      expect(BotEvent.create).not.toHaveBeenCalled();
+    });
+  });
+});
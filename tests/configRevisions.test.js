@@ -0,0 +1,40 @@
+// Ladybug Hosting v7 - Config Revision Tests
+const { diffConfig, mergeConfig } = require('../lib/configRevisions');
+
+describe('Ladybug Hosting v7 - Config Revision Tests', () => {
+  describe('Diff', () => {
+    test('should list added, removed and changed keys in path order', () => {
+      expect(diffConfig({ prefix: '!', command: 'node bot.js' }, { prefix: '?', region: 'eu' })).toEqual([
+        { path: 'command', op: 'remove', from: 'node bot.js' },
+        { path: 'prefix', op: 'change', from: '!', to: '?' },
+        { path: 'region', op: 'add', to: 'eu' }
+      ]);
+    });
+
+    test('should descend into nested objects and compare arrays as a whole', () => {
+      const before = { limits: { memory: 256, cpu: 1 }, channels: ['general'] };
+      const after = { limits: { memory: 512, cpu: 1 }, channels: ['general', 'alerts'] };
+
+      expect(diffConfig(before, after)).toEqual([
+        { path: 'channels', op: 'change', from: ['general'], to: ['general', 'alerts'] },
+        { path: 'limits.memory', op: 'change', from: 256, to: 512 }
+      ]);
+    });
+
+    test('should report nothing for equal configs', () => {
+      expect(diffConfig({ a: { b: [1, 2] } }, { a: { b: [1, 2] } })).toEqual([]);
+    });
+  });
+
+  describe('Merge', () => {
+    test('should merge nested objects and remove keys set to null', () => {
+      const config = { prefix: '!', command: 'node bot.js', limits: { memory: 256, cpu: 1 } };
+
+      expect(mergeConfig(config, { command: null, limits: { memory: 512 } })).toEqual({
+        prefix: '!',
+        limits: { memory: 512, cpu: 1 }
+      });
+      expect(config.limits.memory).toBe(256);
+    });
+  });
+});
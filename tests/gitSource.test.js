@@ -0,0 +1,116 @@
+// Ladybug Hosting v7 - Git Source Tests (uses local file:// repositories, no network)
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'ladybug-git-'));
+process.env.BOTS_PATH = path.join(tmpRoot, 'bots');
+// The local repositories are cloned over file://, which is not allowed by default
+process.env.GIT_ALLOWED_PROTOCOLS = 'https,ssh,git,file';
+
+const { normalizeSource, getSourceDir, checkoutSource, GitSourceError } = require('../lib/gitSource');
+
+function git(args, cwd) {
+  return execFileSync('git', ['-c', 'user.name=Ladybug', '-c', 'user.email=ladybug@example.com', ...args], {
+    cwd,
+    encoding: 'utf8'
+  }).trim();
+}
+
+describe('Ladybug Hosting v7 - Git Source Tests', () => {
+  const remote = path.join(tmpRoot, 'remote.git');
+  const work = path.join(tmpRoot, 'work');
+  let firstCommit;
+
+  function commitFile(name, content, message) {
+    fs.mkdirSync(path.dirname(path.join(work, name)), { recursive: true });
+    fs.writeFileSync(path.join(work, name), content);
+    git(['add', '-A'], work);
+    git(['commit', '--quiet', '-m', message], work);
+    git(['push', '--quiet', 'origin', 'HEAD:main'], work);
+    return git(['rev-parse', 'HEAD'], work);
+  }
+
+  // setup.js mocks these for other suites; this one needs the real file system
+  const useRealFs = () => {
+    const actualFs = jest.requireActual('fs');
+    fs.existsSync.mockImplementation(actualFs.existsSync);
+    fs.mkdirSync.mockImplementation(actualFs.mkdirSync);
+    fs.writeFileSync.mockImplementation(actualFs.writeFileSync);
+    fs.readFileSync.mockImplementation(actualFs.readFileSync);
+  };
+
+  beforeAll(() => {
+    useRealFs();
+    git(['init', '--quiet', '--bare', '--initial-branch=main', remote], tmpRoot);
+    git(['init', '--quiet', '--initial-branch=main', work], tmpRoot);
+    git(['remote', 'add', 'origin', `file://${remote}`], work);
+    firstCommit = commitFile('bot/index.js', 'console.log("v1")', 'First version');
+  });
+
+  beforeEach(useRealFs);
+
+  afterAll(() => {
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+  });
+
+  const bot = (source) => ({ _id: testUtils.randomObjectId(), source });
+
+  describe('Source Validation', () => {
+    test('should default the ref to HEAD and normalise the subdirectory', () => {
+      expect(normalizeSource({ repoUrl: 'https://github.com/ladybug/bot.git', subdir: 'bot/' }))
+        .toEqual({ repoUrl: 'https://github.com/ladybug/bot.git', ref: 'HEAD', subdir: 'bot' });
+    });
+
+    test('should accept scp-style ssh urls', () => {
+      expect(normalizeSource({ repoUrl: 'git@github.com:ladybug/bot.git', ref: 'v1.2.0' }).ref).toBe('v1.2.0');
+    });
+
+    test('should reject unsupported transports and option-like values', () => {
+      expect(() => normalizeSource({ repoUrl: 'ext::sh -c touch% /tmp/pwned' })).toThrow(GitSourceError);
+      expect(() => normalizeSource({ repoUrl: '--upload-pack=touch /tmp/pwned' })).toThrow(GitSourceError);
+      expect(() => normalizeSource({ repoUrl: 'https://github.com/ladybug/bot.git', ref: '--output=/etc/passwd' }))
+        .toThrow(GitSourceError);
+    });
+
+    test('should reject subdirectories outside the repository', () => {
+      expect(() => normalizeSource({ repoUrl: 'https://github.com/ladybug/bot.git', subdir: '../..' }))
+        .toThrow(GitSourceError);
+      expect(() => normalizeSource({ repoUrl: 'https://github.com/ladybug/bot.git', subdir: '/etc' }))
+        .toThrow(GitSourceError);
+    });
+  });
+
+  describe('Checkout', () => {
+    test('should resolve a branch to its commit and check it out', async () => {
+      const testBot = bot({ repoUrl: `file://${remote}`, ref: 'main' });
+
+      const commit = await checkoutSource(testBot);
+
+      expect(commit).toBe(firstCommit);
+      expect(fs.readFileSync(path.join(getSourceDir(testBot), 'bot', 'index.js'), 'utf8')).toBe('console.log("v1")');
+    });
+
+    test('should keep running the recorded commit until the ref is resolved again', async () => {
+      const testBot = bot({ repoUrl: `file://${remote}`, ref: 'main' });
+      testBot.source.commit = await checkoutSource(testBot);
+
+      const secondCommit = commitFile('bot/index.js', 'console.log("v2")', 'Second version');
+
+      expect(await checkoutSource(testBot)).toBe(firstCommit);
+      expect(fs.readFileSync(path.join(getSourceDir(testBot), 'bot', 'index.js'), 'utf8')).toBe('console.log("v1")');
+
+      // A redeploy forgets the recorded commit
+      testBot.source.commit = undefined;
+      expect(await checkoutSource(testBot)).toBe(secondCommit);
+      expect(fs.readFileSync(path.join(getSourceDir(testBot), 'bot', 'index.js'), 'utf8')).toBe('console.log("v2")');
+    });
+
+    test('should report unknown refs', async () => {
+      const testBot = bot({ repoUrl: `file://${remote}`, ref: 'does-not-exist' });
+
+      await expect(checkoutSource(testBot)).rejects.toThrow(/git fetch failed/);
+    });
+  });
+});
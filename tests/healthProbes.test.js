@@ -0,0 +1,113 @@
+// Ladybug Hosting v7 - Health Probe Tests
+const http = require('http');
+
+// The probes talk to a local mock API, not the axios mock from tests/setup.js
+jest.unmock('axios');
+
+const { probeTelegram, probeDiscord } = require('../lib/healthProbes');
+
+describe('Ladybug Hosting v7 - Health Probe Tests', () => {
+  const VALID_TOKEN = '123456:valid-token';
+  let mockApi;
+  let apiBase;
+  let requests;
+  // Answers of the mock API by path, overriding the default handling below
+  let overrides;
+
+  const reply = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  beforeAll(async () => {
+    // Stands in for both the Telegram and the Discord API
+    mockApi = http.createServer((req, res) => {
+      requests.push({ url: req.url, authorization: req.headers.authorization });
+      if (overrides[req.url]) {
+        return reply(res, ...overrides[req.url]);
+      }
+      if (req.url === `/bot${VALID_TOKEN}/getMe`) {
+        return reply(res, 200, { ok: true, result: { id: 123456, is_bot: true, username: 'ladybug_bot' } });
+      }
+      if (req.url.startsWith('/bot')) {
+        return reply(res, 401, { ok: false, error_code: 401, description: 'Unauthorized' });
+      }
+      if (req.headers.authorization !== `Bot ${VALID_TOKEN}`) {
+        return reply(res, 401, { message: '401: Unauthorized', code: 0 });
+      }
+      if (req.url === '/users/@me') {
+        return reply(res, 200, { id: '42', username: 'Ladybug', bot: true });
+      }
+      if (req.url === '/gateway/bot') {
+        return reply(res, 200, { url: 'wss://gateway.example', shards: 1, session_start_limit: { remaining: 999 } });
+      }
+      reply(res, 404, { message: 'Not Found' });
+    });
+    await new Promise(resolve => mockApi.listen(0, '127.0.0.1', resolve));
+    apiBase = `http://127.0.0.1:${mockApi.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => mockApi.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    overrides = {};
+  });
+
+  describe('Telegram', () => {
+    test('should accept tokens getMe answers for', async () => {
+      expect(await probeTelegram(VALID_TOKEN, { apiBase })).toEqual({ status: 'healthy', detail: '@ladybug_bot' });
+      expect(requests.map(request => request.url)).toEqual([`/bot${VALID_TOKEN}/getMe`]);
+    });
+
+    test('should report rejected and missing tokens as auth_failed', async () => {
+      expect(await probeTelegram('123456:revoked', { apiBase })).toMatchObject({ status: 'auth_failed' });
+      expect(await probeTelegram(undefined, { apiBase })).toEqual({ status: 'auth_failed', detail: 'No BOT_TOKEN secret set' });
+      expect(requests).toHaveLength(1);
+    });
+
+    test('should not blame the bot when Telegram is unavailable', async () => {
+      overrides[`/bot${VALID_TOKEN}/getMe`] = [429, { ok: false, error_code: 429, parameters: { retry_after: 5 } }];
+      expect(await probeTelegram(VALID_TOKEN, { apiBase })).toMatchObject({ status: 'unreachable' });
+
+      overrides[`/bot${VALID_TOKEN}/getMe`] = [502, { ok: false }];
+      expect(await probeTelegram(VALID_TOKEN, { apiBase })).toMatchObject({ status: 'unreachable' });
+
+      expect(await probeTelegram(VALID_TOKEN, { apiBase: 'http://127.0.0.1:1', timeout: 1000 }))
+        .toMatchObject({ status: 'unreachable' });
+    });
+
+    test('should treat unexpected answers as unhealthy', async () => {
+      overrides[`/bot${VALID_TOKEN}/getMe`] = [200, { ok: false }];
+      expect(await probeTelegram(VALID_TOKEN, { apiBase })).toMatchObject({ status: 'unhealthy' });
+    });
+  });
+
+  describe('Discord', () => {
+    test('should check the token and the gateway', async () => {
+      expect(await probeDiscord(VALID_TOKEN, { apiBase })).toEqual({ status: 'healthy', detail: 'Ladybug' });
+      expect(requests).toEqual([
+        { url: '/users/@me', authorization: `Bot ${VALID_TOKEN}` },
+        { url: '/gateway/bot', authorization: `Bot ${VALID_TOKEN}` }
+      ]);
+    });
+
+    test('should report rejected and missing tokens as auth_failed', async () => {
+      expect(await probeDiscord('revoked', { apiBase })).toMatchObject({ status: 'auth_failed' });
+      expect(requests.map(request => request.url)).toEqual(['/users/@me']);
+      expect(await probeDiscord('', { apiBase })).toMatchObject({ status: 'auth_failed' });
+    });
+
+    test('should not blame the bot when Discord is unavailable', async () => {
+      overrides['/gateway/bot'] = [503, { message: 'Service Unavailable' }];
+      expect(await probeDiscord(VALID_TOKEN, { apiBase })).toMatchObject({ status: 'unreachable' });
+    });
+
+    test('should treat other failures as unhealthy', async () => {
+      overrides['/users/@me'] = [403, { message: 'Missing Access' }];
+      expect(await probeDiscord(VALID_TOKEN, { apiBase })).toMatchObject({ status: 'unhealthy' });
+    });
+  });
+});
@@ -0,0 +1,159 @@
+// Ladybug Hosting v7 - Job Queue Tests
+const Job = require('../models/Job');
+const {
+  JOB_MAX_ATTEMPTS,
+  JobError,
+  enqueueJob,
+  claimJob,
+  failJob,
+  retryDelay,
+  runJob
+} = require('../lib/jobQueue');
+
+describe('Ladybug Hosting v7 - Job Queue Tests', () => {
+  const owner = 'worker-1:123';
+  const job = (overrides = {}) => ({
+    _id: testUtils.randomObjectId(),
+    type: 'start',
+    status: 'running',
+    attempts: 1,
+    maxAttempts: JOB_MAX_ATTEMPTS,
+    payload: {},
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Job, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Queueing', () => {
+    test('should queue jobs with the bot they act on', async () => {
+      jest.spyOn(Job, 'create').mockImplementation(async fields => fields);
+      const bot = { _id: testUtils.randomObjectId(), owner: testUtils.randomObjectId(), org: null };
+
+      const queued = await enqueueJob('stop', { bot, payload: { pendingActionAt: new Date() } });
+      expect(queued).toMatchObject({ type: 'stop', bot: bot._id, owner: bot.owner, maxAttempts: JOB_MAX_ATTEMPTS });
+    });
+
+    test('should reuse the open job with the same key', async () => {
+      jest.spyOn(Job, 'findOneAndUpdate').mockImplementation(async (filter, update) => update.$setOnInsert);
+
+      const queued = await enqueueJob('migrate', { serverId: 'server-1', key: 'migrate:server-1' });
+      expect(queued).toMatchObject({ type: 'migrate', serverId: 'server-1', status: 'queued', attempts: 0 });
+      expect(Job.findOneAndUpdate).toHaveBeenCalledWith(
+        { key: 'migrate:server-1', status: { $in: ['queued', 'running'] } },
+        expect.anything(),
+        expect.objectContaining({ upsert: true })
+      );
+    });
+
+    test('should retry when a concurrent upsert queued the job first', async () => {
+      const existing = { _id: testUtils.randomObjectId(), key: 'migrate:server-1', status: 'queued' };
+      jest.spyOn(Job, 'findOneAndUpdate')
+        .mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }))
+        .mockResolvedValueOnce(existing);
+
+      expect(await enqueueJob('migrate', { serverId: 'server-1', key: 'migrate:server-1' })).toBe(existing);
+      expect(Job.findOneAndUpdate).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Claiming', () => {
+    test('should claim due jobs and jobs whose lease expired', async () => {
+      jest.spyOn(Job, 'findOneAndUpdate').mockResolvedValue(null);
+      const busy = testUtils.randomObjectId();
+
+      expect(await claimJob(owner, { visibilityTimeout: 1000, exclude: [busy] })).toBeNull();
+      const [filter, update, options] = Job.findOneAndUpdate.mock.calls[0];
+      expect(filter.$or).toEqual([
+        { status: 'queued', runAt: { $lte: expect.any(Date) } },
+        { status: 'running', 'lease.expiresAt': { $lte: expect.any(Date) } }
+      ]);
+      expect(filter.bot).toEqual({ $nin: [busy] });
+      expect(update.$set).toMatchObject({ status: 'running', lease: { owner, expiresAt: expect.any(Date) } });
+      expect(update.$set.lease.expiresAt - update.$set.startedAt).toBe(1000);
+      expect(update.$inc).toEqual({ attempts: 1 });
+      expect(options.sort).toEqual({ runAt: 1 });
+    });
+  });
+
+  describe('Retries', () => {
+    test('should back off exponentially up to the maximum', () => {
+      expect(retryDelay(1)).toBe(2000);
+      expect(retryDelay(2)).toBe(4000);
+      expect(retryDelay(3)).toBe(8000);
+      expect(retryDelay(20)).toBe(5 * 60 * 1000);
+    });
+
+    test('should queue failed jobs again after the backoff', async () => {
+      const failed = job({ attempts: 2 });
+      expect(await failJob(failed, owner, new Error('Database hiccup'))).toBe('queued');
+
+      const [filter, update] = Job.updateOne.mock.calls[0];
+      expect(filter).toEqual({ _id: failed._id, status: 'running', 'lease.owner': owner });
+      expect(update.$set).toMatchObject({ status: 'queued', lastError: 'Database hiccup' });
+      expect(update.$set.runAt - update.$set.updatedAt).toBe(retryDelay(2));
+      expect(update.$push.failures).toMatchObject({ attempt: 2, error: 'Database hiccup' });
+    });
+
+    test('should dead-letter jobs out of attempts or failing for good', async () => {
+      expect(await failJob(job({ attempts: JOB_MAX_ATTEMPTS }), owner, new Error('Still failing'))).toBe('dead');
+      expect(Job.updateOne.mock.calls[0][1].$set).toMatchObject({ status: 'dead', finishedAt: expect.any(Date) });
+
+      expect(await failJob(job(), owner, new JobError('No code deployed', { retry: false }))).toBe('dead');
+    });
+
+    test('should report a lost lease', async () => {
+      Job.updateOne.mockResolvedValue({ modifiedCount: 0 });
+      expect(await failJob(job(), owner, new Error('Too late'))).toBeNull();
+    });
+  });
+
+  describe('Running', () => {
+    test('should record the result and progress of a job', async () => {
+      const running = job();
+      const status = await runJob(running, owner, async (claimed, { reportProgress }) => {
+        await reportProgress({ moved: 1 });
+        return { pid: 42 };
+      });
+
+      expect(status).toBe('succeeded');
+      expect(Job.updateOne.mock.calls[0][1]).toMatchObject({ $set: { progress: { moved: 1 } } });
+      expect(Job.updateOne.mock.calls[1][1]).toMatchObject({ $set: { status: 'succeeded', result: { pid: 42 } } });
+    });
+
+    test('should record failing handlers', async () => {
+      const status = await runJob(job(), owner, async () => {
+        throw new JobError('Bot could not be started', { retry: false });
+      });
+
+      expect(status).toBe('dead');
+      expect(Job.updateOne.mock.calls[0][1].$set.lastError).toBe('Bot could not be started');
+    });
+
+    test('should keep renewing the lease while the handler runs', async () => {
+      jest.useFakeTimers();
+      try {
+        let finish;
+        const done = runJob(job(), owner, () => new Promise(resolve => {
+          finish = resolve;
+        }), { visibilityTimeout: 3000 });
+
+        jest.advanceTimersByTime(2500);
+        expect(Job.updateOne).toHaveBeenCalledTimes(2);
+        expect(Object.keys(Job.updateOne.mock.calls[0][1].$set)).toEqual(['lease.expiresAt']);
+
+        finish();
+        await done;
+        jest.advanceTimersByTime(5000);
+        expect(Job.updateOne).toHaveBeenCalledTimes(3);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+});
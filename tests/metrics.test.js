@@ -0,0 +1,223 @@
+// Ladybug Hosting v7 - Metrics Tests
+const express = require('express');
+const request = require('supertest');
+const Bot = require('../models/Bot');
+const Server = require('../models/Server');
+const { MetricSamples } = require('../models/MetricSample');
+const metricRoutes = require('../routes/metrics');
+const {
+  MAX_METRIC_POINTS,
+  MetricQueryError,
+  stepStart,
+  buildSamples,
+  rollupPipeline,
+  parseMetricQuery,
+  buildSeries
+} = require('../lib/metrics');
+
+describe('Ladybug Hosting v7 - Metrics Tests', () => {
+  const at = new Date('2026-10-18T12:34:00Z');
+  const bot = (overrides = {}) => ({
+    _id: testUtils.randomObjectId(),
+    status: 'running',
+    serverId: 'server-1',
+    metrics: { requests: 0, errors: 0 },
+    ...overrides
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Sampling', () => {
+    test('should count requests and errors since the previous sample', () => {
+      const reporter = bot({ metrics: { requests: 10, errors: 1 } });
+      const first = buildSamples({ bots: [reporter], at });
+      expect(first.samples[0]).toEqual({
+        at,
+        source: { kind: 'bot', id: reporter._id.toString() },
+        up: 1,
+        requests: 0,
+        errors: 0
+      });
+
+      reporter.metrics = { requests: 25, errors: 3 };
+      const added = bot({ status: 'stopped', metrics: { requests: 4, errors: 0 } });
+      const second = buildSamples({ bots: [reporter, added], counters: first.counters, at });
+      expect(second.samples[0]).toMatchObject({ requests: 15, errors: 2 });
+      expect(second.samples[1]).toMatchObject({ up: 0, requests: 4, errors: 0 });
+    });
+
+    test('should total bots per server with the load of online servers', () => {
+      const bots = [
+        bot({ metrics: { requests: 5, errors: 0 } }),
+        bot({ status: 'error', metrics: { requests: 1, errors: 2 } }),
+        bot({ serverId: 'server-2' })
+      ];
+      const counters = new Map();
+      const servers = [
+        { _id: 'server-1', status: 'online', stats: { loadavg: [0.5, 0.4, 0.3], freemem: 256, totalmem: 1024 } },
+        { _id: 'server-2', status: 'offline', stats: { loadavg: [2, 2, 2], freemem: 0, totalmem: 1024 } },
+        { _id: 'server-3', status: 'online' }
+      ];
+
+      const { samples } = buildSamples({ bots, servers, counters, at });
+      const byServer = Object.fromEntries(samples
+        .filter(sample => sample.source.kind === 'server')
+        .map(sample => [sample.source.id, sample]));
+
+      expect(byServer['server-1']).toEqual({
+        at,
+        source: { kind: 'server', id: 'server-1' },
+        bots: 2,
+        activeBots: 1,
+        requests: 6,
+        errors: 2,
+        load: 0.5,
+        memoryUsage: 0.75
+      });
+      expect(byServer['server-2']).not.toHaveProperty('load');
+      expect(byServer['server-3']).toMatchObject({ bots: 0, activeBots: 0 });
+    });
+
+    test('should align samples to their step', () => {
+      expect(stepStart('2026-10-18T12:34:56.789Z', '1m')).toEqual(new Date('2026-10-18T12:34:00Z'));
+      expect(stepStart('2026-10-18T12:34:56.789Z', '1h')).toEqual(new Date('2026-10-18T12:00:00Z'));
+      expect(stepStart('2026-10-18T12:34:56.789Z', '1d')).toEqual(new Date('2026-10-18T00:00:00Z'));
+    });
+  });
+
+  describe('Rollups', () => {
+    test('should add up counts and average levels', () => {
+      const from = new Date('2026-10-18T11:00:00Z');
+      const to = new Date('2026-10-18T12:00:00Z');
+      const [match, group, project] = rollupPipeline('bot', '1h', from, to);
+
+      expect(match).toEqual({ $match: { 'source.kind': 'bot', at: { $gte: from, $lt: to } } });
+      expect(group.$group).toEqual({
+        _id: { source: '$source', at: { $dateTrunc: { date: '$at', unit: 'hour' } } },
+        up: { $avg: '$up' },
+        requests: { $sum: '$requests' },
+        errors: { $sum: '$errors' }
+      });
+      expect(project.$project).toEqual({ _id: 0, at: '$_id.at', source: '$_id.source', up: 1, requests: 1, errors: 1 });
+    });
+  });
+
+  describe('Queries', () => {
+    const now = new Date('2026-10-18T12:34:56Z').getTime();
+
+    test('should default to the last day at the finest step', () => {
+      expect(parseMetricQuery({ bot: 'bot-1' }, now)).toEqual({
+        kind: 'bot',
+        id: 'bot-1',
+        from: new Date('2026-10-17T12:34:00Z'),
+        to: new Date(now),
+        step: '1m'
+      });
+    });
+
+    test('should pick a coarser step for long and old ranges', () => {
+      expect(parseMetricQuery({ server: 'server-1', from: '2026-10-10T00:00:00Z' }, now).step).toBe('1h');
+      expect(parseMetricQuery({
+        server: 'server-1',
+        from: '2026-10-13T00:00:00Z',
+        to: '2026-10-13T06:00:00Z'
+      }, now).step).toBe('1h');
+      expect(parseMetricQuery({ server: 'server-1', from: '2025-01-01T00:00:00Z' }, now).step).toBe('1d');
+    });
+
+    test('should reject invalid queries', () => {
+      expect(() => parseMetricQuery({}, now)).toThrow(MetricQueryError);
+      expect(() => parseMetricQuery({ bot: 'a', server: 'b' }, now)).toThrow('Either bot or server is required');
+      expect(() => parseMetricQuery({ bot: ['a', 'b'] }, now)).toThrow('bot must be a single id');
+      expect(() => parseMetricQuery({ bot: 'a', from: 'yesterday' }, now)).toThrow(/from must be/);
+      expect(() => parseMetricQuery({ bot: 'a', from: String(now) }, now)).toThrow('from must be before to');
+      expect(() => parseMetricQuery({ bot: 'a', step: '5m' }, now)).toThrow('step must be one of 1m, 1h, 1d');
+      expect(() => parseMetricQuery({ bot: 'a', from: '2026-10-01T00:00:00Z', step: '1m' }, now))
+        .toThrow(`at most ${MAX_METRIC_POINTS} are returned`);
+    });
+
+    test('should lay samples out as series with gaps', () => {
+      const query = {
+        kind: 'bot',
+        id: 'bot-1',
+        from: new Date('2026-10-18T12:00:00Z'),
+        to: new Date('2026-10-18T12:03:00Z'),
+        step: '1m'
+      };
+      const series = buildSeries(query, [
+        { at: new Date('2026-10-18T12:00:00Z'), up: 1, requests: 3, errors: 0 },
+        { at: new Date('2026-10-18T12:02:00Z'), up: 0, requests: 0, errors: 1 }
+      ]);
+
+      expect(series).toEqual({
+        bot: 'bot-1',
+        step: '1m',
+        from: query.from,
+        to: query.to,
+        timestamps: [
+          new Date('2026-10-18T12:00:00Z'),
+          new Date('2026-10-18T12:01:00Z'),
+          new Date('2026-10-18T12:02:00Z')
+        ],
+        series: { up: [1, null, 0], requests: [3, null, 0], errors: [0, null, 1] }
+      });
+    });
+  });
+
+  describe('Query Endpoint', () => {
+    const user = { _id: testUtils.randomObjectId() };
+    const app = express();
+    app.use((req, res, next) => {
+      req.user = user;
+      next();
+    });
+    app.use('/api/metrics', metricRoutes);
+
+    const mockSamples = samples => {
+      const lean = jest.fn().mockResolvedValue(samples);
+      jest.spyOn(MetricSamples['1h'], 'find').mockReturnValue({ sort: () => ({ lean }) });
+    };
+
+    test('should return the series of a bot the user can view', async () => {
+      const owned = bot({ owner: user._id, org: null });
+      jest.spyOn(Bot, 'findById').mockResolvedValue(owned);
+      mockSamples([{ at: new Date('2026-10-18T01:00:00Z'), up: 1, requests: 120, errors: 2 }]);
+
+      const response = await request(app)
+        .get('/api/metrics')
+        .query({ bot: owned._id.toString(), from: '2026-10-18T00:00:00Z', to: '2026-10-18T03:00:00Z', step: '1h' })
+        .expect(200);
+
+      expect(MetricSamples['1h'].find).toHaveBeenCalledWith({
+        'source.kind': 'bot',
+        'source.id': owned._id.toString(),
+        at: { $gte: new Date('2026-10-18T00:00:00Z'), $lt: new Date('2026-10-18T03:00:00Z') }
+      });
+      expect(response.body.series.requests).toEqual([null, 120, null]);
+      expect(response.body.timestamps).toHaveLength(3);
+    });
+
+    test('should hide bots of other users', async () => {
+      jest.spyOn(Bot, 'findById').mockResolvedValue(bot({ owner: testUtils.randomObjectId(), org: null }));
+
+      await request(app).get('/api/metrics').query({ bot: testUtils.randomObjectId().toString() }).expect(404);
+      await request(app).get('/api/metrics').query({ bot: 'not-an-id' }).expect(404);
+    });
+
+    test('should return server series and reject unknown servers and bad queries', async () => {
+      jest.spyOn(Server, 'exists').mockResolvedValueOnce({ _id: 'server-1' }).mockResolvedValueOnce(null);
+      mockSamples([]);
+
+      const response = await request(app)
+        .get('/api/metrics')
+        .query({ server: 'server-1', from: '2026-10-18T00:00:00Z', to: '2026-10-18T02:00:00Z', step: '1h' })
+        .expect(200);
+      expect(response.body.series.activeBots).toEqual([null, null]);
+
+      await request(app).get('/api/metrics').query({ server: 'server-9' }).expect(404);
+      await request(app).get('/api/metrics').query({ server: 'server-1', step: '1w' }).expect(400);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+// Ladybug Hosting v7 - Bot Migration Tests
+const Bot = require('../models/Bot');
+const User = require('../models/User');
+const Server = require('../models/Server');
+const Job = require('../models/Job');
+const { BotNetServer } = require('../lib/botNet');
+const { migrateServerBots } = require('../lib/migration');
+
+describe('Ladybug Hosting v7 - Bot Migration Tests', () => {
+  let botNetServer;
+  let bots;
+  // The mocked Server collection
+  let pool;
+
+  const server = (id, overrides = {}) => ({
+    id,
+    name: id,
+    region: 'us-east',
+    capacity: 10,
+    activeBots: 0,
+    status: 'online',
+    labels: {},
+    ...overrides
+  });
+
+  const bot = (overrides = {}) => {
+    const doc = new Bot({
+      name: 'Migrating Bot',
+      type: 'custom',
+      serverId: 'server-1',
+      owner: testUtils.randomObjectId(),
+      status: 'stopped',
+      ...overrides
+    });
+    return doc;
+  };
+
+  const serverDoc = entry => ({ _id: entry.id, toJSON: () => ({ ...entry }) });
+
+  beforeEach(() => {
+    botNetServer = new BotNetServer();
+    pool = [
+      server('server-1', { activeBots: 2, draining: true }),
+      server('server-2', { activeBots: 1, region: 'us-west' }),
+      server('server-3', { activeBots: 5, region: 'eu-west' })
+    ];
+    jest.spyOn(Server, 'find').mockImplementation(() => ({
+      sort: async () => pool.map(serverDoc)
+    }));
+    jest.spyOn(Server, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const entry = pool.find(e => e.id === filter._id);
+      entry.activeBots += update.$inc.activeBots;
+      return serverDoc(entry);
+    });
+
+    bots = [];
+    jest.spyOn(Bot, 'find').mockImplementation(async () => bots);
+    jest.spyOn(Bot, 'updateOne').mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+    jest.spyOn(Bot, 'transition').mockImplementation(async (id) => bots.find(b => b._id === id).status);
+    jest.spyOn(Bot, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(Job, 'findOneAndUpdate').mockImplementation(async (filter, update) => update.$setOnInsert);
+    jest.spyOn(User, 'findById').mockResolvedValue({ plan: 'pro' });
+  });
+
+  test('should move every bot off the server and restart the running ones', async () => {
+    bots = [bot({ status: 'running' }), bot({ status: 'stopped' })];
+    const progress = [];
+    const moved = [];
+
+    const result = await migrateServerBots(botNetServer, 'server-1', {
+      reason: 'drain',
+      onProgress: update => progress.push(update),
+      onBotMoved: (movedBot, from) => moved.push({ to: movedBot.serverId, from })
+    });
+
+    expect(result).toMatchObject({ serverId: 'server-1', reason: 'drain', total: 2, moved: 2, failed: 0, done: true });
+    expect(progress.map(update => update.moved)).toEqual([0, 1, 2, 2]);
+    expect(moved.every(entry => entry.from === 'server-1' && entry.to !== 'server-1')).toBe(true);
+    expect(bots[0].status).toBe('restarting');
+    expect(bots[0].pendingAction).toBe('restart');
+    expect(bots[1].status).toBe('stopped');
+    expect(Bot.transition).toHaveBeenCalledWith(bots[0]._id, 'restarting', expect.objectContaining({
+      filter: expect.objectContaining({ serverId: 'server-1' }),
+      update: { $set: expect.objectContaining({ serverId: bots[0].serverId, pendingAction: 'restart' }) },
+      cause: 'migration'
+    }));
+    expect(Job.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    expect(Job.findOneAndUpdate.mock.calls[0][1].$setOnInsert).toMatchObject({ type: 'restart', bot: bots[0]._id });
+    expect(Bot.updateOne).toHaveBeenCalledTimes(1);
+    expect(Bot.updateOne).toHaveBeenCalledWith(
+      { _id: bots[1]._id, serverId: 'server-1' },
+      { $set: { serverId: bots[1].serverId } }
+    );
+    expect(pool[0].activeBots).toBe(0);
+    expect(pool[1].activeBots + pool[2].activeBots).toBe(8);
+  });
+
+  test('should hand the slot back when another instance moved the bot first', async () => {
+    bots = [bot()];
+    Bot.updateOne.mockResolvedValue({ matchedCount: 0, modifiedCount: 0 });
+    const moved = [];
+
+    const result = await migrateServerBots(botNetServer, 'server-1', { onBotMoved: movedBot => moved.push(movedBot) });
+
+    expect(result).toMatchObject({ moved: 0, failed: 0, skipped: 1 });
+    expect(moved).toEqual([]);
+    expect(pool.map(entry => entry.activeBots)).toEqual([2, 1, 5]);
+  });
+
+  test('should move live bots without restarting them when their status changed', async () => {
+    bots = [bot({ status: 'running' })];
+    Bot.transition.mockResolvedValue(null);
+
+    const result = await migrateServerBots(botNetServer, 'server-1');
+
+    expect(result).toMatchObject({ moved: 1, failed: 0 });
+    expect(Bot.updateOne).toHaveBeenCalledWith(
+      { _id: bots[0]._id, serverId: 'server-1' },
+      { $set: { serverId: bots[0].serverId } }
+    );
+  });
+
+  test('should keep bots within their region and the plan of their owner', async () => {
+    User.findById.mockResolvedValue({ plan: 'free' });
+    bots = [bot({ placement: { region: 'eu-west' } }), bot()];
+
+    await migrateServerBots(botNetServer, 'server-1', { reason: 'offline' });
+
+    expect(bots[0].serverId).toBe('server-3');
+    // The free plan only includes US regions
+    expect(bots[1].serverId).toBe('server-2');
+  });
+
+  test('should leave bots that fit nowhere else and count them as failed', async () => {
+    bots = [bot({ placement: { labels: { gpu: 'true' } } })];
+
+    const result = await migrateServerBots(botNetServer, 'server-1', { reason: 'drain' });
+
+    expect(result).toMatchObject({ moved: 0, failed: 1 });
+    expect(bots[0].serverId).toBe('server-1');
+    expect(Bot.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('should not migrate the same server twice at once', async () => {
+    botNetServer.migrating.add('server-1');
+    expect(await migrateServerBots(botNetServer, 'server-1')).toBeNull();
+  });
+});
@@ -0,0 +1,138 @@
+// Ladybug Hosting v7 - Node Agent Tests (real Socket.IO server on a random local port)
+const http = require('http');
+const { Server: SocketServer } = require('socket.io');
+const Server = require('../models/Server');
+const { BotNetServer } = require('../lib/botNet');
+const { attachNodeNamespace } = require('../lib/nodeAgents');
+const NodeAgent = require('../workers/nodeAgent');
+
+const silentLogger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+function waitFor(check, timeout = 3000) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const poll = () => {
+      const value = check();
+      if (value) return resolve(value);
+      if (Date.now() - started > timeout) return reject(new Error('Timed out'));
+      setTimeout(poll, 20);
+    };
+    poll();
+  });
+}
+
+describe('Ladybug Hosting v7 - Node Agent Tests', () => {
+  let httpServer;
+  let io;
+  let nodes;
+  let botNetServer;
+  let updates;
+  let offline;
+  let agent;
+  let url;
+  // The one server in the mocked Server collection
+  let stored;
+
+  beforeEach(async () => {
+    stored = { _id: 'server-1', name: 'Ladybug Node Alpha', region: 'us-east', capacity: 100, status: 'online' };
+    botNetServer = new BotNetServer();
+    botNetServer.ready = Promise.resolve();
+    botNetServer.track(Server.hydrate(stored));
+
+    jest.spyOn(Server, 'verifyToken').mockImplementation(async token => (
+      token === 'lbn_good_token' ? { _id: 'server-1' } : null
+    ));
+    jest.spyOn(Server, 'find').mockImplementation(() => {
+      const result = Promise.resolve([Server.hydrate({ ...stored })]);
+      return { select: () => result, sort: () => result };
+    });
+    jest.spyOn(Server, 'findByIdAndUpdate').mockImplementation(async (id, update) => {
+      Object.assign(stored, update.$set);
+      return Server.hydrate({ ...stored });
+    });
+    // Heartbeats (returning the previous document) and heartbeat expiry
+    jest.spyOn(Server, 'findOneAndUpdate').mockImplementation(async (filter, update, options = {}) => {
+      const expiring = filter.lastHeartbeatAt;
+      if (!stored.agent || (expiring && (stored.status !== 'online' || stored.lastHeartbeatAt >= expiring.$lt))) {
+        return null;
+      }
+      const previous = Server.hydrate({ ...stored });
+      Object.assign(stored, update.$set);
+      return options.new ? Server.hydrate({ ...stored }) : previous;
+    });
+
+    updates = [];
+    httpServer = http.createServer();
+    io = new SocketServer(httpServer);
+    offline = [];
+    nodes = attachNodeNamespace(io, botNetServer, server => updates.push({ ...server }), {
+      heartbeatInterval: 50,
+      heartbeatTimeout: 200,
+      onServerOffline: server => offline.push(server.id)
+    });
+    await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${httpServer.address().port}`;
+  });
+
+  afterEach(async () => {
+    if (agent) agent.stop();
+    nodes.close();
+    io.close();
+    await new Promise(resolve => httpServer.close(resolve));
+  });
+
+  test('should register the node with its capacity, region and labels and keep it online', async () => {
+    agent = new NodeAgent({
+      url,
+      token: 'lbn_good_token',
+      region: 'eu-west',
+      capacity: 42,
+      labels: { gpu: 'true' },
+      logger: silentLogger
+    });
+    agent.start();
+
+    const registered = await waitFor(() => updates.find(update => update.agent));
+    expect(registered).toMatchObject({
+      id: 'server-1',
+      region: 'eu-west',
+      capacity: 42,
+      labels: { gpu: 'true' },
+      status: 'online'
+    });
+
+    await waitFor(() => botNetServer.servers.get('server-1').stats);
+    expect(botNetServer.servers.get('server-1').stats.loadavg).toHaveLength(3);
+  });
+
+  test('should take the server offline when heartbeats stop', async () => {
+    agent = new NodeAgent({ url, token: 'lbn_good_token', logger: silentLogger });
+    agent.start();
+    await waitFor(() => updates.find(update => update.agent));
+
+    agent.stopHeartbeat();
+    const expired = await waitFor(() => updates.find(update => update.status === 'offline'));
+    expect(expired.id).toBe('server-1');
+    expect(offline).toEqual(['server-1']);
+    expect(await botNetServer.assignBot()).toBeNull();
+
+    // The next heartbeat brings it back
+    agent.heartbeat();
+    await waitFor(() => updates.filter(update => update.status === 'online').length === 2);
+  });
+
+  test('should reject unknown node tokens', async () => {
+    agent = new NodeAgent({ url, token: 'lbn_bad_token', logger: silentLogger });
+    agent.start();
+
+    await waitFor(() => silentLogger.error.mock.calls.length > 0);
+    expect(silentLogger.error.mock.calls[0][0]).toMatch(/Invalid node token/);
+    expect(updates).toHaveLength(0);
+  });
+
+  test('should leave servers without an agent alone', async () => {
+    const expired = await botNetServer.expireHeartbeats(0, Date.now() + 60000);
+    expect(expired).toEqual([]);
+    expect(botNetServer.servers.get('server-1').status).toBe('online');
+  });
+});
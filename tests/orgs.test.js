@@ -0,0 +1,135 @@
+// Ladybug Hosting v7 - Organization Tests
+const request = require('supertest');
+const { app, server } = require('../server');
+const mongoose = require('mongoose');
+
+describe('Ladybug Hosting v7 - Organization Tests', () => {
+  let owner;
+  let member;
+  let orgId;
+
+  afterAll(async () => {
+    await mongoose.connection.db.dropDatabase();
+    server.close();
+  });
+
+  async function register(username) {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ username, password: 'ladybug-password' })
+      .expect(201);
+    return { username, auth: `Bearer ${response.body.accessToken}` };
+  }
+
+  async function joinAs(role) {
+    const invite = await request(app)
+      .post(`/api/orgs/${orgId}/invites`)
+      .set('Authorization', owner.auth)
+      .send({ username: member.username, role })
+      .expect(201);
+
+    await request(app)
+      .post(`/api/orgs/${orgId}/invites/${invite.body._id}/accept`)
+      .set('Authorization', member.auth)
+      .expect(200);
+  }
+
+  beforeEach(async () => {
+    owner = await register('org-owner');
+    member = await register('org-member');
+
+    const org = await request(app)
+      .post('/api/orgs')
+      .set('Authorization', owner.auth)
+      .send({ name: 'Ladybug Ops' })
+      .expect(201);
+    orgId = org.body._id;
+  });
+
+  test('should list organizations with the caller role', async () => {
+    const response = await request(app)
+      .get('/api/orgs')
+      .set('Authorization', owner.auth)
+      .expect(200);
+
+    const org = response.body.find(o => o._id === orgId);
+    expect(org).toHaveProperty('role', 'owner');
+    // The personal workspace is created on demand
+    expect(response.body.some(o => o.personal)).toBe(true);
+  });
+
+  test('should show pending invites to the invitee', async () => {
+    await request(app)
+      .post(`/api/orgs/${orgId}/invites`)
+      .set('Authorization', owner.auth)
+      .send({ username: member.username, role: 'viewer' })
+      .expect(201);
+
+    const response = await request(app)
+      .get('/api/orgs/invites')
+      .set('Authorization', member.auth)
+      .expect(200);
+
+    expect(response.body).toHaveLength(1);
+    expect(response.body[0]).toMatchObject({ role: 'viewer', org: { _id: orgId } });
+  });
+
+  test('should share organization bots with viewers but not let them delete', async () => {
+    const bot = await request(app)
+      .post('/api/bots')
+      .set('Authorization', owner.auth)
+      .send({ name: 'Shared Bot', type: 'discord', org: orgId })
+      .expect(201);
+
+    await joinAs('viewer');
+
+    const list = await request(app)
+      .get(`/api/bots?org=${orgId}`)
+      .set('Authorization', member.auth)
+      .expect(200);
+    expect(list.body.map(b => b._id)).toContain(bot.body._id);
+
+    await request(app)
+      .delete(`/api/bots/${bot.body._id}`)
+      .set('Authorization', member.auth)
+      .expect(403);
+  });
+
+  test('should not let viewers deploy into the organization', async () => {
+    await joinAs('viewer');
+
+    await request(app)
+      .post('/api/bots')
+      .set('Authorization', member.auth)
+      .send({ name: 'Viewer Bot', type: 'discord', org: orgId })
+      .expect(403);
+  });
+
+  test('should let operators deploy into the organization', async () => {
+    await joinAs('operator');
+
+    await request(app)
+      .post('/api/bots')
+      .set('Authorization', member.auth)
+      .send({ name: 'Operator Bot', type: 'discord', org: orgId })
+      .expect(201);
+  });
+
+  test('should hide organizations from non-members', async () => {
+    await request(app)
+      .get(`/api/orgs/${orgId}`)
+      .set('Authorization', member.auth)
+      .expect(404);
+  });
+
+  test('should keep at least one owner', async () => {
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', owner.auth);
+
+    await request(app)
+      .delete(`/api/orgs/${orgId}/members/${me.body._id}`)
+      .set('Authorization', owner.auth)
+      .expect(409);
+  });
+});
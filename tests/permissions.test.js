@@ -0,0 +1,52 @@
+// Ladybug Hosting v7 - Organization Permission Tests
+const { ROLES, can, canAssignRole } = require('../lib/permissions');
+
+describe('Ladybug Hosting v7 - Organization Permission Tests', () => {
+  describe('Role Actions', () => {
+    test('should let every role view bots', () => {
+      ROLES.forEach(role => expect(can(role, 'bot:view')).toBe(true));
+    });
+
+    test('should not let viewers delete or operate bots', () => {
+      expect(can('viewer', 'bot:delete')).toBe(false);
+      expect(can('viewer', 'bot:operate')).toBe(false);
+      expect(can('viewer', 'bot:create')).toBe(false);
+    });
+
+    test('should let operators deploy and operate but not delete', () => {
+      expect(can('operator', 'bot:create')).toBe(true);
+      expect(can('operator', 'bot:operate')).toBe(true);
+      expect(can('operator', 'bot:delete')).toBe(false);
+    });
+
+    test('should reserve organization deletion for owners', () => {
+      expect(can('admin', 'org:delete')).toBe(false);
+      expect(can('owner', 'org:delete')).toBe(true);
+    });
+
+    test('should deny non-members', () => {
+      expect(can(null, 'bot:view')).toBe(false);
+    });
+
+    test('should reject unknown actions', () => {
+      expect(() => can('owner', 'bot:teleport')).toThrow('Unknown permission action');
+    });
+  });
+
+  describe('Role Assignment', () => {
+    test('should let admins assign only lower roles', () => {
+      expect(canAssignRole('admin', 'operator')).toBe(true);
+      expect(canAssignRole('admin', 'viewer')).toBe(true);
+      expect(canAssignRole('admin', 'admin')).toBe(false);
+      expect(canAssignRole('admin', 'owner')).toBe(false);
+    });
+
+    test('should let owners assign any role', () => {
+      ROLES.forEach(role => expect(canAssignRole('owner', role)).toBe(true));
+    });
+
+    test('should reject unknown roles', () => {
+      expect(canAssignRole('owner', 'superuser')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,233 @@
+// Ladybug Hosting v7 - Placement Tests (no database, the Server model is mocked)
+const {
+  STRATEGIES,
+  PlacementError,
+  registerStrategy,
+  normalizePlacement,
+  selectServer
+} = require('../lib/placement');
+const { BotNetServer } = require('../lib/botNet');
+const Bot = require('../models/Bot');
+const Server = require('../models/Server');
+
+describe('Ladybug Hosting v7 - Placement Tests', () => {
+  const server = (id, overrides = {}) => ({
+    id,
+    name: id,
+    region: 'us-east',
+    capacity: 10,
+    activeBots: 0,
+    status: 'online',
+    labels: {},
+    ...overrides
+  });
+
+  const pool = () => [
+    server('server-1', { activeBots: 5 }),
+    server('server-2', { activeBots: 2, region: 'us-west' }),
+    server('server-3', { activeBots: 8, region: 'eu-west', labels: { gpu: 'true' } })
+  ];
+
+  describe('Strategies', () => {
+    test('should pick the least loaded server by default', () => {
+      expect(selectServer(pool()).id).toBe('server-2');
+    });
+
+    test('should fill the fullest server first when bin-packing', () => {
+      expect(selectServer(pool(), { strategy: 'bin-packing' }).id).toBe('server-3');
+    });
+
+    test('should compare load relative to capacity', () => {
+      const servers = [server('small', { capacity: 4, activeBots: 2 }), server('large', { capacity: 100, activeBots: 10 })];
+      expect(selectServer(servers).id).toBe('large');
+    });
+
+    test('should skip offline, draining and full servers', () => {
+      const servers = [
+        server('offline', { status: 'offline' }),
+        server('draining', { draining: true }),
+        server('full', { activeBots: 10 }),
+        server('busy', { activeBots: 9 })
+      ];
+      expect(selectServer(servers, { strategy: 'bin-packing' }).id).toBe('busy');
+      expect(selectServer(servers.slice(0, 3))).toBeNull();
+    });
+
+    test('should accept custom strategies', () => {
+      registerStrategy('reverse-id', (a, b) => b.id.localeCompare(a.id));
+      expect(selectServer(pool(), { strategy: 'reverse-id' }).id).toBe('server-3');
+      delete STRATEGIES['reverse-id'];
+    });
+  });
+
+  describe('Constraints', () => {
+    test('should keep bots in the requested regions', () => {
+      expect(selectServer(pool(), { regions: ['us-east', 'eu-west'] }).id).toBe('server-1');
+      expect(selectServer(pool(), { regions: ['ap-south'] })).toBeNull();
+    });
+
+    test('should only use servers carrying the required labels', () => {
+      expect(selectServer(pool(), { labels: { gpu: 'true' } }).id).toBe('server-3');
+      expect(selectServer(pool(), { labels: { gpu: 'false' } })).toBeNull();
+    });
+
+    test('should spread bots of a group before applying the strategy', () => {
+      const groupCounts = { 'server-2': 1 };
+      expect(selectServer(pool(), { groupCounts }).id).toBe('server-1');
+
+      // Every server already has one: fall back to the fewest group members
+      expect(selectServer(pool(), { groupCounts: { 'server-1': 2, 'server-2': 2, 'server-3': 1 } }).id).toBe('server-3');
+    });
+  });
+
+  describe('Resources', () => {
+    const sized = (id, allocated, overrides = {}) => server(id, {
+      resources: { memoryMB: 4096, cpuShares: 4096 },
+      allocated,
+      ...overrides
+    });
+
+    test('should only place bots where their requests still fit', () => {
+      const servers = [
+        sized('tight', { memoryMB: 3900, cpuShares: 512 }),
+        sized('roomy', { memoryMB: 1024, cpuShares: 3900 })
+      ];
+      expect(selectServer(servers, { resources: { memoryMB: 512, cpuShares: 128 } }).id).toBe('roomy');
+      expect(selectServer(servers, { resources: { memoryMB: 512, cpuShares: 256 } })).toBeNull();
+    });
+
+    test('should weigh load by the most used resource', () => {
+      const servers = [
+        sized('memory-heavy', { memoryMB: 3072, cpuShares: 256 }, { activeBots: 1 }),
+        sized('many-small', { memoryMB: 1024, cpuShares: 1024 }, { activeBots: 4 })
+      ];
+      expect(selectServer(servers).id).toBe('many-small');
+      expect(selectServer(servers, { strategy: 'bin-packing' }).id).toBe('memory-heavy');
+    });
+
+    test('should keep counting bots on servers without advertised resources', () => {
+      expect(selectServer([server('legacy', { activeBots: 3 })], { resources: { memoryMB: 8192, cpuShares: 8192 } }).id)
+        .toBe('legacy');
+    });
+  });
+
+  describe('Request Validation', () => {
+    test('should accept a strategy, group and labels', () => {
+      expect(normalizePlacement({ strategy: 'bin-packing', group: ' scrapers ', labels: { gpu: 'true' } }))
+        .toEqual({ strategy: 'bin-packing', group: 'scrapers', labels: { gpu: 'true' } });
+    });
+
+    test('should reject unknown strategies and malformed labels', () => {
+      expect(() => normalizePlacement({ strategy: 'random' })).toThrow(PlacementError);
+      expect(() => normalizePlacement({ strategy: 'constructor' })).toThrow(PlacementError);
+      expect(() => normalizePlacement({ labels: { gpu: true } })).toThrow(PlacementError);
+      expect(() => normalizePlacement({ labels: ['gpu'] })).toThrow(PlacementError);
+    });
+  });
+
+  describe('Bot Net Server', () => {
+    // Stands in for the Server collection; documents only need `_id` and `toJSON`
+    const doc = entry => ({ _id: entry.id, toJSON: () => ({ ...entry }) });
+
+    function mockCollection(entries) {
+      jest.spyOn(Server, 'find').mockReturnValue({
+        sort: () => Promise.resolve(entries.map(doc))
+      });
+      return jest.spyOn(Server, 'findOneAndUpdate').mockImplementation(async filter => {
+        const entry = entries.find(e => e.id === filter._id);
+        if (!entry || entry.activeBots >= entry.capacity) {
+          return null;
+        }
+        entry.activeBots++;
+        return doc(entry);
+      });
+    }
+
+    test('should count the bot on the server it was placed on', async () => {
+      mockCollection(pool());
+      const botNetServer = new BotNetServer({ strategy: 'bin-packing' });
+
+      expect(await botNetServer.assignBot('bot-1')).toBe('server-3');
+      expect(botNetServer.servers.get('server-3').activeBots).toBe(9);
+      expect(await botNetServer.assignBot('bot-2', { strategy: 'least-loaded' })).toBe('server-2');
+    });
+
+    test('should only increment a server that still has room', async () => {
+      const findOneAndUpdate = mockCollection(pool());
+      const botNetServer = new BotNetServer();
+
+      await botNetServer.assignBot('bot-1');
+
+      expect(findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: 'server-2', status: 'online' }),
+        { $inc: { activeBots: 1, 'allocated.memoryMB': 128, 'allocated.cpuShares': 256 } },
+        { new: true }
+      );
+    });
+
+    test('should count the resources the bot requests', async () => {
+      const findOneAndUpdate = mockCollection(pool());
+      const botNetServer = new BotNetServer();
+
+      await botNetServer.placeBot({ _id: 'bot-1', resources: { requests: { memoryMB: 512, cpuShares: 1024 } } });
+
+      expect(findOneAndUpdate.mock.calls[0][1]).toEqual({
+        $inc: { activeBots: 1, 'allocated.memoryMB': 512, 'allocated.cpuShares': 1024 }
+      });
+    });
+
+    test('should choose again when another instance took the last slot', async () => {
+      const entries = [server('server-1', { activeBots: 9 }), server('server-2', { activeBots: 9, capacity: 20 })];
+      const findOneAndUpdate = mockCollection(entries);
+      // Another instance fills server-1 between our read and our update
+      findOneAndUpdate.mockImplementationOnce(async () => {
+        entries[0].activeBots = 10;
+        return null;
+      });
+      const botNetServer = new BotNetServer({ strategy: 'bin-packing' });
+
+      expect(await botNetServer.assignBot('bot-1')).toBe('server-2');
+      expect(findOneAndUpdate).toHaveBeenCalledTimes(2);
+    });
+
+    test('should give up once every server is full', async () => {
+      mockCollection([server('server-1', { activeBots: 10 })]);
+      const botNetServer = new BotNetServer();
+
+      expect(await botNetServer.assignBot('bot-1')).toBeNull();
+      expect(Server.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should leave the counters alone when loading the pool', async () => {
+      mockCollection(pool());
+      jest.spyOn(Server, 'estimatedDocumentCount').mockResolvedValue(3);
+      jest.spyOn(Server, 'updateOne');
+
+      await new BotNetServer().load();
+
+      expect(Server.updateOne).not.toHaveBeenCalled();
+    });
+
+    test('should recount drifted servers unless their counters changed meanwhile', async () => {
+      const stored = [
+        { _id: 'server-1', activeBots: 3, allocated: { memoryMB: 384, cpuShares: 768 } },
+        { _id: 'server-2', activeBots: 1, allocated: { memoryMB: 128, cpuShares: 256 } }
+      ];
+      jest.spyOn(Server, 'find')
+        .mockReturnValueOnce({ select: () => ({ lean: () => Promise.resolve(stored) }) })
+        .mockReturnValue({ sort: () => Promise.resolve([]) });
+      jest.spyOn(Bot, 'aggregate').mockResolvedValue([
+        { _id: 'server-1', count: 2, memoryMB: 256, cpuShares: 512 },
+        { _id: 'server-2', count: 1, memoryMB: 128, cpuShares: 256 }
+      ]);
+      jest.spyOn(Server, 'updateOne').mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+
+      expect(await new BotNetServer().recountUsage()).toBe(1);
+      expect(Server.updateOne).toHaveBeenCalledTimes(1);
+      expect(Server.updateOne).toHaveBeenCalledWith(
+        { _id: 'server-1', activeBots: 3, 'allocated.memoryMB': 384, 'allocated.cpuShares': 768 },
+        { $set: { activeBots: 2, 'allocated.memoryMB': 256, 'allocated.cpuShares': 512 } }
+      );
+    });
+  });
+});
@@ -0,0 +1,126 @@
+// Ladybug Hosting v7 - Plugin Tests
+// Plugins are written for real; tests/setup.js mocks file writes
+const fs = jest.requireActual('fs');
+const os = require('os');
+const path = require('path');
+const {
+  PluginError,
+  BotTypeError,
+  normalizePlugin,
+  loadPlugins,
+  getBotType,
+  listBotTypes,
+  validateBotConfig
+} = require('../lib/plugins');
+
+describe('Ladybug Hosting v7 - Plugin Tests', () => {
+  let pluginDir;
+
+  const writePlugin = (file, source) => {
+    fs.writeFileSync(path.join(pluginDir, file), source);
+  };
+
+  beforeEach(() => {
+    pluginDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ladybug-plugins-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(pluginDir, { recursive: true, force: true });
+    // Back to the plugins shipped in plugins/
+    loadPlugins();
+  });
+
+  describe('Built-in Bot Types', () => {
+    test('should ship the platform bot types', () => {
+      expect(listBotTypes().map(botType => botType.type)).toEqual(['custom', 'discord', 'monitor', 'telegram', 'web']);
+      expect(getBotType('discord')).toMatchObject({
+        name: 'Discord Bot',
+        startCommand: ['node', 'index.js'],
+        healthCheck: { type: 'discord' },
+        configSchema: { token: { type: 'string', secret: true } }
+      });
+      expect(getBotType('telegram').healthCheck).toEqual({ type: 'telegram' });
+      expect(getBotType('minecraft')).toBeUndefined();
+    });
+  });
+
+  describe('Loading', () => {
+    test('should load plugin files and directories', () => {
+      writePlugin('python.js', `module.exports = {
+        type: 'python',
+        name: 'Python Bot',
+        configSchema: { module: { type: 'string', required: true } },
+        startCommand: ['python3', '-m', 'bot'],
+        healthCheck: { type: 'http', port: 8080, path: '/healthz' },
+        form: { module: { label: 'Module', placeholder: 'bot' } }
+      };`);
+      fs.mkdirSync(path.join(pluginDir, 'slack'));
+      writePlugin('slack/index.js', "module.exports = { type: 'slack', name: 'Slack Bot' };");
+      writePlugin('README.md', '# Not a plugin');
+
+      expect(loadPlugins(pluginDir).map(botType => botType.type)).toEqual(['python', 'slack']);
+      expect(getBotType('python')).toEqual({
+        type: 'python',
+        name: 'Python Bot',
+        configSchema: { module: { type: 'string', required: true } },
+        startCommand: ['python3', '-m', 'bot'],
+        healthCheck: { type: 'http', port: 8080, path: '/healthz' },
+        form: { module: { label: 'Module', placeholder: 'bot' } }
+      });
+      expect(getBotType('discord')).toBeUndefined();
+    });
+
+    test('should refuse broken and duplicate plugins', () => {
+      writePlugin('broken.js', 'module.exports = {');
+      expect(() => loadPlugins(pluginDir)).toThrow(/Plugin broken.js could not be loaded/);
+
+      fs.unlinkSync(path.join(pluginDir, 'broken.js'));
+      writePlugin('a.js', "module.exports = { type: 'chat', name: 'Chat Bot' };");
+      writePlugin('b.js', "module.exports = { type: 'chat', name: 'Other Chat Bot' };");
+      expect(() => loadPlugins(pluginDir)).toThrow('Plugin b.js: bot type chat is already defined');
+    });
+
+    test('should validate what plugins export', () => {
+      expect(() => normalizePlugin({ type: 'Chat Bot', name: 'Chat' }, 'chat.js')).toThrow(PluginError);
+      expect(() => normalizePlugin({ type: 'chat' }, 'chat.js')).toThrow(/name/);
+      expect(() => normalizePlugin({ type: 'chat', name: 'Chat', configSchema: { port: { type: 'port' } } }, 'chat.js'))
+        .toThrow(/configSchema.port.type/);
+      expect(() => normalizePlugin({ type: 'chat', name: 'Chat', startCommand: 'node bot.js' }, 'chat.js'))
+        .toThrow(/startCommand/);
+      expect(() => normalizePlugin({ type: 'chat', name: 'Chat', healthCheck: { type: 'tcp' } }, 'chat.js'))
+        .toThrow(/healthCheck is not a valid probe/);
+      expect(() => normalizePlugin({ type: 'chat', name: 'Chat', form: { token: { label: 'Token' } } }, 'chat.js'))
+        .toThrow('Plugin chat.js: form.token is not in configSchema');
+    });
+  });
+
+  describe('Config Validation', () => {
+    const scraper = normalizePlugin({
+      type: 'scraper',
+      name: 'Scraper',
+      configSchema: {
+        targetUrl: { type: 'string', required: true },
+        interval: { type: 'integer' },
+        format: { type: 'string', enum: ['json', 'csv'] },
+        tags: { type: 'array', items: 'string' },
+        token: { type: 'string', secret: true, required: true }
+      }
+    }, 'scraper.js');
+
+    test('should accept configs matching the schema', () => {
+      const config = { targetUrl: 'https://example.com', interval: 60000, format: 'csv', tags: ['news'], extra: true };
+      expect(validateBotConfig(scraper, config)).toBe(config);
+    });
+
+    test('should reject configs that do not', () => {
+      expect(() => validateBotConfig(scraper, [])).toThrow(BotTypeError);
+      expect(() => validateBotConfig(scraper, {})).toThrow('config.targetUrl is required for Scraper');
+      expect(() => validateBotConfig(scraper, { targetUrl: 'https://example.com', interval: 1.5 }))
+        .toThrow('config.interval must be of type integer');
+      expect(() => validateBotConfig(scraper, { targetUrl: 'https://example.com', format: 'xml' }))
+        .toThrow('config.format must be one of json, csv');
+      expect(() => validateBotConfig(scraper, { targetUrl: 'https://example.com', tags: [1] }))
+        .toThrow(/config.tags/);
+    });
+  });
+});
@@ -0,0 +1,152 @@
+// Ladybug Hosting v7 - Probe Tests
+const http = require('http');
+const net = require('net');
+
+// HTTP probes talk to a local server, not the axios mock from tests/setup.js
+jest.unmock('axios');
+
+const {
+  PROBE_DEFAULTS,
+  ProbeError,
+  normalizeProbes,
+  getBotProbes,
+  runProbe,
+  initialProbeState,
+  updateProbeState
+} = require('../lib/probes');
+
+describe('Ladybug Hosting v7 - Probe Tests', () => {
+  describe('Validation', () => {
+    test('should accept HTTP, TCP and exec probes', () => {
+      expect(normalizeProbes({
+        liveness: { type: 'http', port: 8080, path: '/health', expectStatus: 200, expectBody: 'ok', failureThreshold: 5 },
+        readiness: { type: 'tcp', port: 8080, intervalMs: 5000, timeoutMs: 500 }
+      })).toEqual({
+        liveness: { type: 'http', port: 8080, path: '/health', expectStatus: 200, expectBody: 'ok', failureThreshold: 5 },
+        readiness: { type: 'tcp', port: 8080, intervalMs: 5000, timeoutMs: 500 }
+      });
+      expect(normalizeProbes({ liveness: { type: 'exec', command: ['node', 'check.js'], expectExitCode: 0 } }))
+        .toEqual({ liveness: { type: 'exec', command: ['node', 'check.js'], expectExitCode: 0 } });
+      expect(normalizeProbes({ liveness: { type: 'http', port: 80 } }).liveness.path).toBe('/');
+      expect(normalizeProbes({ readiness: null })).toEqual({ readiness: null });
+    });
+
+    test('should reject unknown and incomplete probes', () => {
+      expect(() => normalizeProbes([])).toThrow(ProbeError);
+      expect(() => normalizeProbes({ startup: { type: 'tcp', port: 80 } })).toThrow('Unknown probe: startup');
+      expect(() => normalizeProbes({ liveness: { type: 'grpc', port: 80 } })).toThrow(/probes.liveness.type/);
+      expect(() => normalizeProbes({ liveness: { type: 'tcp' } })).toThrow(/probes.liveness.port/);
+      expect(() => normalizeProbes({ liveness: { type: 'http', port: 80, path: 'health' } })).toThrow(/path/);
+      expect(() => normalizeProbes({ liveness: { type: 'exec', command: 'node check.js' } })).toThrow(/command/);
+      expect(() => normalizeProbes({ liveness: { type: 'tcp', port: 80, intervalMs: 10 } })).toThrow(/intervalMs/);
+      expect(() => normalizeProbes({ readiness: { type: 'tcp', port: 80, successThreshold: 0 } })).toThrow(/successThreshold/);
+    });
+
+    test('should fill in defaults and fall back to the health check of the bot type', () => {
+      const probes = getBotProbes({ type: 'custom', probes: { readiness: { type: 'tcp', port: 3000, failureThreshold: 1 } } });
+      expect(probes).toEqual({ readiness: { ...PROBE_DEFAULTS, type: 'tcp', port: 3000, failureThreshold: 1 } });
+
+      const telegram = { type: 'telegram', healthCheck: { type: 'telegram' } };
+      expect(getBotProbes({ type: 'telegram' }, telegram).liveness).toMatchObject({ type: 'telegram', failureThreshold: 1 });
+      expect(getBotProbes({ type: 'telegram', probes: { liveness: { type: 'tcp', port: 3000 } } }, telegram).liveness.type)
+        .toBe('tcp');
+      expect(getBotProbes({ type: 'web' }, { type: 'web' })).toEqual({});
+    });
+  });
+
+  describe('Running Probes', () => {
+    let botServer;
+    let port;
+
+    beforeAll(async () => {
+      // Stands in for a bot serving its own health endpoint
+      botServer = http.createServer((req, res) => {
+        if (req.url === '/health') {
+          res.end('status: ok');
+        } else if (req.url === '/slow') {
+          setTimeout(() => res.end('late'), 500);
+        } else {
+          res.writeHead(503);
+          res.end('starting');
+        }
+      });
+      await new Promise(resolve => botServer.listen(0, '127.0.0.1', resolve));
+      port = botServer.address().port;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => botServer.close(resolve));
+    });
+
+    // A port nothing listens on
+    const closedPort = async () => {
+      const server = net.createServer();
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      const { port: free } = server.address();
+      await new Promise(resolve => server.close(resolve));
+      return free;
+    };
+
+    const probe = fields => ({ ...PROBE_DEFAULTS, ...fields });
+
+    test('should check the status and body of HTTP endpoints', async () => {
+      expect(await runProbe(probe({ type: 'http', port, path: '/health', expectBody: 'ok' })))
+        .toEqual({ status: 'healthy', detail: 'HTTP 200' });
+      expect(await runProbe(probe({ type: 'http', port, path: '/health', expectBody: 'ready' })))
+        .toMatchObject({ status: 'unhealthy', detail: 'GET /health did not contain "ready"' });
+      expect(await runProbe(probe({ type: 'http', port, path: '/' })))
+        .toMatchObject({ status: 'unhealthy', detail: 'GET / answered HTTP 503' });
+      expect(await runProbe(probe({ type: 'http', port, path: '/', expectStatus: 503 })))
+        .toMatchObject({ status: 'healthy' });
+      expect(await runProbe(probe({ type: 'http', port, path: '/slow', timeoutMs: 100 })))
+        .toMatchObject({ status: 'unhealthy' });
+    });
+
+    test('should check TCP ports', async () => {
+      expect(await runProbe(probe({ type: 'tcp', port }))).toMatchObject({ status: 'healthy' });
+      expect(await runProbe(probe({ type: 'tcp', port: await closedPort() }))).toMatchObject({ status: 'unhealthy' });
+    });
+
+    test('should check the exit code of commands', async () => {
+      const node = process.execPath;
+      expect(await runProbe(probe({ type: 'exec', command: [node, '-e', 'console.log("fine")'] })))
+        .toEqual({ status: 'healthy', detail: 'fine' });
+      expect(await runProbe(probe({ type: 'exec', command: [node, '-e', 'process.exit(2)'] })))
+        .toMatchObject({ status: 'unhealthy', detail: expect.stringContaining('exited with 2') });
+      expect(await runProbe(probe({ type: 'exec', command: [node, '-e', 'process.exit(2)'], expectExitCode: 2 })))
+        .toMatchObject({ status: 'healthy' });
+      expect(await runProbe(probe({ type: 'exec', command: [node, '-e', 'setTimeout(() => {}, 5000)'], timeoutMs: 200 })))
+        .toMatchObject({ status: 'unhealthy', detail: expect.stringContaining('timed out') });
+      expect(await runProbe(probe({ type: 'exec', command: ['ladybug-no-such-command'] })))
+        .toMatchObject({ status: 'unhealthy', detail: expect.stringContaining('could not run') });
+    });
+  });
+
+  describe('Thresholds', () => {
+    const spec = { ...PROBE_DEFAULTS, failureThreshold: 2, successThreshold: 2 };
+    const healthy = { status: 'healthy', detail: 'HTTP 200' };
+    const unhealthy = { status: 'unhealthy', detail: 'HTTP 503' };
+
+    test('should only turn failing or passing after enough results in a row', () => {
+      let state = initialProbeState();
+      state = updateProbeState(state, spec, healthy);
+      expect(state).toMatchObject({ status: 'unknown', successes: 1, failures: 0, result: 'healthy' });
+      state = updateProbeState(state, spec, healthy);
+      expect(state.status).toBe('passing');
+
+      state = updateProbeState(state, spec, unhealthy);
+      expect(state).toMatchObject({ status: 'passing', successes: 0, failures: 1, detail: 'HTTP 503' });
+      state = updateProbeState(state, spec, unhealthy);
+      expect(state.status).toBe('failing');
+      expect(state.checkedAt).toBeInstanceOf(Date);
+    });
+
+    test('should not count probes that could not reach the platform', () => {
+      let state = updateProbeState(initialProbeState(), spec, unhealthy);
+      state = updateProbeState(state, spec, { status: 'unreachable', detail: 'Telegram API answered HTTP 502' });
+      expect(state).toMatchObject({ status: 'unknown', failures: 1, result: 'unreachable' });
+      state = updateProbeState(state, spec, { status: 'auth_failed', detail: 'Telegram rejected the bot token' });
+      expect(state.status).toBe('failing');
+    });
+  });
+});
@@ -0,0 +1,133 @@
+// Ladybug Hosting v7 - Quota Tests
+const Bot = require('../models/Bot');
+const User = require('../models/User');
+const {
+  PLANS,
+  getEffectiveLimits,
+  getQuotaSummary,
+  checkDeployQuota,
+  reserveBotSlot,
+  releaseBotSlot
+} = require('../lib/quota');
+
+describe('Ladybug Hosting v7 - Quota Tests', () => {
+  const user = (overrides = {}) => ({
+    _id: testUtils.randomObjectId(),
+    plan: 'free',
+    ...overrides
+  });
+
+  describe('Effective Limits', () => {
+    test('should use the plan limits by default', () => {
+      expect(getEffectiveLimits(user({ plan: 'pro' }))).toEqual(PLANS.pro);
+    });
+
+    test('should fall back to the free plan for unknown plans', () => {
+      expect(getEffectiveLimits(user({ plan: 'mystery' }))).toEqual(PLANS.free);
+    });
+
+    test('should apply per-user overrides', () => {
+      const limits = getEffectiveLimits(user({ quota: { maxBots: 2, botTypes: ['discord'] } }));
+      expect(limits.maxBots).toBe(2);
+      expect(limits.botTypes).toEqual(['discord']);
+      expect(limits.regions).toEqual(PLANS.free.regions);
+    });
+  });
+
+  describe('Deploy Checks', () => {
+    test('should allow a deploy within limits', async () => {
+      await expect(checkDeployQuota(user({ usage: { bots: 0 } }), { type: 'discord' })).resolves.toBeNull();
+    });
+
+    test('should reject deploys over the bot limit with 429', async () => {
+      const violation = await checkDeployQuota(user({ quota: { maxBots: 2 }, usage: { bots: 2 } }), { type: 'discord' });
+      expect(violation.status).toBe(429);
+      expect(violation.body).toMatchObject({ code: 'QUOTA_BOTS_EXCEEDED', limit: 2, used: 2 });
+    });
+
+    test('should reject bot types outside the quota with 403', async () => {
+      const owner = user({ quota: { botTypes: ['telegram'] }, usage: { bots: 0 } });
+      const violation = await checkDeployQuota(owner, { type: 'discord' });
+      expect(violation.status).toBe(403);
+      expect(violation.body).toMatchObject({ code: 'QUOTA_TYPE_NOT_ALLOWED', allowed: ['telegram'] });
+    });
+
+    test('should reject regions outside the quota with 403', async () => {
+      const violation = await checkDeployQuota(user({ usage: { bots: 0 } }), { type: 'discord', region: 'eu-west' });
+      expect(violation.status).toBe(403);
+      expect(violation.body.code).toBe('QUOTA_REGION_NOT_ALLOWED');
+    });
+  });
+
+  describe('Summary', () => {
+    test('should report the bot counter the limit is enforced against', async () => {
+      jest.spyOn(Bot, 'countDocuments').mockResolvedValue(1);
+
+      const summary = await getQuotaSummary(user({ quota: { maxBots: 5 }, usage: { bots: 3 } }));
+      expect(summary).toMatchObject({ usage: { bots: 3 }, remaining: { bots: 2 } });
+      expect(Bot.countDocuments).not.toHaveBeenCalled();
+    });
+
+    test('should start the counter of existing users from the bots they own', async () => {
+      const owner = user();
+      jest.spyOn(Bot, 'countDocuments').mockResolvedValue(3);
+      jest.spyOn(User, 'updateOne').mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+
+      const summary = await getQuotaSummary(owner);
+      expect(summary.usage.bots).toBe(3);
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: owner._id, 'usage.bots': { $exists: false } },
+        { $set: { 'usage.bots': 3 } }
+      );
+    });
+  });
+
+  describe('Bot Slots', () => {
+    test('should take a slot only while the counter is below the limit', async () => {
+      const owner = user({ quota: { maxBots: 2 }, usage: { bots: 1 } });
+      jest.spyOn(User, 'updateOne').mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+
+      await expect(reserveBotSlot(owner)).resolves.toBeNull();
+      expect(User.updateOne).toHaveBeenCalledTimes(1);
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: owner._id, 'usage.bots': { $lt: 2 } },
+        { $inc: { 'usage.bots': 1 } }
+      );
+    });
+
+    test('should reject with 429 when another deploy took the last slot', async () => {
+      const owner = user({ quota: { maxBots: 2 }, usage: { bots: 1 } });
+      jest.spyOn(User, 'updateOne').mockResolvedValue({ matchedCount: 0, modifiedCount: 0 });
+      jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue({ usage: { bots: 2 } }) });
+
+      const violation = await reserveBotSlot(owner);
+      expect(violation.status).toBe(429);
+      expect(violation.body).toMatchObject({ code: 'QUOTA_BOTS_EXCEEDED', limit: 2, used: 2 });
+    });
+
+    test('should start the counter of existing users from the bots they own', async () => {
+      const owner = user();
+      jest.spyOn(Bot, 'countDocuments').mockResolvedValue(3);
+      jest.spyOn(User, 'updateOne').mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+
+      await reserveBotSlot(owner);
+
+      expect(User.updateOne.mock.calls[0]).toEqual([
+        { _id: owner._id, 'usage.bots': { $exists: false } },
+        { $set: { 'usage.bots': 3 } }
+      ]);
+    });
+
+    test('should give slots back without going below zero', async () => {
+      const owner = user();
+      jest.spyOn(User, 'updateOne').mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+
+      await releaseBotSlot(owner._id);
+
+      expect(User.updateOne).toHaveBeenCalledWith(
+        { _id: owner._id, 'usage.bots': { $gt: 0 } },
+        { $inc: { 'usage.bots': -1 } }
+      );
+    });
+  });
+});
@@ -0,0 +1,132 @@
+// Ladybug Hosting v7 - Resource Limit Tests (fake cgroup directory, real ulimit processes)
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  DEFAULT_BOT_RESOURCES,
+  ResourceError,
+  normalizeResources,
+  getBotResources,
+  getEnforcementMode,
+  cpuSharesToWeight,
+  applyResourceLimits,
+  isOomExit,
+  removeCgroup
+} = require('../lib/resources');
+
+describe('Ladybug Hosting v7 - Resource Limit Tests', () => {
+  const bot = (resources) => ({ _id: testUtils.randomObjectId(), resources });
+  let cgroupRoot;
+
+  // setup.js mocks these for other suites; this one needs the real file system
+  const useRealFs = () => {
+    const actualFs = jest.requireActual('fs');
+    fs.existsSync.mockImplementation(actualFs.existsSync);
+    fs.mkdirSync.mockImplementation(actualFs.mkdirSync);
+    fs.writeFileSync.mockImplementation(actualFs.writeFileSync);
+    fs.readFileSync.mockImplementation(actualFs.readFileSync);
+  };
+
+  beforeEach(() => {
+    useRealFs();
+    cgroupRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'ladybug-cgroup-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(cgroupRoot, { recursive: true, force: true });
+  });
+
+  describe('Requests and Limits', () => {
+    test('should fill in defaults and limit bots to what they request', () => {
+      expect(normalizeResources({})).toEqual({ requests: DEFAULT_BOT_RESOURCES, limits: DEFAULT_BOT_RESOURCES });
+      expect(normalizeResources({ requests: { memoryMB: 512 } })).toEqual({
+        requests: { memoryMB: 512, cpuShares: DEFAULT_BOT_RESOURCES.cpuShares },
+        limits: { memoryMB: 512, cpuShares: DEFAULT_BOT_RESOURCES.cpuShares }
+      });
+    });
+
+    test('should request the limit when only a limit is given', () => {
+      expect(normalizeResources({ limits: { memoryMB: 1024 } }).requests.memoryMB).toBe(1024);
+    });
+
+    test('should reject limits below the request and malformed amounts', () => {
+      expect(() => normalizeResources({ requests: { memoryMB: 512 }, limits: { memoryMB: 256 } })).toThrow(ResourceError);
+      expect(() => normalizeResources({ requests: { memoryMB: 1.5 } })).toThrow(ResourceError);
+      expect(() => normalizeResources({ requests: { memoryMB: 1024 * 1024 } })).toThrow(ResourceError);
+      expect(() => normalizeResources({ requests: { disk: 10 } })).toThrow(/Unknown resource disk/);
+      expect(() => normalizeResources({ limits: [] })).toThrow(ResourceError);
+    });
+
+    test('should count bots without resources with the defaults', () => {
+      expect(getBotResources(bot())).toEqual({ requests: DEFAULT_BOT_RESOURCES, limits: DEFAULT_BOT_RESOURCES });
+    });
+
+    test('should convert CPU shares to cgroup v2 weights', () => {
+      expect(cpuSharesToWeight(2)).toBe(1);
+      expect(cpuSharesToWeight(1024)).toBe(40);
+      expect(cpuSharesToWeight(262144)).toBe(10000);
+    });
+  });
+
+  describe('Enforcement', () => {
+    test('should fall back to ulimits without a delegated cgroup', () => {
+      expect(getEnforcementMode('auto', path.join(cgroupRoot, 'missing'))).toBe('ulimit');
+      fs.writeFileSync(path.join(cgroupRoot, 'cgroup.controllers'), 'cpu memory pids\n');
+      expect(getEnforcementMode('auto', cgroupRoot)).toBe('cgroup');
+    });
+
+    test('should set up a cgroup and have the wrapper join it before starting the bot', () => {
+      const testBot = bot({ limits: { memoryMB: 256, cpuShares: 512 } });
+
+      const limited = applyResourceLimits({ command: 'node', args: ['index.js'] }, testBot, { mode: 'cgroup', root: cgroupRoot });
+
+      expect(limited.cgroup).toBe(path.join(cgroupRoot, `bot-${testBot._id}`));
+      expect(fs.readFileSync(path.join(limited.cgroup, 'memory.max'), 'utf8')).toBe(String(256 * 1024 * 1024));
+      expect(fs.readFileSync(path.join(limited.cgroup, 'cpu.weight'), 'utf8')).toBe(String(cpuSharesToWeight(512)));
+      expect(limited.command).toBe('/bin/sh');
+      expect(limited.args.slice(2)).toEqual([limited.cgroup, 'node', 'index.js']);
+
+      // The shell writes its own pid, which the bot process then inherits through exec
+      const result = spawnSync(limited.command, [limited.args[0], limited.args[1], limited.cgroup, 'true']);
+      expect(result.status).toBe(0);
+      expect(fs.readFileSync(path.join(limited.cgroup, 'cgroup.procs'), 'utf8').trim()).toMatch(/^\d+$/);
+    });
+
+    test('should report OOM kills recorded in the cgroup since the start', () => {
+      const testBot = bot();
+      const cgroup = path.join(cgroupRoot, `bot-${testBot._id}`);
+      fs.mkdirSync(cgroup);
+      fs.writeFileSync(path.join(cgroup, 'memory.events'), 'low 0\nhigh 0\nmax 3\noom 1\noom_kill 1\n');
+
+      const limited = applyResourceLimits({ command: 'node', args: [] }, testBot, { mode: 'cgroup', root: cgroupRoot });
+      expect(isOomExit(limited, { code: null, signal: 'SIGKILL' })).toBe(false);
+
+      fs.writeFileSync(path.join(cgroup, 'memory.events'), 'low 0\nhigh 0\nmax 9\noom 2\noom_kill 2\n');
+      expect(isOomExit(limited, { code: null, signal: 'SIGKILL' })).toBe(true);
+
+      fs.unlinkSync(path.join(cgroup, 'memory.events'));
+      ['memory.max', 'memory.swap.max', 'cpu.weight'].forEach(name => fs.rmSync(path.join(cgroup, name), { force: true }));
+      removeCgroup(limited);
+      expect(fs.existsSync(cgroup)).toBe(false);
+    });
+
+    test('should stop a bot that outgrows its ulimit and recognise the out-of-memory exit', () => {
+      const testBot = bot({ requests: { memoryMB: 64 }, limits: { memoryMB: 64 } });
+      const script = 'const chunks = []; for (;;) chunks.push(Buffer.alloc(1024 * 1024, 1))';
+
+      const limited = applyResourceLimits({ command: process.execPath, args: ['-e', script] }, testBot, { mode: 'ulimit' });
+      const result = spawnSync(limited.command, limited.args, { encoding: 'utf8', timeout: 30000 });
+
+      expect(result.status).not.toBe(0);
+      const lastLines = result.stderr.split('\n').slice(-20);
+      expect(isOomExit(limited, { code: result.status, signal: result.signal, lastLines })).toBe(true);
+      expect(isOomExit(limited, { code: 1, lastLines: ['Error: Cannot find module'] })).toBe(false);
+    });
+
+    test('should start bots unchanged without enforcement', () => {
+      const startCommand = { command: 'node', args: ['index.js'] };
+      expect(applyResourceLimits(startCommand, bot(), { mode: 'none' })).toEqual({ mode: 'none', ...startCommand });
+    });
+  });
+});
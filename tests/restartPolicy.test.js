@@ -0,0 +1,82 @@
+// Ladybug Hosting v7 - Restart Policy Tests
+const {
+  DEFAULT_RESTART_POLICY,
+  RESTART_STABLE_MS,
+  RestartPolicyError,
+  normalizeRestartPolicy,
+  getRestartPolicy,
+  restartDelay,
+  planRestart
+} = require('../lib/restartPolicy');
+
+describe('Ladybug Hosting v7 - Restart Policy Tests', () => {
+  const bot = (restartPolicy, count = 0) => ({
+    _id: testUtils.randomObjectId(),
+    restartPolicy,
+    restarts: { count }
+  });
+
+  describe('Validation', () => {
+    test('should accept a policy name or an object', () => {
+      expect(normalizeRestartPolicy('always')).toEqual({ policy: 'always' });
+      expect(normalizeRestartPolicy({ policy: 'never', maxRetries: 0 })).toEqual({ policy: 'never', maxRetries: 0 });
+      expect(normalizeRestartPolicy({ backoffMs: 500 })).toEqual({ backoffMs: 500 });
+    });
+
+    test('should reject unknown policies and out of range settings', () => {
+      expect(() => normalizeRestartPolicy('sometimes')).toThrow(RestartPolicyError);
+      expect(() => normalizeRestartPolicy({ maxRetries: -1 })).toThrow(/maxRetries/);
+      expect(() => normalizeRestartPolicy({ backoffMs: 10 })).toThrow(/backoffMs/);
+      expect(() => normalizeRestartPolicy({ maxBackoffMs: 1.5 })).toThrow(/maxBackoffMs/);
+      expect(() => normalizeRestartPolicy(null)).toThrow(RestartPolicyError);
+      expect(() => normalizeRestartPolicy(['always'])).toThrow(RestartPolicyError);
+    });
+
+    test('should fill in platform defaults for settings a bot leaves out', () => {
+      expect(getRestartPolicy(bot({ maxRetries: 2 }))).toEqual({ ...DEFAULT_RESTART_POLICY, maxRetries: 2 });
+      expect(getRestartPolicy({})).toEqual(DEFAULT_RESTART_POLICY);
+    });
+  });
+
+  describe('Backoff', () => {
+    const policy = { backoffMs: 1000, maxBackoffMs: 10000 };
+
+    test('should double the backoff and keep at least half of it', () => {
+      expect(restartDelay(0, policy, () => 0)).toBe(500);
+      expect(restartDelay(0, policy, () => 1)).toBe(1000);
+      expect(restartDelay(2, policy, () => 0)).toBe(2000);
+      expect(restartDelay(2, policy, () => 1)).toBe(4000);
+    });
+
+    test('should cap the backoff', () => {
+      expect(restartDelay(20, policy, () => 1)).toBe(10000);
+      expect(restartDelay(20, policy, () => 0)).toBe(5000);
+    });
+  });
+
+  describe('Planning Restarts', () => {
+    const now = Date.now();
+
+    test('should restart failed bots under on-failure but not clean exits', () => {
+      const plan = planRestart(bot({ policy: 'on-failure' }, 1), { failed: true, now, random: () => 1 });
+      expect(plan).toEqual({ action: 'restart', count: 2, delay: 2000, at: new Date(now + 2000) });
+      expect(planRestart(bot({ policy: 'on-failure' }), { failed: false })).toEqual({ action: 'none' });
+    });
+
+    test('should restart clean exits under always and nothing under never', () => {
+      expect(planRestart(bot({ policy: 'always' }), { failed: false }).action).toBe('restart');
+      expect(planRestart(bot({ policy: 'never' }), { failed: true })).toEqual({ action: 'none' });
+    });
+
+    test('should give up once the retries are used up', () => {
+      expect(planRestart(bot({ policy: 'always', maxRetries: 3 }, 3), { failed: true })).toEqual({ action: 'crashloop', count: 3 });
+      expect(planRestart(bot({ policy: 'always', maxRetries: 0 }), { failed: true }).action).toBe('crashloop');
+    });
+
+    test('should count again from zero after a stable run', () => {
+      const plan = planRestart(bot({ policy: 'always', maxRetries: 3 }, 3), { failed: true, ranFor: RESTART_STABLE_MS });
+      expect(plan.action).toBe('restart');
+      expect(plan.count).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,104 @@
+// Ladybug Hosting v7 - Bot Secret Tests
+const Bot = require('../models/Bot');
+const {
+  SecretError,
+  encryptSecret,
+  decryptSecret,
+  validateSecret,
+  extractConfigSecrets
+} = require('../lib/secrets');
+const { buildBotEnv } = require('../lib/botRuntime');
+
+describe('Ladybug Hosting v7 - Secret Tests', () => {
+  const botId = testUtils.randomObjectId().toString();
+  const stored = (name, value) => ({ bot: botId, name, ...encryptSecret(botId, name, value) });
+
+  describe('Encryption', () => {
+    test('should round-trip a value without storing it in plaintext', () => {
+      const secret = stored('BOT_TOKEN', 'super-secret-token');
+
+      expect(JSON.stringify(secret)).not.toContain('super-secret-token');
+      expect(decryptSecret(secret)).toBe('super-secret-token');
+    });
+
+    test('should use a fresh IV for every encryption', () => {
+      expect(stored('BOT_TOKEN', 'same').ciphertext).not.toBe(stored('BOT_TOKEN', 'same').ciphertext);
+    });
+
+    test('should reject ciphertexts moved to another bot or name', () => {
+      const secret = stored('BOT_TOKEN', 'super-secret-token');
+
+      expect(() => decryptSecret({ ...secret, name: 'OTHER' })).toThrow();
+      expect(() => decryptSecret({ ...secret, bot: testUtils.randomObjectId().toString() })).toThrow();
+    });
+
+    test('should reject tampered ciphertexts', () => {
+      const secret = stored('BOT_TOKEN', 'super-secret-token');
+      const tampered = Buffer.from(secret.ciphertext, 'base64');
+      tampered[0] ^= 1;
+
+      expect(() => decryptSecret({ ...secret, ciphertext: tampered.toString('base64') })).toThrow();
+    });
+
+    test('should refuse to work without a master key', () => {
+      const masterKey = process.env.SECRETS_MASTER_KEY;
+      delete process.env.SECRETS_MASTER_KEY;
+      try {
+        expect(() => encryptSecret(botId, 'BOT_TOKEN', 'value')).toThrow(SecretError);
+      } finally {
+        process.env.SECRETS_MASTER_KEY = masterKey;
+      }
+    });
+  });
+
+  describe('Validation', () => {
+    test('should only accept environment variable names', () => {
+      expect(() => validateSecret('DISCORD_TOKEN', 'value')).not.toThrow();
+      expect(() => validateSecret('discord-token', 'value')).toThrow(SecretError);
+      expect(() => validateSecret('1TOKEN', 'value')).toThrow(SecretError);
+    });
+
+    test('should not let secrets override platform variables', () => {
+      expect(() => validateSecret('PATH', '/tmp/evil')).toThrow(SecretError);
+      expect(() => validateSecret('BOT_ID', 'someone-else')).toThrow(SecretError);
+    });
+
+    test('should reject empty values', () => {
+      expect(() => validateSecret('BOT_TOKEN', '')).toThrow(SecretError);
+      expect(() => validateSecret('BOT_TOKEN', 42)).toThrow(SecretError);
+    });
+  });
+
+  describe('Config Credentials', () => {
+    test('should move credentials out of the config', () => {
+      expect(extractConfigSecrets({ token: 'abc', prefix: '!', webhookSecret: 'xyz' })).toEqual({
+        config: { prefix: '!' },
+        secrets: { BOT_TOKEN: 'abc', BOT_WEBHOOK_SECRET: 'xyz' }
+      });
+    });
+
+    test('should move fields the bot type marks secret out of the config', () => {
+      const configSchema = { smtpPass: { type: 'string', secret: true }, smtpHost: { type: 'string' } };
+
+      expect(extractConfigSecrets({ smtpPass: 'hunter2', smtpHost: 'mail.example.com' }, configSchema)).toEqual({
+        config: { smtpHost: 'mail.example.com' },
+        secrets: { BOT_SMTP_PASS: 'hunter2' }
+      });
+      // Keys named like schema methods are not fields
+      expect(extractConfigSecrets({ constructor: 'x' }, configSchema).config).toEqual({ constructor: 'x' });
+    });
+
+    test('should mask credentials left in the config of older bots', () => {
+      const bot = new Bot(testUtils.createTestBot());
+
+      expect(bot.toJSON().config).toEqual({ token: '********' });
+    });
+
+    test('should expose secrets to the bot process without overriding its identity', () => {
+      const env = buildBotEnv({ _id: botId, name: 'Secret Bot', type: 'custom' }, { BOT_TOKEN: 'abc', BOT_ID: 'x' });
+
+      expect(env.BOT_TOKEN).toBe('abc');
+      expect(env.BOT_ID).toBe(botId);
+    });
+  });
+});
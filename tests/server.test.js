@@ -2,9 +2,17 @@
 const request = require('supertest');
 const { app, server, botNetServer } = require('../server');
 const mongoose = require('mongoose');
+const Bot = require('../models/Bot');
+const User = require('../models/User');
+const Server = require('../models/Server');
+const Job = require('../models/Job');
+const { MetricSamples } = require('../models/MetricSample');
+const { BotNetServer } = require('../lib/botNet');
+const { BOT_MANAGER_ACTOR, BotStateError } = require('../lib/botStates');
 
 describe('Ladybug Hosting v7 - Server Tests', () => {
   let testBotId;
+  let authHeader;
 
   beforeAll(async () => {
     // Connect to test database
@@ -15,6 +23,16 @@ describe('Ladybug Hosting v7 - Server Tests', () => {
     });
   });
 
+  beforeEach(async () => {
+    // Register a user for the authenticated endpoints (collections are wiped between tests)
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ username: `server-test-${testUtils.randomString()}`, password: 'ladybug-password' });
+    authHeader = `Bearer ${response.body.accessToken}`;
+    // The server pool is stored in the database as well, so it has to be seeded again
+    await botNetServer.load();
+  });
+
   afterAll(async () => {
     // Clean up test database
     await mongoose.connection.db.dropDatabase();
@@ -35,10 +53,45 @@ describe('Ladybug Hosting v7 - Server Tests', () => {
     });
   });
 
+  describe('Authentication', () => {
+    test('should reject bot requests without a token', async () => {
+      await request(app)
+        .get('/api/bots')
+        .expect(401);
+    });
+
+    test('should reject bot requests with an invalid token', async () => {
+      await request(app)
+        .get('/api/bots')
+        .set('Authorization', 'Bearer not-a-real-token')
+        .expect(401);
+    });
+
+    test('should not show bots owned by another user', async () => {
+      const other = await request(app)
+        .post('/api/auth/register')
+        .send({ username: `other-${testUtils.randomString()}`, password: 'ladybug-password' });
+
+      await request(app)
+        .post('/api/bots')
+        .set('Authorization', `Bearer ${other.body.accessToken}`)
+        .send({ name: 'Other Bot', type: 'discord' })
+        .expect(201);
+
+      const response = await request(app)
+        .get('/api/bots')
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.find(b => b.name === 'Other Bot')).toBeUndefined();
+    });
+  });
+
   describe('Servers Endpoint', () => {
     test('should return server status', async () => {
       const response = await request(app)
         .get('/api/servers')
+        .set('Authorization', authHeader)
         .expect(200);
 
       expect(Array.isArray(response.body)).toBe(true);
@@ -67,6 +120,7 @@ describe('Ladybug Hosting v7 - Server Tests', () => {
 
       const response = await request(app)
         .post('/api/bots')
+        .set('Authorization', authHeader)
         .send(botData)
         .expect(201);
 
@@ -80,9 +134,28 @@ describe('Ladybug Hosting v7 - Server Tests', () => {
       testBotId = response.body._id;
     });
 
+    test('should keep bot tokens out of API responses', async () => {
+      const response = await request(app)
+        .post('/api/bots')
+        .set('Authorization', authHeader)
+        .send({ name: 'Secret Bot', type: 'discord', config: { token: 'discord-token', prefix: '!' } })
+        .expect(201);
+
+      expect(response.body.config).toEqual({ prefix: '!' });
+
+      const secrets = await request(app)
+        .get(`/api/bots/${response.body._id}/secrets`)
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(secrets.body.map(secret => secret.name)).toEqual(['BOT_TOKEN']);
+      expect(JSON.stringify(secrets.body)).not.toContain('discord-token');
+    });
+
     test('should get list of bots', async () => {
       const response = await request(app)
         .get('/api/bots')
+        .set('Authorization', authHeader)
         .expect(200);
 
       expect(Array.isArray(response.body)).toBe(true);
@@ -99,27 +172,380 @@ describe('Ladybug Hosting v7 - Server Tests', () => {
         type: 'invalid-type'
       };
 
-      await request(app)
+      const response = await request(app)
         .post('/api/bots')
+        .set('Authorization', authHeader)
         .send(invalidBotData)
-        .expect(500);
+        .expect(400);
+      expect(response.body.code).toBe('UNKNOWN_BOT_TYPE');
+      expect(response.body.allowed).toEqual(expect.arrayContaining(['discord', 'telegram', 'custom']));
+    });
+
+    test('should list bot types and check configs against their schema', async () => {
+      const types = await request(app)
+        .get('/api/bot-types')
+        .set('Authorization', authHeader)
+        .expect(200);
+      const web = types.body.find(botType => botType.type === 'web');
+      expect(web).toMatchObject({ name: 'Web Scraper', configSchema: { targetUrl: { type: 'string', required: true } } });
+
+      const missing = await request(app)
+        .post('/api/bots')
+        .set('Authorization', authHeader)
+        .send({ name: 'Scraper', type: 'web', config: { interval: 60000 } })
+        .expect(400);
+      expect(missing.body.error).toBe('config.targetUrl is required for Web Scraper');
+
+      const created = await request(app)
+        .post('/api/bots')
+        .set('Authorization', authHeader)
+        .send({ name: 'Scraper', type: 'web', config: { targetUrl: 'https://example.com' } })
+        .expect(201);
+
+      await request(app)
+        .patch(`/api/bots/${created.body._id}`)
+        .set('Authorization', authHeader)
+        .send({ config: { interval: 'hourly' } })
+        .expect(400);
+    });
+
+    test('should place bots according to the requested placement', async () => {
+      const response = await request(app)
+        .post('/api/bots')
+        .set('Authorization', authHeader)
+        .send({ name: 'Placed Bot', type: 'custom', region: 'us-west', placement: { group: 'scrapers' } })
+        .expect(201);
+      expect(response.body.serverId).toBe('server-2');
+      expect(response.body.placement).toMatchObject({ region: 'us-west', group: 'scrapers' });
+
+      await request(app)
+        .post('/api/bots')
+        .set('Authorization', authHeader)
+        .send({ name: 'Misplaced Bot', type: 'custom', placement: { strategy: 'random' } })
+        .expect(400);
+    });
+
+    test('should schedule bots by the resources they request', async () => {
+      const response = await request(app)
+        .post('/api/bots')
+        .set('Authorization', authHeader)
+        .send({ name: 'Heavy Bot', type: 'custom', resources: { requests: { memoryMB: 2048 }, limits: { memoryMB: 4096 } } })
+        .expect(201);
+      expect(response.body.resources).toMatchObject({
+        requests: { memoryMB: 2048 },
+        limits: { memoryMB: 4096 }
+      });
+      const server = await Server.findById(response.body.serverId);
+      expect(server.allocated.memoryMB).toBe(2048);
+
+      await request(app)
+        .post('/api/bots')
+        .set('Authorization', authHeader)
+        .send({ name: 'Squeezed Bot', type: 'custom', resources: { requests: { memoryMB: 512 }, limits: { memoryMB: 256 } } })
+        .expect(400);
+
+      // More memory than any server has
+      await Server.updateMany({}, { 'resources.memoryMB': 4096 });
+      await request(app)
+        .post('/api/bots')
+        .set('Authorization', authHeader)
+        .send({ name: 'Huge Bot', type: 'custom', resources: { requests: { memoryMB: 8192 } } })
+        .expect(503);
+    });
+
+    test('should store restart policies and merge them on PATCH', async () => {
+      const created = await request(app)
+        .post('/api/bots')
+        .set('Authorization', authHeader)
+        .send({ name: 'Restarting Bot', type: 'custom', restartPolicy: { policy: 'always', maxRetries: 3 } })
+        .expect(201);
+      expect(created.body.restartPolicy).toMatchObject({ policy: 'always', maxRetries: 3 });
+
+      const patched = await request(app)
+        .patch(`/api/bots/${created.body._id}`)
+        .set('Authorization', authHeader)
+        .send({ restartPolicy: { backoffMs: 5000 } })
+        .expect(200);
+      expect(patched.body.restartPolicy).toMatchObject({ policy: 'always', maxRetries: 3, backoffMs: 5000 });
+
+      await request(app)
+        .post('/api/bots')
+        .set('Authorization', authHeader)
+        .send({ name: 'Flaky Bot', type: 'custom', restartPolicy: 'sometimes' })
+        .expect(400);
+    });
+
+    test('should take telemetry with the bot ingest token', async () => {
+      const created = await request(app)
+        .post('/api/bots')
+        .set('Authorization', authHeader)
+        .send({ name: 'Reporting Bot', type: 'custom' })
+        .expect(201);
+      expect(created.body.telemetry.tokenId).toMatch(/^[0-9a-f]{12}$/);
+
+      const issued = await request(app)
+        .post(`/api/bots/${created.body._id}/telemetry-token`)
+        .set('Authorization', authHeader)
+        .expect(201);
+
+      await request(app)
+        .post('/api/telemetry')
+        .set('Authorization', `Bearer ${issued.body.token}`)
+        .send({ requests: 3, errors: 1, gauges: { queue: 5 } })
+        .expect(200);
+      // A user session is not a telemetry token
+      await request(app)
+        .post('/api/telemetry')
+        .set('Authorization', authHeader)
+        .send({ requests: 3 })
+        .expect(401);
+
+      const bot = await Bot.findById(created.body._id);
+      expect(bot.metrics).toMatchObject({ requests: 3, errors: 1, gauges: { queue: 5 } });
+      expect(bot.telemetry.lastReportAt).toBeInstanceOf(Date);
+    });
+
+    test('should chart the stored samples of a bot', async () => {
+      const created = await request(app)
+        .post('/api/bots')
+        .set('Authorization', authHeader)
+        .send({ name: 'Charted Bot', type: 'custom' })
+        .expect(201);
+      await MetricSamples['1m'].create({
+        at: new Date('2026-10-18T12:01:00Z'),
+        source: { kind: 'bot', id: created.body._id },
+        up: 1,
+        requests: 7,
+        errors: 0
+      });
+
+      const response = await request(app)
+        .get('/api/metrics')
+        .query({ bot: created.body._id, from: '2026-10-18T12:00:00Z', to: '2026-10-18T12:03:00Z', step: '1m' })
+        .set('Authorization', authHeader)
+        .expect(200);
+
+      expect(response.body.series.requests).toEqual([null, 7, null]);
+      await request(app)
+        .get('/api/metrics')
+        .query({ bot: created.body._id, step: '1w' })
+        .set('Authorization', authHeader)
+        .expect(400);
+    });
+
+    test('should store probes and remove them with null on PATCH', async () => {
+      const created = await request(app)
+        .post('/api/bots')
+        .set('Authorization', authHeader)
+        .send({
+          name: 'Probed Bot',
+          type: 'custom',
+          probes: {
+            liveness: { type: 'http', port: 8080, path: '/health', expectBody: 'ok' },
+            readiness: { type: 'tcp', port: 8080 }
+          }
+        })
+        .expect(201);
+      expect(created.body.probes.liveness).toEqual({ type: 'http', port: 8080, path: '/health', expectBody: 'ok' });
+
+      const patched = await request(app)
+        .patch(`/api/bots/${created.body._id}`)
+        .set('Authorization', authHeader)
+        .send({ probes: { readiness: null } })
+        .expect(200);
+      expect(patched.body.probes.liveness).toMatchObject({ type: 'http' });
+      expect(patched.body.probes.readiness).toBeUndefined();
+
+      const rejected = await request(app)
+        .patch(`/api/bots/${created.body._id}`)
+        .set('Authorization', authHeader)
+        .send({ probes: { liveness: { type: 'tcp' } } })
+        .expect(400);
+      expect(rejected.body.error).toMatch(/probes.liveness.port/);
+    });
+
+    test('should validate lifecycle actions against the bot status', async () => {
+      const created = await request(app)
+        .post('/api/bots')
+        .set('Authorization', authHeader)
+        .send({ name: 'Lifecycle Bot', type: 'custom' })
+        .expect(201);
+
+      const stopped = await request(app)
+        .post(`/api/bots/${created.body._id}/actions`)
+        .set('Authorization', authHeader)
+        .send({ action: 'stop' })
+        .expect(202);
+      expect(stopped.body.status).toBe('stopping');
+
+      const rejected = await request(app)
+        .post(`/api/bots/${created.body._id}/actions`)
+        .set('Authorization', authHeader)
+        .send({ action: 'resume' })
+        .expect(409);
+      expect(rejected.body.code).toBe('ACTION_IN_PROGRESS');
+    });
+
+    test('should queue jobs for deploys and actions and show their progress', async () => {
+      const created = await request(app)
+        .post('/api/bots')
+        .set('Authorization', authHeader)
+        .send({ name: 'Queued Bot', type: 'custom' })
+        .expect(201);
+      const deploy = await request(app)
+        .get(`/api/jobs/${created.body.job}`)
+        .set('Authorization', authHeader)
+        .expect(200);
+      expect(deploy.body).toMatchObject({ type: 'deploy', status: 'queued', attempts: 0, bot: created.body._id });
+      expect(deploy.body.actor.user.username).toBeDefined();
+
+      const stopped = await request(app)
+        .post(`/api/bots/${created.body._id}/actions`)
+        .set('Authorization', authHeader)
+        .send({ action: 'stop' })
+        .expect(202);
+      const stop = await Job.findById(stopped.body.job);
+      expect(stop).toMatchObject({ type: 'stop', status: 'queued' });
+      expect(stop.payload.pendingActionAt).toEqual(new Date(stopped.body.pendingActionAt));
+
+      // Other users do not see the bot's jobs
+      const other = await request(app)
+        .post('/api/auth/register')
+        .send({ username: `job-test-${testUtils.randomString()}`, password: 'ladybug-password' });
+      await request(app)
+        .get(`/api/jobs/${stopped.body.job}`)
+        .set('Authorization', `Bearer ${other.body.accessToken}`)
+        .expect(404);
+      await request(app)
+        .get('/api/jobs/not-a-job')
+        .set('Authorization', authHeader)
+        .expect(404);
+    });
+
+    test('should record status changes as a timeline of events', async () => {
+      const created = await request(app)
+        .post('/api/bots')
+        .set('Authorization', authHeader)
+        .send({ name: 'Timeline Bot', type: 'custom' })
+        .expect(201);
+      await request(app)
+        .post(`/api/bots/${created.body._id}/actions`)
+        .set('Authorization', authHeader)
+        .send({ action: 'stop' })
+        .expect(202);
+
+      // The Bot Manager stops the bot, but cannot skip ahead to running from there
+      expect(await Bot.transition(created.body._id, 'stopped', { cause: 'action:stop', actor: BOT_MANAGER_ACTOR })).toBe('stopping');
+      expect(await Bot.transition(created.body._id, 'running', { cause: 'process-started', actor: BOT_MANAGER_ACTOR })).toBeNull();
+
+      const events = await request(app)
+        .get(`/api/bots/${created.body._id}/events`)
+        .set('Authorization', authHeader)
+        .expect(200);
+      expect(events.body.map(event => [event.from, event.to, event.cause])).toEqual([
+        ['stopping', 'stopped', 'action:stop'],
+        ['starting', 'stopping', 'action:stop'],
+        [undefined, 'starting', 'deploy']
+      ]);
+      expect(events.body[1].actor.kind).toBe('user');
+      expect(events.body[1].actor.user.username).toBeDefined();
+      expect(events.body[0].actor.kind).toBe('bot-manager');
+
+      const page = await request(app)
+        .get(`/api/bots/${created.body._id}/events?limit=1&before=${events.body[0].at}`)
+        .set('Authorization', authHeader)
+        .expect(200);
+      expect(page.body.map(event => event.to)).toEqual(['stopping']);
+
+      await request(app)
+        .get(`/api/bots/${created.body._id}/events?limit=0`)
+        .set('Authorization', authHeader)
+        .expect(400);
+    });
+
+    test('should reject illegal and outdated status changes on save', async () => {
+      const created = await request(app)
+        .post('/api/bots')
+        .set('Authorization', authHeader)
+        .send({ name: 'Guarded Bot', type: 'custom' })
+        .expect(201);
+
+      const bot = await Bot.findById(created.body._id);
+      bot.status = 'paused';
+      await expect(bot.save()).rejects.toThrow(BotStateError);
+
+      // Changed by the Bot Manager after the document was loaded
+      const stale = await Bot.findById(created.body._id);
+      await Bot.transition(created.body._id, 'error', { cause: 'start-failed', actor: BOT_MANAGER_ACTOR });
+      stale.status = 'stopping';
+      await expect(stale.save()).rejects.toThrow(BotStateError);
+      expect((await Bot.findById(created.body._id)).status).toBe('error');
+    });
+
+    test('should record config changes as revisions and roll them back', async () => {
+      const created = await request(app)
+        .post('/api/bots')
+        .set('Authorization', authHeader)
+        .send({ name: 'Revision Bot', type: 'custom', config: { prefix: '!', command: 'node bot.js' } })
+        .expect(201);
+      expect(created.body.configRevision).toBe(1);
+
+      const patched = await request(app)
+        .patch(`/api/bots/${created.body._id}`)
+        .set('Authorization', authHeader)
+        .send({ config: { prefix: '?', command: null } })
+        .expect(200);
+      expect(patched.body.config).toEqual({ prefix: '?' });
+      expect(patched.body.configRevision).toBe(2);
+
+      const revisions = await request(app)
+        .get(`/api/bots/${created.body._id}/revisions`)
+        .set('Authorization', authHeader)
+        .expect(200);
+      expect(revisions.body.map(revision => revision.revision)).toEqual([2, 1]);
+      expect(revisions.body[0].diff).toEqual([
+        { path: 'command', op: 'remove', from: 'node bot.js' },
+        { path: 'prefix', op: 'change', from: '!', to: '?' }
+      ]);
+
+      const rolledBack = await request(app)
+        .post(`/api/bots/${created.body._id}/rollback/1`)
+        .set('Authorization', authHeader)
+        .expect(200);
+      expect(rolledBack.body.config).toEqual({ prefix: '!', command: 'node bot.js' });
+      expect(rolledBack.body.configRevision).toBe(3);
+
+      await request(app)
+        .post(`/api/bots/${created.body._id}/rollback/42`)
+        .set('Authorization', authHeader)
+        .expect(404);
     });
 
     test('should delete a bot', async () => {
       await request(app)
         .delete(`/api/bots/${testBotId}`)
+        .set('Authorization', authHeader)
         .expect(200);
 
       // Verify bot is deleted
       await request(app)
         .get(`/api/bots/${testBotId}`)
+        .set('Authorization', authHeader)
         .expect(404);
     });
+
+    test('should not find bots by malformed ids', async () => {
+      const response = await request(app)
+        .get('/api/bots/not-a-bot')
+        .set('Authorization', authHeader)
+        .expect(404);
+      expect(response.body.error).toBe('Bot not found');
+    });
   });
 
   describe('Bot Net Server Management', () => {
-    test('should initialize with default servers', () => {
-      const servers = botNetServer.getServerStatus();
+    test('should seed the default servers into an empty pool', async () => {
+      const servers = await botNetServer.load();
       expect(Array.isArray(servers)).toBe(true);
       expect(servers.length).toBe(3);
       
@@ -133,25 +559,114 @@ describe('Ladybug Hosting v7 - Server Tests', () => {
       });
     });
 
-    test('should assign bot to server', () => {
-      const serverId = botNetServer.assignBot();
+    test('should assign bot to server', async () => {
+      await botNetServer.load();
+      const serverId = await botNetServer.assignBot();
       expect(serverId).toBeTruthy();
       
       const servers = botNetServer.getServerStatus();
       const assignedServer = servers.find(s => s.id === serverId);
       expect(assignedServer.activeBots).toBe(1);
+      expect((await Server.findById(serverId)).activeBots).toBe(1);
     });
 
-    test('should release bot from server', () => {
-      const servers = botNetServer.getServerStatus();
-      const serverWithBot = servers.find(s => s.activeBots > 0);
-      
-      if (serverWithBot) {
-        botNetServer.releaseBot(serverWithBot.id);
-        const updatedServers = botNetServer.getServerStatus();
-        const updatedServer = updatedServers.find(s => s.id === serverWithBot.id);
-        expect(updatedServer.activeBots).toBe(0);
-      }
+    test('should never count more bots than a server can take', async () => {
+      await botNetServer.load();
+      await Server.updateMany({ _id: { $ne: 'server-1' } }, { status: 'offline' });
+      await Server.updateOne({ _id: 'server-1' }, { capacity: 3 });
+
+      // Two instances placing at the same time share the counter in the database
+      const other = new BotNetServer();
+      const assigned = await Promise.all([1, 2, 3, 4, 5].map(n => (n % 2 ? botNetServer : other).assignBot()));
+
+      expect(assigned.filter(id => id === 'server-1')).toHaveLength(3);
+      expect(assigned.filter(id => id === null)).toHaveLength(2);
+      expect((await Server.findById('server-1')).activeBots).toBe(3);
+    });
+
+    test('should rebuild bot counts from the bots in the database', async () => {
+      const owner = new mongoose.Types.ObjectId();
+      await Bot.create([
+        { name: 'Counted Bot 1', type: 'custom', serverId: 'server-2', owner },
+        { name: 'Counted Bot 2', type: 'custom', serverId: 'server-2', owner }
+      ]);
+
+      const servers = await botNetServer.load();
+
+      expect(servers.find(s => s.id === 'server-2').activeBots).toBe(2);
+      expect(servers.find(s => s.id === 'server-1').activeBots).toBe(0);
+    });
+
+    test('should let admins add, update and remove servers', async () => {
+      await botNetServer.load();
+      const admin = await request(app)
+        .post('/api/auth/register')
+        .send({ username: `server-admin-${testUtils.randomString()}`, password: 'ladybug-password' });
+      await User.updateOne({ _id: admin.body.user._id }, { role: 'admin' });
+      const adminHeader = `Bearer ${admin.body.accessToken}`;
+
+      await request(app)
+        .post('/api/servers')
+        .set('Authorization', authHeader)
+        .send({ id: 'server-4', name: 'Ladybug Node Delta', region: 'eu-west' })
+        .expect(403);
+
+      const created = await request(app)
+        .post('/api/servers')
+        .set('Authorization', adminHeader)
+        .send({ id: 'server-4', name: 'Ladybug Node Delta', region: 'eu-west', capacity: 50 })
+        .expect(201);
+      expect(created.body).toMatchObject({ id: 'server-4', capacity: 50, activeBots: 0, status: 'online' });
+
+      const updated = await request(app)
+        .patch('/api/servers/server-4')
+        .set('Authorization', adminHeader)
+        .send({ status: 'offline' })
+        .expect(200);
+      expect(updated.body.status).toBe('offline');
+      expect(await botNetServer.assignBot(null, { regions: ['eu-west'] })).toBe('server-3');
+      await botNetServer.releaseBot('server-3');
+
+      const issued = await request(app)
+        .post('/api/servers/server-4/token')
+        .set('Authorization', adminHeader)
+        .expect(201);
+      expect(issued.body.token).toMatch(/^lbn_/);
+      expect((await Server.verifyToken(issued.body.token))._id).toBe('server-4');
+
+      // Draining hands moving the server's bots off to the Bot Manager
+      const drained = await request(app)
+        .post('/api/servers/server-4/actions')
+        .set('Authorization', adminHeader)
+        .send({ action: 'drain' })
+        .expect(202);
+      const migration = await request(app)
+        .get(`/api/jobs/${drained.body.job}`)
+        .set('Authorization', adminHeader)
+        .expect(200);
+      expect(migration.body).toMatchObject({ type: 'migrate', serverId: 'server-4', payload: { reason: 'drain' } });
+      await request(app)
+        .get(`/api/jobs/${drained.body.job}`)
+        .set('Authorization', authHeader)
+        .expect(404);
+
+      await request(app)
+        .delete('/api/servers/server-4')
+        .set('Authorization', adminHeader)
+        .expect(200);
+      expect(botNetServer.getServerStatus().map(s => s.id)).not.toContain('server-4');
+    });
+
+    test('should release bot from server', async () => {
+      await botNetServer.load();
+      const serverId = await botNetServer.assignBot();
+
+      await botNetServer.releaseBot(serverId);
+      await botNetServer.releaseBot(serverId);
+
+      const updatedServer = botNetServer.getServerStatus().find(s => s.id === serverId);
+      expect(updatedServer.activeBots).toBe(0);
+      expect((await Server.findById(serverId)).activeBots).toBe(0);
     });
   });
 
@@ -159,6 +674,7 @@ describe('Ladybug Hosting v7 - Server Tests', () => {
     test('should handle 404 for unknown routes', async () => {
       await request(app)
         .get('/api/unknown')
+        .set('Authorization', authHeader)
         .expect(404);
     });
 
@@ -166,6 +682,7 @@ describe('Ladybug Hosting v7 - Server Tests', () => {
       const invalidId = '507f1f77bcf86cd799439011'; // Valid ObjectId format
       await request(app)
         .delete(`/api/bots/${invalidId}`)
+        .set('Authorization', authHeader)
         .expect(404);
     });
 
@@ -173,6 +690,7 @@ describe('Ladybug Hosting v7 - Server Tests', () => {
       const malformedId = 'invalid-id-format';
       await request(app)
         .delete(`/api/bots/${malformedId}`)
+        .set('Authorization', authHeader)
         .expect(500);
     });
   });
@@ -14,6 +14,7 @@ global.console = {
 // Set test environment variables
 process.env.NODE_ENV = 'test';
 process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.SECRETS_MASTER_KEY = '0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef';
 process.env.BOT_HEARTBEAT_INTERVAL = '1000';
 process.env.SERVER_HEALTH_CHECK_INTERVAL = '2000';
 
@@ -1,10 +1,50 @@
 // Ladybug Hosting v7 - Bot Management Worker
+const fs = require('fs');
+const os = require('os');
+const { spawn } = require('child_process');
 const mongoose = require('mongoose');
 const cron = require('node-cron');
 const axios = require('axios');
 const winston = require('winston');
 require('dotenv').config();
 
+const Bot = require('../models/Bot');
+const BotLog = require('../models/BotLog');
+const BotSecret = require('../models/BotSecret');
+const Job = require('../models/Job');
+const Server = require('../models/Server');
+const { METRIC_STEPS, MetricSamples } = require('../models/MetricSample');
+const {
+  getBotWorkdir,
+  resolveStartCommand,
+  buildBotEnv,
+  isBotProcess,
+  killProcessGroup
+} = require('../lib/botRuntime');
+const { checkoutSource } = require('../lib/gitSource');
+const { LogRingBuffer, createLineSplitter } = require('../lib/botLogs');
+const { loadSecretEnv, loadSecret, extractConfigSecrets, setSecret } = require('../lib/secrets');
+const { TOKEN_SECRET } = require('../lib/healthProbes');
+const { getBotProbes, runProbe, initialProbeState, updateProbeState } = require('../lib/probes');
+const { loadPlugins, getBotType } = require('../lib/plugins');
+const { signTelemetryToken, ensureTelemetryToken } = require('../lib/telemetry');
+const { getBotResources, applyResourceLimits, isOomExit, removeCgroup } = require('../lib/resources');
+const { RESTART_STABLE_MS, getRestartPolicy, planRestart } = require('../lib/restartPolicy');
+const { BOT_STATES, BOT_MANAGER_ACTOR } = require('../lib/botStates');
+const { OPEN_JOB_STATUSES, JobError, claimJob, deadLetterExpiredJobs, runJob } = require('../lib/jobQueue');
+const { queueBotJob, restartLiveBot, deleteBot } = require('../lib/botActions');
+const { migrateServerBots } = require('../lib/migration');
+const { BotNetServer } = require('../lib/botNet');
+const { METRICS, METRIC_ROLLUPS, stepStart, buildSamples, rollupPipeline } = require('../lib/metrics');
+
+// Output lines kept per process to tell an out-of-memory exit from other failures
+const LAST_LINES_KEPT = 20;
+// Bots left waiting this long without an open job get one queued (e.g. the API
+// instance that changed them died before queueing it)
+const JOB_RECOVERY_GRACE_MS = parseInt(process.env.JOB_RECOVERY_GRACE_MS, 10) || 60000;
+// Bots that push telemetry and have been silent this long are logged by the heartbeat check
+const TELEMETRY_STALE_MS = parseInt(process.env.TELEMETRY_STALE_MS, 10) || 5 * 60 * 1000;
+
 // Configure logging
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
@@ -25,34 +65,35 @@ const logger = winston.createLogger({
   ]
 });
 
-// Bot Schema (matching main server)
-const BotSchema = new mongoose.Schema({
-  name: { type: String, required: true },
-  type: { type: String, required: true },
-  status: { type: String, default: 'idle' },
-  serverId: { type: String, required: true },
-  config: { type: Object, default: {} },
-  createdAt: { type: Date, default: Date.now },
-  lastActive: { type: Date, default: Date.now },
-  metrics: {
-    uptime: { type: Number, default: 0 },
-    requests: { type: Number, default: 0 },
-    errors: { type: Number, default: 0 }
-  }
-});
-
-const Bot = mongoose.model('Bot', BotSchema);
-
 class BotManager {
   constructor() {
     this.isRunning = false;
     this.heartbeatInterval = process.env.BOT_HEARTBEAT_INTERVAL || 30000;
     this.serverHealthCheckInterval = process.env.SERVER_HEALTH_CHECK_INTERVAL || 60000;
+    this.stopTimeout = parseInt(process.env.BOT_STOP_TIMEOUT, 10) || 10000;
+    // botId -> { child, pid, startedAt, stopping, exited }
     this.botProcesses = new Map();
+    // Bots whose code is being prepared (e.g. a git fetch) before their process is spawned
+    this.preparingBots = new Set();
+    // botId -> LogRingBuffer of output lines not yet written to BotLog
+    this.logBuffers = new Map();
+    // Holds the leases of the jobs this worker claims
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.jobConcurrency = parseInt(process.env.JOB_CONCURRENCY, 10) || 4;
+    // jobId -> { bot, done } for jobs being run
+    this.activeJobs = new Map();
+    this.claimingJobs = false;
+    // Server pool used to place bots when migrating them off a server
+    this.botNetServer = new BotNetServer();
+    // Bot request and error totals at the last metric sample (see lib/metrics.js)
+    this.metricCounters = null;
   }
 
   async initialize() {
     try {
+      const botTypes = loadPlugins();
+      logger.info(`Loaded bot types: ${botTypes.map(botType => botType.type).join(', ')}`);
+
       // Connect to MongoDB
       await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ladybug-hosting-v7', {
         useNewUrlParser: true,
@@ -63,6 +104,9 @@ class BotManager {
       logger.info(`Heartbeat interval: ${this.heartbeatInterval}ms`);
       logger.info(`Health check interval: ${this.serverHealthCheckInterval}ms`);
 
+      await this.migrateConfigSecrets();
+      await this.recountServerUsage();
+
       this.isRunning = true;
       this.startPeriodicTasks();
       
@@ -73,7 +117,33 @@ class BotManager {
   }
 
   startPeriodicTasks() {
-    // Heartbeat check every 30 seconds (configurable)
+    // Restart lost processes and drop processes of deleted bots every 5 seconds
+    cron.schedule('*/5 * * * * *', async () => {
+      if (this.isRunning) {
+        await this.reconcileBots();
+      }
+    });
+
+    // Run due liveness and readiness probes every second
+    cron.schedule('* * * * * *', () => {
+      if (this.isRunning) {
+        this.runProbes();
+      }
+    });
+
+    // Run queued lifecycle jobs every second
+    cron.schedule('* * * * * *', async () => {
+      if (this.isRunning) {
+        await this.processJobs();
+      }
+    });
+
+    // Persist captured bot output every second
+    cron.schedule('* * * * * *', async () => {
+      await this.flushLogs();
+    });
+
+    // Heartbeat (activity and uptime) every 30 seconds
     cron.schedule('*/30 * * * * *', async () => {
       if (this.isRunning) {
         await this.performHeartbeatCheck();
@@ -87,50 +157,95 @@ class BotManager {
       }
     });
 
-    // Metrics collection every 5 minutes
-    cron.schedule('0 */5 * * * *', async () => {
+    // Metric samples every minute
+    cron.schedule('0 * * * * *', async () => {
       if (this.isRunning) {
         await this.collectMetrics();
       }
     });
 
-    // Cleanup orphaned bots every hour
-    cron.schedule('0 0 * * * *', async () => {
+    // Metric rollups into 1h and 1d samples every 5 minutes
+    cron.schedule('30 */5 * * * *', async () => {
       if (this.isRunning) {
-        await this.cleanupOrphanedBots();
+        await this.rollupMetrics();
       }
     });
 
-    // Auto-restart failed bots every 10 minutes
-    cron.schedule('0 */10 * * * *', async () => {
+    // Cleanup orphaned bots every hour
+    cron.schedule('0 0 * * * *', async () => {
       if (this.isRunning) {
-        await this.restartFailedBots();
+        await this.cleanupOrphanedBots();
       }
     });
 
     logger.info('🔄 Periodic tasks scheduled');
   }
 
+  // Moves credentials that older bots kept in plaintext config into the secret store
+  async migrateConfigSecrets() {
+    if (!process.env.SECRETS_MASTER_KEY) {
+      logger.warn('SECRETS_MASTER_KEY is not set, bot secrets are unavailable');
+      return;
+    }
+
+    try {
+      const bots = await Bot.find({ config: { $exists: true } }).select('name type config');
+      for (const bot of bots) {
+        const botType = getBotType(bot.type);
+        const { config, secrets } = extractConfigSecrets(bot.config || {}, botType && botType.configSchema);
+        const names = Object.keys(secrets);
+        if (names.length === 0) continue;
+
+        for (const name of names) {
+          // A secret set through the API is newer than the config value
+          if (!(await BotSecret.exists({ bot: bot._id, name }))) {
+            await setSecret(bot._id, name, secrets[name]);
+          }
+        }
+        await Bot.updateOne({ _id: bot._id }, { $set: { config } });
+        logger.info(`Moved ${names.join(', ')} of bot ${bot.name} (${bot._id}) into the secret store`);
+      }
+    } catch (error) {
+      logger.error('Migrating bot config secrets failed:', error);
+    }
+  }
+
+  // Corrects server bot counters that drifted. This is left to the Bot Manager so API
+  // instances starting up do not reset counters while other instances place bots.
+  async recountServerUsage() {
+    try {
+      const corrected = await this.botNetServer.recountUsage();
+      if (corrected > 0) {
+        logger.info(`Corrected the bot counters of ${corrected} servers`);
+      }
+    } catch (error) {
+      logger.error('Recounting server usage failed:', error);
+    }
+  }
+
+  // Counts the uptime of running bots. Bots that push telemetry were active when they last
+  // reported (see routes/telemetry.js); the others are marked active while their liveness
+  // probe is not failing.
   async performHeartbeatCheck() {
     try {
-      const bots = await Bot.find({ status: 'running' });
-      
+      const bots = await Bot.find({ status: 'running' }).select('_id name startedAt telemetry.lastReportAt');
+      const now = Date.now();
+
       for (const bot of bots) {
-        const isHealthy = await this.checkBotHealth(bot);
-        
-        if (!isHealthy) {
-          logger.warn(`Bot ${bot.name} (${bot._id}) heartbeat failed`);
-          bot.status = 'error';
-          bot.metrics.errors += 1;
-          await bot.save();
-          
-          // Attempt to restart
-          setTimeout(() => this.restartBot(bot), 5000);
-        } else {
-          bot.lastActive = new Date();
-          bot.metrics.uptime += this.heartbeatInterval / 1000;
-          await bot.save();
+        const entry = this.botProcesses.get(bot._id.toString());
+        const liveness = entry && entry.probes.liveness;
+        if (!entry || (liveness && liveness.state.status === 'failing')) continue;
+
+        const lastReportAt = bot.telemetry && bot.telemetry.lastReportAt;
+        const reporting = lastReportAt && (!bot.startedAt || lastReportAt >= bot.startedAt);
+        if (reporting && now - lastReportAt.getTime() > TELEMETRY_STALE_MS) {
+          logger.warn(`Bot ${bot.name} (${bot._id}) has not reported telemetry since ${lastReportAt.toISOString()}`);
         }
+        const update = { $inc: { 'metrics.uptime': this.heartbeatInterval / 1000 } };
+        if (!reporting) {
+          update.$set = { lastActive: new Date() };
+        }
+        await Bot.updateOne({ _id: bot._id, pid: entry.pid }, update);
       }
       
       logger.info(`Heartbeat check completed for ${bots.length} bots`);
@@ -142,18 +257,15 @@ class BotManager {
   async performHealthCheck() {
     try {
       const bots = await Bot.find();
-      const stats = {
-        total: bots.length,
-        running: bots.filter(b => b.status === 'running').length,
-        error: bots.filter(b => b.status === 'error').length,
-        idle: bots.filter(b => b.status === 'idle').length,
-        starting: bots.filter(b => b.status === 'starting').length
-      };
+      const stats = { total: bots.length };
+      BOT_STATES.forEach(state => {
+        stats[state] = bots.filter(b => b.status === state).length;
+      });
 
       logger.info('📊 Bot Health Statistics:', stats);
       
       // Check for critical issues
-      const errorRate = stats.error / stats.total;
+      const errorRate = (stats.error + stats.oom_killed + stats.crashloop + stats.auth_failed) / stats.total;
       if (errorRate > 0.5) {
         logger.warn('High error rate detected:', `${(errorRate * 100).toFixed(1)}%`);
         await this.sendAlert('High bot error rate detected');
@@ -167,65 +279,62 @@ class BotManager {
     }
   }
 
+  // Records a 1m sample of every bot and of every server
   async collectMetrics() {
     try {
-      const bots = await Bot.find();
-      const serverMetrics = {};
-      
-      // Aggregate metrics by server
-      bots.forEach(bot => {
-        if (!serverMetrics[bot.serverId]) {
-          serverMetrics[bot.serverId] = {
-            totalBots: 0,
-            activeBots: 0,
-            totalRequests: 0,
-            totalErrors: 0,
-            averageUptime: 0
-          };
-        }
-        
-        const metrics = serverMetrics[bot.serverId];
-        metrics.totalBots += 1;
-        
-        if (bot.status === 'running') {
-          metrics.activeBots += 1;
-        }
-        
-        metrics.totalRequests += bot.metrics.requests || 0;
-        metrics.totalErrors += bot.metrics.errors || 0;
-        metrics.averageUptime += bot.metrics.uptime || 0;
-      });
+      const at = stepStart(Date.now(), '1m');
+      const [bots, servers] = await Promise.all([
+        Bot.find().select('status serverId metrics.requests metrics.errors'),
+        Server.find().select('status stats')
+      ]);
+      const { samples, counters } = buildSamples({ bots, servers, counters: this.metricCounters, at });
+      this.metricCounters = counters;
 
-      // Calculate averages
-      Object.keys(serverMetrics).forEach(serverId => {
-        const metrics = serverMetrics[serverId];
-        if (metrics.totalBots > 0) {
-          metrics.averageUptime = metrics.averageUptime / metrics.totalBots;
-        }
-      });
-
-      logger.info('📈 Metrics collected:', serverMetrics);
-      
-      // Store metrics for analytics
-      await this.storeMetrics(serverMetrics);
-      
+      await this.storeMetrics(samples);
     } catch (error) {
       logger.error('Metrics collection failed:', error);
     }
   }
 
+  // Rolls the finer samples of every completed hour and day up into 1h and 1d samples,
+  // starting after the last rollup so steps missed while the worker was down are caught up
+  async rollupMetrics(now = Date.now()) {
+    try {
+      for (const [step, finer] of Object.entries(METRIC_ROLLUPS)) {
+        const to = stepStart(now, step);
+        for (const kind of Object.keys(METRICS)) {
+          const latest = await MetricSamples[step].findOne({ 'source.kind': kind }).sort({ at: -1 }).select('at');
+          const from = latest ? new Date(latest.at.getTime() + METRIC_STEPS[step].ms) : new Date(0);
+          if (from >= to) continue;
+
+          const samples = await MetricSamples[finer].aggregate(rollupPipeline(kind, step, from, to));
+          if (samples.length > 0) {
+            await MetricSamples[step].insertMany(samples);
+            logger.debug(`Rolled up ${samples.length} ${kind} samples into ${step}`);
+          }
+        }
+      }
+    } catch (error) {
+      logger.error('Metrics rollup failed:', error);
+    }
+  }
+
   async cleanupOrphanedBots() {
     try {
       const threshold = new Date(Date.now() - 24 * 60 * 60 * 1000); // 24 hours ago
       const orphanedBots = await Bot.find({
         lastActive: { $lt: threshold },
-        status: { $in: ['error', 'idle'] }
+        $or: [
+          { status: 'error' },
+          // Idle bots that never ran are waiting for their first upload or start
+          { status: 'idle', $or: [{ 'artifact.version': { $exists: true } }, { 'source.commit': { $exists: true } }] }
+        ]
       });
 
       for (const bot of orphanedBots) {
         logger.info(`Cleaning up orphaned bot: ${bot.name} (${bot._id})`);
-        await this.stopBot(bot);
-        await Bot.findByIdAndDelete(bot._id);
+        await this.stopBot(bot, 'cleanup');
+        await deleteBot(bot, this.botNetServer);
       }
 
       if (orphanedBots.length > 0) {
@@ -237,136 +346,734 @@ class BotManager {
     }
   }
 
-  async restartFailedBots() {
+  // Starts the liveness and readiness probes of supervised processes that are due
+  runProbes() {
+    const now = Date.now();
+    for (const [botId, entry] of this.botProcesses) {
+      if (!entry.running || entry.paused || entry.stopping || entry.failureReason || entry.finished) continue;
+
+      Object.entries(entry.probes).forEach(([kind, probe]) => {
+        if (probe.inFlight || probe.nextAt > now) return;
+        probe.inFlight = true;
+        this.probeBot(entry.bot, probe.spec)
+          .then(result => this.handleProbeResult(botId, entry, kind, result))
+          .catch(error => logger.error(`The ${kind} probe of bot ${botId} failed to run:`, error))
+          .finally(() => {
+            probe.inFlight = false;
+            probe.nextAt = Date.now() + probe.spec.intervalMs;
+          });
+      });
+    }
+  }
+
+  // Runs one of the bot's probes (see lib/probes.js); resolves to { status, detail }
+  async probeBot(bot, spec) {
+    const context = {};
+    if (spec.type === 'telegram' || spec.type === 'discord') {
+      context.token = await loadSecret(bot._id, TOKEN_SECRET);
+    } else if (spec.type === 'exec') {
+      context.cwd = getBotWorkdir(bot);
+      context.env = buildBotEnv(bot, await loadSecretEnv(bot._id));
+    }
+    return runProbe(spec, context);
+  }
+
+  // Stores a probe result with the bot. A liveness probe that turns failing ends the
+  // process like a crash, so its restart policy decides what follows, unless the
+  // platform rejected the bot's token.
+  async handleProbeResult(botId, entry, kind, result) {
+    const probe = entry.probes[kind];
+    const previous = probe.state.status;
+    probe.state = updateProbeState(probe.state, probe.spec, result);
+
+    const health = { [`health.${kind}`]: probe.state };
+    if (kind === 'readiness' && probe.state.status !== 'unknown') {
+      health['health.ready'] = probe.state.status === 'passing';
+    }
+    // Only while the bot still runs this process
+    await Bot.updateOne({ _id: botId, pid: entry.pid }, { $set: health });
+
+    if (result.status === 'unreachable') {
+      logger.warn(`Bot ${entry.bot.name} (${botId}) could not be probed: ${result.detail}`);
+    }
+    if (probe.state.status === previous) {
+      return probe.state;
+    }
+    logger.info(`Bot ${entry.bot.name} (${botId}) ${kind} probe is ${probe.state.status}: ${result.detail}`);
+
+    if (kind === 'liveness' && probe.state.status === 'failing') {
+      const authFailed = result.status === 'auth_failed';
+      // Not awaited, killing a process can take up to stopTimeout
+      this.terminateProcess(botId, {
+        reason: `Liveness probe failed: ${result.detail}`,
+        cause: authFailed ? 'auth-failed' : 'liveness-failed',
+        status: authFailed ? 'auth_failed' : undefined
+      });
+    }
+    return probe.state;
+  }
+
+  async reconcileBots() {
     try {
-      const failedBots = await Bot.find({
-        status: 'error',
-        'metrics.errors': { $lt: 5 } // Don't restart bots with too many errors
+      // Automatic restarts whose backoff has passed are queued as start jobs
+      await this.restartDueBots();
+
+      // Starts and actions that were requested without a job to carry them out
+      const stale = new Date(Date.now() - JOB_RECOVERY_GRACE_MS);
+      const waitingBots = await Bot.find({
+        $or: [
+          { status: 'starting', statusChangedAt: { $lte: stale } },
+          { pendingActionAt: { $lte: stale } }
+        ]
       });
+      for (const bot of waitingBots) {
+        const botId = bot._id.toString();
+        if (this.botProcesses.has(botId) && !bot.pendingAction) continue;
+        if (await Job.exists({ bot: bot._id, status: { $in: OPEN_JOB_STATUSES } })) continue;
+        logger.warn(`Bot ${bot.name} (${botId}) has no job for its ${bot.pendingAction || 'start'}, queueing one`);
+        await queueBotJob(bot, { actor: BOT_MANAGER_ACTOR });
+      }
 
-      for (const bot of failedBots) {
-        logger.info(`Attempting to restart failed bot: ${bot.name} (${bot._id})`);
-        await this.restartBot(bot);
+      // Bots marked running that this worker does not supervise, e.g. after a worker restart
+      const runningBots = await Bot.find({ status: 'running' });
+      for (const bot of runningBots) {
+        if (!this.botProcesses.has(bot._id.toString())) {
+          logger.warn(`Bot ${bot.name} (${bot._id}) has no supervised process, restarting`);
+          await this.killLostProcess(bot);
+          // Restarted through a job like any other restart, so it is retried and shows in the job log
+          await restartLiveBot(bot, {
+            cause: 'process-lost',
+            actor: BOT_MANAGER_ACTOR,
+            detail: 'No supervised process'
+          });
+        }
       }
 
-      if (failedBots.length > 0) {
-        logger.info(`Restarted ${failedBots.length} failed bots`);
+      // Paused bots whose process this worker lost cannot be resumed
+      const pausedBots = await Bot.find({ status: 'paused', pendingAction: { $exists: false } });
+      for (const bot of pausedBots) {
+        if (!this.botProcesses.has(bot._id.toString())) {
+          logger.warn(`Paused bot ${bot.name} (${bot._id}) has no supervised process, marking it stopped`);
+          await this.killLostProcess(bot);
+          await Bot.transition(bot._id, 'stopped', {
+            from: 'paused',
+            filter: { pendingAction: { $exists: false } },
+            update: { $set: { lastError: 'Process lost while paused' }, $unset: { pid: 1 } },
+            cause: 'process-lost',
+            actor: BOT_MANAGER_ACTOR,
+            detail: 'Process lost while paused'
+          });
+        }
+      }
+
+      // Git-sourced bots redeployed after their process started pick up the new commit
+      const redeployedBots = await Bot.find({ status: 'running', 'source.redeployRequestedAt': { $exists: true } });
+      for (const bot of redeployedBots) {
+        const entry = this.botProcesses.get(bot._id.toString());
+        if (entry && entry.startedAt < bot.source.redeployRequestedAt) {
+          logger.info(`Redeploying bot ${bot.name} (${bot._id}) from ${bot.source.repoUrl}#${bot.source.ref}`);
+          await this.restartBot(bot, 'redeploy');
+          const restarted = await Bot.findById(bot._id);
+          if (restarted) {
+            await queueBotJob(restarted, { type: 'deploy', actor: BOT_MANAGER_ACTOR });
+          }
+        }
+      }
+
+      // Processes whose bot has been deleted
+      const supervisedIds = Array.from(this.botProcesses.keys());
+      const existing = await Bot.find({ _id: { $in: supervisedIds } }).select('_id');
+      const existingIds = new Set(existing.map(bot => bot._id.toString()));
+      for (const botId of supervisedIds) {
+        if (!existingIds.has(botId)) {
+          logger.info(`Stopping process of deleted bot ${botId}`);
+          await this.terminateProcess(botId, { cause: 'deleted' });
+        }
       }
-      
     } catch (error) {
-      logger.error('Bot restart failed:', error);
+      logger.error('Bot reconciliation failed:', error);
+    }
+  }
+
+  // Kills a process this worker lost track of (e.g. after a worker restart), but only if
+  // the bot's stored pid still is that bot's process; otherwise the pid is just cleared
+  async killLostProcess(bot) {
+    if (!bot.pid) return;
+    if (await isBotProcess(bot.pid, bot._id)) {
+      killProcessGroup(bot.pid, 'SIGKILL');
+    } else {
+      await Bot.updateOne({ _id: bot._id, pid: bot.pid }, { $unset: { pid: 1 } });
+    }
+  }
+
+  async restartDueBots() {
+    const now = new Date();
+    const dueBots = await Bot.find({
+      'restarts.nextAt': { $lte: now },
+      status: { $in: ['error', 'oom_killed', 'stopped'] },
+      pendingAction: { $exists: false }
+    });
+    for (const bot of dueBots) {
+      // Only if nobody acted on the bot since the restart was scheduled
+      const previous = await Bot.transition(bot._id, 'starting', {
+        from: bot.status,
+        filter: { 'restarts.nextAt': bot.restarts.nextAt },
+        update: { $set: { 'restarts.lastAt': now }, $unset: { 'restarts.nextAt': 1 } },
+        cause: 'restart-policy',
+        actor: BOT_MANAGER_ACTOR,
+        detail: `attempt ${bot.restarts.count}`
+      });
+      if (previous) {
+        logger.info(`Restarting bot ${bot.name} (${bot._id}), attempt ${bot.restarts.count}`);
+        bot.status = 'starting';
+        await queueBotJob(bot, { actor: BOT_MANAGER_ACTOR });
+      }
     }
+
+    // Bots that have been up for the stable window start counting from zero again
+    await Bot.updateMany(
+      { status: 'running', startedAt: { $lte: new Date(now - RESTART_STABLE_MS) }, 'restarts.count': { $gt: 0 } },
+      { $set: { 'restarts.count': 0 } }
+    );
   }
 
-  async checkBotHealth(bot) {
+  // Claims due jobs while below the concurrency limit, one job per bot at a time
+  async processJobs() {
+    if (this.claimingJobs) return;
+    this.claimingJobs = true;
     try {
-      // Simulate health check based on bot type
-      switch (bot.type) {
-        case 'discord':
-          return await this.checkDiscordBot(bot);
-        case 'telegram':
-          return await this.checkTelegramBot(bot);
-        case 'web':
-          return await this.checkWebBot(bot);
-        case 'monitor':
-          return await this.checkMonitorBot(bot);
-        default:
-          return await this.checkCustomBot(bot);
+      for (const job of await deadLetterExpiredJobs()) {
+        logger.warn(`Job ${job.type} ${job._id} was dead-lettered after its worker stopped responding`);
+        await this.handleDeadJob(job._id);
+      }
+
+      while (this.isRunning && this.activeJobs.size < this.jobConcurrency) {
+        const busyBots = Array.from(this.activeJobs.values()).map(active => active.bot).filter(Boolean);
+        const job = await claimJob(this.workerId, { exclude: busyBots });
+        if (!job) break;
+
+        const jobId = job._id.toString();
+        logger.info(`Running job ${job.type} ${jobId} (attempt ${job.attempts} of ${job.maxAttempts})`);
+        const done = runJob(job, this.workerId, (claimed, context) => this.handleJob(claimed, context))
+          .then(async status => {
+            logger.info(`Job ${job.type} ${jobId} ${status || 'lost its lease'}`);
+            if (status === 'dead') {
+              await this.handleDeadJob(job._id);
+            }
+          })
+          .catch(error => logger.error(`Job ${job.type} ${jobId} failed:`, error))
+          .finally(() => this.activeJobs.delete(jobId));
+        this.activeJobs.set(jobId, { bot: job.bot, done });
       }
     } catch (error) {
-      logger.error(`Health check failed for bot ${bot.name}:`, error);
-      return false;
+      logger.error('Job processing failed:', error);
+    } finally {
+      this.claimingJobs = false;
     }
   }
 
-  async checkDiscordBot(bot) {
-    // Simulate Discord bot health check
-    const lastActiveTime = new Date(bot.lastActive).getTime();
-    const currentTime = Date.now();
-    const timeDiff = currentTime - lastActiveTime;
-    
-    // Consider healthy if active within last 2 minutes
-    return timeDiff < 2 * 60 * 1000;
+  // Carries out a job. It may be delivered again after a worker died half-way, so each
+  // handler checks the bot is still waiting for it and does nothing otherwise.
+  async handleJob(job, { reportProgress }) {
+    if (job.type === 'migrate') {
+      const progress = await migrateServerBots(this.botNetServer, job.serverId, {
+        reason: job.payload.reason,
+        onProgress: reportProgress
+      });
+      if (!progress) {
+        throw new JobError(`Server ${job.serverId} is already being migrated`);
+      }
+      return progress;
+    }
+
+    const bot = await Bot.findById(job.bot);
+    if (!bot) {
+      return { skipped: 'The bot was deleted' };
+    }
+    if (job.type === 'deploy' || job.type === 'start') {
+      return this.runStartJob(bot);
+    }
+    return this.runActionJob(bot, job);
   }
 
-  async checkTelegramBot(bot) {
-    // Simulate Telegram bot health check
-    const lastActiveTime = new Date(bot.lastActive).getTime();
-    const currentTime = Date.now();
-    const timeDiff = currentTime - lastActiveTime;
-    
-    // Consider healthy if active within last 2 minutes
-    return timeDiff < 2 * 60 * 1000;
+  async runStartJob(bot) {
+    const botId = bot._id.toString();
+    if (bot.status !== 'starting') {
+      return { skipped: `The bot is ${bot.status}` };
+    }
+    if (this.preparingBots.has(botId)) {
+      throw new JobError('The bot is still being prepared');
+    }
+
+    // Failures are recorded on the bot and left to its restart policy, so they are not retried
+    const entry = await this.startBot(bot);
+    const error = await entry.spawned;
+    if (error) {
+      throw new JobError(error.message, { retry: false });
+    }
+    return { pid: entry.pid };
   }
 
-  async checkWebBot(bot) {
-    // Simulate web scraper bot health check
-    if (bot.config && bot.config.targetUrl) {
-      try {
-        const response = await axios.get(bot.config.targetUrl, { 
-          timeout: 5000,
-          validateStatus: () => true 
-        });
-        return response.status < 500;
-      } catch (error) {
-        return false;
+  async runActionJob(bot, job) {
+    const requestedAt = new Date(job.payload.pendingActionAt).getTime();
+    if (bot.pendingAction !== job.type || !bot.pendingActionAt || bot.pendingActionAt.getTime() !== requestedAt) {
+      return { skipped: `The ${job.type} was already carried out` };
+    }
+
+    try {
+      await this.applyPendingAction(bot);
+    } catch (error) {
+      // The request is cleared either way, a retry would find nothing to do
+      throw new JobError(error.message, { retry: false });
+    }
+
+    // Restarts, and resumes that lost their process, go on to start the bot
+    const current = await Bot.findById(bot._id);
+    if (current && current.status === 'starting') {
+      return this.runStartJob(current);
+    }
+    return { status: current ? current.status : null };
+  }
+
+  // Leaves the bot of a job that failed for good in a status it can be acted on from
+  async handleDeadJob(jobId) {
+    const job = await Job.findById(jobId);
+    if (!job || !job.bot) return;
+    const reason = `${job.type} failed: ${job.lastError}`;
+
+    if (job.type === 'deploy' || job.type === 'start') {
+      if (this.botProcesses.has(job.bot.toString())) return;
+      await Bot.transition(job.bot, 'error', {
+        from: 'starting',
+        update: { $set: { lastError: reason } },
+        cause: 'job-failed',
+        actor: BOT_MANAGER_ACTOR,
+        detail: reason
+      });
+      return;
+    }
+
+    // Only the request this job was queued for, not one made since
+    const requested = { _id: job.bot, pendingAction: job.type, pendingActionAt: job.payload.pendingActionAt };
+    const cleared = await Bot.updateOne(requested, { $unset: { pendingAction: 1, pendingActionAt: 1 } });
+    if (cleared.modifiedCount === 0) return;
+    await Bot.transition(job.bot, 'error', {
+      from: ['stopping', 'restarting'],
+      update: { $set: { lastError: reason } },
+      cause: 'job-failed',
+      actor: BOT_MANAGER_ACTOR,
+      detail: reason
+    });
+  }
+
+  // Signals the bot's process for the action requested over the API and clears the request
+  async applyPendingAction(bot) {
+    const botId = bot._id.toString();
+    const entry = this.botProcesses.get(botId);
+    const { pendingAction: action, pendingActionAt } = bot;
+    logger.info(`Applying ${action} to bot ${bot.name} (${botId})`);
+
+    try {
+      switch (action) {
+        case 'stop':
+          await this.stopBot(bot, 'action:stop');
+          break;
+        case 'restart':
+          await this.restartBot(bot, 'action:restart');
+          break;
+        case 'pause':
+          if (entry) {
+            entry.paused = true;
+            killProcessGroup(entry.pid, 'SIGSTOP');
+            await this.setStatus(bot._id, 'paused', 'action:pause');
+          }
+          break;
+        case 'resume':
+          if (entry) {
+            entry.paused = false;
+            killProcessGroup(entry.pid, 'SIGCONT');
+            await this.setStatus(bot._id, 'running', 'action:resume');
+          } else {
+            // The paused process is gone, start a new one
+            await this.setStatus(bot._id, 'starting', 'action:resume', 'Process lost while paused');
+          }
+          break;
+        default:
+          logger.warn(`Unknown action ${action} for bot ${botId}`);
       }
+    } finally {
+      // Only clear the request that was handled, not one made in the meantime
+      await Bot.updateOne({ _id: bot._id, pendingActionAt }, { $unset: { pendingAction: 1, pendingActionAt: 1 } });
     }
-    return true;
   }
 
-  async checkMonitorBot(bot) {
-    // System monitor bots are always considered healthy unless they have errors
-    return bot.metrics.errors < 3;
+  async setStatus(botId, status, cause, detail) {
+    return Bot.transition(botId, status, { cause, actor: BOT_MANAGER_ACTOR, detail });
   }
 
-  async checkCustomBot(bot) {
-    // Default health check for custom bots
-    const lastActiveTime = new Date(bot.lastActive).getTime();
-    const currentTime = Date.now();
-    const timeDiff = currentTime - lastActiveTime;
-    
-    // Consider healthy if active within last 5 minutes
-    return timeDiff < 5 * 60 * 1000;
+  async startBot(bot) {
+    const botId = bot._id.toString();
+    if (this.botProcesses.has(botId)) {
+      return this.botProcesses.get(botId);
+    }
+    if (this.preparingBots.has(botId)) {
+      return null;
+    }
+
+    this.preparingBots.add(botId);
+    try {
+      return await this.spawnBot(bot);
+    } finally {
+      this.preparingBots.delete(botId);
+    }
+  }
+
+  async prepareSource(bot) {
+    const commit = await checkoutSource(bot);
+    if (commit !== bot.source.commit) {
+      logger.info(`Bot ${bot.name} (${bot._id}) checked out ${bot.source.ref} at ${commit}`);
+      await Bot.updateOne({ _id: bot._id }, {
+        $set: { 'source.commit': commit, 'source.fetchedAt': new Date() }
+      });
+      bot.source.commit = commit;
+    }
+  }
+
+  async spawnBot(bot) {
+    const botId = bot._id.toString();
+    const workdir = getBotWorkdir(bot);
+    const botType = getBotType(bot.type);
+    let startCommand;
+    let secretEnv;
+    let telemetryToken;
+    let limited;
+    try {
+      if (bot.source && bot.source.repoUrl) {
+        await this.prepareSource(bot);
+      }
+      if (!fs.existsSync(workdir)) {
+        throw new Error(`No deployed code found in ${workdir}`);
+      }
+      startCommand = resolveStartCommand(bot, workdir, botType && botType.startCommand);
+      secretEnv = await loadSecretEnv(bot._id);
+      // Without SECRETS_MASTER_KEY there is nothing to sign ingest tokens with
+      if (process.env.SECRETS_MASTER_KEY) {
+        telemetryToken = signTelemetryToken(botId, await ensureTelemetryToken(bot));
+      }
+      limited = applyResourceLimits(startCommand, bot);
+    } catch (error) {
+      logger.error(`Cannot start bot ${bot.name} (${botId}): ${error.message}`);
+      await this.recordProcessFailure(bot, error.message, 'start-failed');
+      // Already recorded and left to the restart policy, so not for the job to retry
+      throw new JobError(error.message, { retry: false });
+    }
+
+    const { limits } = getBotResources(bot);
+    logger.info(`Starting bot ${bot.name} (${botId}): ${startCommand.command} ${startCommand.args.join(' ')} `
+      + `(${limits.memoryMB} MB, ${limits.cpuShares} CPU shares, limits: ${limited.mode})`);
+
+    // Detached so the bot gets its own process group, which stop signals are sent to
+    const child = spawn(limited.command, limited.args, {
+      cwd: workdir,
+      env: buildBotEnv(bot, secretEnv, telemetryToken),
+      detached: true,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    const entry = {
+      child,
+      pid: child.pid,
+      startedAt: new Date(),
+      stopping: false,
+      finished: false,
+      limited,
+      lastLines: [],
+      bot,
+      // Probes run once the process is up, the first after one interval (see runProbes)
+      probes: Object.fromEntries(Object.entries(getBotProbes(bot, botType)).map(([kind, spec]) => [kind, {
+        spec,
+        state: initialProbeState(),
+        nextAt: Date.now() + spec.intervalMs
+      }])),
+      // Status writes for one process are applied in event order
+      updates: Promise.resolve()
+    };
+    entry.exited = new Promise(resolve => {
+      entry.resolveExited = resolve;
+    });
+    // Resolves to null once the process is up, or to the error it could not be spawned with
+    entry.spawned = new Promise(resolve => {
+      child.once('spawn', () => resolve(null));
+      child.once('error', resolve);
+    });
+    this.botProcesses.set(botId, entry);
+    this.captureOutput(botId, child, entry);
+
+    child.once('spawn', () => {
+      entry.pid = child.pid;
+      // Not if the bot was stopped while it was starting; the pending stop ends the process
+      entry.updates = entry.updates.then(() => Bot.transition(bot._id, 'running', {
+        from: ['starting', 'running'],
+        update: {
+          $set: {
+            pid: child.pid,
+            startedAt: entry.startedAt,
+            lastActive: new Date(),
+            health: { ready: !entry.probes.readiness }
+          },
+          $unset: { exitCode: 1, exitSignal: 1, lastError: 1 }
+        },
+        cause: 'process-started',
+        actor: BOT_MANAGER_ACTOR,
+        detail: `pid ${child.pid}`
+      })).then(() => {
+        entry.running = true;
+      }).catch(error => logger.error(`Failed to record start of bot ${botId}:`, error));
+      logger.info(`Bot ${bot.name} (${botId}) running with pid ${child.pid}`);
+      this.appendLog(botId, 'system', `Started ${startCommand.command} ${startCommand.args.join(' ')} (pid ${child.pid})`);
+    });
+    child.once('error', error => this.handleProcessExit(bot, entry, { error }));
+    child.once('exit', (code, signal) => this.handleProcessExit(bot, entry, { code, signal }));
+
+    return entry;
+  }
+
+  handleProcessExit(bot, entry, { code = null, signal = null, error = null }) {
+    // 'error' and 'exit' can both fire for the same process
+    if (entry.finished) return entry.exited;
+    entry.finished = true;
+
+    const botId = bot._id.toString();
+    entry.updates = entry.updates
+      // The last output lines (e.g. an out-of-memory message) may still be in the pipes
+      .then(() => this.waitForOutput(entry))
+      .then(() => this.recordStatus(bot, this.describeExit(bot, entry, { code, signal, error })))
+      .catch(updateError => logger.error(`Failed to record exit of bot ${botId}:`, updateError))
+      .then(() => {
+        // Still supervised until the exit is recorded, so reconciliation does not take
+        // the bot for one whose process was lost
+        if (this.botProcesses.get(botId) === entry) {
+          this.botProcesses.delete(botId);
+        }
+        entry.resolveExited({ code, signal });
+      });
+    return entry.exited;
+  }
+
+  // Bounded, since a process the bot left behind can keep the pipes open
+  waitForOutput(entry, timeout = 1000) {
+    return new Promise(resolve => {
+      setTimeout(resolve, timeout).unref();
+      entry.outputClosed.then(resolve);
+    });
+  }
+
+  // Logs how the process ended and returns the status change recording it:
+  // { status, cause, detail, update } with the rest of the bot update in `update`
+  describeExit(bot, entry, { code, signal, error }) {
+    const botId = bot._id.toString();
+    const update = { $set: { 'health.ready': false }, $unset: { pid: 1 } };
+    if (code !== null) update.$set.exitCode = code;
+    if (signal !== null) update.$set.exitSignal = signal;
+    const exited = `Process exited (code ${code}, signal ${signal})`;
+
+    const outOfMemory = !error && !entry.failureReason
+      && isOomExit(entry.limited, { code, lastLines: entry.lastLines });
+    removeCgroup(entry.limited);
+
+    if (entry.stopping) {
+      logger.info(`Bot ${bot.name} (${botId}) exited (code ${code}, signal ${signal})`);
+      this.appendLog(botId, 'system', exited);
+      return { status: 'stopped', cause: entry.cause || 'process-exited', detail: exited, update };
+    }
+
+    const ranFor = Date.now() - entry.startedAt.getTime();
+    if (!error && !entry.failureReason && code === 0) {
+      logger.info(`Bot ${bot.name} (${botId}) exited (code ${code}, signal ${signal})`);
+      this.appendLog(botId, 'system', exited);
+      const change = { status: 'stopped', cause: 'process-exited', detail: exited, update };
+      return this.applyRestartPolicy(bot, change, { failed: false, ranFor });
+    }
+
+    if (entry.failureStatus === 'auth_failed') {
+      this.appendLog(botId, 'system', entry.failureReason);
+      return this.describeAuthFailure(bot, entry.failureReason, update);
+    }
+
+    let change;
+    if (entry.failureReason) {
+      change = { status: 'error', cause: entry.cause || 'process-failed', detail: entry.failureReason };
+    } else if (outOfMemory) {
+      const reason = `Out of memory: exceeded its ${getBotResources(bot).limits.memoryMB} MB memory limit`;
+      change = { status: 'oom_killed', cause: 'out-of-memory', detail: reason };
+    } else {
+      const reason = error ? error.message : `Process exited with ${signal ? `signal ${signal}` : `code ${code}`}`;
+      change = { status: 'error', cause: 'process-failed', detail: reason };
+    }
+    update.$set.lastError = change.detail;
+    update.$inc = { 'metrics.errors': 1 };
+    logger.warn(`Bot ${bot.name} (${botId}) failed: ${change.detail}`);
+    this.appendLog(botId, 'system', change.detail);
+    return this.applyRestartPolicy(bot, { ...change, update }, { failed: true, ranFor });
+  }
+
+  // Adds what the bot's restart policy decides to the status change recording how its
+  // run ended: a restart scheduled after the backoff, or `crashloop` once the retries are used up
+  applyRestartPolicy(bot, change, { failed, ranFor }) {
+    const botId = bot._id.toString();
+    const { update } = change;
+    const plan = planRestart(bot, { failed, ranFor });
+
+    if (plan.action === 'restart') {
+      const { maxRetries } = getRestartPolicy(bot);
+      update.$set['restarts.count'] = plan.count;
+      update.$set['restarts.nextAt'] = plan.at;
+      const message = `Restarting in ${Math.ceil(plan.delay / 1000)}s (attempt ${plan.count} of ${maxRetries})`;
+      logger.info(`Bot ${bot.name} (${botId}): ${message}`);
+      this.appendLog(botId, 'system', message);
+    } else if (plan.action === 'crashloop') {
+      change.status = 'crashloop';
+      change.detail = `${change.detail}; gave up after ${plan.count} restarts in a row`;
+      update.$set['restarts.count'] = plan.count;
+      update.$set.lastError = change.detail;
+      update.$unset = { ...update.$unset, 'restarts.nextAt': 1 };
+      logger.warn(`Bot ${bot.name} (${botId}) is crash-looping and needs to be started by hand`);
+      this.appendLog(botId, 'system', `Crash loop: gave up after ${plan.count} restarts in a row, start the bot to try again`);
+    }
+    return change;
+  }
+
+  // A rejected token stays rejected, so no restart is scheduled and any pending one is cancelled
+  describeAuthFailure(bot, reason, update) {
+    logger.warn(`Bot ${bot.name} (${bot._id}) failed: ${reason}; it needs a new ${TOKEN_SECRET} and a manual start`);
+    update.$set.lastError = reason;
+    update.$unset = { ...update.$unset, 'restarts.nextAt': 1 };
+    update.$inc = { 'metrics.errors': 1 };
+    return { status: 'auth_failed', cause: 'auth-failed', detail: reason, update };
   }
 
-  async restartBot(bot) {
+  // Applies a status change the Bot Manager observed. It is dropped if the bot has
+  // meanwhile moved to a status it cannot follow from, e.g. stopped over the API.
+  async recordStatus(bot, { status, cause, detail, update }) {
+    const previous = await Bot.transition(bot._id, status, { update, cause, actor: BOT_MANAGER_ACTOR, detail });
+    if (!previous) {
+      logger.info(`Bot ${bot.name} (${bot._id}) is no longer in a status that can go to ${status} (${cause})`);
+    }
+    return previous;
+  }
+
+  // Records a bot that could not be started as failed, subject to its restart policy
+  async recordProcessFailure(bot, reason, cause) {
+    this.appendLog(bot._id.toString(), 'system', reason);
+    const change = {
+      status: 'error',
+      cause,
+      detail: reason,
+      update: { $set: { lastError: reason }, $inc: { 'metrics.errors': 1 } }
+    };
+    await this.recordStatus(bot, this.applyRestartPolicy(bot, change, { failed: true, ranFor: 0 }));
+  }
+
+  captureOutput(botId, child, entry) {
+    entry.outputClosed = Promise.all(['stdout', 'stderr'].map(stream => new Promise(resolve => {
+      child[stream].once('close', resolve);
+    })));
+    ['stdout', 'stderr'].forEach(stream => {
+      const splitter = createLineSplitter(line => {
+        this.appendLog(botId, stream, line);
+        entry.lastLines.push(line);
+        if (entry.lastLines.length > LAST_LINES_KEPT) entry.lastLines.shift();
+      });
+      child[stream].on('data', chunk => splitter.write(chunk));
+      child[stream].on('end', () => splitter.end());
+    });
+  }
+
+  appendLog(botId, stream, line) {
+    if (!this.logBuffers.has(botId)) {
+      this.logBuffers.set(botId, new LogRingBuffer());
+    }
+    this.logBuffers.get(botId).push({ bot: botId, stream, line, createdAt: new Date() });
+  }
+
+  async flushLogs() {
+    const docs = [];
+    for (const [botId, buffer] of this.logBuffers) {
+      const { entries, dropped } = buffer.drain();
+      if (dropped > 0) {
+        docs.push({ bot: botId, stream: 'system', line: `${dropped} log lines dropped`, createdAt: new Date() });
+      }
+      docs.push(...entries);
+      if (!this.botProcesses.has(botId)) {
+        this.logBuffers.delete(botId);
+      }
+    }
+    if (docs.length === 0) return;
+
+    try {
+      await BotLog.insertMany(docs, { ordered: false });
+    } catch (error) {
+      logger.error(`Failed to store ${docs.length} bot log lines:`, error);
+    }
+  }
+
+  // SIGTERM the bot's process group, then SIGKILL it if it is still alive after stopTimeout.
+  // With a `reason` the process is ended as failed, so its restart policy applies, or
+  // with `status: 'auth_failed'` as one whose token was rejected. `cause` is recorded
+  // with the status change its exit makes.
+  async terminateProcess(botId, { reason, cause, status } = {}) {
+    const entry = this.botProcesses.get(botId);
+    if (!entry) return;
+
+    if (reason) {
+      if (!entry.failureReason) {
+        entry.failureReason = reason;
+        entry.failureStatus = status;
+      }
+    } else {
+      entry.stopping = true;
+    }
+    entry.cause = entry.cause || cause;
+    killProcessGroup(entry.pid, 'SIGTERM');
+    // A paused process only handles SIGTERM once it is continued
+    killProcessGroup(entry.pid, 'SIGCONT');
+
+    const killTimer = setTimeout(() => {
+      logger.warn(`Bot ${botId} did not exit within ${this.stopTimeout}ms, sending SIGKILL`);
+      killProcessGroup(entry.pid, 'SIGKILL');
+    }, this.stopTimeout);
+
+    await entry.exited;
+    clearTimeout(killTimer);
+  }
+
+  async restartBot(bot, cause) {
     try {
       logger.info(`Restarting bot: ${bot.name} (${bot._id})`);
-      
-      bot.status = 'starting';
-      await bot.save();
-      
-      // Simulate bot restart process
-      setTimeout(async () => {
-        bot.status = 'running';
-        bot.lastActive = new Date();
-        await bot.save();
-        
-        logger.info(`Bot ${bot.name} restarted successfully`);
-      }, 3000);
+
+      await this.terminateProcess(bot._id.toString(), { cause });
+
+      // The reconcile loop spawns a fresh process for bots in 'starting'
+      await this.setStatus(bot._id, 'starting', cause);
       
     } catch (error) {
       logger.error(`Failed to restart bot ${bot.name}:`, error);
-      bot.status = 'error';
-      bot.metrics.errors += 1;
-      await bot.save();
+      await this.recordStatus(bot, {
+        status: 'error',
+        cause,
+        detail: error.message,
+        update: { $set: { lastError: error.message }, $inc: { 'metrics.errors': 1 } }
+      });
     }
   }
 
-  async stopBot(bot) {
+  async stopBot(bot, cause) {
     try {
       logger.info(`Stopping bot: ${bot.name} (${bot._id})`);
       
-      // Simulate bot cleanup process
-      if (this.botProcesses.has(bot._id.toString())) {
-        const process = this.botProcesses.get(bot._id.toString());
-        // Terminate process if it exists
-        this.botProcesses.delete(bot._id.toString());
-      }
+      await this.terminateProcess(bot._id.toString(), { cause });
       
-      bot.status = 'stopped';
-      await bot.save();
+      await this.recordStatus(bot, { status: 'stopped', cause, update: { $unset: { pid: 1 } } });
       
     } catch (error) {
       logger.error(`Failed to stop bot ${bot.name}:`, error);
@@ -389,10 +1096,11 @@ class BotManager {
     }
   }
 
-  async storeMetrics(serverMetrics) {
+  async storeMetrics(samples) {
     try {
-      // In a real implementation, store in time-series database
-      logger.info('Storing metrics for analytics:', Object.keys(serverMetrics).length, 'servers');
+      if (samples.length === 0) return;
+      await MetricSamples['1m'].insertMany(samples);
+      logger.debug(`📈 Stored ${samples.length} metric samples`);
     } catch (error) {
       logger.error('Failed to store metrics:', error);
     }
@@ -420,13 +1128,23 @@ class BotManager {
     logger.info('🛑 Shutting down Bot Manager...');
     
     this.isRunning = false;
+
+    // Let claimed jobs finish rather than leave them to be retried after their lease runs out
+    await Promise.all(Array.from(this.activeJobs.values()).map(active => active.done));
     
     // Stop all running bots
     const runningBots = await Bot.find({ status: 'running' });
     for (const bot of runningBots) {
-      await this.stopBot(bot);
+      await this.stopBot(bot, 'shutdown');
+    }
+
+    // Anything still supervised (e.g. processes that were just starting)
+    for (const botId of Array.from(this.botProcesses.keys())) {
+      await this.terminateProcess(botId, { cause: 'shutdown' });
     }
     
+    await this.flushLogs();
+
     // Close database connection
     await mongoose.connection.close();
     
@@ -434,41 +1152,42 @@ class BotManager {
   }
 }
 
-// Initialize and start the Bot Manager
-const botManager = new BotManager();
+// Initialize and start the Bot Manager, unless it is loaded by the tests
+if (process.env.NODE_ENV !== 'test') {
+  const botManager = new BotManager();
 
-// Graceful shutdown
-process.on('SIGTERM', async () => {
-  logger.info('SIGTERM received');
-  await botManager.shutdown();
-  process.exit(0);
-});
+  // Graceful shutdown
+  process.on('SIGTERM', async () => {
+    logger.info('SIGTERM received');
+    await botManager.shutdown();
+    process.exit(0);
+  });
 
-process.on('SIGINT', async () => {
-  logger.info('SIGINT received');
-  await botManager.shutdown();
-  process.exit(0);
-});
+  process.on('SIGINT', async () => {
+    logger.info('SIGINT received');
+    await botManager.shutdown();
+    process.exit(0);
+  });
 
-// Handle uncaught exceptions
-process.on('uncaughtException', (error) => {
-  logger.error('Uncaught Exception:', error);
-  process.exit(1);
-});
+  // Handle uncaught exceptions
+  process.on('uncaughtException', (error) => {
+    logger.error('Uncaught Exception:', error);
+    process.exit(1);
+  });
 
-process.on('unhandledRejection', (reason, promise) => {
-  logger.error('Unhandled Rejection at:', promise, 'reason:', reason);
-  process.exit(1);
-});
+  process.on('unhandledRejection', (reason, promise) => {
+    logger.error('Unhandled Rejection at:', promise, 'reason:', reason);
+    process.exit(1);
+  });
 
-// Start the Bot Manager
-botManager.initialize().catch(error => {
-  logger.error('Failed to start Bot Manager:', error);
-  process.exit(1);
-});
+  // Start the Bot Manager
+  botManager.initialize().catch(error => {
+    logger.error('Failed to start Bot Manager:', error);
+    process.exit(1);
+  });
+}
 
 // Create logs directory
-const fs = require('fs');
 if (!fs.existsSync('logs')) {
   fs.mkdirSync('logs');
 }
@@ -0,0 +1,169 @@
+// Ladybug Hosting v7 - Node Agent
+//
+// Runs on each hosting node, registers it with the Ladybug server and keeps it online
+// with heartbeats. Configure with LADYBUG_URL, NODE_TOKEN (issued by
+// `POST /api/servers/:id/token`), NODE_REGION, NODE_CAPACITY, NODE_LABELS
+// (`gpu=true,disk=ssd`) and NODE_MEMORY_MB / NODE_CPU_SHARES, which default to the
+// machine's memory and 1024 shares per CPU core.
+const os = require('os');
+const { io } = require('socket.io-client');
+const winston = require('winston');
+require('dotenv').config();
+
+const { version } = require('../package.json');
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.errors({ stack: true }),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({
+      format: winston.format.combine(
+        winston.format.colorize(),
+        winston.format.simple()
+      )
+    })
+  ]
+});
+
+// `gpu=true,disk=ssd` -> { gpu: 'true', disk: 'ssd' }
+function parseLabels(text) {
+  if (!text) return undefined;
+  const labels = {};
+  text.split(',').map(pair => pair.trim()).filter(Boolean).forEach(pair => {
+    const separator = pair.indexOf('=');
+    if (separator > 0) {
+      labels[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim();
+    }
+  });
+  return labels;
+}
+
+// Memory and CPU the node offers bots
+function detectResources() {
+  return {
+    memoryMB: parseInt(process.env.NODE_MEMORY_MB, 10) || Math.floor(os.totalmem() / (1024 * 1024)),
+    cpuShares: parseInt(process.env.NODE_CPU_SHARES, 10) || os.cpus().length * 1024
+  };
+}
+
+class NodeAgent {
+  constructor(options = {}) {
+    this.url = (options.url || process.env.LADYBUG_URL || 'http://localhost:3000').replace(/\/+$/, '');
+    this.token = options.token || process.env.NODE_TOKEN;
+    this.region = options.region || process.env.NODE_REGION;
+    this.capacity = options.capacity || parseInt(process.env.NODE_CAPACITY, 10) || undefined;
+    this.labels = options.labels || parseLabels(process.env.NODE_LABELS);
+    this.resources = options.resources || detectResources();
+    this.logger = options.logger || logger;
+    this.socket = null;
+    this.heartbeatTimer = null;
+    this.serverId = null;
+  }
+
+  start() {
+    if (!this.token) {
+      throw new Error('NODE_TOKEN is not set');
+    }
+
+    this.socket = io(`${this.url}/nodes`, {
+      auth: { token: this.token },
+      transports: ['websocket']
+    });
+
+    this.socket.on('connect', () => this.register());
+    this.socket.on('disconnect', (reason) => {
+      this.stopHeartbeat();
+      this.logger.warn(`Disconnected from ${this.url}: ${reason}`);
+    });
+    this.socket.on('connect_error', (error) => {
+      this.logger.error(`Cannot connect to ${this.url}: ${error.message}`);
+      // Rejected by the server (e.g. a revoked token) rather than a network error: don't retry
+      if (!this.socket.active) {
+        this.stop();
+      }
+    });
+
+    return this.socket;
+  }
+
+  // Sent on every (re)connect, so the server always has the node's current capacity and region
+  register() {
+    const info = {
+      region: this.region,
+      capacity: this.capacity,
+      labels: this.labels,
+      resources: this.resources,
+      hostname: os.hostname(),
+      version
+    };
+
+    this.socket.emit('register', info, (response = {}) => {
+      if (response.error) {
+        this.logger.error(`Registration rejected: ${response.error}`);
+        return;
+      }
+      this.serverId = response.serverId;
+      this.logger.info(`Registered as ${response.serverId}, heartbeat every ${response.heartbeatInterval}ms`);
+      this.startHeartbeat(response.heartbeatInterval);
+    });
+  }
+
+  startHeartbeat(interval) {
+    this.stopHeartbeat();
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), interval);
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  heartbeat() {
+    const stats = {
+      loadavg: os.loadavg(),
+      freemem: os.freemem(),
+      totalmem: os.totalmem(),
+      uptime: os.uptime()
+    };
+    this.socket.emit('heartbeat', stats, (response = {}) => {
+      if (response.error) {
+        this.logger.warn(`Heartbeat rejected: ${response.error}`);
+      }
+    });
+  }
+
+  stop() {
+    this.stopHeartbeat();
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+  }
+}
+
+if (require.main === module) {
+  const agent = new NodeAgent();
+
+  const shutdown = (signal) => {
+    logger.info(`${signal} received`);
+    agent.stop();
+    process.exit(0);
+  };
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
+  try {
+    agent.start();
+  } catch (error) {
+    logger.error(`Failed to start Node Agent: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = NodeAgent;